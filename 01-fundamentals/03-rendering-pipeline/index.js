@@ -243,7 +243,7 @@ class PipelineVisualization {
                 arrayViz.style.padding = '10px';
                 arrayViz.style.borderRadius = '4px';
                 arrayViz.style.fontFamily = 'monospace';
-                arrayViz.innerHTML = `positions = [${this.positions.join(', ')}]`;
+                arrayViz.textContent = `positions = ${debugFormat.tuples(this.positions, 2, 1)}`;
                 this.overlay.appendChild(arrayViz);
                 break;
 
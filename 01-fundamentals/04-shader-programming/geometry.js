@@ -1,37 +1,194 @@
 /**
  * GeometryManager Module - Handles WebGL 2 buffer creation and management
+ *
+ * Any number of named geometries can be registered. A geometry is an object in the models.js
+ * shape ({ positions, normals, texCoords, indices }, optionally colors); its attributes are
+ * packed into one interleaved buffer. VAOs are created lazily, one per combination of geometry
+ * and program attribute locations, so programs that place their attributes alike share a VAO.
+ *
+ * The sphere and torus come from the generators in the advanced-shading demo's models.js (with its
+ * utils.js), so those and shared/geometry-tools.js and shared/vertex-layout.js must be loaded first.
  */
 const GeometryManager = (function () {
-    // Buffer references
-    let positionBuffer;
-    let colorBuffer;
-    let normalBuffer;
-    let texCoordBuffer;
-    let indicesBuffer;
-    let vertexCount;
-    let vao; // Vertex Array Object for WebGL 2
+    // Attributes a geometry can provide: shader attribute name, geometry property and packed format
+    const ATTRIBUTES = [
+        { name: 'a_position', source: 'positions', format: 'float32x3' },
+        { name: 'a_color', source: 'colors', format: 'unorm8x4' },
+        { name: 'a_normal', source: 'normals', format: 'snorm10_10_10_2' },
+        { name: 'a_texCoord', source: 'texCoords', format: 'float16x2' },
+    ];
+
+    // Registered geometries by name: { layout, vertexBuffer, indexBuffer, indexCount, indexType, vaos }
+    const geometries = new Map();
+
+    // Attribute locations of each program, as a VAO cache key
+    const programKeys = new WeakMap();
 
     /**
-     * Initialize geometry buffers
+     * Register the built-in cube, sphere and torus
      * @param {WebGL2RenderingContext} gl - WebGL 2 context
      */
     function initBuffers(gl) {
-        // Create a Vertex Array Object
-        vao = gl.createVertexArray();
-        gl.bindVertexArray(vao);
+        register(gl, 'cube', createColoredCube());
+        register(gl, 'sphere', createSphere(0.6, 32, 32));
+        register(gl, 'torus', createTorus(0.45, 0.2, 24, 48));
+    }
 
-        // Create a cube geometry
-        createCubeBuffers(gl);
+    /**
+     * Upload a geometry under a name, replacing any geometry registered with that name
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {string} name - Name to draw the geometry with
+     * @param {Object} geometry - Geometry in the models.js shape
+     */
+    function register(gl, name, geometry) {
+        // Throws for 32-bit indices the context can't draw, before anything is replaced
+        const indexType = geometryTools.indexType(gl, geometry);
+        dispose(gl, name);
+
+        // The varying example needs per-vertex colors; geometries without them get colors from their normals
+        if (!geometry.colors && geometry.normals) {
+            geometry = Object.assign({}, geometry, { colors: colorsFromNormals(geometry.normals) });
+        }
+
+        // Pack all attributes the geometry has into one interleaved buffer
+        const layout = vertexLayout.create(ATTRIBUTES.filter((attribute) => geometry[attribute.source]));
+        const vertices = vertexLayout.pack(geometry, layout);
+
+        const vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices.data, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
 
-        // Unbind the VAO when done
+        // The index buffer is bound through the VAOs, so no VAO may be bound while it is created
         gl.bindVertexArray(null);
+        const indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+
+        geometries.set(name, {
+            layout,
+            vertexBuffer,
+            indexBuffer,
+            indexCount: geometry.indices.length,
+            indexType,
+            vaos: new Map(),
+        });
     }
 
     /**
-     * Create buffers for a cube geometry
+     * Draw a registered geometry with a program
      * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {string} name - Name the geometry was registered with
+     * @param {WebGLProgram} program - Shader program to read the attribute locations from
      */
-    function createCubeBuffers(gl) {
+    function draw(gl, name, program) {
+        const entry = geometries.get(name);
+        if (!entry) {
+            console.error(`Unknown geometry: ${name}`);
+            return;
+        }
+
+        // Bind VAO - all attribute and element buffer bindings are remembered
+        gl.bindVertexArray(getVertexArray(gl, entry, program));
+
+        // Draw the elements
+        gl.drawElements(gl.TRIANGLES, entry.indexCount, entry.indexType, 0);
+
+        // Unbind VAO when done
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Delete the buffers and VAOs of a registered geometry
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {string} name - Name the geometry was registered with
+     */
+    function dispose(gl, name) {
+        const entry = geometries.get(name);
+        if (!entry) return;
+
+        entry.vaos.forEach((vao) => gl.deleteVertexArray(vao));
+        gl.deleteBuffer(entry.vertexBuffer);
+        gl.deleteBuffer(entry.indexBuffer);
+        geometries.delete(name);
+    }
+
+    /**
+     * Get the names of all registered geometries
+     * @returns {Array<string>} Geometry names in registration order
+     */
+    function getNames() {
+        return Array.from(geometries.keys());
+    }
+
+    /**
+     * Find or create the VAO that feeds a geometry to a program
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {Object} entry - Registered geometry
+     * @param {WebGLProgram} program - Shader program
+     * @returns {WebGLVertexArrayObject} VAO with the attribute pointers and index buffer set up
+     */
+    function getVertexArray(gl, entry, program) {
+        const key = getProgramKey(gl, program);
+        let vao = entry.vaos.get(key);
+
+        if (!vao) {
+            vao = gl.createVertexArray();
+            gl.bindVertexArray(vao);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.vertexBuffer);
+            vertexLayout.setupAttributes(gl, program, entry.layout);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, entry.indexBuffer);
+
+            gl.bindVertexArray(null);
+            gl.bindBuffer(gl.ARRAY_BUFFER, null);
+            entry.vaos.set(key, vao);
+        }
+
+        return vao;
+    }
+
+    /**
+     * Describe where a program expects each known attribute, e.g. "0,-1,1,-1"
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {WebGLProgram} program - Shader program
+     * @returns {string} Attribute locations in ATTRIBUTES order (-1 for unused ones)
+     */
+    function getProgramKey(gl, program) {
+        let key = programKeys.get(program);
+
+        if (key === undefined) {
+            key = ATTRIBUTES.map((attribute) => gl.getAttribLocation(program, attribute.name)).join(',');
+            programKeys.set(program, key);
+        }
+
+        return key;
+    }
+
+    /**
+     * Map normals to RGBA colors (each axis to a channel, -1..1 to 0..1)
+     * @param {Float32Array} normals - Vertex normals (x,y,z triplets)
+     * @returns {Float32Array} Vertex colors (r,g,b,a)
+     */
+    function colorsFromNormals(normals) {
+        const colors = new Float32Array((normals.length / 3) * 4);
+
+        for (let i = 0; i < normals.length / 3; i++) {
+            colors[i * 4] = normals[i * 3] * 0.5 + 0.5;
+            colors[i * 4 + 1] = normals[i * 3 + 1] * 0.5 + 0.5;
+            colors[i * 4 + 2] = normals[i * 3 + 2] * 0.5 + 0.5;
+            colors[i * 4 + 3] = 1.0;
+        }
+
+        return colors;
+    }
+
+    /**
+     * Create a cube with a different color on each face
+     * @returns {Object} Object containing positions, colors, normals, texCoords and indices
+     */
+    function createColoredCube() {
         // Vertex positions (x, y, z) for a cube centered at the origin with width 1
         const positions = new Float32Array([
             // Front face
@@ -156,99 +313,15 @@ const GeometryManager = (function () {
             23, // Left face
         ]);
 
-        // Store the number of vertices
-        vertexCount = indices.length;
-
-        // Create and bind position buffer
-        positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
-
-        // Create and bind color buffer
-        colorBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, colorBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
-
-        // Create and bind normal buffer
-        normalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, normals, gl.STATIC_DRAW);
-
-        // Create and bind texture coordinate buffer
-        texCoordBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, textureCoordinates, gl.STATIC_DRAW);
-
-        // Create and bind index buffer
-        indicesBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indicesBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
-    }
-
-    /**
-     * Set up attribute pointers for a shader program
-     * @param {WebGL2RenderingContext} gl - WebGL 2 context
-     * @param {WebGLProgram} program - Shader program
-     */
-    function setupAttributes(gl, program) {
-        // Bind the VAO first
-        gl.bindVertexArray(vao);
-
-        // Position attribute
-        const positionLocation = gl.getAttribLocation(program, 'a_position');
-        if (positionLocation !== -1) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-            gl.vertexAttribPointer(positionLocation, 3, gl.FLOAT, false, 0, 0);
-            gl.enableVertexAttribArray(positionLocation);
-        }
-
-        // Color attribute
-        const colorLocation = gl.getAttribLocation(program, 'a_color');
-        if (colorLocation !== -1) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, colorBuffer);
-            gl.vertexAttribPointer(colorLocation, 4, gl.FLOAT, false, 0, 0);
-            gl.enableVertexAttribArray(colorLocation);
-        }
-
-        // Normal attribute
-        const normalLocation = gl.getAttribLocation(program, 'a_normal');
-        if (normalLocation !== -1) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-            gl.vertexAttribPointer(normalLocation, 3, gl.FLOAT, false, 0, 0);
-            gl.enableVertexAttribArray(normalLocation);
-        }
-
-        // Texture coordinate attribute
-        const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
-        if (texCoordLocation !== -1) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-            gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 0, 0);
-            gl.enableVertexAttribArray(texCoordLocation);
-        }
-
-        // Bind the element array buffer
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indicesBuffer);
-    }
-
-    /**
-     * Draw the geometry
-     * @param {WebGL2RenderingContext} gl - WebGL 2 context
-     */
-    function drawGeometry(gl) {
-        // Bind VAO - all attribute and element buffer bindings are remembered
-        gl.bindVertexArray(vao);
-
-        // Draw the elements
-        gl.drawElements(gl.TRIANGLES, vertexCount, gl.UNSIGNED_SHORT, 0);
-
-        // Unbind VAO when done
-        gl.bindVertexArray(null);
+        return { positions, colors, normals, texCoords: textureCoordinates, indices };
     }
 
     // Public API
     return {
         initBuffers: initBuffers,
-        setupAttributes: setupAttributes,
-        drawGeometry: drawGeometry,
+        register: register,
+        draw: draw,
+        dispose: dispose,
+        getNames: getNames,
     };
 })();
@@ -3,12 +3,21 @@ let gl;
 let canvas;
 let currentProgram;
 let currentExample = 'basic';
+let currentGeometry = 'cube';
 let startTime;
 let lastRenderTime = 0;
 
 // Animation frame request ID
 let animationId;
 
+// Light orbit for the lighting example (cylindrical coordinates around the Y axis)
+const lightOrbit = {
+    radius: 2.0,
+    height: 1.0,
+    speed: 1.0, // Radians per second
+};
+const lightPosition = new Float32Array(3);
+
 // Initialize when the page loads
 window.onload = function () {
     // Set up WebGL
@@ -30,6 +39,25 @@ window.onload = function () {
         loadShaders(currentExample);
     });
 
+    // One option per registered geometry
+    const geometrySelect = document.getElementById('geometry-select');
+    for (const name of GeometryManager.getNames()) {
+        geometrySelect.add(new Option(name, name));
+    }
+    geometrySelect.value = currentGeometry;
+    geometrySelect.addEventListener('change', function (e) {
+        currentGeometry = e.target.value;
+    });
+
+    // One option per registered texture generator
+    const textureSelect = document.getElementById('texture-select');
+    for (const name of TextureGenerator.getNames()) {
+        textureSelect.add(new Option(name, name));
+    }
+    textureSelect.addEventListener('change', function (e) {
+        TextureGenerator.initTexture(gl, e.target.value);
+    });
+
     // Start with the first example
     currentExample = 'basic';
     showExplanation(currentExample);
@@ -179,8 +207,8 @@ function render(now) {
         // Set up shader parameters based on the current example
         setupShaderParameters(currentProgram.program, time);
 
-        // Draw the geometry
-        GeometryManager.drawGeometry(gl);
+        // Draw the selected geometry
+        GeometryManager.draw(gl, currentGeometry, currentProgram.program);
     }
 
     // Request the next frame
@@ -189,9 +217,6 @@ function render(now) {
 
 // Set up shader parameters for the current program
 function setupShaderParameters(program, time) {
-    // Common attributes for all examples
-    GeometryManager.setupAttributes(gl, program);
-
     // Example-specific uniforms
     switch (currentExample) {
         case 'basic':
@@ -267,7 +292,7 @@ function setupLightingExample(program, time) {
 
         gl.uniformMatrix4fv(modelViewLocation, false, modelViewMatrix);
 
-        // Create normal matrix (simplified - just extract rotation part)
+        // Create normal matrix (inverse-transpose of the model-view rotation/scale part)
         if (normalMatrixLocation !== null) {
             const normalMatrix = Matrix.extractNormalMatrix(modelViewMatrix);
             gl.uniformMatrix3fv(normalMatrixLocation, false, normalMatrix);
@@ -288,11 +313,10 @@ function setupLightingExample(program, time) {
     const ambientColorLocation = gl.getUniformLocation(program, 'u_ambientColor');
 
     if (lightPositionLocation !== null) {
-        // Rotating light position
-        const lightX = Math.sin(time) * 2.0;
-        const lightY = 1.0;
-        const lightZ = Math.cos(time) * 2.0;
-        gl.uniform3f(lightPositionLocation, lightX, lightY, lightZ);
+        // Light circling the object
+        const lightAngle = angle.wrap(time * lightOrbit.speed);
+        vec3.fromCylindrical(lightPosition, lightOrbit.radius, lightAngle, lightOrbit.height);
+        gl.uniform3fv(lightPositionLocation, lightPosition);
     }
 
     if (diffuseColorLocation !== null) {
@@ -1,31 +1,35 @@
 /**
  * Matrix Mathematics Module
  * Provides matrix operations for WebGL graphics
+ *
+ * A beginner-friendly facade over the shared mat4/mat3 in shared/gl-matrix.js:
+ * functions without the Out suffix allocate their result, the Out variants write
+ * into an existing matrix, and translate/rotate/scale modify the matrix in place.
  */
 const Matrix = (function () {
+    // Scratch vector so the in-place helpers don't allocate per call
+    const tempVector = new Float32Array(3);
+
+    /**
+     * Fill the scratch vector
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     * @param {number} z - Z component
+     * @returns {Float32Array} The scratch vector
+     */
+    function vector(x, y, z) {
+        tempVector[0] = x;
+        tempVector[1] = y;
+        tempVector[2] = z;
+        return tempVector;
+    }
+
     /**
      * Create a 4x4 identity matrix
      * @returns {Float32Array} 4x4 identity matrix
      */
     function identity() {
-        const mat = new Float32Array(16);
-        mat[0] = 1;
-        mat[4] = 0;
-        mat[8] = 0;
-        mat[12] = 0;
-        mat[1] = 0;
-        mat[5] = 1;
-        mat[9] = 0;
-        mat[13] = 0;
-        mat[2] = 0;
-        mat[6] = 0;
-        mat[10] = 1;
-        mat[14] = 0;
-        mat[3] = 0;
-        mat[7] = 0;
-        mat[11] = 0;
-        mat[15] = 1;
-        return mat;
+        return mat4.create();
     }
 
     /**
@@ -36,10 +40,7 @@ const Matrix = (function () {
      * @param {number} z - Z translation
      */
     function translate(mat, x, y, z) {
-        mat[12] = mat[0] * x + mat[4] * y + mat[8] * z + mat[12];
-        mat[13] = mat[1] * x + mat[5] * y + mat[9] * z + mat[13];
-        mat[14] = mat[2] * x + mat[6] * y + mat[10] * z + mat[14];
-        mat[15] = mat[3] * x + mat[7] * y + mat[11] * z + mat[15];
+        mat4.translate(mat, mat, vector(x, y, z));
     }
 
     /**
@@ -48,28 +49,7 @@ const Matrix = (function () {
      * @param {number} angle - Rotation angle in radians
      */
     function rotateX(mat, angle) {
-        const s = Math.sin(angle);
-        const c = Math.cos(angle);
-
-        const a10 = mat[4],
-            a11 = mat[5],
-            a12 = mat[6],
-            a13 = mat[7];
-        const a20 = mat[8],
-            a21 = mat[9],
-            a22 = mat[10],
-            a23 = mat[11];
-
-        // Rotate the matrix
-        mat[4] = a10 * c + a20 * s;
-        mat[5] = a11 * c + a21 * s;
-        mat[6] = a12 * c + a22 * s;
-        mat[7] = a13 * c + a23 * s;
-
-        mat[8] = a20 * c - a10 * s;
-        mat[9] = a21 * c - a11 * s;
-        mat[10] = a22 * c - a12 * s;
-        mat[11] = a23 * c - a13 * s;
+        mat4.rotateX(mat, mat, angle);
     }
 
     /**
@@ -78,28 +58,7 @@ const Matrix = (function () {
      * @param {number} angle - Rotation angle in radians
      */
     function rotateY(mat, angle) {
-        const s = Math.sin(angle);
-        const c = Math.cos(angle);
-
-        const a00 = mat[0],
-            a01 = mat[1],
-            a02 = mat[2],
-            a03 = mat[3];
-        const a20 = mat[8],
-            a21 = mat[9],
-            a22 = mat[10],
-            a23 = mat[11];
-
-        // Rotate the matrix
-        mat[0] = a00 * c - a20 * s;
-        mat[1] = a01 * c - a21 * s;
-        mat[2] = a02 * c - a22 * s;
-        mat[3] = a03 * c - a23 * s;
-
-        mat[8] = a00 * s + a20 * c;
-        mat[9] = a01 * s + a21 * c;
-        mat[10] = a02 * s + a22 * c;
-        mat[11] = a03 * s + a23 * c;
+        mat4.rotateY(mat, mat, angle);
     }
 
     /**
@@ -108,28 +67,30 @@ const Matrix = (function () {
      * @param {number} angle - Rotation angle in radians
      */
     function rotateZ(mat, angle) {
-        const s = Math.sin(angle);
-        const c = Math.cos(angle);
-
-        const a00 = mat[0],
-            a01 = mat[1],
-            a02 = mat[2],
-            a03 = mat[3];
-        const a10 = mat[4],
-            a11 = mat[5],
-            a12 = mat[6],
-            a13 = mat[7];
+        mat4.rotateZ(mat, mat, angle);
+    }
 
-        // Rotate the matrix
-        mat[0] = a00 * c + a10 * s;
-        mat[1] = a01 * c + a11 * s;
-        mat[2] = a02 * c + a12 * s;
-        mat[3] = a03 * c + a13 * s;
+    /**
+     * Rotate a matrix around an arbitrary axis
+     * @param {Float32Array} mat - Matrix to rotate
+     * @param {number} angle - Rotation angle in radians
+     * @param {number} x - X component of the rotation axis
+     * @param {number} y - Y component of the rotation axis
+     * @param {number} z - Z component of the rotation axis
+     */
+    function rotate(mat, angle, x, y, z) {
+        mat4.rotate(mat, mat, angle, vector(x, y, z));
+    }
 
-        mat[4] = a10 * c - a00 * s;
-        mat[5] = a11 * c - a01 * s;
-        mat[6] = a12 * c - a02 * s;
-        mat[7] = a13 * c - a03 * s;
+    /**
+     * Scale a matrix by the given factors
+     * @param {Float32Array} mat - Matrix to scale
+     * @param {number} x - X scale factor
+     * @param {number} y - Y scale factor
+     * @param {number} z - Z scale factor
+     */
+    function scale(mat, x, y, z) {
+        mat4.scale(mat, mat, vector(x, y, z));
     }
 
     /**
@@ -141,31 +102,127 @@ const Matrix = (function () {
      * @returns {Float32Array} Perspective projection matrix
      */
     function perspective(fov, aspect, near, far) {
-        const f = 1.0 / Math.tan(fov / 2);
-        const rangeInv = 1.0 / (near - far);
+        return mat4.perspective(new Float32Array(16), fov, aspect, near, far);
+    }
+
+    /**
+     * Create an orthographic projection matrix
+     * @param {number} left - Left clipping plane
+     * @param {number} right - Right clipping plane
+     * @param {number} bottom - Bottom clipping plane
+     * @param {number} top - Top clipping plane
+     * @param {number} near - Near clipping plane
+     * @param {number} far - Far clipping plane
+     * @returns {Float32Array} Orthographic projection matrix
+     */
+    function ortho(left, right, bottom, top, near, far) {
+        return orthoOut(new Float32Array(16), left, right, bottom, top, near, far);
+    }
+
+    /**
+     * Write an orthographic projection matrix into an existing matrix
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {number} left - Left clipping plane
+     * @param {number} right - Right clipping plane
+     * @param {number} bottom - Bottom clipping plane
+     * @param {number} top - Top clipping plane
+     * @param {number} near - Near clipping plane
+     * @param {number} far - Far clipping plane
+     * @returns {Float32Array} out
+     */
+    function orthoOut(out, left, right, bottom, top, near, far) {
+        return mat4.ortho(out, left, right, bottom, top, near, far);
+    }
 
-        const mat = new Float32Array(16);
-        mat[0] = f / aspect;
-        mat[1] = 0;
-        mat[2] = 0;
-        mat[3] = 0;
+    /**
+     * Create a view matrix looking from eye towards center
+     * @param {number[]} eye - Camera position
+     * @param {number[]} center - Point the camera looks at
+     * @param {number[]} up - Up direction
+     * @returns {Float32Array} View matrix
+     */
+    function lookAt(eye, center, up) {
+        return lookAtOut(new Float32Array(16), eye, center, up);
+    }
 
-        mat[4] = 0;
-        mat[5] = f;
-        mat[6] = 0;
-        mat[7] = 0;
+    /**
+     * Write a view matrix looking from eye towards center into an existing matrix
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {number[]} eye - Camera position
+     * @param {number[]} center - Point the camera looks at
+     * @param {number[]} up - Up direction
+     * @returns {Float32Array} out
+     */
+    function lookAtOut(out, eye, center, up) {
+        return mat4.lookAt(out, eye, center, up);
+    }
 
-        mat[8] = 0;
-        mat[9] = 0;
-        mat[10] = (far + near) * rangeInv;
-        mat[11] = -1;
+    /**
+     * Multiply two matrices (a * b)
+     * @param {Float32Array} a - Left-hand matrix
+     * @param {Float32Array} b - Right-hand matrix
+     * @returns {Float32Array} Product matrix
+     */
+    function multiply(a, b) {
+        return multiplyOut(new Float32Array(16), a, b);
+    }
 
-        mat[12] = 0;
-        mat[13] = 0;
-        mat[14] = 2 * far * near * rangeInv;
-        mat[15] = 0;
+    /**
+     * Multiply two matrices (a * b) into an existing matrix; out may alias a or b
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {Float32Array} a - Left-hand matrix
+     * @param {Float32Array} b - Right-hand matrix
+     * @returns {Float32Array} out
+     */
+    function multiplyOut(out, a, b) {
+        return mat4.multiply(out, a, b);
+    }
 
-        return mat;
+    /**
+     * Transpose a matrix
+     * @param {Float32Array} mat - Matrix to transpose
+     * @returns {Float32Array} Transposed matrix
+     */
+    function transpose(mat) {
+        return transposeOut(new Float32Array(16), mat);
+    }
+
+    /**
+     * Transpose a matrix into an existing matrix; out may alias mat
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {Float32Array} mat - Matrix to transpose
+     * @returns {Float32Array} out
+     */
+    function transposeOut(out, mat) {
+        return mat4.transpose(out, mat);
+    }
+
+    /**
+     * Calculate the determinant of a matrix
+     * @param {Float32Array} mat - Source matrix
+     * @returns {number} Determinant
+     */
+    function determinant(mat) {
+        return mat4.determinant(mat);
+    }
+
+    /**
+     * Invert a matrix
+     * @param {Float32Array} mat - Matrix to invert
+     * @returns {Float32Array|null} Inverted matrix, or null if the matrix is singular
+     */
+    function invert(mat) {
+        return invertOut(new Float32Array(16), mat);
+    }
+
+    /**
+     * Invert a matrix into an existing matrix; out may alias mat
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {Float32Array} mat - Matrix to invert
+     * @returns {Float32Array|null} out, or null if the matrix is singular (out is left untouched)
+     */
+    function invertOut(out, mat) {
+        return mat4.invert(out, mat);
     }
 
     /**
@@ -176,21 +233,23 @@ const Matrix = (function () {
     function extractNormalMatrix(modelViewMatrix) {
         const normalMatrix = new Float32Array(9);
 
-        // Extract the rotation part of the model-view matrix
-        normalMatrix[0] = modelViewMatrix[0];
-        normalMatrix[1] = modelViewMatrix[1];
-        normalMatrix[2] = modelViewMatrix[2];
-        normalMatrix[3] = modelViewMatrix[4];
-        normalMatrix[4] = modelViewMatrix[5];
-        normalMatrix[5] = modelViewMatrix[6];
-        normalMatrix[6] = modelViewMatrix[8];
-        normalMatrix[7] = modelViewMatrix[9];
-        normalMatrix[8] = modelViewMatrix[10];
+        // The inverse-transpose keeps normals perpendicular under non-uniform scaling
+        if (normalFromMat4(normalMatrix, modelViewMatrix)) {
+            return normalMatrix;
+        }
 
-        // For a proper normal matrix, we should compute the inverse transpose,
-        // but for simple rotations without non-uniform scaling, this is sufficient
+        // Singular matrix: fall back to the upper-left 3x3 part
+        return mat3.fromMat4(normalMatrix, modelViewMatrix);
+    }
 
-        return normalMatrix;
+    /**
+     * Compute the normal matrix (inverse-transpose of the upper-left 3x3) of a 4x4 matrix
+     * @param {Float32Array} out - 3x3 matrix receiving the result
+     * @param {Float32Array} mat - Source 4x4 matrix
+     * @returns {Float32Array|null} out, or null if the matrix is not invertible
+     */
+    function normalFromMat4(out, mat) {
+        return mat3.normalFromMat4(out, mat);
     }
 
     // Public API
@@ -200,7 +259,21 @@ const Matrix = (function () {
         rotateX: rotateX,
         rotateY: rotateY,
         rotateZ: rotateZ,
+        rotate: rotate,
+        scale: scale,
         perspective: perspective,
+        ortho: ortho,
+        orthoOut: orthoOut,
+        lookAt: lookAt,
+        lookAtOut: lookAtOut,
+        multiply: multiply,
+        multiplyOut: multiplyOut,
+        transpose: transpose,
+        transposeOut: transposeOut,
+        determinant: determinant,
+        invert: invert,
+        invertOut: invertOut,
         extractNormalMatrix: extractNormalMatrix,
+        normalFromMat4: normalFromMat4,
     };
 })();
@@ -1,56 +1,94 @@
 /**
  * TextureGenerator Module - Creates procedural textures for WebGL 2
+ *
+ * Textures come from a registry of named generators. A generator fills an RGBA8 pixel array
+ * from its parameters and never touches WebGL, so generatePixels() also works without a GPU
+ * (e.g. in tests); generate() additionally uploads the pixels into a texture.
+ *
+ * Row 0 of the pixel data is v = 0, the way WebGL uploads it without UNPACK_FLIP_Y_WEBGL.
+ * Colors are [r, g, b] arrays in 0-255. The noise-based patterns use shared/noise.js and are
+ * deterministic for a given seed. 'normal-from-height' uses the advanced-shading demo's
+ * texture-baker.js (with its utils.js), so those must be loaded first.
  */
 const TextureGenerator = (function () {
+    // Registered generators by name: { generator, defaults }
+    const generators = new Map();
+
     // Texture reference
     let texture;
 
     /**
-     * Initialize a procedural texture
-     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * Register a pattern generator
+     * @param {string} name - Name to generate the pattern with
+     * @param {Function} generator - Called as generator(data, width, height, params); fills data (RGBA8)
+     * @param {Object} defaults - Default parameters, merged under the parameters of each call
      */
-    function initTexture(gl) {
-        // Create a texture
-        texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+    function register(name, generator, defaults = {}) {
+        generators.set(name, { generator, defaults });
+    }
 
-        // Create a procedural checkerboard pattern
-        const size = 256;
-        const data = new Uint8Array(size * size * 4);
+    /**
+     * Get the names of all registered generators
+     * @returns {Array<string>} Generator names in registration order
+     */
+    function getNames() {
+        return Array.from(generators.keys());
+    }
 
-        // Fill the texture with a checkerboard pattern
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const index = (y * size + x) * 4;
-
-                // Checkerboard pattern - 32x32 pixel squares
-                const isCheckerboard = (Math.floor(x / 32) % 2 === 0) !== (Math.floor(y / 32) % 2 === 0);
-
-                // Additional circular gradient
-                const dx = x - size / 2;
-                const dy = y - size / 2;
-                const distance = Math.sqrt(dx * dx + dy * dy) / (size / 2);
-                const circle = 1.0 - Math.min(1.0, distance);
-
-                // Combine patterns
-                data[index] = isCheckerboard ? 200 : 50; // R
-                data[index + 1] = Math.round((isCheckerboard ? 50 : 200) * circle); // G
-                data[index + 2] = isCheckerboard ? 50 : 200; // B
-                data[index + 3] = 255; // A
-            }
+    /**
+     * Generate the pixels of a pattern without uploading them
+     * @param {string} name - Registered generator name
+     * @param {number} size - Width and height in pixels
+     * @param {Object} params - Generator parameters (missing ones use the generator's defaults)
+     * @returns {Object} Object containing width, height and data (Uint8Array, RGBA)
+     */
+    function generatePixels(name, size = 256, params = {}) {
+        const entry = generators.get(name);
+        if (!entry) {
+            throw new Error(`Unknown texture generator: ${name}`);
         }
 
-        // Upload the texture data - WebGL 2 preferred format
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        const data = new Uint8Array(size * size * 4);
+        entry.generator(data, size, size, Object.assign({}, entry.defaults, params));
 
-        // Set texture parameters
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        return { width: size, height: size, data };
+    }
 
-        // Generate mipmaps
-        gl.generateMipmap(gl.TEXTURE_2D);
+    /**
+     * Generate a pattern and upload it into a new texture
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {string} name - Registered generator name
+     * @param {number} size - Width and height in pixels
+     * @param {Object} params - Generator parameters
+     * @returns {Object} Object containing width, height, data and texture
+     */
+    function generate(gl, name, size = 256, params = {}) {
+        const pixels = generatePixels(name, size, params);
+        return Object.assign(pixels, { texture: createTexture(gl, pixels) });
+    }
+
+    /**
+     * Upload RGBA8 pixels into a texture, repeating and mipmapped unless the options say otherwise
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {Object} pixels - Object containing width, height and data
+     * @param {Object} [options] - Sampler and upload options for TextureSetup (wrap, filters, anisotropy, ...)
+     * @returns {WebGLTexture} The new texture
+     */
+    function createTexture(gl, pixels, options = {}) {
+        return TextureSetup.create(gl, pixels, options);
+    }
+
+    /**
+     * Initialize the texture used by the texture example, replacing the previous one
+     * @param {WebGL2RenderingContext} gl - WebGL 2 context
+     * @param {string} name - Registered generator name
+     * @param {Object} params - Generator parameters
+     */
+    function initTexture(gl, name = 'checker', params = {}) {
+        if (texture) {
+            gl.deleteTexture(texture);
+        }
+        texture = generate(gl, name, 256, params).texture;
     }
 
     /**
@@ -61,8 +99,369 @@ const TextureGenerator = (function () {
         return texture;
     }
 
+    /**
+     * Write an opaque pixel, clamping the color to 0-255
+     * @param {Uint8Array} data - RGBA8 pixels
+     * @param {number} width - Width in pixels
+     * @param {number} x - Pixel column
+     * @param {number} y - Pixel row (row 0 is v = 0)
+     * @param {Array<number>} color - [r, g, b] in 0-255
+     */
+    function setPixel(data, width, x, y, color) {
+        const index = (y * width + x) * 4;
+        data[index] = Math.round(Math.min(Math.max(color[0], 0), 255));
+        data[index + 1] = Math.round(Math.min(Math.max(color[1], 0), 255));
+        data[index + 2] = Math.round(Math.min(Math.max(color[2], 0), 255));
+        data[index + 3] = 255;
+    }
+
+    /**
+     * Linear interpolation between two colors
+     * @param {Array<number>} a - [r, g, b] color at t = 0
+     * @param {Array<number>} b - [r, g, b] color at t = 1
+     * @param {number} t - Blend factor
+     * @returns {Array<number>} Interpolated [r, g, b] color
+     */
+    function mixColor(a, b, t) {
+        return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+    }
+
+    /**
+     * Hermite step from 0 at edge0 to 1 at edge1, like GLSL smoothstep
+     * @param {number} edge0 - Value where the step starts
+     * @param {number} edge1 - Value where the step ends
+     * @param {number} x - Value to step
+     * @returns {number} Smoothed value in [0, 1]
+     */
+    function smoothstep(edge0, edge1, x) {
+        const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Call fn(x, y, u, v) for every pixel and store the color it returns
+     * @param {Uint8Array} data - RGBA8 pixels
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Function} fn - Returns an [r, g, b] color; u and v are the pixel center in [0, 1]
+     */
+    function fillPixels(data, width, height, fn) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                setPixel(data, width, x, y, fn(x, y, (x + 0.5) / width, (y + 0.5) / height));
+            }
+        }
+    }
+
+    /**
+     * Fractal noise in [-1, 1] for the noise-based patterns
+     * @param {string} type - 'value', 'perlin', 'simplex' or 'worley'
+     * @param {number} x - Noise-space X
+     * @param {number} y - Noise-space Y
+     * @param {number} seed - Noise seed
+     * @param {number} octaves - Number of fBm octaves
+     * @returns {number} Noise value
+     */
+    function fractalNoise(type, x, y, seed, octaves) {
+        const noiseFn = {
+            value: noise.value2,
+            perlin: noise.perlin2,
+            simplex: noise.simplex2,
+            // Worley distances are mostly in [0, 1]; recenter them like the other types
+            worley: (px, py, s) => noise.worley2(px, py, s) * 2 - 1,
+        }[type];
+
+        if (!noiseFn) {
+            throw new Error(`Unknown noise type: ${type}`);
+        }
+        return noise.fbm2(noiseFn, x, y, seed, octaves);
+    }
+
+    // Labels for the UV debug pattern
+
+    // 3x5 pixel glyphs, one string of rows (top first) per character
+    const FONT_COLUMNS = 'ABCDEFGHIJKLMNOP';
+    const FONT = {
+        0: '111101101101111',
+        1: '010110010010111',
+        2: '111001111100111',
+        3: '111001111001111',
+        4: '101101111001001',
+        5: '111100111001111',
+        6: '111100111101111',
+        7: '111001001001001',
+        8: '111101111101111',
+        9: '111101111001111',
+        A: '010101111101101',
+        B: '110101110101110',
+        C: '011100100100011',
+        D: '110101101101110',
+        E: '111100110100111',
+        F: '111100110100100',
+        G: '011100101101011',
+        H: '101101111101101',
+        I: '111010010010111',
+        J: '001001001101010',
+        K: '101101110101101',
+        L: '100100100100111',
+        M: '101111111101101',
+        N: '110101101101101',
+        O: '010101101101010',
+        P: '110101110100100',
+    };
+
+    /**
+     * Draw a label centered in a cell, as large as fits in about half of it.
+     * Small cells still get one pixel per glyph pixel while the label fits inside the cell's
+     * border; in smaller ones the label is skipped rather than drawn over the neighbours.
+     * Glyph rows go towards lower v, so the text reads upright when v points up on screen.
+     * @param {Uint8Array} data - RGBA8 pixels
+     * @param {number} width - Texture width in pixels
+     * @param {number} cellX - Left edge of the cell in pixels
+     * @param {number} cellY - Row of the cell's v = 0 edge
+     * @param {number} cellWidth - Cell width in pixels
+     * @param {number} cellHeight - Cell height in pixels
+     * @param {string} text - Label made of FONT characters
+     */
+    function drawLabel(data, width, cellX, cellY, cellWidth, cellHeight, text) {
+        const textWidth = text.length * 4 - 1;
+        const fit = Math.floor(Math.min((cellWidth * 0.6) / textWidth, (cellHeight * 0.5) / 5));
+        if (fit < 1 && (textWidth > cellWidth - 2 || 5 > cellHeight - 2)) return;
+
+        const scale = Math.max(1, fit);
+        const left = Math.round(cellX + (cellWidth - textWidth * scale) / 2);
+        const top = Math.round(cellY + (cellHeight + 5 * scale) / 2) - 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const glyph = FONT[text[i]];
+
+            for (let row = 0; row < 5; row++) {
+                for (let column = 0; column < 3; column++) {
+                    if (glyph[row * 3 + column] !== '1') continue;
+
+                    for (let sy = 0; sy < scale; sy++) {
+                        for (let sx = 0; sx < scale; sx++) {
+                            const x = left + (i * 4 + column) * scale + sx;
+                            const y = top - row * scale - sy;
+                            setPixel(data, width, x, y, [255, 255, 255]);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Generators
+
+    // Two-color checkerboard with `squares` squares per side
+    register(
+        'checker',
+        (data, width, height, params) => {
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const odd = (Math.floor(u * params.squares) + Math.floor(v * params.squares)) % 2 === 1;
+                return odd ? params.colorB : params.colorA;
+            });
+        },
+        { squares: 8, colorA: [200, 50, 50], colorB: [50, 50, 200] }
+    );
+
+    // Lines of lineWidth pixels around `cells` cells per side
+    register(
+        'grid',
+        (data, width, height, params) => {
+            const cellWidth = width / params.cells;
+            const cellHeight = height / params.cells;
+
+            fillPixels(data, width, height, (x, y) => {
+                const onLine = x % cellWidth < params.lineWidth || y % cellHeight < params.lineWidth;
+                return onLine ? params.lineColor : params.background;
+            });
+        },
+        { cells: 8, lineWidth: 2, background: [40, 40, 48], lineColor: [230, 230, 230] }
+    );
+
+    // Cells tinted by their UV position (red = u, green = v) and labelled A1, B1, ... from the
+    // v = 0 corner, so mirrored or rotated texture coordinates are easy to spot
+    register(
+        'uv-debug',
+        (data, width, height, params) => {
+            const cells = Math.min(params.cells, FONT_COLUMNS.length);
+            const cellWidth = width / cells;
+            const cellHeight = height / cells;
+
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const column = Math.floor(u * cells);
+                const row = Math.floor(v * cells);
+                const border = x % cellWidth < 1 || y % cellHeight < 1;
+                const shade = (column + row) % 2 === 0 ? 1.0 : 0.8;
+
+                if (border) return [0, 0, 0];
+                return [((column + 0.5) / cells) * 255 * shade, ((row + 0.5) / cells) * 255 * shade, 64 * shade];
+            });
+
+            for (let row = 0; row < cells; row++) {
+                for (let column = 0; column < cells; column++) {
+                    const label = FONT_COLUMNS[column] + (row + 1);
+                    drawLabel(data, width, column * cellWidth, row * cellHeight, cellWidth, cellHeight, label);
+                }
+            }
+        },
+        { cells: 8 }
+    );
+
+    // Staggered bricks with mortar joints; each brick's color varies a little
+    register(
+        'brick',
+        (data, width, height, params) => {
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const row = Math.floor(v * params.rows);
+                const shifted = u * params.columns + (row % 2) * params.offset;
+                const column = Math.floor(shifted);
+
+                // Distance to the nearest joint, in brick heights
+                const brickX = ((shifted - column) * params.rows) / params.columns;
+                const brickY = v * params.rows - row;
+                const edge = Math.min(brickX, params.rows / params.columns - brickX, brickY, 1 - brickY);
+                if (edge < params.mortar) return params.mortarColor;
+
+                const variation = noise.toFloat(noise.hash2(column % params.columns, row, params.seed));
+                return mixColor(params.brickColor, params.brickColor2, variation);
+            });
+        },
+        {
+            rows: 8,
+            columns: 4,
+            offset: 0.5,
+            mortar: 0.08,
+            brickColor: [150, 60, 40],
+            brickColor2: [185, 90, 60],
+            mortarColor: [200, 195, 185],
+            seed: 0,
+        }
+    );
+
+    // Growth rings around a point, bent by noise
+    register(
+        'wood',
+        (data, width, height, params) => {
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const distortion = fractalNoise('perlin', u * params.scale, v * params.scale, params.seed, 4);
+                const distance = Math.hypot(u - params.center[0], v - params.center[1]);
+                const ring = distance * params.rings + distortion * params.turbulence;
+                const t = smoothstep(0.0, 1.0, Math.abs((ring - Math.floor(ring)) * 2 - 1));
+
+                return mixColor(params.lightColor, params.darkColor, t);
+            });
+        },
+        {
+            rings: 12,
+            turbulence: 0.6,
+            scale: 4,
+            center: [0.5, -0.2],
+            lightColor: [222, 176, 120],
+            darkColor: [140, 90, 50],
+            seed: 0,
+        }
+    );
+
+    // Veins from a sine wave displaced by fractal noise
+    register(
+        'marble',
+        (data, width, height, params) => {
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const turbulence = fractalNoise('perlin', u * params.scale, v * params.scale, params.seed, 6);
+                const wave = Math.sin((u + v + turbulence * params.turbulence) * params.veins * Math.PI);
+                const t = Math.pow(1 - Math.abs(wave), params.sharpness);
+
+                return mixColor(params.baseColor, params.veinColor, t);
+            });
+        },
+        {
+            veins: 4,
+            turbulence: 1.5,
+            scale: 4,
+            sharpness: 4,
+            baseColor: [235, 235, 230],
+            veinColor: [70, 70, 80],
+            seed: 0,
+        }
+    );
+
+    // Grayscale fractal noise
+    register(
+        'noise',
+        (data, width, height, params) => {
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const n = fractalNoise(params.type, u * params.scale, v * params.scale, params.seed, params.octaves);
+                const value = (n * 0.5 + 0.5) * 255;
+                return [value, value, value];
+            });
+        },
+        { type: 'perlin', scale: 8, octaves: 5, seed: 0 }
+    );
+
+    // Tangent-space normal map from the red channel of another generator, used as height, baked by
+    // bakeNormalMap from the advanced-shading demo's texture-baker.js. Slopes wrap around the edges,
+    // so a tiling height pattern gives a tiling normal map.
+    register(
+        'normal-from-height',
+        (data, width, height, params) => {
+            const source = generatePixels(params.source, width, params.sourceParams).data;
+            const heights = new Float32Array(width * height);
+            for (let i = 0; i < heights.length; i++) {
+                heights[i] = source[i * 4] / 255;
+            }
+
+            const normals = bakeNormalMap(
+                { columns: width, rows: height, heights },
+                { kernel: params.kernel, strength: params.strength, wrap: true }
+            );
+            data.set(normals.data);
+        },
+        { source: 'noise', sourceParams: {}, kernel: 'sobel', strength: 8 }
+    );
+
+    // Color ramp through [position, color] stops, along u, along v or outwards from the center
+    register(
+        'gradient',
+        (data, width, height, params) => {
+            const stops = params.stops;
+
+            fillPixels(data, width, height, (x, y, u, v) => {
+                const t = {
+                    horizontal: u,
+                    vertical: v,
+                    radial: Math.min(Math.hypot(u - 0.5, v - 0.5) * 2, 1),
+                }[params.direction];
+
+                if (t <= stops[0][0]) return stops[0][1];
+                for (let i = 1; i < stops.length; i++) {
+                    if (t <= stops[i][0]) {
+                        const [start, from] = stops[i - 1];
+                        const [end, to] = stops[i];
+                        return mixColor(from, to, end > start ? (t - start) / (end - start) : 1);
+                    }
+                }
+                return stops[stops.length - 1][1];
+            });
+        },
+        {
+            direction: 'horizontal',
+            stops: [
+                [0.0, [20, 30, 80]],
+                [0.5, [200, 80, 120]],
+                [1.0, [250, 220, 120]],
+            ],
+        }
+    );
+
     // Public API
     return {
+        register: register,
+        getNames: getNames,
+        generatePixels: generatePixels,
+        generate: generate,
+        createTexture: createTexture,
         initTexture: initTexture,
         getTexture: getTexture,
     };
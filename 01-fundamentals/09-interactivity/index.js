@@ -12,10 +12,15 @@ function resizeCanvas() {
 // Initialize WebGL context
 const gl = canvas.getContext('webgl2');
 if (!gl) {
-    console.error('WebGL 2 not supported in your browser!');
     document.body.innerHTML = '<p>Your browser does not support WebGL 2. Please try a different browser.</p>';
+
+    // Everything below needs the context, so stop the script here
+    throw new Error('WebGL 2 not supported in your browser!');
 }
 
+// Use reverse-Z depth when EXT_clip_control is available (enables the depth test and sets clear depth/func)
+const depthConvention = DepthConvention.setup(gl, DepthConvention.REVERSE_Z);
+
 // Vertex shader source
 const vertexShaderSource = `#version 300 es
 // Input vertex data
@@ -122,6 +127,7 @@ in vec3 aPosition;
 
 uniform mat4 uView;
 uniform mat4 uProjection;
+uniform float uFarDepth;
 
 out vec3 vTexCoord;
 
@@ -133,8 +139,8 @@ void main() {
     
     vec4 pos = uProjection * viewNoTranslation * vec4(aPosition, 1.0);
     
-    // Make sure skybox is always at max depth
-    gl_Position = pos.xyww;
+    // Make sure skybox is always on the far plane (NDC z = 1 for standard depth, 0 for reverse-Z)
+    gl_Position = vec4(pos.xy, pos.w * uFarDepth, pos.w);
 }`;
 
 // Skybox fragment shader source
@@ -278,7 +284,7 @@ function createSphere(radius, latBands, longBands) {
         vertices: new Float32Array(vertices),
         normals: new Float32Array(normals),
         texCoords: new Float32Array(texCoords),
-        indices: new Uint16Array(indices),
+        indices: geometryTools.createIndexArray(indices, vertices.length / 3),
     };
 }
 
@@ -317,38 +323,58 @@ function createFullscreenQuad() {
 
 // Generate sphere mesh
 const sphere = createSphere(1.0, 32, 32);
+const sphereRadius = 1.0;
+
+// Bounding sphere of the mesh in model space, transformed per object for picking and culling
+const sphereBounds = boundingSphere.fromPositions(boundingSphere.create(), sphere.vertices);
+
+// Create and setup a VAO for one level of detail of the sphere
+function createMeshVAO(geometry) {
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    // Position buffer
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.positions, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aPosition'));
+    gl.vertexAttribPointer(gl.getAttribLocation(program, 'aPosition'), 3, gl.FLOAT, false, 0, 0);
+
+    // Normal buffer
+    const normalBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.normals, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aNormal'));
+    gl.vertexAttribPointer(gl.getAttribLocation(program, 'aNormal'), 3, gl.FLOAT, false, 0, 0);
+
+    // Texture coordinate buffer
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.texCoords, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aTexCoord'));
+    gl.vertexAttribPointer(gl.getAttribLocation(program, 'aTexCoord'), 2, gl.FLOAT, false, 0, 0);
+
+    // Index buffer
+    const indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
+
+    gl.bindVertexArray(null);
 
-// Create and setup VAO for main object (sphere)
-const sphereVAO = gl.createVertexArray();
-gl.bindVertexArray(sphereVAO);
-
-// Position buffer
-const positionBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, sphere.vertices, gl.STATIC_DRAW);
-gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aPosition'));
-gl.vertexAttribPointer(gl.getAttribLocation(program, 'aPosition'), 3, gl.FLOAT, false, 0, 0);
-
-// Normal buffer
-const normalBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, sphere.normals, gl.STATIC_DRAW);
-gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aNormal'));
-gl.vertexAttribPointer(gl.getAttribLocation(program, 'aNormal'), 3, gl.FLOAT, false, 0, 0);
-
-// Texture coordinate buffer
-const texCoordBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-gl.bufferData(gl.ARRAY_BUFFER, sphere.texCoords, gl.STATIC_DRAW);
-gl.enableVertexAttribArray(gl.getAttribLocation(program, 'aTexCoord'));
-gl.vertexAttribPointer(gl.getAttribLocation(program, 'aTexCoord'), 2, gl.FLOAT, false, 0, 0);
-
-// Index buffer
-const indexBuffer = gl.createBuffer();
-gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, sphere.indices, gl.STATIC_DRAW);
+    return {
+        vao,
+        count: geometry.indices.length,
+        indexType: geometryTools.indexType(gl, geometry),
+    };
+}
 
-gl.bindVertexArray(null);
+// Levels of detail for the sphere, from the full mesh down to a tenth of its triangles
+const sphereLods = meshSimplify
+    .lodChain(
+        { positions: sphere.vertices, normals: sphere.normals, texCoords: sphere.texCoords, indices: sphere.indices },
+        [1, 0.5, 0.25, 0.1]
+    )
+    .map((lod) => Object.assign(createMeshVAO(lod.geometry), lod));
 
 // Create and setup VAO for skybox
 const skyboxVAO = gl.createVertexArray();
@@ -376,73 +402,24 @@ gl.vertexAttribPointer(gl.getAttribLocation(gradientProgram, 'aPosition'), 2, gl
 
 gl.bindVertexArray(null);
 
-// Load skybox textures
+// Loads and shares image textures, with placeholders until they are ready
+const textureManager = TextureManager.create(gl);
+
+// Load skybox textures (blue until all six faces have loaded)
 function loadCubemap() {
-    const faceInfos = [
-        {
-            target: gl.TEXTURE_CUBE_MAP_POSITIVE_X,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/pos-x.jpg',
-        },
-        {
-            target: gl.TEXTURE_CUBE_MAP_NEGATIVE_X,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/neg-x.jpg',
-        },
-        {
-            target: gl.TEXTURE_CUBE_MAP_POSITIVE_Y,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/pos-y.jpg',
-        },
-        {
-            target: gl.TEXTURE_CUBE_MAP_NEGATIVE_Y,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/neg-y.jpg',
-        },
-        {
-            target: gl.TEXTURE_CUBE_MAP_POSITIVE_Z,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/pos-z.jpg',
-        },
-        {
-            target: gl.TEXTURE_CUBE_MAP_NEGATIVE_Z,
-            url: 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/neg-z.jpg',
-        },
-    ];
-
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
-
-    // Set initial pixel color for each face
-    faceInfos.forEach((faceInfo) => {
-        const level = 0;
-        const internalFormat = gl.RGBA;
-        const width = 1;
-        const height = 1;
-        const format = gl.RGBA;
-        const type = gl.UNSIGNED_BYTE;
-
-        // Fill with blue
-        const pixel = new Uint8Array([0, 0, 255, 255]);
-        gl.texImage2D(faceInfo.target, level, internalFormat, width, height, 0, format, type, pixel);
-
-        // Load the actual texture
-        const image = new Image();
-        image.src = faceInfo.url;
-
-        image.onload = function () {
-            gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
-            gl.texImage2D(faceInfo.target, level, internalFormat, format, type, image);
-            gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
-        };
+    const baseUrl = 'https://webglfundamentals.org/webgl/resources/images/computer-history-museum/';
+    const faces = ['pos-x', 'neg-x', 'pos-y', 'neg-y', 'pos-z', 'neg-z']; // +X, -X, +Y, -Y, +Z, -Z
+    const entry = textureManager.load({
+        urls: faces.map((face) => `${baseUrl}${face}.jpg`),
+        placeholder: [0, 0, 255, 255],
     });
 
-    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-    return texture;
+    entry.promise.catch((error) => console.error('Skybox:', error.message));
+    return entry.texture;
 }
 
 // Create a basic texture for the sphere
 function createTexturePattern() {
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-
     // Create a pattern (checker)
     const size = 256;
     const data = new Uint8Array(size * size * 4);
@@ -467,15 +444,8 @@ function createTexturePattern() {
         }
     }
 
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
-    gl.generateMipmap(gl.TEXTURE_2D);
-
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-
-    return texture;
+    // Repeating and mipmapped; anisotropic filtering keeps the checkers sharp at grazing angles
+    return TextureSetup.create(gl, { width: size, height: size, data: data }, { anisotropy: 8 });
 }
 
 // Load skybox texture
@@ -484,201 +454,93 @@ const skyboxTexture = loadCubemap();
 // Create pattern texture for the sphere
 const sphereTexture = createTexturePattern();
 
+// Scene objects, each placed, scaled and spun by its own transform
+const sceneObjects = [
+    {
+        position: [0, 0, 0],
+        rotationY: 0,
+        spinSpeed: 1.0, // Radians per second
+        scale: [1, 1, 1],
+        color: [0.3, 0.5, 0.8], // Default blue-ish color
+        modelMatrix: mat4.create(),
+        normalMatrix: mat3.create(),
+        bounds: boundingSphere.create(), // World-space bounding sphere
+    },
+    {
+        position: [1.8, 0.8, -1.0],
+        rotationY: 0,
+        spinSpeed: -2.5,
+        scale: [0.35, 0.35, 0.35],
+        color: [0.9, 0.6, 0.2],
+        modelMatrix: mat4.create(),
+        normalMatrix: mat3.create(),
+        bounds: boundingSphere.create(),
+        // Loops around the big sphere along a closed Catmull-Rom path at constant speed
+        path: spline.catmullRomPath(
+            [
+                [1.8, 0.8, -1.0],
+                [1.6, -0.4, 1.2],
+                [-1.4, 0.3, 1.4],
+                [-1.8, 0.9, -0.8],
+            ],
+            true
+        ),
+        pathSpeed: 0.8, // Units per second
+        pathDistance: 0,
+    },
+];
+
 // Declare scene variables
-let selectedObject = {
-    color: [0.3, 0.5, 0.8], // Default blue-ish color
-}; // Currently selected object
+let selectedObject = sceneObjects[0]; // Currently selected object
 let renderSkybox = true;
 let useGradientBackground = false;
 let useTexture = false;
 
 // Camera and light setup
+// The camera orbits its target; cameraPosition is derived from the orbit every frame
+const cameraOrbit = {
+    target: [0, 0, 0],
+    radius: 5.0,
+    azimuth: 0.0, // Around +Y, 0 looks down the -Z axis
+    elevation: 0.0, // Above the XZ plane
+    minElevation: -Math.PI / 2 + 0.01, // Stay clear of the poles where lookAt flips
+    maxElevation: Math.PI / 2 - 0.01,
+    minRadius: 2.0,
+    maxRadius: 20.0,
+};
 const cameraPosition = [0, 0, 5];
 const lightPosition = [5, 5, 5];
 
-// Matrix for transformations
-let modelMatrix = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
-
+// Matrices for the camera
 let viewMatrix = new Float32Array(16);
 let projectionMatrix = new Float32Array(16);
-
-// Function to invert a 4x4 matrix
-function invertMatrix(out, a) {
-    // Implementation of a matrix inverse for a 4x4 matrix
-    // This is a simplified version - use a proper math library in production
-
-    const a00 = a[0],
-        a01 = a[1],
-        a02 = a[2],
-        a03 = a[3],
-        a10 = a[4],
-        a11 = a[5],
-        a12 = a[6],
-        a13 = a[7],
-        a20 = a[8],
-        a21 = a[9],
-        a22 = a[10],
-        a23 = a[11],
-        a30 = a[12],
-        a31 = a[13],
-        a32 = a[14],
-        a33 = a[15];
-
-    const b00 = a00 * a11 - a01 * a10;
-    const b01 = a00 * a12 - a02 * a10;
-    const b02 = a00 * a13 - a03 * a10;
-    const b03 = a01 * a12 - a02 * a11;
-    const b04 = a01 * a13 - a03 * a11;
-    const b05 = a02 * a13 - a03 * a12;
-    const b06 = a20 * a31 - a21 * a30;
-    const b07 = a20 * a32 - a22 * a30;
-    const b08 = a20 * a33 - a23 * a30;
-    const b09 = a21 * a32 - a22 * a31;
-    const b10 = a21 * a33 - a23 * a31;
-    const b11 = a22 * a33 - a23 * a32;
-
-    let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
-
-    if (!det) {
-        return null;
-    }
-
-    det = 1.0 / det;
-
-    out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * det;
-    out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * det;
-    out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * det;
-    out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * det;
-    out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * det;
-    out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * det;
-    out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * det;
-    out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * det;
-    out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * det;
-    out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * det;
-    out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * det;
-    out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * det;
-    out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * det;
-    out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * det;
-    out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * det;
-    out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * det;
-
+const skyboxProjectionMatrix = new Float32Array(16);
+const viewProjectionMatrix = new Float32Array(16);
+
+// View frustum planes, for skipping objects the camera can't see
+const frustumPlanes = frustum.create();
+
+// Build a model matrix from translation, rotation and scale (applied scale first, translation last)
+function composeTRS(out, position, rotationY, scale) {
+    mat4.identity(out);
+    mat4.translate(out, out, position);
+    mat4.rotateY(out, out, rotationY);
+    mat4.scale(out, out, scale);
     return out;
 }
 
-// Create normal matrix from model matrix
-function createNormalMatrix(out, modelMatrix) {
-    // Compute inverse transpose of model matrix for normal transformation
-    const invModel = new Float32Array(16);
-    invertMatrix(invModel, modelMatrix);
-
-    // Extract the upper 3x3 submatrix
-    out[0] = invModel[0];
-    out[1] = invModel[1];
-    out[2] = invModel[2];
-    out[3] = invModel[4];
-    out[4] = invModel[5];
-    out[5] = invModel[6];
-    out[6] = invModel[8];
-    out[7] = invModel[9];
-    out[8] = invModel[10];
-
-    return out;
-}
-
-// Function to create a perspective projection matrix
-function perspective(out, fovy, aspect, near, far) {
-    const f = 1.0 / Math.tan(fovy / 2);
-
-    out[0] = f / aspect;
-    out[1] = 0;
-    out[2] = 0;
-    out[3] = 0;
-    out[4] = 0;
-    out[5] = f;
-    out[6] = 0;
-    out[7] = 0;
-    out[8] = 0;
-    out[9] = 0;
-    out[10] = (far + near) / (near - far);
-    out[11] = -1;
-    out[12] = 0;
-    out[13] = 0;
-    out[14] = (2 * far * near) / (near - far);
-    out[15] = 0;
-
-    return out;
-}
-
-// Function to create a view matrix from a position and target
-function lookAt(out, eye, center, up) {
-    const z = [eye[0] - center[0], eye[1] - center[1], eye[2] - center[2]];
-
-    // Normalize z
-    let len = Math.sqrt(z[0] * z[0] + z[1] * z[1] + z[2] * z[2]);
-    if (len > 0) {
-        z[0] /= len;
-        z[1] /= len;
-        z[2] /= len;
-    }
-
-    // Cross product to get x axis
-    const x = [up[1] * z[2] - up[2] * z[1], up[2] * z[0] - up[0] * z[2], up[0] * z[1] - up[1] * z[0]];
-
-    // Normalize x
-    len = Math.sqrt(x[0] * x[0] + x[1] * x[1] + x[2] * x[2]);
-    if (len > 0) {
-        x[0] /= len;
-        x[1] /= len;
-        x[2] /= len;
+// Pick the sphere LOD for an object from how many pixels it covers on screen
+function selectObjectLod(object) {
+    if (settings.lod !== 'auto') {
+        return Math.min(parseInt(settings.lod, 10), sphereLods.length - 1);
     }
 
-    // Recompute y to ensure orthogonality
-    const y = [z[1] * x[2] - z[2] * x[1], z[2] * x[0] - z[0] * x[2], z[0] * x[1] - z[1] * x[0]];
-
-    // Set the matrix values
-    out[0] = x[0];
-    out[1] = y[0];
-    out[2] = z[0];
-    out[3] = 0;
-    out[4] = x[1];
-    out[5] = y[1];
-    out[6] = z[1];
-    out[7] = 0;
-    out[8] = x[2];
-    out[9] = y[2];
-    out[10] = z[2];
-    out[11] = 0;
-    out[12] = -x[0] * eye[0] - x[1] * eye[1] - x[2] * eye[2];
-    out[13] = -y[0] * eye[0] - y[1] * eye[1] - y[2] * eye[2];
-    out[14] = -z[0] * eye[0] - z[1] * eye[1] - z[2] * eye[2];
-    out[15] = 1;
+    const scale = Math.max(Math.abs(object.scale[0]), Math.abs(object.scale[1]), Math.abs(object.scale[2]));
+    const distance = vec3.distance(cameraPosition, object.position);
+    const pixelSize = meshSimplify.projectedSize(sphereRadius * scale, distance, Math.PI / 4, canvas.height);
 
-    return out;
-}
-
-// Function to create a rotation matrix
-function rotateY(out, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-
-    out[0] = c;
-    out[1] = 0;
-    out[2] = -s;
-    out[3] = 0;
-    out[4] = 0;
-    out[5] = 1;
-    out[6] = 0;
-    out[7] = 0;
-    out[8] = s;
-    out[9] = 0;
-    out[10] = c;
-    out[11] = 0;
-    out[12] = 0;
-    out[13] = 0;
-    out[14] = 0;
-    out[15] = 1;
-
-    return out;
+    // Errors are measured on the unscaled mesh, so pass its radius with the scaled object's pixel size
+    return meshSimplify.selectLod(sphereLods, sphereRadius, pixelSize);
 }
 
 // Initialize settings
@@ -687,6 +549,8 @@ const settings = {
     ambientStrength: 0.3,
     material: 'plastic',
     background: 'skybox',
+    lod: 'auto', // 'auto' picks by screen size, otherwise a fixed index into sphereLods
+    projection: 'perspective', // 'perspective' or 'orthographic'
 };
 
 // Light intensity slider
@@ -727,6 +591,16 @@ document.getElementById('backgroundSelect').addEventListener('change', (event) =
     requestAnimationFrame(render);
 });
 
+// Projection selection
+document.getElementById('projectionSelect').addEventListener('change', (event) => {
+    settings.projection = event.target.value;
+});
+
+// Level of detail selection
+document.getElementById('lodSelect').addEventListener('change', (event) => {
+    settings.lod = event.target.value;
+});
+
 // Update material properties
 function updateMaterial() {
     // Material parameters
@@ -833,11 +707,11 @@ class ColorPicker {
         });
     }
 
-    setColor(color) {
+    setColor(color, notify = true) {
         this.color = color;
         this.input.value = color;
 
-        if (this.options.onChange) {
+        if (notify && this.options.onChange) {
             this.options.onChange(this.color);
         }
     }
@@ -859,8 +733,47 @@ const colorPicker = new ColorPicker(colorPickerContainer, {
     },
 });
 
+// Convert RGB [0-1] to a hex color for the color picker
+function colorToHex(color) {
+    const byteToHex = (c) => `0${Math.round(c * 255).toString(16)}`.slice(-2);
+    return `#${color.map(byteToHex).join('')}`;
+}
+
+// Select the object under a canvas pixel, if any, and show its color in the picker
+function pickObject(x, y) {
+    const inverseViewProjection = mat4.invert(new Float32Array(16), viewProjectionMatrix);
+    if (!inverseViewProjection) {
+        return;
+    }
+
+    const pickRay = ray.fromScreen(
+        ray.create(),
+        x,
+        y,
+        canvas.width,
+        canvas.height,
+        inverseViewProjection,
+        depthConvention
+    );
+
+    // Closest object whose bounding sphere the ray hits
+    let closest = null;
+    let closestDistance = Infinity;
+    sceneObjects.forEach((object) => {
+        const distance = ray.intersectSphere(pickRay, object.bounds);
+        if (distance !== null && distance < closestDistance) {
+            closest = object;
+            closestDistance = distance;
+        }
+    });
+
+    if (closest) {
+        selectedObject = closest;
+        colorPicker.setColor(colorToHex(closest.color), false);
+    }
+}
+
 // Animation variables
-let rotation = 0;
 let lastTime = 0;
 
 // Rendering function
@@ -877,44 +790,74 @@ function render(now) {
     // Clear the canvas
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-    // Update rotation (simple animation)
-    rotation += deltaTime * 0.001;
+    // Spin each object at its own speed and rebuild its matrices
+    sceneObjects.forEach((object) => {
+        object.rotationY += deltaTime * 0.001 * object.spinSpeed;
+
+        if (object.path) {
+            object.pathDistance += deltaTime * 0.001 * object.pathSpeed;
+            spline.pointAtDistance(object.position, object.path, object.pathDistance);
+        }
+
+        composeTRS(object.modelMatrix, object.position, object.rotationY, object.scale);
+
+        // Normal matrix (inverse-transpose of the model matrix)
+        mat3.normalFromMat4(object.normalMatrix, object.modelMatrix);
+        boundingSphere.transformMat4(object.bounds, sphereBounds, object.modelMatrix);
+    });
 
     // Update matrices
+    // Camera position from its orbit around the target
+    vec3.fromSpherical(cameraPosition, cameraOrbit.radius, cameraOrbit.azimuth, cameraOrbit.elevation);
+    vec3.add(cameraPosition, cameraPosition, cameraOrbit.target);
+
     // View matrix - position the camera
-    lookAt(
+    mat4.lookAt(
         viewMatrix,
         cameraPosition,
-        [0, 0, 0], // Look at the origin
+        cameraOrbit.target, // Look at the orbit target
         [0, 1, 0] // Up vector
     );
 
-    // Projection matrix - perspective projection
-    perspective(
-        projectionMatrix,
-        Math.PI / 4, // 45 degrees field of view
-        canvas.width / canvas.height, // Aspect ratio
-        0.1, // Near plane
-        100.0 // Far plane
-    );
-
-    // Model matrix - rotate the object
-    rotateY(modelMatrix, rotation);
+    // Projection matrix - perspective, or orthographic showing what the perspective view shows at the orbit target
+    const fieldOfView = Math.PI / 4; // 45 degrees
+    const aspect = canvas.width / canvas.height;
+
+    // The skybox always uses the perspective projection; an orthographic one would shrink it to a small cube
+    DepthConvention.perspective(skyboxProjectionMatrix, depthConvention, fieldOfView, aspect, 0.1, 100.0);
+
+    if (settings.projection === 'orthographic') {
+        const halfHeight = cameraOrbit.radius * Math.tan(fieldOfView / 2);
+        DepthConvention.ortho(
+            projectionMatrix,
+            depthConvention,
+            -halfHeight * aspect,
+            halfHeight * aspect,
+            -halfHeight,
+            halfHeight,
+            0.1, // Near plane
+            100.0 // Far plane
+        );
+    } else {
+        mat4.copy(projectionMatrix, skyboxProjectionMatrix);
+    }
 
-    // Calculate normal matrix
-    const normalMatrix = new Float32Array(9);
-    createNormalMatrix(normalMatrix, modelMatrix);
+    mat4.multiply(viewProjectionMatrix, projectionMatrix, viewMatrix);
+    frustum.fromMatrix(frustumPlanes, viewProjectionMatrix, depthConvention);
 
     // If gradient background is enabled, render it
     if (useGradientBackground && !renderSkybox) {
         gl.useProgram(gradientProgram);
         gl.bindVertexArray(gradientVAO);
+        // Background must not occlude the scene
+        gl.depthMask(false);
         gl.drawArrays(gl.TRIANGLES, 0, 6);
+        gl.depthMask(true);
     }
 
     // If skybox is enabled, render it first
     if (renderSkybox) {
-        gl.depthFunc(gl.LEQUAL);
+        gl.depthFunc(DepthConvention.depthFunc(gl, depthConvention, true));
         gl.useProgram(skyboxProgram);
 
         // Remove translation from view matrix
@@ -928,7 +871,8 @@ function render(now) {
         skyboxViewMatrix[14] = 0;
 
         gl.uniformMatrix4fv(gl.getUniformLocation(skyboxProgram, 'uView'), false, skyboxViewMatrix);
-        gl.uniformMatrix4fv(gl.getUniformLocation(skyboxProgram, 'uProjection'), false, projectionMatrix);
+        gl.uniformMatrix4fv(gl.getUniformLocation(skyboxProgram, 'uProjection'), false, skyboxProjectionMatrix);
+        gl.uniform1f(gl.getUniformLocation(skyboxProgram, 'uFarDepth'), DepthConvention.farDepth(depthConvention));
 
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_CUBE_MAP, skyboxTexture);
@@ -937,24 +881,21 @@ function render(now) {
         gl.bindVertexArray(skyboxVAO);
         gl.drawArrays(gl.TRIANGLES, 0, 36);
 
-        gl.depthFunc(gl.LESS);
+        gl.depthFunc(DepthConvention.depthFunc(gl, depthConvention));
     }
 
     // Use the main program for object rendering
     gl.useProgram(program);
 
     // Set uniforms
-    gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uModel'), false, modelMatrix);
     gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uView'), false, viewMatrix);
     gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProjection'), false, projectionMatrix);
-    gl.uniformMatrix3fv(gl.getUniformLocation(program, 'uNormalMatrix'), false, normalMatrix);
 
     gl.uniform3fv(gl.getUniformLocation(program, 'uLightPos'), lightPosition);
     gl.uniform3fv(gl.getUniformLocation(program, 'uViewPos'), cameraPosition);
     gl.uniform1f(gl.getUniformLocation(program, 'uLightIntensity'), settings.lightIntensity);
     gl.uniform1f(gl.getUniformLocation(program, 'uAmbientStrength'), settings.ambientStrength);
 
-    gl.uniform3fv(gl.getUniformLocation(program, 'uObjectColor'), selectedObject.color);
     gl.uniform1f(gl.getUniformLocation(program, 'uRoughness'), settings.roughness || 0.5);
     gl.uniform1f(gl.getUniformLocation(program, 'uMetalness'), settings.metalness || 0.0);
 
@@ -972,9 +913,20 @@ function render(now) {
     gl.uniform1i(gl.getUniformLocation(program, 'uRenderSkybox'), renderSkybox ? 1 : 0);
     gl.uniform1i(gl.getUniformLocation(program, 'uUseTexture'), useTexture ? 1 : 0);
 
-    // Draw the sphere
-    gl.bindVertexArray(sphereVAO);
-    gl.drawElements(gl.TRIANGLES, sphere.indices.length, gl.UNSIGNED_SHORT, 0);
+    // Draw every visible object with its own transform and color, at the level of detail its screen size needs
+    sceneObjects.forEach((object) => {
+        if (!frustum.intersectsSphere(frustumPlanes, object.bounds)) {
+            return;
+        }
+
+        const lod = sphereLods[selectObjectLod(object)];
+
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uModel'), false, object.modelMatrix);
+        gl.uniformMatrix3fv(gl.getUniformLocation(program, 'uNormalMatrix'), false, object.normalMatrix);
+        gl.uniform3fv(gl.getUniformLocation(program, 'uObjectColor'), object.color);
+        gl.bindVertexArray(lod.vao);
+        gl.drawElements(gl.TRIANGLES, lod.count, lod.indexType, 0);
+    });
 
     // Request the next frame
     requestAnimationFrame(render);
@@ -996,6 +948,70 @@ if (toggleUI) {
     });
 }
 
+// Drag to orbit the camera around its target
+const orbitDrag = { active: false, lastX: 0, lastY: 0, distance: 0 };
+
+canvas.addEventListener('pointerdown', (event) => {
+    orbitDrag.active = true;
+    orbitDrag.lastX = event.clientX;
+    orbitDrag.lastY = event.clientY;
+    orbitDrag.distance = 0;
+    canvas.setPointerCapture(event.pointerId);
+});
+
+canvas.addEventListener('pointermove', (event) => {
+    if (!orbitDrag.active) {
+        return;
+    }
+
+    const dx = event.clientX - orbitDrag.lastX;
+    const dy = event.clientY - orbitDrag.lastY;
+    orbitDrag.lastX = event.clientX;
+    orbitDrag.lastY = event.clientY;
+    orbitDrag.distance += Math.abs(dx) + Math.abs(dy);
+
+    // Dragging across the whole canvas turns the camera half way around
+    const radiansPerPixel = Math.PI / canvas.clientWidth;
+    cameraOrbit.azimuth = angle.wrap(cameraOrbit.azimuth - dx * radiansPerPixel);
+    cameraOrbit.elevation = angle.clamp(
+        cameraOrbit.elevation + dy * radiansPerPixel,
+        cameraOrbit.minElevation,
+        cameraOrbit.maxElevation
+    );
+});
+
+function endOrbitDrag() {
+    orbitDrag.active = false;
+}
+
+canvas.addEventListener('pointerup', endOrbitDrag);
+canvas.addEventListener('pointercancel', endOrbitDrag);
+
+// Mouse wheel zooms by moving the camera along its orbit radius
+canvas.addEventListener(
+    'wheel',
+    (event) => {
+        event.preventDefault();
+        const radius = cameraOrbit.radius * Math.exp(event.deltaY * 0.001);
+        cameraOrbit.radius = Math.min(Math.max(radius, cameraOrbit.minRadius), cameraOrbit.maxRadius);
+    },
+    { passive: false }
+);
+
+// Click an object to select it for the color picker
+canvas.addEventListener('click', (event) => {
+    // The click that ends an orbit drag doesn't select anything
+    if (orbitDrag.distance > 4) {
+        return;
+    }
+
+    const rect = canvas.getBoundingClientRect();
+    pickObject(
+        ((event.clientX - rect.left) * canvas.width) / rect.width,
+        ((event.clientY - rect.top) * canvas.height) / rect.height
+    );
+});
+
 // Also close UI when clicking outside on mobile
 canvas.addEventListener('click', (event) => {
     if (window.innerWidth <= 768 && controlsPanel.classList.contains('visible')) {
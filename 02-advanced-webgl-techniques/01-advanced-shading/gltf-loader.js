@@ -0,0 +1,468 @@
+// glTF 2.0 loading (.gltf with external or data-URI buffers, and binary .glb)
+// Like obj-loader.js this only produces plain data (geometry in the models.js shape, materials
+// and the node tree), so it runs without a GL context. Creating textures is left to the caller.
+
+// Component types and element sizes from the glTF specification
+const GLTF_COMPONENT_TYPES = {
+    5120: { array: Int8Array, bytes: 1, max: 127 },
+    5121: { array: Uint8Array, bytes: 1, max: 255 },
+    5122: { array: Int16Array, bytes: 2, max: 32767 },
+    5123: { array: Uint16Array, bytes: 2, max: 65535 },
+    5125: { array: Uint32Array, bytes: 4, max: 0 },
+    5126: { array: Float32Array, bytes: 4, max: 0 },
+};
+
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Primitive modes
+const GLTF_TRIANGLES = 4;
+const GLTF_TRIANGLE_STRIP = 5;
+const GLTF_TRIANGLE_FAN = 6;
+
+/**
+ * Parses a glTF 2.0 asset
+ *
+ * Accepts either the JSON text of a .gltf file or the contents of a .glb file. Buffers with a
+ * data: URI are decoded directly, the GLB binary chunk is used for a buffer without a uri, and
+ * any other uri is handed to loadResource.
+ *
+ * @param {ArrayBuffer|string} data - Contents of the .gltf or .glb file
+ * @param {Function} loadResource - Called with a relative uri, returns a Promise<ArrayBuffer>
+ * @returns {Promise<Object>} Resolves to { json, scene, scenes, nodes, meshes, materials, images }.
+ *                            Mesh primitives carry geometry in the models.js shape, nodes carry
+ *                            their local and world matrices
+ */
+function parseGLTF(data, loadResource) {
+    let json;
+    let binary = null;
+
+    try {
+        if (typeof data === 'string') {
+            json = JSON.parse(data);
+        } else if (new DataView(data).getUint32(0, true) === 0x46546c67) {
+            ({ json, binary } = parseGLB(data));
+        } else {
+            json = JSON.parse(new TextDecoder().decode(data));
+        }
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const version = json.asset && json.asset.version;
+    if (!version || parseInt(version, 10) !== 2) {
+        return Promise.reject(new Error(`Unsupported glTF version: ${version}`));
+    }
+
+    const bufferPromises = (json.buffers || []).map((buffer) => {
+        if (buffer.uri === undefined) {
+            return binary ? Promise.resolve(binary) : Promise.reject(new Error('Buffer without uri outside GLB'));
+        }
+        if (buffer.uri.startsWith('data:')) {
+            return Promise.resolve(decodeDataURI(buffer.uri));
+        }
+        return loadResource(decodeURIComponent(buffer.uri));
+    });
+
+    return Promise.all(bufferPromises).then((buffers) => {
+        const meshes = (json.meshes || []).map((mesh) => ({
+            name: mesh.name || '',
+            primitives: mesh.primitives
+                .map((primitive) => ({
+                    geometry: createGLTFPrimitiveGeometry(json, buffers, primitive),
+                    material: primitive.material !== undefined ? primitive.material : null,
+                }))
+                .filter((primitive) => primitive.geometry !== null),
+        }));
+
+        const images = (json.images || []).map((image) => ({
+            name: image.name || '',
+            uri: image.uri !== undefined ? decodeURIComponent(image.uri) : null,
+            mimeType: image.mimeType || null,
+            data: image.bufferView !== undefined ? getBufferViewBytes(json, buffers, image.bufferView) : null,
+        }));
+
+        const sceneIndex = json.scene !== undefined ? json.scene : 0;
+
+        return {
+            json: json,
+            scene: json.scenes && json.scenes.length > 0 ? sceneIndex : null,
+            scenes: json.scenes || [],
+            nodes: computeGLTFNodeMatrices(json),
+            meshes: meshes,
+            materials: (json.materials || []).map((material) => parseGLTFMaterial(json, material)),
+            images: images,
+        };
+    });
+}
+
+/**
+ * Splits a GLB container into its JSON and binary chunks
+ * @param {ArrayBuffer} arrayBuffer - Contents of the .glb file
+ * @returns {Object} { json, binary } where binary is an ArrayBuffer or null
+ */
+function parseGLB(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const version = view.getUint32(4, true);
+    const length = view.getUint32(8, true);
+
+    if (version !== 2) {
+        throw new Error(`Unsupported GLB version: ${version}`);
+    }
+
+    let json = null;
+    let binary = null;
+    let offset = 12;
+
+    // Chunks are 4-byte aligned: length, type, then the payload
+    while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+
+        if (chunkType === 0x4e4f534a) {
+            json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+        } else if (chunkType === 0x004e4942 && binary === null) {
+            binary = arrayBuffer.slice(start, start + chunkLength);
+        }
+
+        offset = start + chunkLength;
+    }
+
+    if (!json) {
+        throw new Error('GLB file has no JSON chunk');
+    }
+
+    return { json: json, binary: binary };
+}
+
+/**
+ * Decodes a base64 data: URI
+ * @param {string} uri - The data URI
+ * @returns {ArrayBuffer} The decoded bytes
+ */
+function decodeDataURI(uri) {
+    const comma = uri.indexOf(',');
+    const header = uri.slice(0, comma);
+    const payload = uri.slice(comma + 1);
+
+    if (!/;base64$/.test(header)) {
+        return new TextEncoder().encode(decodeURIComponent(payload)).buffer;
+    }
+
+    const text = atob(payload);
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Returns the bytes of a buffer view (used for embedded images)
+ * @param {Object} json - The glTF JSON
+ * @param {Array<ArrayBuffer>} buffers - Loaded buffers
+ * @param {number} index - Buffer view index
+ * @returns {Uint8Array} View into the buffer
+ */
+function getBufferViewBytes(json, buffers, index) {
+    const bufferView = json.bufferViews[index];
+    return new Uint8Array(buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+}
+
+/**
+ * Reads an accessor into a tightly packed typed array
+ *
+ * Handles interleaved buffer views (byteStride), normalized integers (converted to floats),
+ * accessors without a buffer view (all zeros) and sparse accessors.
+ *
+ * @param {Object} json - The glTF JSON
+ * @param {Array<ArrayBuffer>} buffers - Loaded buffers
+ * @param {number} index - Accessor index
+ * @returns {Object} { array, size, count } where array holds count * size components
+ */
+function readAccessor(json, buffers, index) {
+    const accessor = json.accessors[index];
+    const component = GLTF_COMPONENT_TYPES[accessor.componentType];
+    const size = GLTF_TYPE_SIZES[accessor.type];
+    const count = accessor.count;
+    const normalized = accessor.normalized === true && component.max > 0;
+    const ArrayType = normalized ? Float32Array : component.array;
+    const array = new ArrayType(count * size);
+
+    if (accessor.bufferView !== undefined) {
+        const bufferView = json.bufferViews[accessor.bufferView];
+        const stride = bufferView.byteStride || component.bytes * size;
+        const byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+        readGLTFComponents(buffers[bufferView.buffer], byteOffset, stride, component, normalized, size, count, array);
+    }
+
+    if (accessor.sparse) {
+        const sparse = accessor.sparse;
+        const indexView = json.bufferViews[sparse.indices.bufferView];
+        const indexComponent = GLTF_COMPONENT_TYPES[sparse.indices.componentType];
+        const targets = new indexComponent.array(sparse.count);
+        readGLTFComponents(
+            buffers[indexView.buffer],
+            (indexView.byteOffset || 0) + (sparse.indices.byteOffset || 0),
+            indexComponent.bytes,
+            indexComponent,
+            false,
+            1,
+            sparse.count,
+            targets
+        );
+
+        const valueView = json.bufferViews[sparse.values.bufferView];
+        const values = new ArrayType(sparse.count * size);
+        readGLTFComponents(
+            buffers[valueView.buffer],
+            (valueView.byteOffset || 0) + (sparse.values.byteOffset || 0),
+            component.bytes * size,
+            component,
+            normalized,
+            size,
+            sparse.count,
+            values
+        );
+
+        for (let i = 0; i < sparse.count; i++) {
+            for (let k = 0; k < size; k++) {
+                array[targets[i] * size + k] = values[i * size + k];
+            }
+        }
+    }
+
+    return { array: array, size: size, count: count };
+}
+
+// Copy count elements of size components from a (possibly interleaved) buffer into out
+function readGLTFComponents(buffer, byteOffset, stride, component, normalized, size, count, out) {
+    const view = new DataView(buffer);
+    const read = {
+        1: component.array === Int8Array ? (o) => view.getInt8(o) : (o) => view.getUint8(o),
+        2: component.array === Int16Array ? (o) => view.getInt16(o, true) : (o) => view.getUint16(o, true),
+        4: component.array === Float32Array ? (o) => view.getFloat32(o, true) : (o) => view.getUint32(o, true),
+    }[component.bytes];
+
+    for (let i = 0; i < count; i++) {
+        const base = byteOffset + i * stride;
+        for (let k = 0; k < size; k++) {
+            const value = read(base + k * component.bytes);
+            // Signed values are clamped so that -128 and -32768 map to -1
+            out[i * size + k] = normalized ? Math.max(value / component.max, -1) : value;
+        }
+    }
+}
+
+/**
+ * Converts a mesh primitive into the geometry shape used by models.js
+ *
+ * Triangle strips and fans are converted to triangle lists; points and lines are skipped.
+ * Missing normals are generated as flat normals, as the specification requires.
+ *
+ * @param {Object} json - The glTF JSON
+ * @param {Array<ArrayBuffer>} buffers - Loaded buffers
+ * @param {Object} primitive - The mesh primitive
+ * @returns {Object} Geometry with positions, normals, texCoords, indices (and tangents if the
+ *                   asset has them), or null for unsupported primitive modes
+ */
+function createGLTFPrimitiveGeometry(json, buffers, primitive) {
+    const mode = primitive.mode !== undefined ? primitive.mode : GLTF_TRIANGLES;
+    const attributes = primitive.attributes;
+
+    if (mode !== GLTF_TRIANGLES && mode !== GLTF_TRIANGLE_STRIP && mode !== GLTF_TRIANGLE_FAN) {
+        console.warn(`Skipping glTF primitive with unsupported mode ${mode}`);
+        return null;
+    }
+
+    if (attributes.POSITION === undefined) {
+        return null;
+    }
+
+    const read = (name) => (attributes[name] !== undefined ? readAccessor(json, buffers, attributes[name]) : null);
+    const toFloat32 = (accessor) =>
+        accessor.array instanceof Float32Array ? accessor.array : Float32Array.from(accessor.array);
+
+    const position = read('POSITION');
+    const normal = read('NORMAL');
+    const texCoord = read('TEXCOORD_0');
+    const tangent = read('TANGENT');
+    const vertexCount = position.count;
+
+    let indices;
+    if (primitive.indices !== undefined) {
+        indices = Array.from(readAccessor(json, buffers, primitive.indices).array);
+    } else {
+        indices = Array.from({ length: vertexCount }, (_, i) => i);
+    }
+
+    if (mode === GLTF_TRIANGLE_STRIP) {
+        const list = [];
+        for (let i = 0; i + 2 < indices.length; i++) {
+            // Every other triangle is flipped to keep a consistent winding
+            if (i % 2 === 0) {
+                list.push(indices[i], indices[i + 1], indices[i + 2]);
+            } else {
+                list.push(indices[i + 1], indices[i], indices[i + 2]);
+            }
+        }
+        indices = list;
+    } else if (mode === GLTF_TRIANGLE_FAN) {
+        const list = [];
+        for (let i = 1; i + 1 < indices.length; i++) {
+            list.push(indices[0], indices[i], indices[i + 1]);
+        }
+        indices = list;
+    }
+
+    const geometry = {
+        positions: toFloat32(position),
+        normals: normal ? toFloat32(normal) : null,
+        texCoords: texCoord ? toFloat32(texCoord) : new Float32Array(vertexCount * 2),
+        indices: geometryTools.createIndexArray(indices, vertexCount),
+    };
+
+    // glTF tangents are vec4 with the bitangent sign in w, the same layout as calculateTangents
+    if (tangent && geometry.normals) {
+        geometry.tangents = toFloat32(tangent);
+    }
+
+    return geometry.normals ? geometry : geometryTools.flatNormals(geometry);
+}
+
+/**
+ * Reads a metallic-roughness material, filling in the defaults from the specification
+ * @param {Object} json - The glTF JSON
+ * @param {Object} material - The glTF material
+ * @returns {Object} Material with factors and texture references ({ image, sampler, texCoord })
+ */
+function parseGLTFMaterial(json, material) {
+    const pbr = material.pbrMetallicRoughness || {};
+
+    const textureRef = (info) => {
+        if (!info || !json.textures || !json.textures[info.index]) return null;
+        const texture = json.textures[info.index];
+        return {
+            image: texture.source !== undefined ? texture.source : null,
+            sampler: texture.sampler !== undefined ? json.samplers[texture.sampler] : null,
+            texCoord: info.texCoord || 0,
+        };
+    };
+
+    return {
+        name: material.name || '',
+        baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+        metallicFactor: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1,
+        roughnessFactor: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1,
+        emissiveFactor: material.emissiveFactor || [0, 0, 0],
+        alphaMode: material.alphaMode || 'OPAQUE',
+        alphaCutoff: material.alphaCutoff !== undefined ? material.alphaCutoff : 0.5,
+        doubleSided: material.doubleSided === true,
+        // Metallic is in the blue channel and roughness in the green channel of the same texture
+        baseColorTexture: textureRef(pbr.baseColorTexture),
+        metallicRoughnessTexture: textureRef(pbr.metallicRoughnessTexture),
+        normalTexture: textureRef(material.normalTexture),
+        normalScale:
+            material.normalTexture && material.normalTexture.scale !== undefined ? material.normalTexture.scale : 1,
+        occlusionTexture: textureRef(material.occlusionTexture),
+        occlusionStrength:
+            material.occlusionTexture && material.occlusionTexture.strength !== undefined
+                ? material.occlusionTexture.strength
+                : 1,
+        emissiveTexture: textureRef(material.emissiveTexture),
+    };
+}
+
+/**
+ * Builds the node list with local and world matrices
+ * @param {Object} json - The glTF JSON
+ * @returns {Array<Object>} Nodes as { name, mesh, children, parent, localMatrix, worldMatrix }
+ */
+function computeGLTFNodeMatrices(json) {
+    const nodes = (json.nodes || []).map((node) => {
+        const localMatrix = new Float32Array(16);
+
+        if (node.matrix) {
+            localMatrix.set(node.matrix);
+        } else {
+            mat4.fromRotationTranslationScale(
+                localMatrix,
+                node.rotation || [0, 0, 0, 1],
+                node.translation || [0, 0, 0],
+                node.scale || [1, 1, 1]
+            );
+        }
+
+        return {
+            name: node.name || '',
+            mesh: node.mesh !== undefined ? node.mesh : null,
+            children: node.children || [],
+            parent: null,
+            localMatrix: localMatrix,
+            worldMatrix: new Float32Array(16),
+        };
+    });
+
+    nodes.forEach((node, index) => {
+        node.children.forEach((child) => {
+            nodes[child].parent = index;
+        });
+    });
+
+    // Parents are not guaranteed to come before their children, so walk down from the roots
+    const visit = (index, parentMatrix) => {
+        const node = nodes[index];
+        if (parentMatrix) {
+            mat4.multiply(node.worldMatrix, parentMatrix, node.localMatrix);
+        } else {
+            node.worldMatrix.set(node.localMatrix);
+        }
+        node.children.forEach((child) => visit(child, node.worldMatrix));
+    };
+
+    nodes.forEach((node, index) => {
+        if (node.parent === null) visit(index, null);
+    });
+
+    return nodes;
+}
+
+/**
+ * Bakes the node transforms of a scene into one geometry, so it can be drawn with a single
+ * set of buffers. Each primitive becomes a group, like the usemtl groups of parseOBJ.
+ * @param {Object} gltf - Result of parseGLTF
+ * @param {number} [sceneIndex] - Scene to flatten (defaults to the asset's default scene)
+ * @returns {Object} Geometry with positions, normals, texCoords, tangents, indices and
+ *                   groups ({ name, material, start, count } with material as an index into gltf.materials)
+ */
+function flattenGLTFScene(gltf, sceneIndex = gltf.scene) {
+    // Without scenes, every root node is drawn
+    const roots =
+        sceneIndex !== null && gltf.scenes[sceneIndex]
+            ? gltf.scenes[sceneIndex].nodes || []
+            : gltf.nodes.map((node, index) => index).filter((index) => gltf.nodes[index].parent === null);
+
+    const parts = [];
+    const collect = (index) => {
+        const node = gltf.nodes[index];
+        if (node.mesh !== null) {
+            gltf.meshes[node.mesh].primitives.forEach((primitive) => {
+                parts.push({ node: node, name: node.name || gltf.meshes[node.mesh].name, primitive: primitive });
+            });
+        }
+        node.children.forEach(collect);
+    };
+    roots.forEach(collect);
+
+    const geometry = geometryTools.merge(
+        parts.map((part) => ({
+            geometry: part.primitive.geometry,
+            matrix: part.node.worldMatrix,
+            material: part.primitive.material,
+            name: part.name,
+        }))
+    );
+
+    return geometry.tangents ? geometry : generateTangents(geometry);
+}
@@ -6,7 +6,10 @@ let gl; // WebGL context
 let canvas; // Canvas element
 let activeShader = 'basic'; // Current shader mode
 let rotationSpeed = 20; // Rotation speed in degrees per second
+let exposure = 1.0; // Linear exposure multiplier of the output transform (2^EV)
+let toneMapping = 1; // Tone mapping of the output transform: 0 none, 1 Reinhard, 2 ACES
 let currentTime = 0; // Current animation time
+let depthConvention; // Depth convention in effect (see shared/depth.js)
 
 // Shader programs
 let basicProgram;
@@ -24,6 +27,19 @@ let normalMapTexture;
 let roughnessTexture;
 let metallicTexture;
 let aoTexture;
+let whiteTexture; // Fallback for missing glTF textures
+let flatNormalTexture; // Straight up normals, for glTF materials without a normal map
+let bumpHeightmap; // Heights the normal, roughness and AO maps are baked from (see bakeBumpMaps)
+let defaultBumpHeightmap; // Built-in bump pattern, baked again when a model's bump map is released
+let defaultDiffuseTexture; // Restored when a model's textures are released
+let defaultNormalMapTexture;
+let textureManager; // Loads and shares image textures (see shared/texture-manager.js)
+let modelTextures = []; // Texture manager entries used by the current model
+let modelObjectURLs = []; // Object URLs of the current model's files, revoked with its textures
+let modelLoadId = 0; // Counts model switches, so a file load that finishes after a newer switch is dropped
+
+// glTF alpha modes, in the order of the PBR shader's uAlphaMode values
+const ALPHA_MODES = ['OPAQUE', 'MASK', 'BLEND'];
 
 // Model geometry
 let positionBuffer;
@@ -32,6 +48,8 @@ let texCoordBuffer;
 let tangentBuffer;
 let indexBuffer;
 let indexCount;
+let indexType; // gl.UNSIGNED_SHORT or gl.UNSIGNED_INT, depending on the model's vertex count
+let modelParts = []; // Index ranges drawn with their own material: { start, count, material }
 
 // Matrices
 const modelMatrix = new Float32Array(16);
@@ -39,6 +57,13 @@ const viewMatrix = new Float32Array(16);
 const projectionMatrix = new Float32Array(16);
 const normalMatrix = new Float32Array(16);
 
+// Model orientation (quaternions avoid the gimbal lock of chained Euler rotations)
+const modelRotation = quat.create();
+const spinRotation = quat.create();
+const tiltRotation = quat.create();
+const modelTranslation = [0, 0, 0];
+const modelScale = [1, 1, 1];
+
 // Animation variables
 let lastFrameTime = 0;
 
@@ -79,6 +104,50 @@ function updateLightPosition() {
     lightPosition[2] = parseFloat(document.getElementById('light-z').value);
 }
 
+/**
+ * Updates the exposure and tone mapping of the output transform from the UI.
+ */
+function updateOutputTransform() {
+    exposure = Math.pow(2, parseFloat(document.getElementById('exposure').value));
+    toneMapping = parseInt(document.getElementById('tone-mapping').value, 10);
+}
+
+/**
+ * Switches to the built-in model picked in the model selector.
+ */
+function updateBuiltInModel() {
+    modelLoadId++;
+    releaseModelTextures();
+
+    if (document.getElementById('model-select').value === 'terrain') {
+        const geometry = createNoiseTerrain();
+        fitModelToView(geometry);
+        createModel(geometry);
+        return;
+    }
+
+    modelScale.fill(1);
+    createModel();
+}
+
+/**
+ * Creates a tiled terrain from fBm Perlin noise and merges its tiles into one geometry.
+ * @returns {Object} Geometry of the whole terrain, with tangents
+ */
+function createNoiseTerrain() {
+    const heightmap = createHeightmap((u, v) => noise.fbm2(noise.perlin2, u * 4, v * 4, 7) * 0.5 + 0.5, 129, 129);
+    const terrain = createTerrain(heightmap, {
+        width: 4.0,
+        depth: 4.0,
+        heightScale: 1.0,
+        tilesX: 2,
+        tilesZ: 2,
+        skirtDepth: 0.1,
+    });
+
+    return geometryTools.merge(terrain.tiles.map((tile) => tile.geometry));
+}
+
 /**
  * Initializes the WebGL context and starts loading resources.
  */
@@ -111,12 +180,26 @@ function init() {
     const isWebGL2 = gl.getParameter(gl.VERSION).indexOf('WebGL 2.0') >= 0;
     console.log('Using WebGL 2:', isWebGL2);
 
+    // Prefer reverse-Z depth; falls back to the standard convention without EXT_clip_control
+    depthConvention = DepthConvention.setup(gl, DepthConvention.REVERSE_Z);
+    console.log('Depth convention:', depthConvention);
+
+    // Show texture loading progress in the loading indicator
+    textureManager = TextureManager.create(gl);
+    textureManager.on('progress', updateLoadingProgress);
+
     // Set up event listeners
     document.getElementById('shading-mode').addEventListener('change', updateShadingMode);
     document.getElementById('rotation-speed').addEventListener('input', updateRotationSpeed);
     document.getElementById('light-x').addEventListener('input', updateLightPosition);
     document.getElementById('light-y').addEventListener('input', updateLightPosition);
     document.getElementById('light-z').addEventListener('input', updateLightPosition);
+    document.getElementById('exposure').addEventListener('input', updateOutputTransform);
+    document.getElementById('tone-mapping').addEventListener('change', updateOutputTransform);
+    document.getElementById('model-file').addEventListener('change', loadModelFiles);
+    document.getElementById('model-select').addEventListener('change', updateBuiltInModel);
+    document.getElementById('bump-kernel').addEventListener('change', bakeBumpMaps);
+    document.getElementById('bump-strength').addEventListener('change', bakeBumpMaps);
 
     // Adjust canvas size on window resize
     window.addEventListener('resize', resizeCanvas);
@@ -124,6 +207,7 @@ function init() {
 
     // Initialize UI state
     updateShadingMode();
+    updateOutputTransform();
 
     // Create required resources and start the app
     createShaders();
@@ -131,8 +215,8 @@ function init() {
     createModel();
     setupMatrices();
 
-    // Hide loading indicator
-    document.getElementById('loading').style.display = 'none';
+    // Hide loading indicator (it comes back while textures load)
+    updateLoadingProgress(textureManager.progress());
 
     // Start rendering loop
     requestAnimationFrame(render);
@@ -148,7 +232,54 @@ function resizeCanvas() {
 
     // Update projection matrix with new aspect ratio
     const aspect = canvas.width / canvas.height;
-    mat4_perspective(projectionMatrix, (45 * Math.PI) / 180, aspect, 0.1, 100.0);
+    DepthConvention.perspective(projectionMatrix, depthConvention, (45 * Math.PI) / 180, aspect, 0.1, 100.0);
+}
+
+/**
+ * Shows how many textures have loaded, and hides the loading indicator once all have.
+ * @param {Object} progress - Progress from the texture manager
+ */
+function updateLoadingProgress(progress) {
+    const loading = document.getElementById('loading');
+
+    if (progress.fraction >= 1) {
+        loading.style.display = 'none';
+        return;
+    }
+
+    loading.textContent = `Loading textures... ${progress.loaded + progress.failed} of ${progress.total}`;
+    loading.style.display = 'flex';
+}
+
+/**
+ * Releases the textures of the current model and switches back to the default textures.
+ */
+function releaseModelTextures() {
+    modelTextures.forEach((entry) => textureManager.release(entry));
+    modelTextures = [];
+
+    modelObjectURLs.forEach((url) => URL.revokeObjectURL(url));
+    modelObjectURLs = [];
+
+    diffuseTexture = defaultDiffuseTexture;
+    normalMapTexture = defaultNormalMapTexture;
+
+    // The model's bump map was baked into the default normal, roughness and AO textures
+    if (bumpHeightmap !== defaultBumpHeightmap) {
+        bumpHeightmap = defaultBumpHeightmap;
+        bakeBumpMaps();
+    }
+}
+
+/**
+ * Creates an object URL for one of the current model's files; releaseModelTextures revokes it.
+ * @param {Blob} blob - Picked file or embedded image data
+ * @returns {string} The object URL
+ */
+function createModelURL(blob) {
+    const url = URL.createObjectURL(blob);
+    modelObjectURLs.push(url);
+    return url;
 }
 
 /**
@@ -208,125 +339,414 @@ function createShaders() {
 }
 
 /**
- * Creates placeholder textures since we don't have real texture files.
+ * Creates the placeholder textures, and bakes the normal, roughness and AO maps from a procedural heightmap.
  */
 function createTextures() {
-    // Create 2x2 plain white texture for diffuse/albedo
-    diffuseTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, diffuseTexture);
-    gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        2,
-        2,
-        0,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        new Uint8Array([200, 200, 200, 255, 200, 200, 200, 255, 200, 200, 200, 255, 200, 200, 200, 255])
-    );
-    gl.generateMipmap(gl.TEXTURE_2D);
+    // 2x2 textures of a single color
+    const solid = (color) => ({ width: 2, height: 2, data: new Uint8Array([color, color, color, color].flat()) });
 
-    // Create 2x2 blue normal map (straight up normals)
-    normalMapTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, normalMapTexture);
-    gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        2,
-        2,
-        0,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        new Uint8Array([127, 127, 255, 255, 127, 127, 255, 255, 127, 127, 255, 255, 127, 127, 255, 255])
-    );
-    gl.generateMipmap(gl.TEXTURE_2D);
+    // Light gray diffuse/albedo; colors are sRGB, the other maps hold linear data
+    diffuseTexture = TextureSetup.create(gl, solid([200, 200, 200, 255]), { srgb: true });
 
-    // Create 2x2 medium roughness texture
-    roughnessTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, roughnessTexture);
-    gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        2,
-        2,
-        0,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        new Uint8Array([127, 127, 127, 255, 127, 127, 127, 255, 127, 127, 127, 255, 127, 127, 127, 255])
-    );
-    gl.generateMipmap(gl.TEXTURE_2D);
-
-    // Create 2x2 non-metallic texture
-    metallicTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, metallicTexture);
-    gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        2,
-        2,
-        0,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        new Uint8Array([0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255])
-    );
-    gl.generateMipmap(gl.TEXTURE_2D);
+    // Blue normal map (straight up normals)
+    flatNormalTexture = TextureSetup.create(gl, solid([127, 127, 255, 255]));
+
+    // Non-metallic texture
+    metallicTexture = TextureSetup.create(gl, solid([0, 0, 0, 255]));
 
-    // Create 2x2 white AO texture
+    // White texture
+    whiteTexture = TextureSetup.create(gl, solid([255, 255, 255, 255]));
+
+    // Baked maps, filled in by bakeBumpMaps
+    normalMapTexture = gl.createTexture();
+    roughnessTexture = gl.createTexture();
     aoTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, aoTexture);
-    gl.texImage2D(
-        gl.TEXTURE_2D,
-        0,
-        gl.RGBA,
-        2,
-        2,
-        0,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255])
+    defaultBumpHeightmap = createBumpHeightmap();
+    bumpHeightmap = defaultBumpHeightmap;
+    bakeBumpMaps();
+
+    defaultDiffuseTexture = diffuseTexture;
+    defaultNormalMapTexture = normalMapTexture;
+}
+
+/**
+ * Creates the default bump pattern: fine noise with a dent under each gray spot of the shaders.
+ * @returns {Object} Heightmap from createHeightmap
+ */
+function createBumpHeightmap() {
+    return createHeightmap(
+        (u, v) => {
+            // Noise on a cylinder around u, so the pattern has no seam where the sphere's u wraps
+            const angle = u * Math.PI * 2;
+            const detail = noise.fbm3(noise.perlin3, Math.cos(angle) * 4, Math.sin(angle) * 4, v * 24, 7, 4);
+
+            // Same 10x10 grid and 0.2 radius as the spot pattern in the shaders
+            const dist = Math.hypot(u * 10 - Math.floor(u * 10) - 0.5, v * 10 - Math.floor(v * 10) - 0.5);
+            const dent = dist < 0.2 ? 1 - (dist / 0.2) * (dist / 0.2) : 0;
+
+            return 0.5 + detail * 0.05 - dent * dent * 0.2;
+        },
+        256,
+        256
     );
-    gl.generateMipmap(gl.TEXTURE_2D);
 }
 
 /**
- * Creates model geometry and sets up buffers.
+ * Bakes the normal, roughness and AO maps from bumpHeightmap with the kernel and strength
+ * picked in the UI, and uploads them into the baked textures.
  */
-function createModel() {
-    // Create sphere geometry
-    const sphere = createSphere(1.0, 32, 32);
+function bakeBumpMaps() {
+    const maps = bakeHeightMaps(bumpHeightmap, {
+        kernel: document.getElementById('bump-kernel').value,
+        strength: parseFloat(document.getElementById('bump-strength').value),
+    });
+
+    TextureSetup.update(gl, normalMapTexture, maps.normal);
+    TextureSetup.update(gl, roughnessTexture, maps.roughness);
+    TextureSetup.update(gl, aoTexture, maps.ambientOcclusion);
+}
+
+/**
+ * Creates model geometry and sets up buffers. Throws, keeping the current model, if the geometry
+ * needs 32-bit indices and the context doesn't support them.
+ * @param {Object} geometry - Geometry in the models.js shape (defaults to a sphere); vec4 tangents are
+ *                            generated unless the geometry already has them
+ * @param {Array<Object>} [parts] - Index ranges with their materials (see createGLTFMaterial); by default
+ *                                  the whole model is drawn with the placeholder textures
+ */
+function createModel(geometry = createSphere(1.0, 32, 32), parts = null) {
+    // Generating tangents may split vertices, so it happens before any buffer is filled
+    if (!geometry.tangents) {
+        geometry = generateTangents(geometry);
+    }
+
+    // Throws for 32-bit indices the context can't draw, before the current model is replaced
+    const type = geometryTools.indexType(gl, geometry);
+
+    // Release the buffers of the previous model
+    [positionBuffer, normalBuffer, texCoordBuffer, tangentBuffer, indexBuffer].forEach((buffer) => {
+        if (buffer) gl.deleteBuffer(buffer);
+    });
 
     // Create position buffer
     positionBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphere.positions, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.positions, gl.STATIC_DRAW);
 
     // Create normal buffer
     normalBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphere.normals, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.normals, gl.STATIC_DRAW);
 
     // Create texture coordinate buffer
     texCoordBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, sphere.texCoords, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.texCoords, gl.STATIC_DRAW);
 
-    // Calculate tangent vectors for normal mapping
-    const tangents = calculateTangents(sphere.positions, sphere.normals, sphere.texCoords, sphere.indices);
+    // Create tangent buffer for normal mapping
     tangentBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, tangentBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, tangents, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, geometry.tangents, gl.STATIC_DRAW);
 
     // Create index buffer
     indexBuffer = gl.createBuffer();
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, sphere.indices, gl.STATIC_DRAW);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
+
+    // Store the number and type of indices for drawing
+    indexCount = geometry.indices.length;
+    indexType = type;
+    modelParts = parts || [{ start: 0, count: indexCount, material: null }];
+}
+
+/**
+ * Loads an OBJ model (plus optional MTL file and textures) or a glTF model picked with the file input.
+ * Files are read locally, so this also works when the page is opened from file://.
+ * @param {Event} event - Change event of the file input
+ */
+function loadModelFiles(event) {
+    const files = Array.from(event.target.files);
+    releaseModelTextures();
+
+    // Picking other files or a built-in model while this load runs makes its results stale
+    const loadId = ++modelLoadId;
+    const isCurrent = () => loadId === modelLoadId;
+
+    const gltfFile = files.find((file) => /\.(gltf|glb)$/i.test(file.name));
+    const objFile = files.find((file) => /\.obj$/i.test(file.name));
+
+    if (gltfFile) {
+        loadGLTFFiles(gltfFile, files, isCurrent);
+        return;
+    }
+
+    if (!objFile) {
+        displayError('Please select an .obj, .gltf or .glb file (with its .mtl/.bin files and textures).');
+        return;
+    }
+
+    const mtlFiles = files.filter((file) => /\.mtl$/i.test(file.name));
+
+    Promise.all([objFile.text(), ...mtlFiles.map((file) => file.text())])
+        .then(([objText, ...mtlTexts]) => {
+            if (!isCurrent()) return;
+
+            const geometry = parseOBJ(objText);
+            const materials = Object.assign({}, ...mtlTexts.map(parseMTL));
+
+            fitModelToView(geometry);
+            createModel(geometry);
+
+            // Use the textures of the first material that has any
+            const material = geometry.groups.map((group) => materials[group.material]).find(Boolean);
+            if (material) {
+                applyMaterialTextures(material, files);
+            }
+        })
+        .catch((error) => {
+            if (isCurrent()) {
+                displayError(`Failed to load model: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Loads a .gltf (with its .bin files and images) or .glb model from the picked files.
+ * @param {File} gltfFile - The .gltf or .glb file
+ * @param {Array<File>} files - All files picked with the model
+ * @param {Function} isCurrent - Returns false once another model has replaced this one
+ */
+function loadGLTFFiles(gltfFile, files, isCurrent) {
+    const findFile = (uri) => {
+        const name = uri.split(/[\\/]/).pop().toLowerCase();
+        return files.find((file) => file.name.toLowerCase() === name) || null;
+    };
+
+    const loadResource = (uri) => {
+        const file = findFile(uri);
+        return file ? file.arrayBuffer() : Promise.reject(new Error(`Missing file: ${uri}`));
+    };
+
+    gltfFile
+        .arrayBuffer()
+        .then((data) => parseGLTF(data, loadResource))
+        .then((gltf) => {
+            if (!isCurrent()) return;
+
+            const geometry = flattenGLTFScene(gltf);
+            if (geometry.indices.length === 0) {
+                throw new Error('The scene contains no triangle meshes');
+            }
+
+            // Base color and emissive images are sRGB; normal, metallic-roughness and occlusion images are linear data
+            const colorImages = new Set(
+                gltf.materials.flatMap((material) =>
+                    [material.baseColorTexture, material.emissiveTexture].map((ref) => ref && ref.image)
+                )
+            );
+            const textures = gltf.images.map((image, i) => loadGLTFImage(image, findFile, colorImages.has(i)));
+            const materials = gltf.materials.map((material) => createGLTFMaterial(material, textures));
+
+            fitModelToView(geometry);
+            createModel(
+                geometry,
+                geometry.groups.map((group) => ({
+                    start: group.start,
+                    count: group.count,
+                    material: group.material !== null ? materials[group.material] : createGLTFMaterial(null, textures),
+                }))
+            );
+        })
+        .catch((error) => {
+            if (isCurrent()) {
+                displayError(`Failed to load model: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Starts loading a glTF image as a texture.
+ * @param {Object} image - Image from parseGLTF (embedded bytes or a uri)
+ * @param {Function} findFile - Looks up a picked file by uri
+ * @param {boolean} [srgb=false] - Whether the image holds sRGB colors rather than linear data
+ * @returns {Promise<WebGLTexture>} Promise resolving to the texture (rejects if the image is missing)
+ */
+function loadGLTFImage(image, findFile, srgb = false) {
+    let url = null;
+
+    if (image.data) {
+        url = createModelURL(new Blob([image.data], { type: image.mimeType || 'image/png' }));
+    } else if (image.uri && image.uri.startsWith('data:')) {
+        url = image.uri;
+    } else if (image.uri && findFile(image.uri)) {
+        url = createModelURL(findFile(image.uri));
+    }
+
+    let promise = Promise.reject(new Error(`Missing image: ${image.uri}`));
+    if (url) {
+        const entry = textureManager.load({ url: url, srgb: srgb });
+        modelTextures.push(entry);
+        promise = entry.promise;
+    }
 
-    // Store the number of indices for drawing
-    indexCount = sphere.indices.length;
+    // A missing image only costs that texture, the placeholder stays in use
+    promise.catch((error) => console.warn(error.message));
+    return promise;
+}
+
+/**
+ * Creates the draw-time material for a glTF material. Textures are swapped in as they finish loading;
+ * until then (and for maps the material doesn't have) the white placeholder leaves the factors unchanged.
+ * @param {Object} material - Material from parseGLTF, or null for the glTF default material
+ * @param {Array<Promise<WebGLTexture>>} textures - Textures for gltf.images, from loadGLTFImage
+ * @returns {Object} Material with textures and factors for the render functions
+ */
+function createGLTFMaterial(material, textures) {
+    const result = {
+        albedoTexture: whiteTexture,
+        normalTexture: flatNormalTexture,
+        metallicRoughnessTexture: whiteTexture,
+        occlusionTexture: whiteTexture,
+        emissiveTexture: whiteTexture,
+        baseColorFactor: material ? material.baseColorFactor : [1, 1, 1, 1],
+        metallicFactor: material ? material.metallicFactor : 1,
+        roughnessFactor: material ? material.roughnessFactor : 1,
+        normalScale: material ? material.normalScale : 1,
+        occlusionStrength: material ? material.occlusionStrength : 1,
+        emissiveFactor: material ? material.emissiveFactor : [0, 0, 0],
+        alphaMode: material ? material.alphaMode : 'OPAQUE',
+        alphaCutoff: material ? material.alphaCutoff : 0.5,
+        doubleSided: material ? material.doubleSided : false,
+    };
+
+    const assign = (key, ref) => {
+        if (!ref || ref.image === null || !textures[ref.image]) return;
+        textures[ref.image]
+            .then((texture) => {
+                applyGLTFSampler(texture, ref.sampler);
+                result[key] = texture;
+            })
+            .catch(() => {});
+    };
+
+    if (material) {
+        assign('albedoTexture', material.baseColorTexture);
+        assign('normalTexture', material.normalTexture);
+        assign('metallicRoughnessTexture', material.metallicRoughnessTexture);
+        assign('occlusionTexture', material.occlusionTexture);
+        assign('emissiveTexture', material.emissiveTexture);
+    }
+
+    return result;
+}
+
+/**
+ * Applies the wrap and filter modes of a glTF sampler to a loaded texture.
+ * @param {WebGLTexture} texture - The texture
+ * @param {Object} sampler - glTF sampler (its values are GL enums), or null for the defaults
+ */
+function applyGLTFSampler(texture, sampler) {
+    if (!sampler) return;
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (sampler.wrapS !== undefined) gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, sampler.wrapS);
+    if (sampler.wrapT !== undefined) gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, sampler.wrapT);
+    if (sampler.magFilter !== undefined) gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, sampler.magFilter);
+
+    // The texture manager builds mipmaps for every image in WebGL 2; WebGL 1 can't for non-power-of-2
+    // images, so there mipmapped filters are left to the manager's choice
+    const isMipmapped = sampler.minFilter !== gl.NEAREST && sampler.minFilter !== gl.LINEAR;
+    if (sampler.minFilter !== undefined && (!isMipmapped || TextureSetup.isWebGL2(gl))) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, sampler.minFilter);
+    }
+}
+
+/**
+ * Centers a geometry on the origin and scales the model to fit the view.
+ * @param {Object} geometry - Geometry whose positions are recentered in place
+ */
+function fitModelToView(geometry) {
+    const positions = geometry.positions;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], positions[i + k]);
+            max[k] = Math.max(max[k], positions[i + k]);
+        }
+    }
+
+    const center = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+    let radius = 0;
+
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            positions[i + k] -= center[k];
+        }
+        radius = Math.max(radius, vectorLength([positions[i], positions[i + 1], positions[i + 2]]));
+    }
+
+    // Same size as the default unit sphere
+    const scale = radius > 0 ? 1 / radius : 1;
+    modelScale[0] = scale;
+    modelScale[1] = scale;
+    modelScale[2] = scale;
+}
+
+/**
+ * Loads the diffuse and normal map of an MTL material from the picked files.
+ * @param {Object} material - Material from parseMTL
+ * @param {Array<File>} files - All files picked with the model
+ */
+function applyMaterialTextures(material, files) {
+    const findFile = (map) => {
+        if (!map) return null;
+        const name = map.file.split(/[\\/]/).pop().toLowerCase();
+        return files.find((file) => file.name.toLowerCase() === name) || null;
+    };
+
+    // The texture manager's placeholders stand in until the images have loaded
+    const diffuseFile = findFile(material.maps.diffuse);
+    if (diffuseFile) {
+        const entry = textureManager.load({ url: createModelURL(diffuseFile), srgb: true });
+        modelTextures.push(entry);
+        diffuseTexture = entry.texture;
+    }
+
+    const normalFile = findFile(material.maps.normal);
+    const bumpFile = findFile(material.maps.bump);
+    if (normalFile) {
+        const entry = textureManager.load({
+            url: createModelURL(normalFile),
+            placeholder: [128, 128, 255, 255],
+        });
+        modelTextures.push(entry);
+        normalMapTexture = entry.texture;
+    } else if (bumpFile) {
+        // A bump map holds heights, so bake the normal, roughness and AO maps from it (-bm scales them)
+        const multiplier = parseFloat(material.maps.bump.options.bm) || 1;
+        const url = createModelURL(bumpFile);
+
+        // The URL is revoked when the model is replaced, so a load that finishes later is dropped
+        const isCurrent = () => modelObjectURLs.includes(url);
+
+        loadImagePixels(url)
+            .then((image) => {
+                if (!isCurrent()) return;
+
+                const heightmap = createHeightmap(image.data, image.width, image.height);
+                heightmap.heights.forEach((height, i) => (heightmap.heights[i] = height * multiplier));
+                bumpHeightmap = heightmap;
+                bakeBumpMaps();
+            })
+            .catch((error) => {
+                // A broken bump map only costs the bump detail, the default maps stay in use
+                if (isCurrent()) {
+                    console.warn(error.message);
+                }
+            });
+    }
 }
 
 /**
@@ -334,14 +754,14 @@ function createModel() {
  */
 function setupMatrices() {
     // Set up model matrix (initialized to identity)
-    mat4_identity(modelMatrix);
+    mat4.identity(modelMatrix);
 
     // Set up view matrix
-    mat4_lookAt(viewMatrix, cameraPosition, [0, 0, 0], [0, 1, 0]);
+    mat4.lookAt(viewMatrix, cameraPosition, [0, 0, 0], [0, 1, 0]);
 
     // Set up projection matrix
     const aspect = canvas.width / canvas.height;
-    mat4_perspective(projectionMatrix, (45 * Math.PI) / 180, aspect, 0.1, 100.0);
+    DepthConvention.perspective(projectionMatrix, depthConvention, (45 * Math.PI) / 180, aspect, 0.1, 100.0);
 }
 
 /**
@@ -352,19 +772,21 @@ function updateModelMatrix(deltaTime) {
     // Update the current time
     currentTime += deltaTime;
 
-    // Reset to identity
-    mat4_identity(modelMatrix);
-
-    // Apply rotation based on elapsed time
+    // Spin around Y based on elapsed time, then apply a gentle wobble around X
     const rotationAngle = rotationSpeed * currentTime * 0.05;
-    mat4_rotateY(modelMatrix, modelMatrix, (rotationAngle * Math.PI) / 180);
-    mat4_rotateX(modelMatrix, modelMatrix, (Math.sin(currentTime * 0.3) * 15 * Math.PI) / 180);
+    quat.fromAxisAngle(spinRotation, [0, 1, 0], (rotationAngle * Math.PI) / 180);
+    quat.fromAxisAngle(tiltRotation, [1, 0, 0], (Math.sin(currentTime * 0.3) * 15 * Math.PI) / 180);
+    quat.multiply(modelRotation, spinRotation, tiltRotation);
+    quat.normalize(modelRotation, modelRotation);
+
+    // Build the model matrix from the orientation
+    mat4.fromRotationTranslationScale(modelMatrix, modelRotation, modelTranslation, modelScale);
 
     // Calculate normal matrix (inverse transpose of upper 3x3 part of model matrix)
     const modelViewMatrix = new Float32Array(16);
-    mat4_multiply(modelViewMatrix, viewMatrix, modelMatrix);
-    mat4_invert(normalMatrix, modelViewMatrix);
-    mat4_transpose(normalMatrix, normalMatrix);
+    mat4.multiply(modelViewMatrix, viewMatrix, modelMatrix);
+    mat4.invert(normalMatrix, modelViewMatrix);
+    mat4.transpose(normalMatrix, normalMatrix);
 }
 
 /**
@@ -382,7 +804,6 @@ function render(timestamp) {
     // Clear the canvas and depth buffer
     gl.clearColor(0.1, 0.1, 0.1, 1.0);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-    gl.enable(gl.DEPTH_TEST);
 
     // Use the appropriate shader program based on current mode
     if (activeShader === 'basic') {
@@ -397,6 +818,45 @@ function render(timestamp) {
     requestAnimationFrame(render);
 }
 
+/**
+ * Draws every part of the model, letting the caller bind each part's material first.
+ * @param {Function} bindMaterial - Called with the part's material (null for the placeholder textures)
+ */
+function drawModelParts(bindMaterial) {
+    // drawElements takes the offset in bytes
+    const indexSize = indexType === gl.UNSIGNED_INT ? 4 : indexType === gl.UNSIGNED_BYTE ? 1 : 2;
+
+    modelParts.forEach((part) => {
+        bindMaterial(part.material);
+        setMaterialDrawState(part.material);
+        gl.drawElements(gl.TRIANGLES, part.count, indexType, part.start * indexSize);
+    });
+
+    setMaterialDrawState(null);
+}
+
+/**
+ * Sets the face culling and blending a material asks for. The placeholder material (null) draws
+ * both sides without blending, like the built-in models always have.
+ * @param {Object} material - Material from createGLTFMaterial, or null
+ */
+function setMaterialDrawState(material) {
+    if (material && !material.doubleSided) {
+        gl.enable(gl.CULL_FACE);
+    } else {
+        gl.disable(gl.CULL_FACE);
+    }
+
+    // Blended parts are drawn in file order without sorting, which is enough for mostly opaque models.
+    // Alpha is added separately so the canvas itself stays opaque.
+    if (material && material.alphaMode === 'BLEND') {
+        gl.enable(gl.BLEND);
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    } else {
+        gl.disable(gl.BLEND);
+    }
+}
+
 /**
  * Renders the model using the basic Phong shader.
  */
@@ -425,16 +885,29 @@ function renderWithBasicShader() {
     gl.uniform3fv(uLightPosition, lightPosition);
     gl.uniform3fv(uLightColor, lightColor);
 
-    // Set active texture
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, diffuseTexture);
+    // Exposure and tone mapping
+    setOutputTransformUniforms(basicProgram);
+
+    // Set texture unit
     gl.uniform1i(uDiffuseMap, 0);
 
     // Set up attribute pointers
     setupBasicAttributes();
 
-    // Draw
-    gl.drawElements(gl.TRIANGLES, indexCount, gl.UNSIGNED_SHORT, 0);
+    // Draw each part with its material's texture
+    drawModelParts((material) => {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.albedoTexture : diffuseTexture);
+    });
+}
+
+/**
+ * Sets the uniforms of the output transform that every fragment shader ends with.
+ * @param {WebGLProgram} program - The program in use
+ */
+function setOutputTransformUniforms(program) {
+    gl.uniform1f(gl.getUniformLocation(program, 'uExposure'), exposure);
+    gl.uniform1i(gl.getUniformLocation(program, 'uToneMapping'), toneMapping);
 }
 
 /**
@@ -493,20 +966,24 @@ function renderWithNormalMapShader() {
     gl.uniform3fv(uLightPosition, lightPosition);
     gl.uniform3fv(uLightColor, lightColor);
 
-    // Set active textures
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, diffuseTexture);
-    gl.uniform1i(uDiffuseMap, 0);
+    // Exposure and tone mapping
+    setOutputTransformUniforms(normalMapProgram);
 
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, normalMapTexture);
+    // Set texture units
+    gl.uniform1i(uDiffuseMap, 0);
     gl.uniform1i(uNormalMap, 1);
 
     // Set up attribute pointers
     setupNormalMapAttributes();
 
-    // Draw
-    gl.drawElements(gl.TRIANGLES, indexCount, gl.UNSIGNED_SHORT, 0);
+    // Draw each part with its material's textures
+    drawModelParts((material) => {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.albedoTexture : diffuseTexture);
+
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.normalTexture : normalMapTexture);
+    });
 }
 
 /**
@@ -536,7 +1013,7 @@ function setupNormalMapAttributes() {
     // Tangent attribute
     gl.bindBuffer(gl.ARRAY_BUFFER, tangentBuffer);
     gl.enableVertexAttribArray(tangentLoc);
-    gl.vertexAttribPointer(tangentLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribPointer(tangentLoc, 4, gl.FLOAT, false, 0, 0);
 
     // Bind index buffer
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
@@ -561,6 +1038,17 @@ function renderWithPbrShader() {
     const uMetallicMap = gl.getUniformLocation(pbrProgram, 'uMetallicMap');
     const uRoughnessMap = gl.getUniformLocation(pbrProgram, 'uRoughnessMap');
     const uAoMap = gl.getUniformLocation(pbrProgram, 'uAoMap');
+    const uNormalMap = gl.getUniformLocation(pbrProgram, 'uNormalMap');
+    const uBaseColorFactor = gl.getUniformLocation(pbrProgram, 'uBaseColorFactor');
+    const uMetallicFactor = gl.getUniformLocation(pbrProgram, 'uMetallicFactor');
+    const uRoughnessFactor = gl.getUniformLocation(pbrProgram, 'uRoughnessFactor');
+    const uEmissiveMap = gl.getUniformLocation(pbrProgram, 'uEmissiveMap');
+    const uNormalScale = gl.getUniformLocation(pbrProgram, 'uNormalScale');
+    const uOcclusionStrength = gl.getUniformLocation(pbrProgram, 'uOcclusionStrength');
+    const uEmissiveFactor = gl.getUniformLocation(pbrProgram, 'uEmissiveFactor');
+    const uAlphaMode = gl.getUniformLocation(pbrProgram, 'uAlphaMode');
+    const uAlphaCutoff = gl.getUniformLocation(pbrProgram, 'uAlphaCutoff');
+    const uSpotPattern = gl.getUniformLocation(pbrProgram, 'uSpotPattern');
 
     // Pass transformation matrices
     gl.uniformMatrix4fv(uModelMatrix, false, modelMatrix);
@@ -573,28 +1061,55 @@ function renderWithPbrShader() {
     gl.uniform3fv(uLightPosition, lightPosition);
     gl.uniform3fv(uLightColor, lightColor);
 
-    // Set active textures
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, diffuseTexture);
-    gl.uniform1i(uAlbedoMap, 0);
+    // Exposure and tone mapping
+    setOutputTransformUniforms(pbrProgram);
 
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, metallicTexture);
+    // Set texture units
+    gl.uniform1i(uAlbedoMap, 0);
     gl.uniform1i(uMetallicMap, 1);
-
-    gl.activeTexture(gl.TEXTURE2);
-    gl.bindTexture(gl.TEXTURE_2D, roughnessTexture);
     gl.uniform1i(uRoughnessMap, 2);
-
-    gl.activeTexture(gl.TEXTURE3);
-    gl.bindTexture(gl.TEXTURE_2D, aoTexture);
     gl.uniform1i(uAoMap, 3);
+    gl.uniform1i(uNormalMap, 4);
+    gl.uniform1i(uEmissiveMap, 5);
 
     // Set up attribute pointers
     setupPbrAttributes();
 
-    // Draw
-    gl.drawElements(gl.TRIANGLES, indexCount, gl.UNSIGNED_SHORT, 0);
+    // Draw each part with its material's textures and factors
+    drawModelParts((material) => {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.albedoTexture : diffuseTexture);
+
+        // glTF packs metallic (blue) and roughness (green) into one texture, so both samplers share it
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.metallicRoughnessTexture : metallicTexture);
+
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.metallicRoughnessTexture : roughnessTexture);
+
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.occlusionTexture : aoTexture);
+
+        gl.activeTexture(gl.TEXTURE4);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.normalTexture : normalMapTexture);
+
+        gl.uniform4fv(uBaseColorFactor, material ? material.baseColorFactor : [1, 1, 1, 1]);
+        gl.uniform1f(uMetallicFactor, material ? material.metallicFactor : 1);
+        gl.uniform1f(uRoughnessFactor, material ? material.roughnessFactor : 1);
+
+        gl.activeTexture(gl.TEXTURE5);
+        gl.bindTexture(gl.TEXTURE_2D, material ? material.emissiveTexture : whiteTexture);
+
+        // Placeholder material: no emission, and the baked AO and normal maps as they are
+        gl.uniform1f(uNormalScale, material ? material.normalScale : 1);
+        gl.uniform1f(uOcclusionStrength, material ? material.occlusionStrength : 1);
+        gl.uniform3fv(uEmissiveFactor, material ? material.emissiveFactor : [0, 0, 0]);
+        gl.uniform1i(uAlphaMode, material ? ALPHA_MODES.indexOf(material.alphaMode) : 0);
+        gl.uniform1f(uAlphaCutoff, material ? material.alphaCutoff : 0.5);
+
+        // The gray spots only decorate the placeholder material
+        gl.uniform1f(uSpotPattern, material ? 0 : 1);
+    });
 }
 
 /**
@@ -604,6 +1119,7 @@ function setupPbrAttributes() {
     const positionLoc = gl.getAttribLocation(pbrProgram, 'aPosition');
     const normalLoc = gl.getAttribLocation(pbrProgram, 'aNormal');
     const texCoordLoc = gl.getAttribLocation(pbrProgram, 'aTexCoord');
+    const tangentLoc = gl.getAttribLocation(pbrProgram, 'aTangent');
 
     // Position attribute
     gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
@@ -620,403 +1136,11 @@ function setupPbrAttributes() {
     gl.enableVertexAttribArray(texCoordLoc);
     gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
 
+    // Tangent attribute
+    gl.bindBuffer(gl.ARRAY_BUFFER, tangentBuffer);
+    gl.enableVertexAttribArray(tangentLoc);
+    gl.vertexAttribPointer(tangentLoc, 4, gl.FLOAT, false, 0, 0);
+
     // Bind index buffer
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
 }
-
-// Simple matrix functions (in place of gl-matrix)
-
-/**
- * Sets a 4x4 matrix to the identity matrix.
- * @param {Float32Array} out - The matrix to set
- */
-function mat4_identity(out) {
-    out[0] = 1;
-    out[4] = 0;
-    out[8] = 0;
-    out[12] = 0;
-    out[1] = 0;
-    out[5] = 1;
-    out[9] = 0;
-    out[13] = 0;
-    out[2] = 0;
-    out[6] = 0;
-    out[10] = 1;
-    out[14] = 0;
-    out[3] = 0;
-    out[7] = 0;
-    out[11] = 0;
-    out[15] = 1;
-}
-
-/**
- * Creates a perspective projection matrix.
- * @param {Float32Array} out - The result matrix
- * @param {number} fovy - Field of view in radians
- * @param {number} aspect - Aspect ratio (width/height)
- * @param {number} near - Near clipping plane
- * @param {number} far - Far clipping plane
- */
-function mat4_perspective(out, fovy, aspect, near, far) {
-    const f = 1.0 / Math.tan(fovy / 2);
-    const nf = 1 / (near - far);
-
-    out[0] = f / aspect;
-    out[1] = 0;
-    out[2] = 0;
-    out[3] = 0;
-    out[4] = 0;
-    out[5] = f;
-    out[6] = 0;
-    out[7] = 0;
-    out[8] = 0;
-    out[9] = 0;
-    out[10] = (far + near) * nf;
-    out[11] = -1;
-    out[12] = 0;
-    out[13] = 0;
-    out[14] = 2 * far * near * nf;
-    out[15] = 0;
-}
-
-/**
- * Multiplies two matrices.
- * @param {Float32Array} out - The result matrix
- * @param {Float32Array} a - The first matrix
- * @param {Float32Array} b - The second matrix
- */
-function mat4_multiply(out, a, b) {
-    const a00 = a[0],
-        a01 = a[1],
-        a02 = a[2],
-        a03 = a[3];
-    const a10 = a[4],
-        a11 = a[5],
-        a12 = a[6],
-        a13 = a[7];
-    const a20 = a[8],
-        a21 = a[9],
-        a22 = a[10],
-        a23 = a[11];
-    const a30 = a[12],
-        a31 = a[13],
-        a32 = a[14],
-        a33 = a[15];
-
-    let b0 = b[0],
-        b1 = b[1],
-        b2 = b[2],
-        b3 = b[3];
-    out[0] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
-    out[1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
-    out[2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
-    out[3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
-
-    b0 = b[4];
-    b1 = b[5];
-    b2 = b[6];
-    b3 = b[7];
-    out[4] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
-    out[5] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
-    out[6] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
-    out[7] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
-
-    b0 = b[8];
-    b1 = b[9];
-    b2 = b[10];
-    b3 = b[11];
-    out[8] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
-    out[9] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
-    out[10] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
-    out[11] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
-
-    b0 = b[12];
-    b1 = b[13];
-    b2 = b[14];
-    b3 = b[15];
-    out[12] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
-    out[13] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
-    out[14] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
-    out[15] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
-}
-
-/**
- * Rotates a matrix around the X axis.
- * @param {Float32Array} out - The result matrix
- * @param {Float32Array} a - The matrix to rotate
- * @param {number} rad - The angle in radians
- */
-function mat4_rotateX(out, a, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-    const a10 = a[4],
-        a11 = a[5],
-        a12 = a[6],
-        a13 = a[7];
-    const a20 = a[8],
-        a21 = a[9],
-        a22 = a[10],
-        a23 = a[11];
-
-    // Copy the unchanged parts of the matrix
-    if (a !== out) {
-        out[0] = a[0];
-        out[1] = a[1];
-        out[2] = a[2];
-        out[3] = a[3];
-        out[12] = a[12];
-        out[13] = a[13];
-        out[14] = a[14];
-        out[15] = a[15];
-    }
-
-    // Perform rotation-specific matrix multiplication
-    out[4] = a10 * c + a20 * s;
-    out[5] = a11 * c + a21 * s;
-    out[6] = a12 * c + a22 * s;
-    out[7] = a13 * c + a23 * s;
-    out[8] = a20 * c - a10 * s;
-    out[9] = a21 * c - a11 * s;
-    out[10] = a22 * c - a12 * s;
-    out[11] = a23 * c - a13 * s;
-}
-
-/**
- * Rotates a matrix around the Y axis.
- * @param {Float32Array} out - The result matrix
- * @param {Float32Array} a - The matrix to rotate
- * @param {number} rad - The angle in radians
- */
-function mat4_rotateY(out, a, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-    const a00 = a[0],
-        a01 = a[1],
-        a02 = a[2],
-        a03 = a[3];
-    const a20 = a[8],
-        a21 = a[9],
-        a22 = a[10],
-        a23 = a[11];
-
-    // Copy the unchanged parts of the matrix
-    if (a !== out) {
-        out[4] = a[4];
-        out[5] = a[5];
-        out[6] = a[6];
-        out[7] = a[7];
-        out[12] = a[12];
-        out[13] = a[13];
-        out[14] = a[14];
-        out[15] = a[15];
-    }
-
-    // Perform rotation-specific matrix multiplication
-    out[0] = a00 * c - a20 * s;
-    out[1] = a01 * c - a21 * s;
-    out[2] = a02 * c - a22 * s;
-    out[3] = a03 * c - a23 * s;
-    out[8] = a00 * s + a20 * c;
-    out[9] = a01 * s + a21 * c;
-    out[10] = a02 * s + a22 * c;
-    out[11] = a03 * s + a23 * c;
-}
-
-/**
- * Creates a "look at" view matrix.
- * @param {Float32Array} out - The result matrix
- * @param {Array} eye - The position of the viewer
- * @param {Array} center - The point the viewer is looking at
- * @param {Array} up - The up vector
- */
-function mat4_lookAt(out, eye, center, up) {
-    const eyex = eye[0];
-    const eyey = eye[1];
-    const eyez = eye[2];
-    const upx = up[0];
-    const upy = up[1];
-    const upz = up[2];
-    const centerx = center[0];
-    const centery = center[1];
-    const centerz = center[2];
-
-    // If eye and center are the same, return identity
-    if (
-        Math.abs(eyex - centerx) < 0.000001 &&
-        Math.abs(eyey - centery) < 0.000001 &&
-        Math.abs(eyez - centerz) < 0.000001
-    ) {
-        mat4_identity(out);
-        return;
-    }
-
-    // Calculate z axis (normalized vector from eye to center)
-    let z0 = eyex - centerx;
-    let z1 = eyey - centery;
-    let z2 = eyez - centerz;
-
-    // Normalize z
-    let len = 1 / Math.sqrt(z0 * z0 + z1 * z1 + z2 * z2);
-    z0 *= len;
-    z1 *= len;
-    z2 *= len;
-
-    // Calculate x axis as cross product of up and z
-    let x0 = upy * z2 - upz * z1;
-    let x1 = upz * z0 - upx * z2;
-    let x2 = upx * z1 - upy * z0;
-
-    // Normalize x
-    len = Math.sqrt(x0 * x0 + x1 * x1 + x2 * x2);
-    if (len) {
-        len = 1 / len;
-        x0 *= len;
-        x1 *= len;
-        x2 *= len;
-    }
-
-    // Calculate y axis as cross product of z and x
-    let y0 = z1 * x2 - z2 * x1;
-    let y1 = z2 * x0 - z0 * x2;
-    let y2 = z0 * x1 - z1 * x0;
-
-    // Normalize y
-    len = Math.sqrt(y0 * y0 + y1 * y1 + y2 * y2);
-    if (len) {
-        len = 1 / len;
-        y0 *= len;
-        y1 *= len;
-        y2 *= len;
-    }
-
-    out[0] = x0;
-    out[1] = y0;
-    out[2] = z0;
-    out[3] = 0;
-    out[4] = x1;
-    out[5] = y1;
-    out[6] = z1;
-    out[7] = 0;
-    out[8] = x2;
-    out[9] = y2;
-    out[10] = z2;
-    out[11] = 0;
-    out[12] = -(x0 * eyex + x1 * eyey + x2 * eyez);
-    out[13] = -(y0 * eyex + y1 * eyey + y2 * eyez);
-    out[14] = -(z0 * eyex + z1 * eyey + z2 * eyez);
-    out[15] = 1;
-}
-
-/**
- * Transposes a matrix.
- * @param {Float32Array} out - The result matrix
- * @param {Float32Array} a - The matrix to transpose
- */
-function mat4_transpose(out, a) {
-    // If out === a, we'll handle that specially
-    if (out === a) {
-        const a01 = a[1],
-            a02 = a[2],
-            a03 = a[3];
-        const a12 = a[6],
-            a13 = a[7];
-        const a23 = a[11];
-
-        out[1] = a[4];
-        out[2] = a[8];
-        out[3] = a[12];
-        out[4] = a01;
-        out[6] = a[9];
-        out[7] = a[13];
-        out[8] = a02;
-        out[9] = a12;
-        out[11] = a[14];
-        out[12] = a03;
-        out[13] = a13;
-        out[14] = a23;
-    } else {
-        out[0] = a[0];
-        out[1] = a[4];
-        out[2] = a[8];
-        out[3] = a[12];
-        out[4] = a[1];
-        out[5] = a[5];
-        out[6] = a[9];
-        out[7] = a[13];
-        out[8] = a[2];
-        out[9] = a[6];
-        out[10] = a[10];
-        out[11] = a[14];
-        out[12] = a[3];
-        out[13] = a[7];
-        out[14] = a[11];
-        out[15] = a[15];
-    }
-
-    return out;
-}
-
-/**
- * Inverts a matrix.
- * @param {Float32Array} out - The result matrix
- * @param {Float32Array} a - The matrix to invert
- */
-function mat4_invert(out, a) {
-    const a00 = a[0],
-        a01 = a[1],
-        a02 = a[2],
-        a03 = a[3];
-    const a10 = a[4],
-        a11 = a[5],
-        a12 = a[6],
-        a13 = a[7];
-    const a20 = a[8],
-        a21 = a[9],
-        a22 = a[10],
-        a23 = a[11];
-    const a30 = a[12],
-        a31 = a[13],
-        a32 = a[14],
-        a33 = a[15];
-
-    const b00 = a00 * a11 - a01 * a10;
-    const b01 = a00 * a12 - a02 * a10;
-    const b02 = a00 * a13 - a03 * a10;
-    const b03 = a01 * a12 - a02 * a11;
-    const b04 = a01 * a13 - a03 * a11;
-    const b05 = a02 * a13 - a03 * a12;
-    const b06 = a20 * a31 - a21 * a30;
-    const b07 = a20 * a32 - a22 * a30;
-    const b08 = a20 * a33 - a23 * a30;
-    const b09 = a21 * a32 - a22 * a31;
-    const b10 = a21 * a33 - a23 * a31;
-    const b11 = a22 * a33 - a23 * a32;
-
-    // Calculate determinant
-    let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
-
-    if (!det) {
-        return null;
-    }
-
-    det = 1.0 / det;
-
-    out[0] = (a11 * b11 - a12 * b10 + a13 * b09) * det;
-    out[1] = (a02 * b10 - a01 * b11 - a03 * b09) * det;
-    out[2] = (a31 * b05 - a32 * b04 + a33 * b03) * det;
-    out[3] = (a22 * b04 - a21 * b05 - a23 * b03) * det;
-    out[4] = (a12 * b08 - a10 * b11 - a13 * b07) * det;
-    out[5] = (a00 * b11 - a02 * b08 + a03 * b07) * det;
-    out[6] = (a32 * b02 - a30 * b05 - a33 * b01) * det;
-    out[7] = (a20 * b05 - a22 * b02 + a23 * b01) * det;
-    out[8] = (a10 * b10 - a11 * b08 + a13 * b06) * det;
-    out[9] = (a01 * b08 - a00 * b10 - a03 * b06) * det;
-    out[10] = (a30 * b04 - a31 * b02 + a33 * b00) * det;
-    out[11] = (a21 * b02 - a20 * b04 - a23 * b00) * det;
-    out[12] = (a11 * b07 - a10 * b09 - a12 * b06) * det;
-    out[13] = (a00 * b09 - a01 * b07 + a02 * b06) * det;
-    out[14] = (a31 * b01 - a30 * b03 - a32 * b00) * det;
-    out[15] = (a20 * b03 - a21 * b01 + a22 * b00) * det;
-
-    return out;
-}
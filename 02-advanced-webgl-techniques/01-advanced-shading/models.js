@@ -40,14 +40,14 @@ function createSphere(radius = 1.0, latitudeBands = 32, longitudeBands = 32) {
         }
     }
 
-    // Generate indices
+    // Generate indices, counter-clockwise seen from outside so back-face culling keeps the outside
     for (let lat = 0; lat < latitudeBands; lat++) {
         for (let lon = 0; lon < longitudeBands; lon++) {
             const first = lat * (longitudeBands + 1) + lon;
             const second = first + longitudeBands + 1;
 
-            indices.push(first, second, first + 1);
-            indices.push(second, second + 1, first + 1);
+            indices.push(first, first + 1, second);
+            indices.push(second, first + 1, second + 1);
         }
     }
 
@@ -55,7 +55,7 @@ function createSphere(radius = 1.0, latitudeBands = 32, longitudeBands = 32) {
         positions: new Float32Array(positions),
         normals: new Float32Array(normals),
         texCoords: new Float32Array(texCoords),
-        indices: new Uint16Array(indices),
+        indices: geometryTools.createIndexArray(indices, positions.length / 3),
     };
 }
 
@@ -282,7 +282,7 @@ function createPlane(width = 2.0, height = 2.0, widthSegments = 1, heightSegment
         positions: new Float32Array(positions),
         normals: new Float32Array(normals),
         texCoords: new Float32Array(texCoords),
-        indices: new Uint16Array(indices),
+        indices: geometryTools.createIndexArray(indices, positions.length / 3),
     };
 }
 
@@ -325,7 +325,7 @@ function createTorus(radius = 1.0, tubeRadius = 0.4, radialSegments = 32, tubula
         }
     }
 
-    // Generate indices
+    // Generate indices, counter-clockwise seen from outside so back-face culling keeps the outside
     for (let j = 1; j <= radialSegments; j++) {
         for (let i = 1; i <= tubularSegments; i++) {
             const a = (tubularSegments + 1) * j + i - 1;
@@ -333,8 +333,8 @@ function createTorus(radius = 1.0, tubeRadius = 0.4, radialSegments = 32, tubula
             const c = (tubularSegments + 1) * (j - 1) + i;
             const d = (tubularSegments + 1) * j + i;
 
-            indices.push(a, b, d);
-            indices.push(b, c, d);
+            indices.push(a, d, b);
+            indices.push(b, d, c);
         }
     }
 
@@ -342,6 +342,668 @@ function createTorus(radius = 1.0, tubeRadius = 0.4, radialSegments = 32, tubula
         positions: new Float32Array(positions),
         normals: new Float32Array(normals),
         texCoords: new Float32Array(texCoords),
-        indices: new Uint16Array(indices),
+        indices: geometryTools.createIndexArray(indices, positions.length / 3),
     };
 }
+
+/**
+ * Creates a cylinder geometry along the Y axis, centered at the origin
+ * @param {number} radiusTop - Radius at the top (0 gives a cone)
+ * @param {number} radiusBottom - Radius at the bottom
+ * @param {number} height - Height of the cylinder
+ * @param {number} radialSegments - Number of segments around the axis
+ * @param {number} heightSegments - Number of segments along the axis
+ * @param {boolean} capped - Whether to close the ends with discs
+ * @param {string} capUVLayout - 'planar' or 'radial' texture coordinates for the caps (see createDisc)
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createCylinder(
+    radiusTop = 1.0,
+    radiusBottom = 1.0,
+    height = 2.0,
+    radialSegments = 32,
+    heightSegments = 1,
+    capped = true,
+    capUVLayout = 'planar'
+) {
+    const builder = createGeometryBuilder();
+    const halfHeight = height / 2;
+
+    // Side normals lean outwards when the radius shrinks towards the top
+    const slopeLength = Math.sqrt(height * height + (radiusBottom - radiusTop) * (radiusBottom - radiusTop));
+    const normalRadial = height / slopeLength;
+    const normalY = (radiusBottom - radiusTop) / slopeLength;
+
+    const profile = [];
+    for (let y = 0; y <= heightSegments; y++) {
+        const v = y / heightSegments;
+        profile.push({
+            radius: radiusBottom + (radiusTop - radiusBottom) * v,
+            y: -halfHeight + height * v,
+            normalRadial: normalRadial,
+            normalY: normalY,
+            v: v,
+        });
+    }
+    appendLathe(builder, profile, radialSegments);
+
+    if (capped) {
+        if (radiusTop > 0) {
+            appendDisc(builder, 0, radiusTop, halfHeight, 1, radialSegments, 1, capUVLayout);
+        }
+        if (radiusBottom > 0) {
+            appendDisc(builder, 0, radiusBottom, -halfHeight, -1, radialSegments, 1, capUVLayout);
+        }
+    }
+
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates a cone geometry along the Y axis with its tip at the top
+ * @param {number} radius - Radius of the base
+ * @param {number} height - Height of the cone
+ * @param {number} radialSegments - Number of segments around the axis
+ * @param {number} heightSegments - Number of segments along the axis
+ * @param {boolean} capped - Whether to close the base with a disc
+ * @param {string} capUVLayout - 'planar' or 'radial' texture coordinates for the base
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createCone(
+    radius = 1.0,
+    height = 2.0,
+    radialSegments = 32,
+    heightSegments = 1,
+    capped = true,
+    capUVLayout = 'planar'
+) {
+    return createCylinder(0, radius, height, radialSegments, heightSegments, capped, capUVLayout);
+}
+
+/**
+ * Creates a capsule geometry (a cylinder with hemispherical ends) along the Y axis
+ * @param {number} radius - Radius of the cylinder and the hemispheres
+ * @param {number} length - Length of the straight middle section
+ * @param {number} radialSegments - Number of segments around the axis
+ * @param {number} capSegments - Number of latitude bands in each hemisphere
+ * @param {number} heightSegments - Number of segments along the middle section
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createCapsule(radius = 0.5, length = 1.0, radialSegments = 32, capSegments = 8, heightSegments = 1) {
+    const builder = createGeometryBuilder();
+    const halfLength = length / 2;
+    const profile = [];
+
+    // v runs along the surface from the bottom pole to the top pole, so the texture is not stretched
+    const capArc = (Math.PI / 2) * radius;
+    const totalLength = 2 * capArc + length;
+
+    // Bottom hemisphere, from the pole up to the equator
+    for (let i = 0; i <= capSegments; i++) {
+        const angle = -Math.PI / 2 + (i / capSegments) * (Math.PI / 2);
+        profile.push({
+            radius: radius * Math.cos(angle),
+            y: -halfLength + radius * Math.sin(angle),
+            normalRadial: Math.cos(angle),
+            normalY: Math.sin(angle),
+            v: ((i / capSegments) * capArc) / totalLength,
+        });
+    }
+
+    // Straight middle section
+    for (let i = 1; i <= heightSegments; i++) {
+        profile.push({
+            radius: radius,
+            y: -halfLength + (i / heightSegments) * length,
+            normalRadial: 1,
+            normalY: 0,
+            v: (capArc + (i / heightSegments) * length) / totalLength,
+        });
+    }
+
+    // Top hemisphere, from the equator up to the pole
+    for (let i = 1; i <= capSegments; i++) {
+        const angle = (i / capSegments) * (Math.PI / 2);
+        profile.push({
+            radius: radius * Math.cos(angle),
+            y: halfLength + radius * Math.sin(angle),
+            normalRadial: Math.cos(angle),
+            normalY: Math.sin(angle),
+            v: (capArc + length + (i / capSegments) * capArc) / totalLength,
+        });
+    }
+
+    appendLathe(builder, profile, radialSegments);
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates an icosphere geometry (a subdivided icosahedron with evenly sized triangles)
+ * @param {number} radius - Radius of the sphere
+ * @param {number} subdivisions - Number of times each triangle is split into four
+ * @param {string} uvLayout - 'equirectangular' (longitude/latitude, seam vertices are duplicated)
+ *                            or 'none' (all texture coordinates are 0)
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createIcosphere(radius = 1.0, subdivisions = 2, uvLayout = 'equirectangular') {
+    const t = (1 + Math.sqrt(5)) / 2;
+    let vertices = [
+        [-1, t, 0],
+        [1, t, 0],
+        [-1, -t, 0],
+        [1, -t, 0],
+        [0, -1, t],
+        [0, 1, t],
+        [0, -1, -t],
+        [0, 1, -t],
+        [t, 0, -1],
+        [t, 0, 1],
+        [-t, 0, -1],
+        [-t, 0, 1],
+    ].map(vectorNormalize);
+
+    let faces = [
+        [0, 11, 5],
+        [0, 5, 1],
+        [0, 1, 7],
+        [0, 7, 10],
+        [0, 10, 11],
+        [1, 5, 9],
+        [5, 11, 4],
+        [11, 10, 2],
+        [10, 7, 6],
+        [7, 1, 8],
+        [3, 9, 4],
+        [3, 4, 2],
+        [3, 2, 6],
+        [3, 6, 8],
+        [3, 8, 9],
+        [4, 9, 5],
+        [2, 4, 11],
+        [6, 2, 10],
+        [8, 6, 7],
+        [9, 8, 1],
+    ];
+
+    // Split every triangle into four, sharing the midpoint of each edge between neighbors
+    for (let level = 0; level < subdivisions; level++) {
+        const midpoints = new Map();
+        const nextFaces = [];
+
+        const midpoint = (a, b) => {
+            const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+            if (!midpoints.has(key)) {
+                const va = vertices[a];
+                const vb = vertices[b];
+                vertices.push(vectorNormalize([(va[0] + vb[0]) / 2, (va[1] + vb[1]) / 2, (va[2] + vb[2]) / 2]));
+                midpoints.set(key, vertices.length - 1);
+            }
+            return midpoints.get(key);
+        };
+
+        faces.forEach(([a, b, c]) => {
+            const ab = midpoint(a, b);
+            const bc = midpoint(b, c);
+            const ca = midpoint(c, a);
+            nextFaces.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+        });
+
+        faces = nextFaces;
+    }
+
+    const builder = createGeometryBuilder();
+
+    if (uvLayout !== 'equirectangular') {
+        vertices.forEach((n) =>
+            addVertex(builder, n[0] * radius, n[1] * radius, n[2] * radius, n[0], n[1], n[2], 0, 0)
+        );
+        faces.forEach((face) => builder.indices.push(face[0], face[1], face[2]));
+        return buildGeometry(builder);
+    }
+
+    // Same mapping as createSphere: u wraps around the Y axis, v runs from the south to the north pole
+    const uvOf = (n) => [1 - (Math.atan2(n[2], n[0]) / (2 * Math.PI) + 0.5), Math.acos(-n[1]) / Math.PI];
+
+    faces.forEach((face) => {
+        const uvs = face.map((i) => uvOf(vertices[i]));
+
+        // Triangles crossing the seam get their small u values moved past 1
+        const maxU = Math.max(uvs[0][0], uvs[1][0], uvs[2][0]);
+        uvs.forEach((uv) => {
+            if (maxU - uv[0] > 0.5) uv[0] += 1;
+        });
+
+        // Pole vertices have no defined u; use the average of the other two corners
+        face.forEach((i, corner) => {
+            if (Math.abs(vertices[i][1]) > 0.999999) {
+                uvs[corner][0] = (uvs[(corner + 1) % 3][0] + uvs[(corner + 2) % 3][0]) / 2;
+            }
+        });
+
+        // Vertices are emitted per triangle; shared ones are welded back below
+        face.forEach((i, corner) => {
+            const n = vertices[i];
+            addVertex(
+                builder,
+                n[0] * radius,
+                n[1] * radius,
+                n[2] * radius,
+                n[0],
+                n[1],
+                n[2],
+                uvs[corner][0],
+                uvs[corner][1]
+            );
+        });
+        const base = builder.positions.length / 3 - 3;
+        builder.indices.push(base, base + 1, base + 2);
+    });
+
+    return buildGeometry(weldByAttributes(builder));
+}
+
+/**
+ * Creates a flat disc in the XZ plane facing +Y
+ * @param {number} radius - Radius of the disc
+ * @param {number} segments - Number of segments around the disc
+ * @param {string} uvLayout - 'planar' (texture projected from above) or 'radial' (u around, v outwards)
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createDisc(radius = 1.0, segments = 32, uvLayout = 'planar') {
+    const builder = createGeometryBuilder();
+    appendDisc(builder, 0, radius, 0, 1, segments, 1, uvLayout);
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates a flat ring in the XZ plane facing +Y
+ * @param {number} innerRadius - Radius of the hole
+ * @param {number} outerRadius - Outer radius of the ring
+ * @param {number} thetaSegments - Number of segments around the ring
+ * @param {number} radialSegments - Number of segments from the inner to the outer edge
+ * @param {string} uvLayout - 'planar' (texture projected from above) or 'radial' (u around, v outwards)
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createRing(innerRadius = 0.5, outerRadius = 1.0, thetaSegments = 32, radialSegments = 1, uvLayout = 'planar') {
+    const builder = createGeometryBuilder();
+    appendDisc(builder, innerRadius, outerRadius, 0, 1, thetaSegments, radialSegments, uvLayout);
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates an arrow pointing along +Y, starting at the origin (useful for axes and direction gizmos)
+ * @param {number} length - Total length including the head
+ * @param {number} shaftRadius - Radius of the shaft
+ * @param {number} headRadius - Radius of the base of the head
+ * @param {number} headLength - Length of the head
+ * @param {number} radialSegments - Number of segments around the axis
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createArrow(length = 1.0, shaftRadius = 0.03, headRadius = 0.08, headLength = 0.2, radialSegments = 16) {
+    const builder = createGeometryBuilder();
+    const shaftLength = Math.max(length - headLength, 0);
+
+    // Shaft: a plain cylinder with a bottom cap
+    appendLathe(
+        builder,
+        [
+            { radius: shaftRadius, y: 0, normalRadial: 1, normalY: 0, v: 0 },
+            { radius: shaftRadius, y: shaftLength, normalRadial: 1, normalY: 0, v: shaftLength / length },
+        ],
+        radialSegments
+    );
+    appendDisc(builder, 0, shaftRadius, 0, -1, radialSegments, 1, 'planar');
+
+    // Head: a cone whose base covers the top of the shaft
+    const slopeLength = Math.sqrt(headLength * headLength + headRadius * headRadius);
+    appendLathe(
+        builder,
+        [
+            {
+                radius: headRadius,
+                y: shaftLength,
+                normalRadial: headLength / slopeLength,
+                normalY: headRadius / slopeLength,
+                v: shaftLength / length,
+            },
+            { radius: 0, y: length, normalRadial: headLength / slopeLength, normalY: headRadius / slopeLength, v: 1 },
+        ],
+        radialSegments
+    );
+    appendDisc(builder, 0, headRadius, shaftLength, -1, radialSegments, 1, 'planar');
+
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates a grid of lines in the XZ plane, to be drawn with gl.LINES
+ * @param {number} size - Width and depth of the grid
+ * @param {number} divisions - Number of cells along each side
+ * @returns {Object} Object containing positions, normals, texture coordinates, and line indices
+ */
+function createGridLines(size = 10.0, divisions = 10) {
+    const builder = createGeometryBuilder();
+    const half = size / 2;
+
+    for (let i = 0; i <= divisions; i++) {
+        const t = i / divisions;
+        const offset = -half + size * t;
+
+        // Line parallel to X, then line parallel to Z
+        addVertex(builder, -half, 0, offset, 0, 1, 0, 0, t);
+        addVertex(builder, half, 0, offset, 0, 1, 0, 1, t);
+        addVertex(builder, offset, 0, -half, 0, 1, 0, t, 0);
+        addVertex(builder, offset, 0, half, 0, 1, 0, t, 1);
+
+        const base = i * 4;
+        builder.indices.push(base, base + 1, base + 2, base + 3);
+    }
+
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates a (p, q) torus knot: a tube wound p times around the axis and q times through the hole
+ * @param {number} radius - Radius of the knot path
+ * @param {number} tubeRadius - Radius of the tube
+ * @param {number} tubularSegments - Number of segments along the knot
+ * @param {number} radialSegments - Number of segments around the tube
+ * @param {number} p - Number of windings around the axis of symmetry
+ * @param {number} q - Number of windings around the interior of the torus
+ * @returns {Object} Object containing positions, normals, texture coordinates, and indices
+ */
+function createTorusKnot(radius = 1.0, tubeRadius = 0.3, tubularSegments = 128, radialSegments = 16, p = 2, q = 3) {
+    const builder = createGeometryBuilder();
+
+    const knotPoint = (u) => {
+        const quOverP = (q / p) * u;
+        const cs = Math.cos(quOverP);
+        return [
+            radius * (2 + cs) * 0.5 * Math.cos(u),
+            radius * (2 + cs) * 0.5 * Math.sin(u),
+            radius * Math.sin(quOverP) * 0.5,
+        ];
+    };
+
+    for (let i = 0; i <= tubularSegments; i++) {
+        const u = (i / tubularSegments) * p * Math.PI * 2;
+
+        // Build a frame along the curve from two nearby points
+        const p1 = knotPoint(u);
+        const p2 = knotPoint(u + 0.01);
+        const tangent = [p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]];
+        const sum = [p2[0] + p1[0], p2[1] + p1[1], p2[2] + p1[2]];
+        const binormal = vectorNormalize(vectorCross(tangent, sum));
+        const normal = vectorNormalize(vectorCross(binormal, tangent));
+
+        for (let j = 0; j <= radialSegments; j++) {
+            const v = (j / radialSegments) * Math.PI * 2;
+            const cx = -tubeRadius * Math.cos(v);
+            const cy = tubeRadius * Math.sin(v);
+
+            const x = p1[0] + (cx * normal[0] + cy * binormal[0]);
+            const y = p1[1] + (cx * normal[1] + cy * binormal[1]);
+            const z = p1[2] + (cx * normal[2] + cy * binormal[2]);
+            const n = vectorNormalize([x - p1[0], y - p1[1], z - p1[2]]);
+
+            addVertex(builder, x, y, z, n[0], n[1], n[2], i / tubularSegments, j / radialSegments);
+        }
+    }
+
+    for (let i = 1; i <= tubularSegments; i++) {
+        for (let j = 1; j <= radialSegments; j++) {
+            const a = (radialSegments + 1) * (i - 1) + (j - 1);
+            const b = (radialSegments + 1) * i + (j - 1);
+            const c = (radialSegments + 1) * i + j;
+            const d = (radialSegments + 1) * (i - 1) + j;
+
+            builder.indices.push(a, b, d);
+            builder.indices.push(b, c, d);
+        }
+    }
+
+    return buildGeometry(builder);
+}
+
+/**
+ * Creates a box with rounded edges and corners, centered at the origin
+ * @param {number} width - Size along X
+ * @param {number} height - Size along Y
+ * @param {number} depth - Size along Z
+ * @param {number} radius - Radius of the rounded edges (clamped to half the smallest side; 0 gives a sharp box)
+ * @param {number} segments - Number of segments in each rounded edge
+ * @returns {Object} Object containing positions, normals, texture coordinates (0..1 per face), and indices
+ */
+function createRoundedBox(width = 2.0, height = 2.0, depth = 2.0, radius = 0.2, segments = 4) {
+    const builder = createGeometryBuilder();
+    const half = [width / 2, height / 2, depth / 2];
+    radius = Math.max(Math.min(radius, half[0], half[1], half[2]), 0);
+    const inner = [half[0] - radius, half[1] - radius, half[2] - radius];
+
+    // Grid coordinates along one axis: rounded part, flat middle, rounded part. Steps that coincide
+    // (all of a rounded part when the radius is 0, the flat middle when it is half the side) are
+    // skipped, as they would only add zero-area triangles.
+    const axisSteps = (axis) => {
+        const steps = [];
+        const addStep = (value) => {
+            if (steps.length === 0 || value > steps[steps.length - 1]) steps.push(value);
+        };
+        for (let i = 0; i <= segments; i++) addStep(-half[axis] + (radius * i) / segments);
+        for (let i = 0; i <= segments; i++) addStep(inner[axis] + (radius * i) / segments);
+        return steps;
+    };
+
+    // Each face: the axis it faces along, its direction, and the two in-plane axes (u, v)
+    const faces = [
+        { axis: 2, sign: 1, u: 0, v: 1 }, // Front
+        { axis: 2, sign: -1, u: 0, v: 1 }, // Back
+        { axis: 1, sign: 1, u: 0, v: 2 }, // Top
+        { axis: 1, sign: -1, u: 0, v: 2 }, // Bottom
+        { axis: 0, sign: 1, u: 2, v: 1 }, // Right
+        { axis: 0, sign: -1, u: 2, v: 1 }, // Left
+    ];
+
+    faces.forEach((face) => {
+        const uSteps = axisSteps(face.u);
+        const vSteps = axisSteps(face.v);
+        const base = builder.positions.length / 3;
+        const faceNormal = [0, 0, 0];
+        faceNormal[face.axis] = face.sign;
+
+        for (let j = 0; j < vSteps.length; j++) {
+            for (let i = 0; i < uSteps.length; i++) {
+                const point = [0, 0, 0];
+                point[face.axis] = face.sign * half[face.axis];
+                point[face.u] = uSteps[i];
+                point[face.v] = vSteps[j];
+
+                // Push the point out from the inner box so edges and corners become round. Without
+                // rounding the inner box is the box itself, so the point keeps the face normal.
+                const core = point.map((value, k) => Math.min(Math.max(value, -inner[k]), inner[k]));
+                const n =
+                    radius > 0
+                        ? vectorNormalize([point[0] - core[0], point[1] - core[1], point[2] - core[2]])
+                        : faceNormal;
+
+                addVertex(
+                    builder,
+                    core[0] + n[0] * radius,
+                    core[1] + n[1] * radius,
+                    core[2] + n[2] * radius,
+                    n[0],
+                    n[1],
+                    n[2],
+                    (uSteps[i] + half[face.u]) / (2 * half[face.u]),
+                    (vSteps[j] + half[face.v]) / (2 * half[face.v])
+                );
+            }
+        }
+
+        const rowLength = uSteps.length;
+        for (let j = 0; j < vSteps.length - 1; j++) {
+            for (let i = 0; i < rowLength - 1; i++) {
+                const a = base + j * rowLength + i;
+                const b = a + 1;
+                const c = a + rowLength + 1;
+                const d = a + rowLength;
+
+                pushQuad(builder, a, b, c, d, face);
+            }
+        }
+    });
+
+    return buildGeometry(builder);
+}
+
+// Geometry building helpers shared by the generators above
+
+function createGeometryBuilder() {
+    return { positions: [], normals: [], texCoords: [], indices: [] };
+}
+
+function addVertex(builder, x, y, z, nx, ny, nz, u, v) {
+    builder.positions.push(x, y, z);
+    builder.normals.push(nx, ny, nz);
+    builder.texCoords.push(u, v);
+}
+
+function buildGeometry(builder) {
+    return {
+        positions: new Float32Array(builder.positions),
+        normals: new Float32Array(builder.normals),
+        texCoords: new Float32Array(builder.texCoords),
+        indices: geometryTools.createIndexArray(builder.indices, builder.positions.length / 3),
+    };
+}
+
+// Revolve a profile of { radius, y, normalRadial, normalY, v } points (bottom to top) around the Y axis
+function appendLathe(builder, profile, radialSegments) {
+    const base = builder.positions.length / 3;
+
+    profile.forEach((point) => {
+        for (let i = 0; i <= radialSegments; i++) {
+            const u = i / radialSegments;
+            const theta = u * Math.PI * 2;
+            const sin = Math.sin(theta);
+            const cos = Math.cos(theta);
+
+            addVertex(
+                builder,
+                point.radius * sin,
+                point.y,
+                point.radius * cos,
+                point.normalRadial * sin,
+                point.normalY,
+                point.normalRadial * cos,
+                u,
+                point.v
+            );
+        }
+    });
+
+    for (let j = 0; j < profile.length - 1; j++) {
+        for (let i = 0; i < radialSegments; i++) {
+            const a = base + j * (radialSegments + 1) + i;
+            const b = a + 1;
+            const c = a + radialSegments + 2;
+            const d = a + radialSegments + 1;
+
+            // Rows with zero radius (poles, cone tips) only need one triangle per segment
+            if (profile[j].radius > 1e-6) builder.indices.push(a, b, d);
+            if (profile[j + 1].radius > 1e-6) builder.indices.push(b, c, d);
+        }
+    }
+}
+
+// Flat disc or ring at height y facing +Y (facing = 1) or -Y (facing = -1)
+function appendDisc(builder, innerRadius, outerRadius, y, facing, thetaSegments, radialSegments, uvLayout) {
+    const base = builder.positions.length / 3;
+
+    for (let j = 0; j <= radialSegments; j++) {
+        const r = innerRadius + ((outerRadius - innerRadius) * j) / radialSegments;
+
+        for (let i = 0; i <= thetaSegments; i++) {
+            const theta = (i / thetaSegments) * Math.PI * 2;
+            const x = r * Math.sin(theta);
+            const z = r * Math.cos(theta);
+
+            let u, v;
+            if (uvLayout === 'radial') {
+                u = i / thetaSegments;
+                v = j / radialSegments;
+            } else {
+                // Seen from the side the disc faces, so the texture is never mirrored
+                u = 0.5 + x / (2 * outerRadius);
+                v = 0.5 - (facing * z) / (2 * outerRadius);
+            }
+
+            addVertex(builder, x, y, z, 0, facing, 0, u, v);
+        }
+    }
+
+    for (let j = 0; j < radialSegments; j++) {
+        for (let i = 0; i < thetaSegments; i++) {
+            const a = base + j * (thetaSegments + 1) + i;
+            const b = a + 1;
+            const c = a + thetaSegments + 2;
+            const d = a + thetaSegments + 1;
+
+            // Skip the triangles that collapse into the center of a full disc
+            if (facing > 0) {
+                if (j > 0 || innerRadius > 0) builder.indices.push(a, d, b);
+                builder.indices.push(b, d, c);
+            } else {
+                if (j > 0 || innerRadius > 0) builder.indices.push(a, b, d);
+                builder.indices.push(b, c, d);
+            }
+        }
+    }
+}
+
+// Two triangles for a grid cell, wound counter-clockwise as seen from outside the face
+function pushQuad(builder, a, b, c, d, face) {
+    // u x v points along +axis when (u, v, axis) is a cyclic order of (x, y, z)
+    const uvCrossSign = (face.u + 1) % 3 === face.v ? 1 : -1;
+
+    if (face.sign * uvCrossSign > 0) {
+        builder.indices.push(a, b, c, a, c, d);
+    } else {
+        builder.indices.push(a, c, b, a, d, c);
+    }
+}
+
+// Merge vertices that are identical in every attribute (used after per-triangle emission)
+function weldByAttributes(builder) {
+    const welded = createGeometryBuilder();
+    const lookup = new Map();
+    const remap = [];
+
+    for (let i = 0; i < builder.positions.length / 3; i++) {
+        const key = [
+            builder.positions[i * 3],
+            builder.positions[i * 3 + 1],
+            builder.positions[i * 3 + 2],
+            builder.texCoords[i * 2],
+            builder.texCoords[i * 2 + 1],
+        ].join(',');
+
+        if (!lookup.has(key)) {
+            lookup.set(key, welded.positions.length / 3);
+            addVertex(
+                welded,
+                builder.positions[i * 3],
+                builder.positions[i * 3 + 1],
+                builder.positions[i * 3 + 2],
+                builder.normals[i * 3],
+                builder.normals[i * 3 + 1],
+                builder.normals[i * 3 + 2],
+                builder.texCoords[i * 2],
+                builder.texCoords[i * 2 + 1]
+            );
+        }
+        remap.push(lookup.get(key));
+    }
+
+    welded.indices = builder.indices.map((index) => remap[index]);
+    return welded;
+}
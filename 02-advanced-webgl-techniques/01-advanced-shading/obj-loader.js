@@ -0,0 +1,423 @@
+// Wavefront OBJ and MTL parsing
+// Both parsers work on strings, so they can run without a browser or a GL context.
+
+/**
+ * Parses a Wavefront OBJ file into the geometry shape used by models.js
+ *
+ * Supports v/vt/vn, faces in any of the forms v, v/vt, v//vn and v/vt/vn (mixed freely,
+ * negative indices allowed), polygons with any number of corners, o/g groups, usemtl and
+ * s smoothing groups. Faces without vn get generated normals: smooth within their smoothing
+ * group, flat when smoothing is off.
+ *
+ * @param {string} text - Contents of the .obj file
+ * @returns {Object} Object containing positions, normals, texCoords, tangents and indices, plus
+ *                   groups ({ name, material, start, count } index ranges) and materialLibraries
+ */
+function parseOBJ(text) {
+    const objPositions = [];
+    const objTexCoords = [];
+    const objNormals = [];
+
+    const vertices = []; // Output vertices: { position, texCoord, normal, smoothKey }
+    const vertexLookup = new Map();
+    const indices = [];
+    const groups = [];
+    const materialLibraries = [];
+
+    let groupName = 'default';
+    let material = null;
+    let smoothingGroup = 0;
+    let currentGroup = null;
+    let faceCount = 0;
+
+    // OBJ indices are 1-based; negative ones count back from the latest element
+    const resolveIndex = (token, count) => {
+        if (token === undefined || token === '') return -1;
+        const index = parseInt(token, 10);
+        return index < 0 ? count + index : index - 1;
+    };
+
+    const startGroup = () => {
+        currentGroup = null;
+    };
+
+    const lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') continue;
+
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+
+        switch (keyword) {
+            case 'v':
+                objPositions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+
+            case 'vt':
+                objTexCoords.push([parseFloat(parts[1]), parts.length > 2 ? parseFloat(parts[2]) : 0]);
+                break;
+
+            case 'vn':
+                objNormals.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+
+            case 'f': {
+                if (!currentGroup) {
+                    currentGroup = { name: groupName, material: material, start: indices.length, count: 0 };
+                    groups.push(currentGroup);
+                }
+
+                const corners = parts.slice(1).map((corner) => {
+                    const [v, vt, vn] = corner.split('/');
+                    return {
+                        position: resolveIndex(v, objPositions.length),
+                        texCoord: resolveIndex(vt, objTexCoords.length),
+                        normal: resolveIndex(vn, objNormals.length),
+                    };
+                });
+
+                if (corners.length < 3) break;
+
+                const faceIndices = corners.map((corner) => {
+                    // Without an explicit normal, vertices are only shared inside a smoothing group
+                    let smoothKey = null;
+                    if (corner.normal < 0) {
+                        smoothKey = smoothingGroup > 0 ? `s${smoothingGroup}/${corner.position}` : `f${faceCount}`;
+                    }
+
+                    const key = `${corner.position}/${corner.texCoord}/${corner.normal}/${smoothKey}`;
+                    if (!vertexLookup.has(key)) {
+                        vertexLookup.set(key, vertices.length);
+                        vertices.push({
+                            position: corner.position,
+                            texCoord: corner.texCoord,
+                            normal: corner.normal,
+                            smoothKey: smoothKey,
+                        });
+                    }
+                    return vertexLookup.get(key);
+                });
+
+                const polygon = corners.map((corner) => objPositions[corner.position]);
+                triangulatePolygon(polygon).forEach(([a, b, c]) => {
+                    indices.push(faceIndices[a], faceIndices[b], faceIndices[c]);
+                    currentGroup.count += 3;
+                });
+
+                faceCount++;
+                break;
+            }
+
+            case 'o':
+            case 'g':
+                groupName = parts.slice(1).join(' ') || 'default';
+                startGroup();
+                break;
+
+            case 'usemtl':
+                material = parts.slice(1).join(' ');
+                startGroup();
+                break;
+
+            case 's':
+                smoothingGroup = parts[1] === 'off' ? 0 : parseInt(parts[1], 10) || 0;
+                break;
+
+            case 'mtllib':
+                materialLibraries.push(...parts.slice(1));
+                break;
+
+            default:
+                // Ignore unsupported statements (curves, lines, points, ...)
+                break;
+        }
+    }
+
+    const positions = new Float32Array(vertices.length * 3);
+    const normals = new Float32Array(vertices.length * 3);
+    const texCoords = new Float32Array(vertices.length * 2);
+
+    vertices.forEach((vertex, i) => {
+        const p = objPositions[vertex.position];
+        positions.set(p, i * 3);
+
+        if (vertex.texCoord >= 0) {
+            texCoords.set(objTexCoords[vertex.texCoord], i * 2);
+        }
+
+        if (vertex.normal >= 0) {
+            normals.set(vectorNormalize(objNormals[vertex.normal]), i * 3);
+        }
+    });
+
+    generateMissingNormals(vertices, positions, normals, indices);
+
+    return generateTangents({
+        positions: positions,
+        normals: normals,
+        texCoords: texCoords,
+        indices: geometryTools.createIndexArray(indices, vertices.length),
+        groups: groups.filter((group) => group.count > 0),
+        materialLibraries: materialLibraries,
+    });
+}
+
+/**
+ * Fills in normals for vertices that had no vn, by averaging the normals of the faces that
+ * share the same smoothing key, weighted by the corner angle so the result does not depend
+ * on how polygons were triangulated
+ * @param {Array<Object>} vertices - Output vertices with their smoothKey
+ * @param {Float32Array} positions - Vertex positions (x,y,z triplets)
+ * @param {Float32Array} normals - Vertex normals, updated in place
+ * @param {Array<number>} indices - Triangle indices
+ */
+function generateMissingNormals(vertices, positions, normals, indices) {
+    const sums = new Map();
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const corners = [indices[i], indices[i + 1], indices[i + 2]];
+        if (corners.every((index) => vertices[index].smoothKey === null)) continue;
+
+        const p = corners.map((index) => positions.subarray(index * 3, index * 3 + 3));
+        const faceNormal = vectorNormalize(vectorCross(vectorSubtract(p[1], p[0]), vectorSubtract(p[2], p[0])));
+
+        corners.forEach((index, k) => {
+            const key = vertices[index].smoothKey;
+            if (key === null) return;
+
+            const a = vectorNormalize(vectorSubtract(p[(k + 1) % 3], p[k]));
+            const b = vectorNormalize(vectorSubtract(p[(k + 2) % 3], p[k]));
+            const angle = Math.acos(Math.min(Math.max(vectorDot(a, b), -1), 1));
+
+            const sum = sums.get(key) || [0, 0, 0];
+            sums.set(key, vectorAdd(sum, vectorScale(faceNormal, angle)));
+        });
+    }
+
+    vertices.forEach((vertex, i) => {
+        if (vertex.smoothKey !== null) {
+            normals.set(vectorNormalize(sums.get(vertex.smoothKey) || [0, 1, 0]), i * 3);
+        }
+    });
+}
+
+/**
+ * Splits a polygon into triangles by ear clipping, so concave faces are handled too
+ * @param {Array<Array<number>>} polygon - Corner positions in order
+ * @returns {Array<Array<number>>} Triangles as triplets of corner indices
+ */
+function triangulatePolygon(polygon) {
+    if (polygon.length === 3) return [[0, 1, 2]];
+
+    // Polygon normal (Newell's method) decides which plane to project onto
+    let normal = [0, 0, 0];
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        normal = vectorAdd(normal, [
+            (a[1] - b[1]) * (a[2] + b[2]),
+            (a[2] - b[2]) * (a[0] + b[0]),
+            (a[0] - b[0]) * (a[1] + b[1]),
+        ]);
+    }
+
+    // Drop the dominant axis; swap the other two if needed to keep counter-clockwise order in 2D
+    const abs = normal.map(Math.abs);
+    const drop = abs[0] > abs[1] && abs[0] > abs[2] ? 0 : abs[1] > abs[2] ? 1 : 2;
+    let axisU = (drop + 1) % 3;
+    let axisV = (drop + 2) % 3;
+    if (normal[drop] < 0) [axisU, axisV] = [axisV, axisU];
+
+    const points = polygon.map((p) => [p[axisU], p[axisV]]);
+    const remaining = polygon.map((p, i) => i);
+    const triangles = [];
+
+    const cross2 = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+    const isEar = (prev, current, next) => {
+        const a = points[prev];
+        const b = points[current];
+        const c = points[next];
+        if (cross2(a, b, c) <= 0) return false; // Reflex corner
+
+        return remaining.every((index) => {
+            if (index === prev || index === current || index === next) return true;
+            const p = points[index];
+            return !(cross2(a, b, p) >= 0 && cross2(b, c, p) >= 0 && cross2(c, a, p) >= 0);
+        });
+    };
+
+    while (remaining.length > 3) {
+        let clipped = false;
+
+        for (let i = 0; i < remaining.length; i++) {
+            const prev = remaining[(i + remaining.length - 1) % remaining.length];
+            const current = remaining[i];
+            const next = remaining[(i + 1) % remaining.length];
+
+            if (isEar(prev, current, next)) {
+                triangles.push([prev, current, next]);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+        }
+
+        // Degenerate or self-intersecting polygon: fan the rest
+        if (!clipped) {
+            for (let i = 1; i < remaining.length - 1; i++) {
+                triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+            }
+            return triangles;
+        }
+    }
+
+    triangles.push([remaining[0], remaining[1], remaining[2]]);
+    return triangles;
+}
+
+/**
+ * Parses a Wavefront MTL file
+ *
+ * Reads the classic Phong parameters (Ka, Kd, Ks, Ke, Ns, d/Tr, illum), the PBR extension
+ * parameters (Pr, Pm) and texture maps. Map options such as -bm are kept in map.options.
+ *
+ * @param {string} text - Contents of the .mtl file
+ * @returns {Object} Materials keyed by name
+ */
+function parseMTL(text) {
+    const materials = {};
+    let current = null;
+
+    const mapNames = {
+        map_Ka: 'ambient',
+        map_Kd: 'diffuse',
+        map_Ks: 'specular',
+        map_Ke: 'emissive',
+        map_Ns: 'shininess',
+        map_d: 'opacity',
+        map_Pr: 'roughness',
+        map_Pm: 'metallic',
+        map_bump: 'bump',
+        bump: 'bump',
+        norm: 'normal',
+        disp: 'displacement',
+    };
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') continue;
+
+        const parts = line.split(/\s+/);
+        const keyword = parts[0];
+
+        if (keyword === 'newmtl') {
+            const name = parts.slice(1).join(' ');
+            current = {
+                name: name,
+                ambient: [0, 0, 0],
+                diffuse: [0.8, 0.8, 0.8],
+                specular: [0, 0, 0],
+                emissive: [0, 0, 0],
+                shininess: 0,
+                opacity: 1,
+                illum: 2,
+                roughness: null,
+                metallic: null,
+                maps: {},
+            };
+            materials[name] = current;
+            continue;
+        }
+
+        if (!current) continue;
+
+        const color = () => parts.slice(1, 4).map(parseFloat);
+
+        switch (keyword) {
+            case 'Ka':
+                current.ambient = color();
+                break;
+            case 'Kd':
+                current.diffuse = color();
+                break;
+            case 'Ks':
+                current.specular = color();
+                break;
+            case 'Ke':
+                current.emissive = color();
+                break;
+            case 'Ns':
+                current.shininess = parseFloat(parts[1]);
+                break;
+            case 'd':
+                current.opacity = parseFloat(parts[1]);
+                break;
+            case 'Tr':
+                current.opacity = 1 - parseFloat(parts[1]);
+                break;
+            case 'illum':
+                current.illum = parseInt(parts[1], 10);
+                break;
+            case 'Pr':
+                current.roughness = parseFloat(parts[1]);
+                break;
+            case 'Pm':
+                current.metallic = parseFloat(parts[1]);
+                break;
+            default: {
+                const mapName = mapNames[keyword] || mapNames[keyword.toLowerCase()];
+                if (mapName) {
+                    current.maps[mapName] = parseMapStatement(parts.slice(1));
+                }
+                break;
+            }
+        }
+    }
+
+    return materials;
+}
+
+/**
+ * Splits a map statement into its options and file name
+ * @param {Array<string>} args - Tokens after the map keyword, e.g. ['-bm', '0.5', 'bump.png']
+ * @returns {Object} { file, options } where options maps option names to their values
+ */
+function parseMapStatement(args) {
+    // Maximum number of values each option takes; the last token is always the file name
+    const optionArity = {
+        bm: 1,
+        blendu: 1,
+        blendv: 1,
+        boost: 1,
+        cc: 1,
+        clamp: 1,
+        imfchan: 1,
+        mm: 2,
+        o: 3,
+        s: 3,
+        t: 3,
+        texres: 1,
+    };
+    const options = {};
+    let i = 0;
+
+    while (i < args.length - 1 && args[i].startsWith('-')) {
+        const name = args[i].slice(1);
+        const arity = optionArity[name] || 0;
+        const values = [];
+        i++;
+
+        // -o, -s and -t accept one to three numbers
+        while (values.length < arity && i < args.length - 1 && (values.length === 0 || !isNaN(parseFloat(args[i])))) {
+            values.push(args[i]);
+            i++;
+        }
+
+        options[name] = values.length === 1 ? values[0] : values;
+    }
+
+    return { file: args.slice(i).join(' '), options: options };
+}
@@ -1,4 +1,32 @@
 // GLSL Shader Code
+// Lighting is computed in linear space: color textures are uploaded as sRGB (SRGB8_ALPHA8), so
+// sampling them returns linear values, while normal, roughness, metallic and AO maps are linear
+// data. Every fragment shader ends with the shared output transform below.
+
+// Output transform: exposure, tone mapping and the linear -> sRGB encode for the (non-sRGB) canvas
+const outputTransformShaderChunk = `
+uniform float uExposure;   // Linear multiplier (2^EV)
+uniform int uToneMapping;  // 0: none (clamp), 1: Reinhard, 2: ACES filmic (Narkowicz fit)
+
+vec3 linearToSrgb(vec3 color) {
+    color = clamp(color, 0.0, 1.0);
+    vec3 low = color * 12.92;
+    vec3 high = 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055;
+    return mix(low, high, step(vec3(0.0031308), color));
+}
+
+vec3 outputTransform(vec3 color) {
+    color *= uExposure;
+
+    if (uToneMapping == 1) {
+        color = color / (color + vec3(1.0));
+    } else if (uToneMapping == 2) {
+        color = (color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14);
+    }
+
+    return linearToSrgb(color);
+}
+`;
 
 // Basic Phong Shading
 const basicVertexShader = `#version 300 es
@@ -52,7 +80,7 @@ uniform sampler2D uDiffuseMap;
 
 // Output
 out vec4 fragColor;
-
+${outputTransformShaderChunk}
 void main() {
     // Spot pattern
     float gridSize = 10.0;                // 10 spots across each texture coordinate axis
@@ -106,7 +134,7 @@ void main() {
     // Combine components
     vec3 result = ambient + (diffuse + specular) * attenuation;
     
-    fragColor = vec4(result, 1.0);
+    fragColor = vec4(outputTransform(result), 1.0);
 }`;
 
 // Normal Mapping Shaders
@@ -117,7 +145,7 @@ precision highp float;
 in vec3 aPosition;
 in vec3 aNormal;
 in vec2 aTexCoord;
-in vec3 aTangent;
+in vec4 aTangent; // xyz: tangent, w: handedness of the bitangent
 
 // Uniforms
 uniform mat4 uModelMatrix;
@@ -140,11 +168,11 @@ void main() {
     
     // Calculate TBN matrix for normal mapping
     vec3 N = normalize(mat3(uNormalMatrix) * aNormal);
-    vec3 T = normalize(mat3(uNormalMatrix) * aTangent);
+    vec3 T = normalize(mat3(uNormalMatrix) * aTangent.xyz);
     // Re-orthogonalize T with respect to N
     T = normalize(T - dot(T, N) * N);
-    // Calculate bitangent
-    vec3 B = cross(N, T);
+    // Calculate bitangent (flipped where the UVs are mirrored)
+    vec3 B = cross(N, T) * aTangent.w;
     
     // Create TBN matrix
     vTBN = mat3(T, B, N);
@@ -171,7 +199,7 @@ uniform sampler2D uNormalMap;
 
 // Output
 out vec4 fragColor;
-
+${outputTransformShaderChunk}
 void main() {
     // Sample textures
     vec3 textureColor = texture(uDiffuseMap, vTexCoord).rgb;
@@ -185,7 +213,7 @@ void main() {
     float spot = (dist < radius) ? 1.0 : 0.0; // 1.0 inside spot, 0.0 outside
     
     // Modify diffuse color with spots
-    vec3 spotColor = vec3(0.5);           // Medium gray for spots
+    vec3 spotColor = vec3(0.214);         // Medium gray for spots (0.5 in sRGB)
     vec3 diffuseColor = mix(textureColor, spotColor, spot);
     
     // Material properties
@@ -223,7 +251,7 @@ void main() {
     // Combine components
     vec3 result = ambient + (diffuse + specular) * attenuation;
     
-    fragColor = vec4(result, 1.0);
+    fragColor = vec4(outputTransform(result), 1.0);
 }`;
 
 // PBR Shading
@@ -234,6 +262,7 @@ precision highp float;
 in vec3 aPosition;
 in vec3 aNormal;
 in vec2 aTexCoord;
+in vec4 aTangent; // xyz: tangent, w: handedness of the bitangent
 
 // Uniforms
 uniform mat4 uModelMatrix;
@@ -243,16 +272,20 @@ uniform mat4 uNormalMatrix;
 
 // Varyings
 out vec3 vPosition;
-out vec3 vNormal;
 out vec2 vTexCoord;
+out mat3 vTBN;  // Tangent-Bitangent-Normal matrix
 
 void main() {
     // Transform vertex position to world space
     vec4 worldPosition = uModelMatrix * vec4(aPosition, 1.0);
     vPosition = worldPosition.xyz;
     
-    // Transform normal to world space
-    vNormal = mat3(uNormalMatrix) * aNormal;
+    // Build the TBN matrix like the normal mapping shader
+    vec3 N = normalize(mat3(uNormalMatrix) * aNormal);
+    vec3 T = normalize(mat3(uNormalMatrix) * aTangent.xyz);
+    T = normalize(T - dot(T, N) * N);
+    vec3 B = cross(N, T) * aTangent.w;
+    vTBN = mat3(T, B, N);
     
     // Pass through texture coordinates
     vTexCoord = aTexCoord;
@@ -267,8 +300,8 @@ precision highp float;
 
 // Varyings (inputs from vertex shader)
 in vec3 vPosition;
-in vec3 vNormal;
 in vec2 vTexCoord;
+in mat3 vTBN;
 
 // Uniforms
 uniform vec3 uCameraPosition;
@@ -278,10 +311,21 @@ uniform sampler2D uAlbedoMap;
 uniform sampler2D uMetallicMap;
 uniform sampler2D uRoughnessMap;
 uniform sampler2D uAoMap;
+uniform sampler2D uNormalMap;
+uniform sampler2D uEmissiveMap;
+uniform vec4 uBaseColorFactor;
+uniform float uMetallicFactor;
+uniform float uRoughnessFactor;
+uniform float uNormalScale;        // Scales the normal map's tangent-space x and y
+uniform float uOcclusionStrength;  // 0.0 ignores the AO map, 1.0 applies it fully
+uniform vec3 uEmissiveFactor;
+uniform int uAlphaMode;            // 0: opaque, 1: mask (cut at uAlphaCutoff), 2: blend
+uniform float uAlphaCutoff;
+uniform float uSpotPattern; // 1.0 draws the gray spots, 0.0 shows the albedo as is
 
 // Output
 out vec4 fragColor;
-
+${outputTransformShaderChunk}
 const float PI = 3.14159265359;
 
 // PBR functions
@@ -323,7 +367,11 @@ vec3 FresnelSchlick(float cosTheta, vec3 F0) {
 
 void main() {
     // Material properties from textures
-    vec3 albedo = texture(uAlbedoMap, vTexCoord).rgb;
+    vec4 baseColor = texture(uAlbedoMap, vTexCoord) * uBaseColorFactor;
+    vec3 albedo = baseColor.rgb;
+    if (uAlphaMode == 1 && baseColor.a < uAlphaCutoff) {
+        discard;
+    }
     
     // Add gray spots based on texture coordinates
     float gridSize = 10.0;                // Number of spots along each axis
@@ -331,16 +379,24 @@ void main() {
     vec2 grid = fract(scaled);            // Get position within each grid cell
     float dist = length(grid - vec2(0.5)); // Distance from cell center
     float radius = 0.2;                   // Spot radius
-    float spot = dist < radius ? 1.0 : 0.0; // 1.0 if inside spot, 0.0 otherwise
-    vec3 spotColor = vec3(0.5);           // Gray color for spots
+    float spot = dist < radius ? uSpotPattern : 0.0; // 1.0 if inside spot, 0.0 otherwise
+    vec3 spotColor = vec3(0.214);         // Gray color for spots (0.5 in sRGB)
     vec3 finalAlbedo = mix(albedo, spotColor, spot); // Blend original albedo with spot color
 
-    float metallic = texture(uMetallicMap, vTexCoord).r;
-    float roughness = texture(uRoughnessMap, vTexCoord).r;
-    float ao = texture(uAoMap, vTexCoord).r;
+    // Channels follow glTF: metallic in blue, roughness in green (the gray placeholders work either way)
+    float metallic = texture(uMetallicMap, vTexCoord).b * uMetallicFactor;
+    float roughness = texture(uRoughnessMap, vTexCoord).g * uRoughnessFactor;
+    float ao = 1.0 + uOcclusionStrength * (texture(uAoMap, vTexCoord).r - 1.0);
 
-    // Normalize vectors
-    vec3 N = normalize(vNormal);
+    // Normal from the tangent-space normal map
+    vec3 tangentNormal = texture(uNormalMap, vTexCoord).rgb * 2.0 - 1.0;
+    tangentNormal.xy *= uNormalScale;
+    vec3 N = normalize(vTBN * tangentNormal);
+
+    // Back faces are only drawn for double-sided materials, and are lit from their own side
+    if (!gl_FrontFacing) {
+        N = -N;
+    }
     vec3 V = normalize(uCameraPosition - vPosition);
 
     // Calculate reflectance at normal incidence (F0)
@@ -378,13 +434,9 @@ void main() {
     vec3 ambient = vec3(0.03) * finalAlbedo * ao; // Use finalAlbedo here
 
     // Final color
-    vec3 color = ambient + Lo;
-
-    // Tone mapping (HDR to LDR)
-    color = color / (color + vec3(1.0));
-
-    // Gamma correction
-    color = pow(color, vec3(1.0/2.2));
+    vec3 emissive = texture(uEmissiveMap, vTexCoord).rgb * uEmissiveFactor;
+    vec3 color = ambient + Lo + emissive;
 
-    fragColor = vec4(color, 1.0);
+    // Exposure, tone mapping (HDR to LDR) and sRGB encode
+    fragColor = vec4(outputTransform(color), uAlphaMode == 2 ? baseColor.a : 1.0);
 }`;
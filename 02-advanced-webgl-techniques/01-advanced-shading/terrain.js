@@ -0,0 +1,269 @@
+// Heightmap terrain
+// Terrains are createPlane() grids displaced by a heightmap. Normals and tangents come from the
+// heightmap itself rather than from the triangles of one mesh, so neighbouring tiles shade
+// without visible seams.
+
+/**
+ * Creates a heightmap from sampled data or a height function
+ *
+ * Uint8Array (and Uint8ClampedArray) samples are mapped from 0..255 to 0..1; Float32Array
+ * samples are used as they are. Data with several channels per sample (e.g. the RGBA bytes of
+ * an ImageData) uses the first channel. A function is called as source(u, v) with u and v in
+ * [0, 1] and rasterized at the given resolution, e.g.
+ * (u, v) => noise.fbm2(noise.perlin2, u * 4, v * 4, seed) * 0.5 + 0.5
+ *
+ * @param {Uint8Array|Float32Array|Function} source - Row-major samples or a height function
+ * @param {number} columns - Number of samples along X (u)
+ * @param {number} rows - Number of samples along Z (v)
+ * @returns {Object} Object containing columns, rows and heights (Float32Array)
+ */
+function createHeightmap(source, columns, rows) {
+    const count = columns * rows;
+    const heights = new Float32Array(count);
+
+    if (typeof source === 'function') {
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                heights[row * columns + column] = source(
+                    columns > 1 ? column / (columns - 1) : 0,
+                    rows > 1 ? row / (rows - 1) : 0
+                );
+            }
+        }
+        return { columns, rows, heights };
+    }
+
+    const channels = Math.floor(source.length / count);
+    if (channels < 1) {
+        throw new Error(`Heightmap needs ${count} samples, got ${source.length}`);
+    }
+
+    const scale = source instanceof Uint8Array || source instanceof Uint8ClampedArray ? 1 / 255 : 1;
+    for (let i = 0; i < count; i++) {
+        heights[i] = source[i * channels] * scale;
+    }
+
+    return { columns, rows, heights };
+}
+
+/**
+ * Samples a heightmap with bilinear filtering; u and v are clamped to [0, 1]
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {number} u - Horizontal coordinate (along X)
+ * @param {number} v - Vertical coordinate (along Z)
+ * @returns {number} Interpolated height
+ */
+function sampleHeightmap(heightmap, u, v) {
+    const { columns, rows, heights } = heightmap;
+    const x = Math.min(Math.max(u, 0), 1) * (columns - 1);
+    const y = Math.min(Math.max(v, 0), 1) * (rows - 1);
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, columns - 1);
+    const y1 = Math.min(y0 + 1, rows - 1);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const top = heights[y0 * columns + x0] * (1 - fx) + heights[y0 * columns + x1] * fx;
+    const bottom = heights[y1 * columns + x0] * (1 - fx) + heights[y1 * columns + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Creates a terrain from a heightmap, optionally cut into tiles
+ *
+ * The terrain is centered on the origin like createPlane: X spans width, Z spans depth and
+ * heights are heightmap values times heightScale. Texture coordinates run over the whole
+ * terrain, so a texture continues across tiles. Each tile is its own geometry with vec4
+ * tangents; with skirtDepth > 0 its border gets a strip of triangles hanging down by that
+ * much, which hides cracks between tiles drawn at different resolutions.
+ *
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Terrain options
+ * @param {number} options.width - Size along X
+ * @param {number} options.depth - Size along Z
+ * @param {number} options.heightScale - Height of a heightmap value of 1
+ * @param {number} options.segmentsX - Grid cells along X (defaults to one per heightmap texel)
+ * @param {number} options.segmentsZ - Grid cells along Z
+ * @param {number} options.tilesX - Number of tiles along X
+ * @param {number} options.tilesZ - Number of tiles along Z
+ * @param {number} options.skirtDepth - How far tile skirts reach below the surface (0 for none)
+ * @returns {Object} Terrain description for getTerrainHeight, with tiles
+ *                   ([{ geometry, column, row, center }] in row-major order)
+ */
+function createTerrain(heightmap, options = {}) {
+    const { width = 10.0, depth = 10.0, heightScale = 1.0, tilesX = 1, tilesZ = 1, skirtDepth = 0 } = options;
+
+    // Every tile gets the same number of cells, so the grid is rounded to a multiple of the tiles
+    const tileSegmentsX = Math.max(1, Math.round((options.segmentsX || heightmap.columns - 1) / tilesX));
+    const tileSegmentsZ = Math.max(1, Math.round((options.segmentsZ || heightmap.rows - 1) / tilesZ));
+
+    const terrain = {
+        heightmap,
+        width,
+        depth,
+        heightScale,
+        segmentsX: tileSegmentsX * tilesX,
+        segmentsZ: tileSegmentsZ * tilesZ,
+        tiles: [],
+    };
+
+    for (let row = 0; row < tilesZ; row++) {
+        for (let column = 0; column < tilesX; column++) {
+            const geometry = createTerrainTile(
+                terrain,
+                column * tileSegmentsX,
+                row * tileSegmentsZ,
+                tileSegmentsX,
+                tileSegmentsZ,
+                skirtDepth
+            );
+            const center = terrainGridPosition(terrain, (column + 0.5) * tileSegmentsX, (row + 0.5) * tileSegmentsZ);
+
+            terrain.tiles.push({ geometry, column, row, center: [center[0], 0, center[1]] });
+        }
+    }
+
+    return terrain;
+}
+
+/**
+ * Height of the terrain surface at a point, matching the triangles of its mesh exactly,
+ * so objects placed with it sit on the ground. Points outside the terrain are clamped to its edge.
+ * @param {Object} terrain - Terrain from createTerrain
+ * @param {number} x - X coordinate in terrain space
+ * @param {number} z - Z coordinate in terrain space
+ * @returns {number} Surface height (Y)
+ */
+function getTerrainHeight(terrain, x, z) {
+    const { width, depth, segmentsX, segmentsZ } = terrain;
+    const gx = Math.min(Math.max((x / width + 0.5) * segmentsX, 0), segmentsX);
+    const gz = Math.min(Math.max((z / depth + 0.5) * segmentsZ, 0), segmentsZ);
+    const cellX = Math.min(Math.floor(gx), segmentsX - 1);
+    const cellZ = Math.min(Math.floor(gz), segmentsZ - 1);
+    const fx = gx - cellX;
+    const fz = gz - cellZ;
+
+    // createPlane splits each cell along the diagonal from (0, 1) to (1, 0)
+    const h00 = terrainGridHeight(terrain, cellX, cellZ);
+    const h10 = terrainGridHeight(terrain, cellX + 1, cellZ);
+    const h01 = terrainGridHeight(terrain, cellX, cellZ + 1);
+    const h11 = terrainGridHeight(terrain, cellX + 1, cellZ + 1);
+
+    if (fx + fz <= 1) {
+        return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+    }
+    return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+}
+
+/**
+ * Builds the geometry of one tile: a createPlane grid moved into place and displaced,
+ * with an optional skirt around its border
+ * @param {Object} terrain - Terrain being built
+ * @param {number} startX - First grid column of the tile
+ * @param {number} startZ - First grid row of the tile
+ * @param {number} segmentsX - Grid cells of the tile along X
+ * @param {number} segmentsZ - Grid cells of the tile along Z
+ * @param {number} skirtDepth - How far the skirt reaches below the surface (0 for none)
+ * @returns {Object} Object containing positions, normals, texCoords, tangents and indices
+ */
+function createTerrainTile(terrain, startX, startZ, segmentsX, segmentsZ, skirtDepth) {
+    const plane = createPlane(1, 1, segmentsX, segmentsZ);
+    const gridVertexCount = (segmentsX + 1) * (segmentsZ + 1);
+
+    // The skirt duplicates every border vertex
+    const border = [];
+    if (skirtDepth > 0) {
+        for (let x = 0; x < segmentsX; x++) border.push(x);
+        for (let z = 0; z < segmentsZ; z++) border.push(segmentsX + z * (segmentsX + 1));
+        for (let x = segmentsX; x > 0; x--) border.push(x + segmentsZ * (segmentsX + 1));
+        for (let z = segmentsZ; z > 0; z--) border.push(z * (segmentsX + 1));
+    }
+
+    const vertexCount = gridVertexCount + border.length;
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const texCoords = new Float32Array(vertexCount * 2);
+    const tangents = new Float32Array(vertexCount * 4);
+
+    // Positions come from global grid coordinates, so vertices shared by two tiles are identical
+    for (let z = 0; z <= segmentsZ; z++) {
+        for (let x = 0; x <= segmentsX; x++) {
+            const i = z * (segmentsX + 1) + x;
+            const gx = startX + x;
+            const gz = startZ + z;
+            const [px, pz] = terrainGridPosition(terrain, gx, gz);
+
+            positions[i * 3] = px;
+            positions[i * 3 + 1] = terrainGridHeight(terrain, gx, gz);
+            positions[i * 3 + 2] = pz;
+
+            texCoords[i * 2] = gx / terrain.segmentsX;
+            texCoords[i * 2 + 1] = gz / terrain.segmentsZ;
+
+            terrainGridFrame(terrain, gx, gz, normals, tangents, i);
+        }
+    }
+
+    const indices = Array.from(plane.indices);
+
+    // Skirt vertices copy their border vertex, moved down; the loop above runs so that
+    // these triangles face out of the tile
+    border.forEach((vertex, k) => {
+        const skirtVertex = gridVertexCount + k;
+        positions.set(positions.subarray(vertex * 3, vertex * 3 + 3), skirtVertex * 3);
+        positions[skirtVertex * 3 + 1] -= skirtDepth;
+        normals.set(normals.subarray(vertex * 3, vertex * 3 + 3), skirtVertex * 3);
+        texCoords.set(texCoords.subarray(vertex * 2, vertex * 2 + 2), skirtVertex * 2);
+        tangents.set(tangents.subarray(vertex * 4, vertex * 4 + 4), skirtVertex * 4);
+
+        const next = border[(k + 1) % border.length];
+        const nextSkirtVertex = gridVertexCount + ((k + 1) % border.length);
+        indices.push(vertex, next, nextSkirtVertex);
+        indices.push(vertex, nextSkirtVertex, skirtVertex);
+    });
+
+    return {
+        positions,
+        normals,
+        texCoords,
+        tangents,
+        indices: geometryTools.createIndexArray(indices, vertexCount),
+    };
+}
+
+// Terrain-space X and Z of a grid vertex
+function terrainGridPosition(terrain, gx, gz) {
+    return [terrain.width * (gx / terrain.segmentsX - 0.5), terrain.depth * (gz / terrain.segmentsZ - 0.5)];
+}
+
+// Height of a grid vertex; the grid is clamped at the terrain's edges
+function terrainGridHeight(terrain, gx, gz) {
+    const x = Math.min(Math.max(gx, 0), terrain.segmentsX) / terrain.segmentsX;
+    const z = Math.min(Math.max(gz, 0), terrain.segmentsZ) / terrain.segmentsZ;
+    return sampleHeightmap(terrain.heightmap, x, z) * terrain.heightScale;
+}
+
+// Writes the normal and tangent of a grid vertex, from central differences of the heights
+function terrainGridFrame(terrain, gx, gz, normals, tangents, i) {
+    const left = Math.max(gx - 1, 0);
+    const right = Math.min(gx + 1, terrain.segmentsX);
+    const back = Math.max(gz - 1, 0);
+    const front = Math.min(gz + 1, terrain.segmentsZ);
+
+    const dx = ((right - left) * terrain.width) / terrain.segmentsX;
+    const dz = ((front - back) * terrain.depth) / terrain.segmentsZ;
+    const slopeX = (terrainGridHeight(terrain, right, gz) - terrainGridHeight(terrain, left, gz)) / dx;
+    const slopeZ = (terrainGridHeight(terrain, gx, front) - terrainGridHeight(terrain, gx, back)) / dz;
+
+    const n = vectorNormalize([-slopeX, 1, -slopeZ]);
+    normals.set(n, i * 3);
+
+    // u runs along +X; Gram-Schmidt the surface direction against the normal
+    const along = [1, slopeX, 0];
+    const t = vectorNormalize(vectorSubtract(along, vectorScale(n, vectorDot(n, along))));
+    tangents.set(t, i * 4);
+
+    // v runs along +Z, opposite to cross(N, T), so the frame is left-handed
+    tangents[i * 4 + 3] = -1;
+}
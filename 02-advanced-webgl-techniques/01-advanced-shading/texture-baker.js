@@ -0,0 +1,225 @@
+// Texture baking from height data
+// Turns a heightmap (from createHeightmap in terrain.js, procedural or read from image pixels)
+// into normal, curvature, roughness and ambient occlusion maps. Everything runs on the CPU and
+// returns RGBA8 images ({ width, height, data }), so the results can be checked without a GPU.
+// bakeNormalMap also backs the 'normal-from-height' pattern of the shader-programming demo.
+//
+// Row 0 of a heightmap is v = 0, like a texture uploaded without UNPACK_FLIP_Y_WEBGL. Heights are
+// scaled by `strength`: the height, in texels, of a heightmap value of 1.
+
+// Derivative kernels: weights of the side and center rows, normalized to height per texel
+const BAKER_KERNELS = {
+    sobel: { side: 1, center: 2, scale: 1 / 8 },
+    scharr: { side: 3, center: 10, scale: 1 / 32 },
+};
+
+/**
+ * Bakes a tangent-space normal map (OpenGL convention: green points towards +v)
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Baking options
+ * @param {string} options.kernel - 'sobel' or 'scharr' (smoother and more rotation-invariant)
+ * @param {number} options.strength - Height in texels of a heightmap value of 1
+ * @param {boolean} options.wrap - Wrap around the edges (for tiling textures) instead of clamping
+ * @returns {Object} Object containing width, height and data (Uint8Array, RGBA)
+ */
+function bakeNormalMap(heightmap, options = {}) {
+    const { kernel = 'sobel', strength = 8, wrap = true } = options;
+    const weights = BAKER_KERNELS[kernel];
+    if (!weights) {
+        throw new Error(`Unknown kernel: ${kernel}`);
+    }
+
+    const image = bakerCreateImage(heightmap);
+    const h = (x, y) => bakerHeightAt(heightmap, x, y, wrap);
+
+    for (let y = 0; y < heightmap.rows; y++) {
+        for (let x = 0; x < heightmap.columns; x++) {
+            const dx =
+                weights.side * (h(x + 1, y - 1) - h(x - 1, y - 1)) +
+                weights.center * (h(x + 1, y) - h(x - 1, y)) +
+                weights.side * (h(x + 1, y + 1) - h(x - 1, y + 1));
+            const dy =
+                weights.side * (h(x - 1, y + 1) - h(x - 1, y - 1)) +
+                weights.center * (h(x, y + 1) - h(x, y - 1)) +
+                weights.side * (h(x + 1, y + 1) - h(x + 1, y - 1));
+
+            const n = vectorNormalize([-dx * weights.scale * strength, -dy * weights.scale * strength, 1]);
+            const i = (y * heightmap.columns + x) * 4;
+            image.data[i] = Math.round(n[0] * 127.5 + 127.5);
+            image.data[i + 1] = Math.round(n[1] * 127.5 + 127.5);
+            image.data[i + 2] = Math.round(n[2] * 127.5 + 127.5);
+            image.data[i + 3] = 255;
+        }
+    }
+
+    return image;
+}
+
+/**
+ * Bakes a curvature map: mid gray on flat or evenly sloped areas, brighter on convex
+ * bumps and ridges, darker in concave dents and creases
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Baking options
+ * @param {number} options.strength - Height in texels of a heightmap value of 1
+ * @param {number} options.radius - Distance in texels over which curvature is measured
+ * @param {boolean} options.wrap - Wrap around the edges instead of clamping
+ * @returns {Object} Object containing width, height and data (Uint8Array, RGBA)
+ */
+function bakeCurvatureMap(heightmap, options = {}) {
+    const curvature = bakerCurvature(heightmap, options);
+    const image = bakerCreateImage(heightmap);
+
+    curvature.forEach((c, i) => bakerWriteGray(image, i, 0.5 + c * 0.5));
+    return image;
+}
+
+/**
+ * Bakes a roughness map from curvature: worn convex edges get smoother, dirt-collecting
+ * cavities rougher. The value is in every channel, so the PBR shader's green channel reads it.
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Baking options (plus those of bakeCurvatureMap)
+ * @param {number} options.baseRoughness - Roughness of flat areas
+ * @param {number} options.edgeSmoothness - Roughness taken off the most convex areas
+ * @param {number} options.cavityRoughness - Roughness added to the most concave areas
+ * @returns {Object} Object containing width, height and data (Uint8Array, RGBA)
+ */
+function bakeRoughnessMap(heightmap, options = {}) {
+    const { baseRoughness = 0.5, edgeSmoothness = 0.3, cavityRoughness = 0.4 } = options;
+    const curvature = bakerCurvature(heightmap, options);
+    const image = bakerCreateImage(heightmap);
+
+    curvature.forEach((c, i) => {
+        const roughness = baseRoughness - Math.max(c, 0) * edgeSmoothness + Math.max(-c, 0) * cavityRoughness;
+        bakerWriteGray(image, i, Math.min(Math.max(roughness, 0.05), 1));
+    });
+    return image;
+}
+
+/**
+ * Bakes ambient occlusion by looking for the highest horizon around each texel
+ * in a number of directions (horizon-based AO on the height field)
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Baking options
+ * @param {number} options.strength - Height in texels of a heightmap value of 1
+ * @param {number} options.radius - How far, in texels, to search for occluders
+ * @param {number} options.directions - Number of directions to search in
+ * @param {number} options.intensity - Multiplier for the occlusion (1 is physically based)
+ * @param {boolean} options.wrap - Wrap around the edges instead of clamping
+ * @returns {Object} Object containing width, height and data (Uint8Array, RGBA); 1 is unoccluded
+ */
+function bakeAmbientOcclusionMap(heightmap, options = {}) {
+    const { strength = 8, radius = 12, directions = 8, intensity = 1, wrap = true } = options;
+    const image = bakerCreateImage(heightmap);
+
+    // Texel offsets along each direction, worked out once instead of per texel
+    const rays = [];
+    for (let k = 0; k < directions; k++) {
+        const angle = (k / directions) * Math.PI * 2;
+        const ray = [];
+        for (let distance = 1; distance <= radius; distance++) {
+            ray.push([Math.round(Math.cos(angle) * distance), Math.round(Math.sin(angle) * distance), distance]);
+        }
+        rays.push(ray);
+    }
+
+    for (let y = 0; y < heightmap.rows; y++) {
+        for (let x = 0; x < heightmap.columns; x++) {
+            const center = bakerHeightAt(heightmap, x, y, wrap);
+            let occlusion = 0;
+
+            for (const ray of rays) {
+                let maxSlope = 0;
+                for (const [dx, dy, distance] of ray) {
+                    const rise = (bakerHeightAt(heightmap, x + dx, y + dy, wrap) - center) * strength;
+                    maxSlope = Math.max(maxSlope, rise / distance);
+                }
+
+                // Sine of the horizon angle: the share of this direction's sky that is blocked
+                occlusion += maxSlope / Math.sqrt(1 + maxSlope * maxSlope);
+            }
+
+            const ao = 1 - (rays.length > 0 ? occlusion / rays.length : 0) * intensity;
+            bakerWriteGray(image, y * heightmap.columns + x, Math.min(Math.max(ao, 0), 1));
+        }
+    }
+
+    return image;
+}
+
+/**
+ * Bakes every map from one heightmap with shared options
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - Options for all bake functions
+ * @returns {Object} Object containing normal, curvature, roughness and ambientOcclusion images
+ */
+function bakeHeightMaps(heightmap, options = {}) {
+    return {
+        normal: bakeNormalMap(heightmap, options),
+        curvature: bakeCurvatureMap(heightmap, options),
+        roughness: bakeRoughnessMap(heightmap, options),
+        ambientOcclusion: bakeAmbientOcclusionMap(heightmap, options),
+    };
+}
+
+/**
+ * Computes convexity per texel in [-1, 1] from a Laplacian over `radius` texels
+ * @param {Object} heightmap - Heightmap from createHeightmap
+ * @param {Object} options - strength, radius and wrap (see bakeCurvatureMap)
+ * @returns {Float32Array} Curvature per texel; positive is convex
+ */
+function bakerCurvature(heightmap, options) {
+    const { strength = 8, radius = 2, wrap = true } = options;
+    const curvature = new Float32Array(heightmap.columns * heightmap.rows);
+    const h = (x, y) => bakerHeightAt(heightmap, x, y, wrap);
+
+    for (let y = 0; y < heightmap.rows; y++) {
+        for (let x = 0; x < heightmap.columns; x++) {
+            // Second derivative in height per texel, negated so bumps come out positive
+            const laplacian =
+                (h(x + radius, y) + h(x - radius, y) + h(x, y + radius) + h(x, y - radius) - 4 * h(x, y)) /
+                (radius * radius);
+            curvature[y * heightmap.columns + x] = Math.min(Math.max(-laplacian * strength, -1), 1);
+        }
+    }
+
+    return curvature;
+}
+
+/**
+ * Reads a heightmap sample at integer coordinates, wrapping or clamping outside it
+ */
+function bakerHeightAt(heightmap, x, y, wrap) {
+    const { columns, rows, heights } = heightmap;
+
+    if (wrap) {
+        x = ((x % columns) + columns) % columns;
+        y = ((y % rows) + rows) % rows;
+    } else {
+        x = Math.min(Math.max(x, 0), columns - 1);
+        y = Math.min(Math.max(y, 0), rows - 1);
+    }
+
+    return heights[y * columns + x];
+}
+
+/**
+ * Creates an empty RGBA8 image the size of a heightmap
+ */
+function bakerCreateImage(heightmap) {
+    return {
+        width: heightmap.columns,
+        height: heightmap.rows,
+        data: new Uint8Array(heightmap.columns * heightmap.rows * 4),
+    };
+}
+
+/**
+ * Writes a value in [0, 1] to every color channel of a texel, with full alpha
+ */
+function bakerWriteGray(image, texel, value) {
+    const byte = Math.round(value * 255);
+    image.data[texel * 4] = byte;
+    image.data[texel * 4 + 1] = byte;
+    image.data[texel * 4 + 2] = byte;
+    image.data[texel * 4 + 3] = 255;
+}
@@ -55,64 +55,31 @@ function createProgram(gl, vsSource, fsSource) {
 }
 
 /**
- * Creates a texture from an image URL
- * @param {WebGL2RenderingContext} gl - The WebGL context
+ * Loads an image and reads back its pixels, e.g. to bake maps from a heightmap image
  * @param {string} url - URL of the image
- * @returns {Promise<WebGLTexture>} Promise resolving to the created texture
+ * @returns {Promise<ImageData>} Promise resolving to the pixels (width, height and RGBA data, top row first)
  */
-function loadTexture(gl, url) {
+function loadImagePixels(url) {
     return new Promise((resolve, reject) => {
-        const texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-
-        // Fill with a placeholder pixel until the image loads
-        gl.texImage2D(
-            gl.TEXTURE_2D,
-            0,
-            gl.RGBA,
-            1,
-            1,
-            0,
-            gl.RGBA,
-            gl.UNSIGNED_BYTE,
-            new Uint8Array([255, 255, 255, 255])
-        );
-
         const image = new Image();
         image.onload = () => {
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
-
-            // Check if the image is a power of 2 in both dimensions
-            if (isPowerOf2(image.width) && isPowerOf2(image.height)) {
-                gl.generateMipmap(gl.TEXTURE_2D);
-            } else {
-                // Not a power of 2, disable mipmap and set wrapping to clamp to edge
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            }
-
-            resolve(texture);
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            resolve(context.getImageData(0, 0, image.width, image.height));
         };
 
         image.onerror = () => {
-            reject(new Error(`Failed to load texture: ${url}`));
+            reject(new Error(`Failed to load image: ${url}`));
         };
 
         image.src = url;
     });
 }
 
-/**
- * Check if a number is a power of 2
- * @param {number} value - The value to check
- * @returns {boolean} True if value is a power of 2
- */
-function isPowerOf2(value) {
-    return (value & (value - 1)) === 0;
-}
-
 /**
  * Creates a buffer and loads it with data
  * @param {WebGL2RenderingContext} gl - The WebGL context
@@ -150,77 +117,183 @@ function createVAO(gl, attributeInfo) {
 }
 
 /**
- * Calculate tangent vectors for normal mapping
+ * Calculate tangent vectors for normal mapping, following the MikkTSpace conventions that
+ * normal map bakers use: per-corner tangents are projected onto the vertex normal's plane,
+ * weighted by the corner angle, and w stores the handedness so the shader can rebuild the
+ * bitangent as cross(normal, tangent.xyz) * w.
+ *
+ * Triangles with no UV area (or no surface area) don't contribute. A vertex shared by faces
+ * with mirrored UVs gets the handedness of the faces with the larger total angle; use
+ * generateTangents to split such vertices instead. Vertices left without a tangent get an
+ * arbitrary one perpendicular to their normal.
+ *
  * @param {Float32Array} positions - Vertex positions (x,y,z triplets)
  * @param {Float32Array} normals - Vertex normals (x,y,z triplets)
  * @param {Float32Array} texCoords - Texture coordinates (u,v pairs)
- * @param {Uint16Array} indices - Vertex indices
- * @returns {Float32Array} Tangent vectors (x,y,z triplets)
+ * @param {Uint16Array|Uint32Array} indices - Vertex indices
+ * @returns {Float32Array} Tangent vectors with handedness (x,y,z,w quadruplets)
  */
 function calculateTangents(positions, normals, texCoords, indices) {
     const numVertices = positions.length / 3;
-    const tangents = new Float32Array(numVertices * 3);
-    const tempTangents = new Array(numVertices).fill().map(() => [0, 0, 0]);
+    const tangents = new Float32Array(numVertices * 4);
+
+    // Angle-weighted tangent sums for each vertex, kept apart by handedness (index 0: w = 1, 1: w = -1)
+    const sums = new Array(numVertices).fill().map(() => [
+        { tangent: [0, 0, 0], weight: 0 },
+        { tangent: [0, 0, 0], weight: 0 },
+    ]);
+
+    forEachTangentCorner(positions, normals, texCoords, indices, (vertex, tangent, handedness, weight) => {
+        const sum = sums[vertex][handedness > 0 ? 0 : 1];
+        sum.tangent = vectorAdd(sum.tangent, vectorScale(tangent, weight));
+        sum.weight += weight;
+    });
 
-    // For each face
-    for (let i = 0; i < indices.length; i += 3) {
-        const i0 = indices[i];
-        const i1 = indices[i + 1];
-        const i2 = indices[i + 2];
+    for (let i = 0; i < numVertices; i++) {
+        const n = [normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]];
+        const [positive, negative] = sums[i];
+        const chosen = positive.weight >= negative.weight ? positive : negative;
+        let t = vectorNormalize(chosen.tangent);
+        let w = chosen === positive ? 1 : -1;
+
+        // No usable UVs around this vertex: any direction in the normal's plane will do
+        if (chosen.weight === 0 || vectorLength(t) === 0) {
+            const axis = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+            t = vectorNormalize(vectorSubtract(axis, vectorScale(n, vectorDot(n, axis))));
+            w = 1;
+        }
+
+        tangents[i * 4] = t[0];
+        tangents[i * 4 + 1] = t[1];
+        tangents[i * 4 + 2] = t[2];
+        tangents[i * 4 + 3] = w;
+    }
 
-        // Positions of the vertices in the face
-        const p0 = [positions[i0 * 3], positions[i0 * 3 + 1], positions[i0 * 3 + 2]];
-        const p1 = [positions[i1 * 3], positions[i1 * 3 + 1], positions[i1 * 3 + 2]];
-        const p2 = [positions[i2 * 3], positions[i2 * 3 + 1], positions[i2 * 3 + 2]];
+    return tangents;
+}
 
-        // Texture coordinates of the face
-        const u0 = [texCoords[i0 * 2], texCoords[i0 * 2 + 1]];
-        const u1 = [texCoords[i1 * 2], texCoords[i1 * 2 + 1]];
-        const u2 = [texCoords[i2 * 2], texCoords[i2 * 2 + 1]];
+/**
+ * Adds vec4 tangents to a geometry, first splitting vertices that are shared by faces with
+ * opposite UV handedness (e.g. along the mirror line of mirrored UVs), since one vertex can
+ * only carry one tangent frame. Split vertices are copied in every per-vertex attribute: each
+ * typed array other than indices with a whole number of values per vertex (e.g. colors).
+ * @param {Object} geometry - Geometry in the models.js shape
+ * @returns {Object} Geometry with tangents (a new object; the input is returned with tangents
+ *                   added in place when no vertex needs splitting)
+ */
+function generateTangents(geometry) {
+    const { positions, normals, texCoords, indices } = geometry;
+    const numVertices = positions.length / 3;
+    const handedness = new Int8Array(indices.length);
+    const weights = new Array(numVertices).fill().map(() => [0, 0]);
 
-        // Calculate edges and deltas
-        const edge1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
-        const edge2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    forEachTangentCorner(positions, normals, texCoords, indices, (vertex, tangent, sign, weight, corner) => {
+        handedness[corner] = sign;
+        weights[vertex][sign > 0 ? 0 : 1] += weight;
+    });
 
-        const deltaU1 = u1[0] - u0[0];
-        const deltaV1 = u1[1] - u0[1];
-        const deltaU2 = u2[0] - u0[0];
-        const deltaV2 = u2[1] - u0[1];
+    // Corners of the minority handedness move to a copy of their vertex
+    const copies = new Map();
+    const newIndices = Array.from(indices);
+    const extra = [];
 
-        // Calculate tangent (T)
-        const denominator = deltaU1 * deltaV2 - deltaU2 * deltaV1;
+    for (let corner = 0; corner < indices.length; corner++) {
+        const vertex = indices[corner];
+        const [positive, negative] = weights[vertex];
+        if (positive === 0 || negative === 0 || handedness[corner] === 0) continue;
 
-        // Avoid division by zero
-        if (Math.abs(denominator) < 0.0001) continue;
+        const minority = positive >= negative ? -1 : 1;
+        if (handedness[corner] !== minority) continue;
 
-        const scale = 1.0 / denominator;
-        const T = [
-            (deltaV2 * edge1[0] - deltaV1 * edge2[0]) * scale,
-            (deltaV2 * edge1[1] - deltaV1 * edge2[1]) * scale,
-            (deltaV2 * edge1[2] - deltaV1 * edge2[2]) * scale,
-        ];
+        if (!copies.has(vertex)) {
+            copies.set(vertex, numVertices + extra.length);
+            extra.push(vertex);
+        }
+        newIndices[corner] = copies.get(vertex);
+    }
 
-        // Add to each vertex of the face
-        tempTangents[i0] = vectorAdd(tempTangents[i0], T);
-        tempTangents[i1] = vectorAdd(tempTangents[i1], T);
-        tempTangents[i2] = vectorAdd(tempTangents[i2], T);
+    if (extra.length === 0) {
+        geometry.tangents = calculateTangents(positions, normals, texCoords, indices);
+        return geometry;
     }
 
-    // Normalize and create final tangent array
-    for (let i = 0; i < numVertices; i++) {
-        const n = [normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]];
-        let t = tempTangents[i];
+    const count = numVertices + extra.length;
+    const result = Object.assign({}, geometry, {
+        indices: geometryTools.createIndexArray(newIndices, count),
+    });
 
-        // Gram-Schmidt orthogonalize
-        const dot = vectorDot(n, t);
-        t = vectorNormalize(vectorSubtract(t, vectorScale(n, dot)));
+    Object.keys(geometry).forEach((name) => {
+        const values = geometry[name];
+        const size = ArrayBuffer.isView(values) ? values.length / numVertices : 0;
+        if (name === 'indices' || name === 'tangents' || !Number.isInteger(size) || size === 0) return;
+
+        const extended = new values.constructor(count * size);
+        extended.set(values);
+        extra.forEach((vertex, i) => {
+            extended.set(values.subarray(vertex * size, vertex * size + size), (numVertices + i) * size);
+        });
+        result[name] = extended;
+    });
 
-        tangents[i * 3] = t[0];
-        tangents[i * 3 + 1] = t[1];
-        tangents[i * 3 + 2] = t[2];
-    }
+    result.tangents = calculateTangents(result.positions, result.normals, result.texCoords, result.indices);
+    return result;
+}
 
-    return tangents;
+/**
+ * Calls back with the tangent of every triangle corner, projected onto the corner's vertex
+ * normal plane, with its handedness and corner angle
+ * @param {Float32Array} positions - Vertex positions (x,y,z triplets)
+ * @param {Float32Array} normals - Vertex normals (x,y,z triplets)
+ * @param {Float32Array} texCoords - Texture coordinates (u,v pairs)
+ * @param {Uint16Array|Uint32Array} indices - Vertex indices
+ * @param {Function} callback - Called with (vertex, tangent, handedness, weight, corner)
+ */
+function forEachTangentCorner(positions, normals, texCoords, indices, callback) {
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const corners = [indices[i], indices[i + 1], indices[i + 2]];
+        const p = corners.map((index) => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]]);
+        const uv = corners.map((index) => [texCoords[index * 2], texCoords[index * 2 + 1]]);
+
+        // Calculate edges and deltas
+        const edge1 = vectorSubtract(p[1], p[0]);
+        const edge2 = vectorSubtract(p[2], p[0]);
+        const deltaU1 = uv[1][0] - uv[0][0];
+        const deltaV1 = uv[1][1] - uv[0][1];
+        const deltaU2 = uv[2][0] - uv[0][0];
+        const deltaV2 = uv[2][1] - uv[0][1];
+
+        // Twice the signed UV area; zero means the UVs give no direction
+        const denominator = deltaU1 * deltaV2 - deltaU2 * deltaV1;
+        if (Math.abs(denominator) < 1e-12) continue;
+
+        // Directions of increasing u (tangent) and increasing v (bitangent) on the surface
+        const faceTangent = vectorScale(
+            vectorSubtract(vectorScale(edge1, deltaV2), vectorScale(edge2, deltaV1)),
+            1 / denominator
+        );
+        const faceBitangent = vectorScale(
+            vectorSubtract(vectorScale(edge2, deltaU1), vectorScale(edge1, deltaU2)),
+            1 / denominator
+        );
+
+        for (let k = 0; k < 3; k++) {
+            const vertex = corners[k];
+            const n = [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]];
+
+            // Gram-Schmidt orthogonalize against the vertex normal
+            const t = vectorNormalize(vectorSubtract(faceTangent, vectorScale(n, vectorDot(n, faceTangent))));
+            if (vectorLength(t) === 0) continue;
+
+            // Handedness from the frame itself, so it is right whichever way the triangle is wound
+            const handedness = vectorDot(vectorCross(n, t), faceBitangent) < 0 ? -1 : 1;
+
+            const a = vectorNormalize(vectorSubtract(p[(k + 1) % 3], p[k]));
+            const b = vectorNormalize(vectorSubtract(p[(k + 2) % 3], p[k]));
+            const weight = Math.acos(Math.min(Math.max(vectorDot(a, b), -1), 1));
+
+            callback(vertex, t, handedness, weight, i + k);
+        }
+    }
 }
 
 // Vector helper functions
@@ -236,6 +309,10 @@ function vectorScale(v, s) {
     return [v[0] * s, v[1] * s, v[2] * s];
 }
 
+function vectorCross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
 function vectorDot(a, b) {
     return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
 }
@@ -0,0 +1,464 @@
+/**
+ * Bounding volumes, view frustums and rays
+ * Pure functions in the same out-parameter style as gl-matrix.js,
+ * used for picking and for culling objects outside the camera view.
+ *
+ * Bounding volumes are computed from flat position arrays (x,y,z triplets)
+ * such as the ones returned by the geometry generators in models.js.
+ *
+ * Functions that work in clip space take the DepthConvention in effect (depth.js must be loaded),
+ * since it decides which NDC depth the near and far planes end up at.
+ */
+
+const aabb = {
+    create: function () {
+        return {
+            min: new Float32Array([Infinity, Infinity, Infinity]),
+            max: new Float32Array([-Infinity, -Infinity, -Infinity]),
+        };
+    },
+
+    fromPositions: function (out, positions) {
+        let minX = Infinity,
+            minY = Infinity,
+            minZ = Infinity;
+        let maxX = -Infinity,
+            maxY = -Infinity,
+            maxZ = -Infinity;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = positions[i];
+            const y = positions[i + 1];
+            const z = positions[i + 2];
+
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            if (z < minZ) minZ = z;
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+            if (z > maxZ) maxZ = z;
+        }
+
+        out.min[0] = minX;
+        out.min[1] = minY;
+        out.min[2] = minZ;
+        out.max[0] = maxX;
+        out.max[1] = maxY;
+        out.max[2] = maxZ;
+        return out;
+    },
+
+    center: function (out, box) {
+        out[0] = (box.min[0] + box.max[0]) * 0.5;
+        out[1] = (box.min[1] + box.max[1]) * 0.5;
+        out[2] = (box.min[2] + box.max[2]) * 0.5;
+        return out;
+    },
+
+    containsPoint: function (box, p) {
+        return (
+            p[0] >= box.min[0] &&
+            p[0] <= box.max[0] &&
+            p[1] >= box.min[1] &&
+            p[1] <= box.max[1] &&
+            p[2] >= box.min[2] &&
+            p[2] <= box.max[2]
+        );
+    },
+
+    transformMat4: function (out, box, m) {
+        // Arvo's method: transform the center, then grow the extent by the absolute rotation/scale part
+        const cx = (box.min[0] + box.max[0]) * 0.5;
+        const cy = (box.min[1] + box.max[1]) * 0.5;
+        const cz = (box.min[2] + box.max[2]) * 0.5;
+        const ex = (box.max[0] - box.min[0]) * 0.5;
+        const ey = (box.max[1] - box.min[1]) * 0.5;
+        const ez = (box.max[2] - box.min[2]) * 0.5;
+
+        const ncx = m[0] * cx + m[4] * cy + m[8] * cz + m[12];
+        const ncy = m[1] * cx + m[5] * cy + m[9] * cz + m[13];
+        const ncz = m[2] * cx + m[6] * cy + m[10] * cz + m[14];
+        const nex = Math.abs(m[0]) * ex + Math.abs(m[4]) * ey + Math.abs(m[8]) * ez;
+        const ney = Math.abs(m[1]) * ex + Math.abs(m[5]) * ey + Math.abs(m[9]) * ez;
+        const nez = Math.abs(m[2]) * ex + Math.abs(m[6]) * ey + Math.abs(m[10]) * ez;
+
+        out.min[0] = ncx - nex;
+        out.min[1] = ncy - ney;
+        out.min[2] = ncz - nez;
+        out.max[0] = ncx + nex;
+        out.max[1] = ncy + ney;
+        out.max[2] = ncz + nez;
+        return out;
+    },
+};
+
+const boundingSphere = {
+    create: function () {
+        return { center: new Float32Array(3), radius: 0 };
+    },
+
+    fromPositions: function (out, positions) {
+        // Ritter's algorithm: a quick initial guess from two distant points, then grow to fit the rest
+        const count = positions.length / 3;
+        if (count === 0) {
+            out.center[0] = 0;
+            out.center[1] = 0;
+            out.center[2] = 0;
+            out.radius = 0;
+            return out;
+        }
+
+        const farthestFrom = (index) => {
+            const x = positions[index * 3];
+            const y = positions[index * 3 + 1];
+            const z = positions[index * 3 + 2];
+            let best = index;
+            let bestDistance = -1;
+
+            for (let i = 0; i < count; i++) {
+                const dx = positions[i * 3] - x;
+                const dy = positions[i * 3 + 1] - y;
+                const dz = positions[i * 3 + 2] - z;
+                const distance = dx * dx + dy * dy + dz * dz;
+                if (distance > bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            }
+
+            return best;
+        };
+
+        const a = farthestFrom(0);
+        const b = farthestFrom(a);
+
+        let cx = (positions[a * 3] + positions[b * 3]) * 0.5;
+        let cy = (positions[a * 3 + 1] + positions[b * 3 + 1]) * 0.5;
+        let cz = (positions[a * 3 + 2] + positions[b * 3 + 2]) * 0.5;
+        let dx = positions[b * 3] - cx;
+        let dy = positions[b * 3 + 1] - cy;
+        let dz = positions[b * 3 + 2] - cz;
+        let radius = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        for (let i = 0; i < count; i++) {
+            dx = positions[i * 3] - cx;
+            dy = positions[i * 3 + 1] - cy;
+            dz = positions[i * 3 + 2] - cz;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            // Point outside: move the center halfway towards it and enlarge the radius
+            if (distance > radius) {
+                const newRadius = (radius + distance) * 0.5;
+                const shift = (newRadius - radius) / distance;
+                cx += dx * shift;
+                cy += dy * shift;
+                cz += dz * shift;
+                radius = newRadius;
+            }
+        }
+
+        out.center[0] = cx;
+        out.center[1] = cy;
+        out.center[2] = cz;
+        out.radius = radius;
+        return out;
+    },
+
+    transformMat4: function (out, s, m) {
+        // Scale the radius by the largest axis scale so the sphere stays conservative
+        const x = s.center[0],
+            y = s.center[1],
+            z = s.center[2];
+        const sx = m[0] * m[0] + m[1] * m[1] + m[2] * m[2];
+        const sy = m[4] * m[4] + m[5] * m[5] + m[6] * m[6];
+        const sz = m[8] * m[8] + m[9] * m[9] + m[10] * m[10];
+
+        out.center[0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+        out.center[1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+        out.center[2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+        out.radius = s.radius * Math.sqrt(Math.max(sx, sy, sz));
+        return out;
+    },
+};
+
+const frustum = {
+    create: function () {
+        // Six planes (left, right, bottom, top, near, far) stored as (a, b, c, d), normals pointing inwards
+        return new Float32Array(24);
+    },
+
+    fromMatrix: function (out, m, convention) {
+        // Gribb-Hartmann extraction: each plane is a combination of row 3 and another row of the matrix.
+        // The side planes come from -w <= x, y <= w.
+        for (let i = 0; i < 4; i++) {
+            const row = i >> 1;
+            const sign = i & 1 ? -1 : 1;
+            frustumSetPlane(
+                out,
+                i,
+                m[3] + sign * m[row],
+                m[7] + sign * m[row + 4],
+                m[11] + sign * m[row + 8],
+                m[15] + sign * m[row + 12]
+            );
+        }
+
+        // The depth planes keep NDC z between the near and far depths of the convention, whichever way round they are
+        const depth = DepthConvention.ndcDepthRange(convention);
+        const s = depth.far > depth.near ? 1 : -1;
+        frustumSetPlane(
+            out,
+            4,
+            s * (m[2] - depth.near * m[3]),
+            s * (m[6] - depth.near * m[7]),
+            s * (m[10] - depth.near * m[11]),
+            s * (m[14] - depth.near * m[15])
+        );
+        frustumSetPlane(
+            out,
+            5,
+            s * (depth.far * m[3] - m[2]),
+            s * (depth.far * m[7] - m[6]),
+            s * (depth.far * m[11] - m[10]),
+            s * (depth.far * m[15] - m[14])
+        );
+
+        return out;
+    },
+
+    containsPoint: function (planes, p) {
+        for (let i = 0; i < 24; i += 4) {
+            if (planes[i] * p[0] + planes[i + 1] * p[1] + planes[i + 2] * p[2] + planes[i + 3] < 0) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    intersectsSphere: function (planes, s) {
+        const x = s.center[0],
+            y = s.center[1],
+            z = s.center[2];
+
+        for (let i = 0; i < 24; i += 4) {
+            if (planes[i] * x + planes[i + 1] * y + planes[i + 2] * z + planes[i + 3] < -s.radius) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    intersectsAABB: function (planes, box) {
+        // Test the box corner furthest along each plane normal; if even that is outside, the box is culled
+        for (let i = 0; i < 24; i += 4) {
+            const a = planes[i],
+                b = planes[i + 1],
+                c = planes[i + 2];
+            const x = a >= 0 ? box.max[0] : box.min[0];
+            const y = b >= 0 ? box.max[1] : box.min[1];
+            const z = c >= 0 ? box.max[2] : box.min[2];
+
+            if (a * x + b * y + c * z + planes[i + 3] < 0) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+};
+
+const ray = {
+    create: function () {
+        return { origin: new Float32Array(3), direction: new Float32Array([0, 0, -1]) };
+    },
+
+    fromScreen: function (out, x, y, width, height, invViewProjection, convention) {
+        // Unproject the pixel at the near plane and halfway to the far plane and connect the two points.
+        // The halfway point stays finite when the far plane is at infinity.
+        const ndcX = (x / width) * 2 - 1;
+        const ndcY = 1 - (y / height) * 2;
+        const m = invViewProjection;
+        const depth = DepthConvention.ndcDepthRange(convention);
+
+        const unproject = (z, target) => {
+            const w = m[3] * ndcX + m[7] * ndcY + m[11] * z + m[15];
+            target[0] = (m[0] * ndcX + m[4] * ndcY + m[8] * z + m[12]) / w;
+            target[1] = (m[1] * ndcX + m[5] * ndcY + m[9] * z + m[13]) / w;
+            target[2] = (m[2] * ndcX + m[6] * ndcY + m[10] * z + m[14]) / w;
+            return target;
+        };
+
+        const far = new Float32Array(3);
+        unproject(depth.near, out.origin);
+        unproject((depth.near + depth.far) * 0.5, far);
+
+        out.direction[0] = far[0] - out.origin[0];
+        out.direction[1] = far[1] - out.origin[1];
+        out.direction[2] = far[2] - out.origin[2];
+
+        const len = Math.sqrt(
+            out.direction[0] * out.direction[0] +
+                out.direction[1] * out.direction[1] +
+                out.direction[2] * out.direction[2]
+        );
+        if (len > 0) {
+            out.direction[0] /= len;
+            out.direction[1] /= len;
+            out.direction[2] /= len;
+        }
+
+        return out;
+    },
+
+    at: function (out, r, t) {
+        out[0] = r.origin[0] + r.direction[0] * t;
+        out[1] = r.origin[1] + r.direction[1] * t;
+        out[2] = r.origin[2] + r.direction[2] * t;
+        return out;
+    },
+
+    intersectTriangle: function (r, a, b, c) {
+        // Moller-Trumbore; returns the distance along the ray, or null if the triangle is missed
+        const e1x = b[0] - a[0],
+            e1y = b[1] - a[1],
+            e1z = b[2] - a[2];
+        const e2x = c[0] - a[0],
+            e2y = c[1] - a[1],
+            e2z = c[2] - a[2];
+        const dx = r.direction[0],
+            dy = r.direction[1],
+            dz = r.direction[2];
+
+        // p = direction x e2
+        const px = dy * e2z - dz * e2y;
+        const py = dz * e2x - dx * e2z;
+        const pz = dx * e2y - dy * e2x;
+        const det = e1x * px + e1y * py + e1z * pz;
+
+        // Ray parallel to the triangle plane (both faces are hit)
+        if (Math.abs(det) < glMatrix.EPSILON) {
+            return null;
+        }
+
+        const invDet = 1 / det;
+        const tx = r.origin[0] - a[0],
+            ty = r.origin[1] - a[1],
+            tz = r.origin[2] - a[2];
+
+        const u = (tx * px + ty * py + tz * pz) * invDet;
+        if (u < 0 || u > 1) {
+            return null;
+        }
+
+        // q = t x e1
+        const qx = ty * e1z - tz * e1y;
+        const qy = tz * e1x - tx * e1z;
+        const qz = tx * e1y - ty * e1x;
+
+        const v = (dx * qx + dy * qy + dz * qz) * invDet;
+        if (v < 0 || u + v > 1) {
+            return null;
+        }
+
+        const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+        return t >= 0 ? t : null;
+    },
+
+    intersectSphere: function (r, s) {
+        // Solve |origin + t * direction - center|^2 = radius^2 (direction is unit length)
+        const ox = r.origin[0] - s.center[0];
+        const oy = r.origin[1] - s.center[1];
+        const oz = r.origin[2] - s.center[2];
+        const b = ox * r.direction[0] + oy * r.direction[1] + oz * r.direction[2];
+        const c = ox * ox + oy * oy + oz * oz - s.radius * s.radius;
+        const discriminant = b * b - c;
+
+        if (discriminant < 0) {
+            return null;
+        }
+
+        const root = Math.sqrt(discriminant);
+        let t = -b - root;
+
+        // Origin inside the sphere: use the exit point
+        if (t < 0) {
+            t = -b + root;
+        }
+
+        return t >= 0 ? t : null;
+    },
+
+    intersectAABB: function (r, box) {
+        // Slab method: intersect the entry/exit intervals of the three axis-aligned slabs
+        let tMin = 0;
+        let tMax = Infinity;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const origin = r.origin[axis];
+            const direction = r.direction[axis];
+
+            if (Math.abs(direction) < glMatrix.EPSILON) {
+                // Parallel to the slab: must start inside it
+                if (origin < box.min[axis] || origin > box.max[axis]) {
+                    return null;
+                }
+                continue;
+            }
+
+            const invDirection = 1 / direction;
+            let t0 = (box.min[axis] - origin) * invDirection;
+            let t1 = (box.max[axis] - origin) * invDirection;
+            if (t0 > t1) {
+                const swap = t0;
+                t0 = t1;
+                t1 = swap;
+            }
+
+            tMin = Math.max(tMin, t0);
+            tMax = Math.min(tMax, t1);
+            if (tMin > tMax) {
+                return null;
+            }
+        }
+
+        return tMin;
+    },
+
+    intersectMesh: function (r, positions, indices) {
+        // Closest hit against an indexed triangle mesh, or null
+        const a = new Float32Array(3);
+        const b = new Float32Array(3);
+        const c = new Float32Array(3);
+        let closest = null;
+
+        for (let i = 0; i < indices.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                a[k] = positions[indices[i] * 3 + k];
+                b[k] = positions[indices[i + 1] * 3 + k];
+                c[k] = positions[indices[i + 2] * 3 + k];
+            }
+
+            const t = ray.intersectTriangle(r, a, b, c);
+            if (t !== null && (closest === null || t < closest)) {
+                closest = t;
+            }
+        }
+
+        return closest;
+    },
+};
+
+/**
+ * Store plane (a, b, c, d) at index i of a frustum, normalized so d is a distance
+ */
+function frustumSetPlane(out, i, a, b, c, d) {
+    const len = Math.sqrt(a * a + b * b + c * c);
+    const invLen = len > 0 ? 1 / len : 0;
+
+    out[i * 4] = a * invLen;
+    out[i * 4 + 1] = b * invLen;
+    out[i * 4 + 2] = c * invLen;
+    out[i * 4 + 3] = d * invLen;
+}
@@ -0,0 +1,157 @@
+/**
+ * Debug formatting for vectors and matrices
+ * Matrices are stored column-major (m[12], m[13], m[14] is the translation), but are
+ * printed here in mathematical row order so they read the same as in a textbook.
+ *
+ * Used by the on-screen debug overlays and for readable assertion messages when
+ * comparing matrices. NaN, Infinity and denormal values are flagged because they
+ * usually mean a degenerate projection or a division by a near-zero determinant.
+ */
+
+// Smallest normal 32-bit float; anything closer to zero (but not zero) is a denormal
+const FLOAT32_MIN_NORMAL = 1.1754943508222875e-38;
+
+const debugFormat = {
+    number: function (n, precision = 3) {
+        if (Number.isNaN(n)) return 'NaN';
+        if (n === Infinity) return 'Inf';
+        if (n === -Infinity) return '-Inf';
+
+        // Avoid printing "-0.000" for values that round to zero
+        if (Math.abs(n) < 0.5 * Math.pow(10, -precision)) n = 0;
+        return n.toFixed(precision);
+    },
+
+    vector: function (v, precision = 3) {
+        const parts = [];
+        for (let i = 0; i < v.length; i++) {
+            parts.push(debugFormat.number(v[i], precision));
+        }
+        return `(${parts.join(', ')})`;
+    },
+
+    // Group a flat attribute array (e.g. x,y,z triplets from models.js) into tuples
+    tuples: function (values, size, precision = 3) {
+        const parts = [];
+        for (let i = 0; i < values.length; i += size) {
+            const tuple = [];
+            for (let j = 0; j < size && i + j < values.length; j++) {
+                tuple.push(debugFormat.number(values[i + j], precision));
+            }
+            parts.push(`(${tuple.join(', ')})`);
+        }
+        return parts.join(', ');
+    },
+
+    // Format a column-major 2x2, 3x3 or 4x4 matrix in row order, one line per row
+    matrix: function (m, precision = 3) {
+        const size = Math.round(Math.sqrt(m.length));
+        const cells = [];
+        let width = 0;
+
+        for (let i = 0; i < m.length; i++) {
+            cells.push(debugFormat.number(m[i], precision));
+            width = Math.max(width, cells[i].length);
+        }
+
+        const lines = [];
+        for (let row = 0; row < size; row++) {
+            const line = [];
+            for (let col = 0; col < size; col++) {
+                line.push(cells[col * size + row].padStart(width));
+            }
+            lines.push(`| ${line.join(' ')} |`);
+        }
+
+        debugFormat.issues(m).forEach((issue) => {
+            const row = issue.index % size;
+            const col = Math.floor(issue.index / size);
+            lines.push(`! ${issue.kind} at row ${row}, col ${col}: ${issue.value}`);
+        });
+
+        return lines.join('\n');
+    },
+
+    // Find NaN, infinite and denormal entries in a vector or matrix
+    issues: function (values) {
+        const found = [];
+
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+
+            if (Number.isNaN(v)) {
+                found.push({ index: i, kind: 'NaN', value: v });
+            } else if (!Number.isFinite(v)) {
+                found.push({ index: i, kind: 'Infinity', value: v });
+            } else if (v !== 0 && Math.abs(v) < FLOAT32_MIN_NORMAL) {
+                found.push({ index: i, kind: 'denormal', value: v });
+            }
+        }
+
+        return found;
+    },
+
+    // Compare two matrices (or vectors) element by element.
+    // Returns { equal, maxError, mismatches: [{ index, row, col, expected, actual, error }] }
+    diff: function (actual, expected, tolerance = 1e-6) {
+        // Vectors are treated as a single column
+        let size = Math.round(Math.sqrt(expected.length));
+        if (size * size !== expected.length) size = expected.length;
+
+        const result = { equal: actual.length === expected.length, maxError: 0, mismatches: [] };
+        const count = Math.min(actual.length, expected.length);
+
+        for (let i = 0; i < count; i++) {
+            const a = actual[i];
+            const e = expected[i];
+
+            // NaN never matches, not even another NaN
+            let error = Math.abs(a - e);
+            if (Number.isNaN(error)) error = Infinity;
+            if (a === e) error = 0;
+
+            result.maxError = Math.max(result.maxError, error);
+
+            if (error > tolerance) {
+                result.equal = false;
+                result.mismatches.push({
+                    index: i,
+                    row: i % size,
+                    col: Math.floor(i / size),
+                    expected: e,
+                    actual: a,
+                    error: error,
+                });
+            }
+        }
+
+        return result;
+    },
+
+    // Describe the differences between two matrices, e.g. for a failing test assertion
+    formatDiff: function (actual, expected, tolerance = 1e-6, precision = 6) {
+        const result = debugFormat.diff(actual, expected, tolerance);
+
+        if (actual.length !== expected.length) {
+            return `Size mismatch: got ${actual.length} elements, expected ${expected.length}`;
+        }
+
+        if (result.equal) {
+            return `Matrices match within ${tolerance}`;
+        }
+
+        const lines = [
+            `Matrices differ in ${result.mismatches.length} element(s), max error ${result.maxError} (tolerance ${tolerance})`,
+            'Actual:',
+            debugFormat.matrix(actual, precision),
+            'Expected:',
+            debugFormat.matrix(expected, precision),
+        ];
+
+        result.mismatches.forEach((m) => {
+            lines.push(`  row ${m.row}, col ${m.col}: got ${m.actual}, expected ${m.expected}`);
+        });
+
+        return lines.join('\n');
+    },
+};
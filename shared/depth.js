@@ -0,0 +1,127 @@
+/**
+ * DepthConvention Module - Keeps projection, depth test and depth clear value in agreement
+ *
+ * STANDARD is the classic OpenGL setup: [-1, 1] clip depth, LESS test, cleared to 1.
+ * REVERSE_Z maps the near plane to 1 and the far plane to 0 in a [0, 1] clip range, which spreads
+ * floating-point depth precision far more evenly over large scenes. It needs EXT_clip_control;
+ * without it setup() falls back to STANDARD.
+ */
+const DepthConvention = (function () {
+    const STANDARD = 'standard';
+    const REVERSE_Z = 'reverse-z';
+
+    /**
+     * Configure clip control, depth test and clear depth for a convention
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {string} requested - STANDARD or REVERSE_Z
+     * @returns {string} The convention that is actually in effect
+     */
+    function setup(gl, requested) {
+        let convention = STANDARD;
+
+        if (requested === REVERSE_Z) {
+            const ext = gl.getExtension('EXT_clip_control');
+
+            if (ext) {
+                ext.clipControlEXT(ext.LOWER_LEFT_EXT, ext.ZERO_TO_ONE_EXT);
+                convention = REVERSE_Z;
+            } else {
+                console.warn('EXT_clip_control not supported, falling back to standard depth');
+            }
+        }
+
+        gl.enable(gl.DEPTH_TEST);
+        gl.clearDepth(farDepth(convention));
+        gl.depthFunc(depthFunc(gl, convention));
+
+        return convention;
+    }
+
+    /**
+     * Depth comparison that lets closer fragments win
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {string} convention - Convention in effect
+     * @param {boolean} [orEqual=false] - Also pass fragments at equal depth (e.g. a skybox on the far plane)
+     * @returns {number} gl.LESS, gl.LEQUAL, gl.GREATER or gl.GEQUAL
+     */
+    function depthFunc(gl, convention, orEqual = false) {
+        if (convention === REVERSE_Z) {
+            return orEqual ? gl.GEQUAL : gl.GREATER;
+        }
+
+        return orEqual ? gl.LEQUAL : gl.LESS;
+    }
+
+    /**
+     * Depth value of the far plane, also used as the clear depth
+     * @param {string} convention - Convention in effect
+     * @returns {number} 1 for STANDARD, 0 for REVERSE_Z
+     */
+    function farDepth(convention) {
+        return convention === REVERSE_Z ? 0.0 : 1.0;
+    }
+
+    /**
+     * NDC depth of the near and far planes, for unprojecting points and extracting frustum planes
+     * @param {string} convention - Convention in effect
+     * @returns {Object} near and far: -1 and 1 for STANDARD, 1 and 0 for REVERSE_Z
+     */
+    function ndcDepthRange(convention) {
+        return convention === REVERSE_Z ? { near: 1, far: 0 } : { near: -1, far: 1 };
+    }
+
+    /**
+     * Create the perspective projection that matches a convention
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {string} convention - Convention in effect
+     * @param {number} fovy - Vertical field of view in radians
+     * @param {number} aspect - Aspect ratio (width / height)
+     * @param {number} near - Near clipping plane
+     * @param {number} far - Far clipping plane (Infinity for an infinite far plane)
+     * @returns {Float32Array} out
+     */
+    function perspective(out, convention, fovy, aspect, near, far) {
+        if (convention === REVERSE_Z) {
+            return mat4.perspectiveReverseZ(out, fovy, aspect, near, far);
+        }
+
+        if (!Number.isFinite(far)) {
+            return mat4.perspectiveInfinite(out, fovy, aspect, near);
+        }
+
+        return mat4.perspective(out, fovy, aspect, near, far);
+    }
+
+    /**
+     * Create the orthographic projection that matches a convention
+     * @param {Float32Array} out - Matrix receiving the result
+     * @param {string} convention - Convention in effect
+     * @param {number} left - Left clipping plane
+     * @param {number} right - Right clipping plane
+     * @param {number} bottom - Bottom clipping plane
+     * @param {number} top - Top clipping plane
+     * @param {number} near - Near clipping plane
+     * @param {number} far - Far clipping plane
+     * @returns {Float32Array} out
+     */
+    function ortho(out, convention, left, right, bottom, top, near, far) {
+        if (convention === REVERSE_Z) {
+            // orthoZO maps its near plane to 0 and far plane to 1, so swapping them gives near 1 and far 0
+            return mat4.orthoZO(out, left, right, bottom, top, far, near);
+        }
+
+        return mat4.ortho(out, left, right, bottom, top, near, far);
+    }
+
+    // Public API
+    return {
+        STANDARD: STANDARD,
+        REVERSE_Z: REVERSE_Z,
+        setup: setup,
+        depthFunc: depthFunc,
+        farDepth: farDepth,
+        ndcDepthRange: ndcDepthRange,
+        perspective: perspective,
+        ortho: ortho,
+    };
+})();
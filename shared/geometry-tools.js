@@ -0,0 +1,444 @@
+/**
+ * Geometry processing
+ * Pure functions on the geometry objects returned by the generators in models.js and the
+ * model loaders: { positions, normals, texCoords, indices } with optional tangents (x,y,z,w with
+ * the bitangent sign in w, see calculateTangents in the advanced-shading demo) and
+ * groups ({ name, material, start, count } index ranges).
+ *
+ * Every function returns a new geometry and leaves its input untouched. Tangents are not
+ * carried through operations that change normals, so callers recalculate them when needed.
+ * Computed normals face the side from which triangles are wound counter-clockwise (WebGL's
+ * default front face).
+ * Depends on gl-matrix.js for the transforms in merge().
+ */
+
+const geometryTools = {
+    // Merge vertices whose positions are within epsilon of each other. Only vertices whose
+    // listed attributes also match are merged, so pass [] to close UV seams as well.
+    // Triangles that collapse to a line or point are removed.
+    weld: function (geometry, epsilon = 1e-5, attributes = ['normals', 'texCoords']) {
+        const vertexCount = geometry.positions.length / 3;
+        const sameAttributes = (a, b) =>
+            attributes.every((name) => {
+                const values = geometry[name];
+                const size = name === 'texCoords' ? 2 : 3;
+                for (let k = 0; k < size; k++) {
+                    if (Math.abs(values[a * size + k] - values[b * size + k]) > epsilon) return false;
+                }
+                return true;
+            });
+
+        const remap = geometryToolsMatchVertices(geometry.positions, epsilon, sameAttributes);
+
+        // Keep the first vertex of every welded set
+        const kept = [];
+        const newIndex = new Int32Array(vertexCount);
+        for (let i = 0; i < vertexCount; i++) {
+            if (remap[i] === i) {
+                newIndex[i] = kept.length;
+                kept.push(i);
+            }
+        }
+
+        const indices = Array.from(geometry.indices, (index) => newIndex[remap[index]]);
+        const result = geometryToolsCopyVertices(geometry, kept, true);
+        return geometryToolsSetTriangles(result, geometry, indices, true);
+    },
+
+    // Average the face normals around every vertex, weighted by the corner angle. Faces whose
+    // normals differ by more than angleThreshold (radians) are not smoothed together, which
+    // splits vertices along hard edges. Vertices at the same position share normals even when
+    // they are separate in the index buffer (e.g. along a UV seam).
+    smoothNormals: function (geometry, angleThreshold = Math.PI, epsilon = 1e-5) {
+        const positions = geometry.positions;
+        const indices = geometry.indices;
+        const triangleCount = Math.floor(indices.length / 3);
+        const cosThreshold = Math.cos(Math.min(Math.max(angleThreshold, 0), Math.PI));
+
+        // Vertices at the same position smooth together regardless of their other attributes
+        const positionId = geometryToolsMatchVertices(positions, epsilon, null);
+
+        const faceNormals = new Float32Array(triangleCount * 3);
+        const cornerWeights = new Float32Array(triangleCount * 3);
+        const incident = new Map(); // position id -> list of corners (triangle * 3 + corner)
+
+        for (let t = 0; t < triangleCount; t++) {
+            const corners = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+            const p = corners.map((index) => positions.subarray(index * 3, index * 3 + 3));
+            const normal = geometryToolsFaceNormal(p[0], p[1], p[2]);
+            faceNormals.set(normal, t * 3);
+
+            for (let k = 0; k < 3; k++) {
+                cornerWeights[t * 3 + k] = geometryToolsCornerAngle(p[k], p[(k + 1) % 3], p[(k + 2) % 3]);
+
+                const id = positionId[corners[k]];
+                if (!incident.has(id)) incident.set(id, []);
+                incident.get(id).push(t * 3 + k);
+            }
+        }
+
+        // Corners that end up with the same source vertex and normal share an output vertex
+        const source = [];
+        const normals = [];
+        const lookup = new Map();
+        const newIndices = new Array(triangleCount * 3);
+
+        for (let t = 0; t < triangleCount; t++) {
+            const n = faceNormals.subarray(t * 3, t * 3 + 3);
+
+            for (let k = 0; k < 3; k++) {
+                const vertex = indices[t * 3 + k];
+                const sum = [0, 0, 0];
+
+                incident.get(positionId[vertex]).forEach((corner) => {
+                    const other = Math.floor(corner / 3);
+                    const m = faceNormals.subarray(other * 3, other * 3 + 3);
+                    if (other !== t && n[0] * m[0] + n[1] * m[1] + n[2] * m[2] < cosThreshold) return;
+
+                    const weight = cornerWeights[corner];
+                    sum[0] += m[0] * weight;
+                    sum[1] += m[1] * weight;
+                    sum[2] += m[2] * weight;
+                });
+
+                const normal = geometryToolsNormalize(sum);
+                const key = `${vertex}/${normal.map((value) => Math.round(value * 1e4)).join(',')}`;
+
+                if (!lookup.has(key)) {
+                    lookup.set(key, source.length);
+                    source.push(vertex);
+                    normals.push(normal);
+                }
+                newIndices[t * 3 + k] = lookup.get(key);
+            }
+        }
+
+        const result = geometryToolsCopyVertices(geometry, source);
+        normals.forEach((normal, i) => result.normals.set(normal, i * 3));
+        return geometryToolsSetTriangles(result, geometry, newIndices, false);
+    },
+
+    // Give every triangle its own three vertices with the face normal
+    flatNormals: function (geometry) {
+        const count = Math.floor(geometry.indices.length / 3) * 3;
+        const source = Array.from(geometry.indices.subarray(0, count));
+        const result = geometryToolsCopyVertices(geometry, source);
+
+        for (let i = 0; i < count; i += 3) {
+            const p = result.positions;
+            const normal = geometryToolsFaceNormal(
+                p.subarray(i * 3, i * 3 + 3),
+                p.subarray(i * 3 + 3, i * 3 + 6),
+                p.subarray(i * 3 + 6, i * 3 + 9)
+            );
+
+            for (let k = 0; k < 3; k++) {
+                result.normals.set(normal, (i + k) * 3);
+            }
+        }
+
+        return geometryToolsSetTriangles(
+            result,
+            geometry,
+            Array.from({ length: count }, (_, i) => i),
+            false
+        );
+    },
+
+    // Combine several geometries into one indexed mesh. Entries are geometries, or
+    // { geometry, matrix, material, name } to apply a 4x4 transform and label the group.
+    // Each entry becomes one group (or keeps its own groups, offset into the merged indices).
+    merge: function (entries) {
+        const items = entries.map((entry) => (entry.positions ? { geometry: entry } : entry));
+        const hasTangents = items.length > 0 && items.every((item) => item.geometry.tangents);
+
+        let vertexCount = 0;
+        let indexCount = 0;
+        items.forEach((item) => {
+            vertexCount += item.geometry.positions.length / 3;
+            indexCount += item.geometry.indices.length;
+        });
+
+        const positions = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+        const texCoords = new Float32Array(vertexCount * 2);
+        const tangents = hasTangents ? new Float32Array(vertexCount * 4) : null;
+        const indices = new Array(indexCount);
+        const groups = [];
+        const normalMatrix = new Float32Array(16);
+        let vertexOffset = 0;
+        let indexOffset = 0;
+
+        items.forEach((item) => {
+            const geometry = item.geometry;
+            const m = item.matrix || null;
+            const count = geometry.positions.length / 3;
+
+            if (m) {
+                mat4.invert(normalMatrix, m);
+                mat4.transpose(normalMatrix, normalMatrix);
+            }
+
+            // A mirroring transform turns the triangles inside out and flips the bitangents
+            const flip = m !== null && mat4.determinant(m) < 0;
+
+            for (let i = 0; i < count; i++) {
+                const o = (vertexOffset + i) * 3;
+                const p = geometry.positions.subarray(i * 3, i * 3 + 3);
+                const n = geometry.normals.subarray(i * 3, i * 3 + 3);
+
+                positions.set(m ? geometryToolsTransform(m, p, 1) : p, o);
+                normals.set(m ? geometryToolsNormalize(geometryToolsTransform(normalMatrix, n, 0)) : n, o);
+                texCoords.set(geometry.texCoords.subarray(i * 2, i * 2 + 2), (vertexOffset + i) * 2);
+
+                if (tangents) {
+                    const t = geometry.tangents.subarray(i * 4, i * 4 + 3);
+                    const w = geometry.tangents[i * 4 + 3];
+                    tangents.set(
+                        m ? geometryToolsNormalize(geometryToolsTransform(m, t, 0)) : t,
+                        (vertexOffset + i) * 4
+                    );
+                    tangents[(vertexOffset + i) * 4 + 3] = flip ? -w : w;
+                }
+            }
+
+            // Restore the winding of mirrored triangles
+            for (let i = 0; i < geometry.indices.length; i += 3) {
+                const a = geometry.indices[i] + vertexOffset;
+                const b = geometry.indices[i + 1] + vertexOffset;
+                const c = geometry.indices[i + 2] + vertexOffset;
+                indices[indexOffset + i] = a;
+                indices[indexOffset + i + 1] = flip ? c : b;
+                indices[indexOffset + i + 2] = flip ? b : c;
+            }
+
+            const ownGroups = geometry.groups || [
+                { name: '', material: null, start: 0, count: geometry.indices.length },
+            ];
+            ownGroups.forEach((group) => {
+                groups.push({
+                    name: item.name !== undefined ? item.name : group.name,
+                    material: item.material !== undefined ? item.material : group.material,
+                    start: indexOffset + group.start,
+                    count: group.count,
+                });
+            });
+
+            vertexOffset += count;
+            indexOffset += geometry.indices.length;
+        });
+
+        const result = {
+            positions: positions,
+            normals: normals,
+            texCoords: texCoords,
+            indices: geometryTools.createIndexArray(indices, vertexCount),
+            groups: groups,
+        };
+        if (tangents) result.tangents = tangents;
+        return result;
+    },
+
+    // Split a geometry into one compact geometry per material (groups with the same
+    // material are combined). Returns [{ material, geometry }] in order of first use.
+    splitByMaterial: function (geometry) {
+        const groups = geometry.groups || [{ name: '', material: null, start: 0, count: geometry.indices.length }];
+        const byMaterial = new Map();
+
+        groups.forEach((group) => {
+            if (!byMaterial.has(group.material)) byMaterial.set(group.material, []);
+            byMaterial.get(group.material).push(group);
+        });
+
+        return Array.from(byMaterial, ([material, materialGroups]) => {
+            const source = [];
+            const lookup = new Map();
+            const indices = [];
+            const newGroups = [];
+
+            materialGroups.forEach((group) => {
+                const start = indices.length;
+                for (let i = group.start; i < group.start + group.count; i++) {
+                    const index = geometry.indices[i];
+                    if (!lookup.has(index)) {
+                        lookup.set(index, source.length);
+                        source.push(index);
+                    }
+                    indices.push(lookup.get(index));
+                }
+                newGroups.push({ name: group.name, material: material, start: start, count: group.count });
+            });
+
+            const part = geometryToolsCopyVertices(geometry, source, true);
+            part.indices = geometryTools.createIndexArray(indices, source.length);
+            part.groups = newGroups;
+            return { material: material, geometry: part };
+        });
+    },
+
+    // Index array wide enough to address vertexCount vertices. 16-bit indices silently wrap past
+    // 65535, so bigger meshes get 32-bit ones; the array's type is the geometry's index type.
+    createIndexArray: function (indices, vertexCount) {
+        return vertexCount > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+    },
+
+    // drawElements type of a geometry's indices. 32-bit indices are core in WebGL 2 and need
+    // OES_element_index_uint in WebGL 1; without it this throws, as the mesh can't be drawn.
+    indexType: function (gl, geometry) {
+        const indices = geometry.indices;
+
+        if (indices instanceof Uint32Array) {
+            const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+            if (!isWebGL2 && !gl.getExtension('OES_element_index_uint')) {
+                throw new Error(
+                    `Mesh has ${geometry.positions.length / 3} vertices, but 32-bit indices are not supported ` +
+                        '(OES_element_index_uint missing)'
+                );
+            }
+            return gl.UNSIGNED_INT;
+        }
+
+        return indices instanceof Uint8Array ? gl.UNSIGNED_BYTE : gl.UNSIGNED_SHORT;
+    },
+};
+
+// For every vertex, the index of the first earlier vertex it matches (or itself).
+// Positions are bucketed in a grid of epsilon-sized cells, so only neighbouring cells are compared.
+function geometryToolsMatchVertices(positions, epsilon, sameAttributes) {
+    const vertexCount = positions.length / 3;
+    const remap = new Int32Array(vertexCount);
+    const cells = new Map();
+    const cellSize = epsilon > 0 ? epsilon : 1;
+
+    for (let i = 0; i < vertexCount; i++) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        const cx = Math.floor(x / cellSize);
+        const cy = Math.floor(y / cellSize);
+        const cz = Math.floor(z / cellSize);
+        let match = -1;
+
+        for (let dx = -1; dx <= 1 && match < 0; dx++) {
+            for (let dy = -1; dy <= 1 && match < 0; dy++) {
+                for (let dz = -1; dz <= 1 && match < 0; dz++) {
+                    const candidates = cells.get(`${cx + dx},${cy + dy},${cz + dz}`);
+                    if (!candidates) continue;
+
+                    for (const j of candidates) {
+                        if (
+                            Math.abs(positions[j * 3] - x) <= epsilon &&
+                            Math.abs(positions[j * 3 + 1] - y) <= epsilon &&
+                            Math.abs(positions[j * 3 + 2] - z) <= epsilon &&
+                            (!sameAttributes || sameAttributes(i, j))
+                        ) {
+                            match = j;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (match >= 0) {
+            remap[i] = match;
+        } else {
+            remap[i] = i;
+            const key = `${cx},${cy},${cz}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        }
+    }
+
+    return remap;
+}
+
+// New geometry with the attributes of the listed source vertices (tangents only when asked).
+// Missing normals or texture coordinates come out as zeros.
+function geometryToolsCopyVertices(geometry, source, keepTangents = false) {
+    const count = source.length;
+    const result = {
+        positions: new Float32Array(count * 3),
+        normals: new Float32Array(count * 3),
+        texCoords: new Float32Array(count * 2),
+    };
+    const tangents = keepTangents && geometry.tangents ? new Float32Array(count * 4) : null;
+
+    source.forEach((index, i) => {
+        result.positions.set(geometry.positions.subarray(index * 3, index * 3 + 3), i * 3);
+        if (geometry.normals) result.normals.set(geometry.normals.subarray(index * 3, index * 3 + 3), i * 3);
+        if (geometry.texCoords) result.texCoords.set(geometry.texCoords.subarray(index * 2, index * 2 + 2), i * 2);
+        if (tangents) tangents.set(geometry.tangents.subarray(index * 4, index * 4 + 4), i * 4);
+    });
+
+    if (tangents) result.tangents = tangents;
+    return result;
+}
+
+// Store the new triangles, optionally dropping degenerate ones, and carry the groups over
+function geometryToolsSetTriangles(result, original, indices, dropDegenerate) {
+    const kept = [];
+    const groups = original.groups ? original.groups.map((group) => Object.assign({}, group, { count: 0 })) : null;
+    let group = 0;
+
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const a = indices[i];
+        const b = indices[i + 1];
+        const c = indices[i + 2];
+        if (dropDegenerate && (a === b || b === c || a === c)) continue;
+
+        if (groups) {
+            while (group < groups.length - 1 && i >= original.groups[group].start + original.groups[group].count) {
+                group++;
+            }
+            if (groups[group].count === 0) groups[group].start = kept.length;
+            groups[group].count += 3;
+        }
+        kept.push(a, b, c);
+    }
+
+    result.indices = geometryTools.createIndexArray(kept, result.positions.length / 3);
+    if (groups) {
+        // Groups that lost all their triangles start where the previous one ended
+        let end = 0;
+        groups.forEach((g) => {
+            if (g.count === 0) g.start = end;
+            end = g.start + g.count;
+        });
+        result.groups = groups;
+    }
+    return result;
+}
+
+function geometryToolsFaceNormal(p0, p1, p2) {
+    const ux = p1[0] - p0[0],
+        uy = p1[1] - p0[1],
+        uz = p1[2] - p0[2];
+    const vx = p2[0] - p0[0],
+        vy = p2[1] - p0[1],
+        vz = p2[2] - p0[2];
+    return geometryToolsNormalize([uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx]);
+}
+
+// Interior angle at p between the edges to a and b
+function geometryToolsCornerAngle(p, a, b) {
+    const u = geometryToolsNormalize([a[0] - p[0], a[1] - p[1], a[2] - p[2]]);
+    const v = geometryToolsNormalize([b[0] - p[0], b[1] - p[1], b[2] - p[2]]);
+    const d = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    return Math.acos(Math.min(Math.max(d, -1), 1));
+}
+
+function geometryToolsNormalize(v) {
+    const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    if (length === 0) return [0, 0, 0];
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// Multiply a column-major 4x4 matrix by (v, w) and return the xyz part
+function geometryToolsTransform(m, v, w) {
+    return [
+        m[0] * v[0] + m[4] * v[1] + m[8] * v[2] + m[12] * w,
+        m[1] * v[0] + m[5] * v[1] + m[9] * v[2] + m[13] * w,
+        m[2] * v[0] + m[6] * v[1] + m[10] * v[2] + m[14] * w,
+    ];
+}
@@ -1,6 +1,7 @@
 /**
- * Simplified version of gl-matrix.js for the WebGL demo
- * This includes only the matrix and vector operations we need
+ * Simplified version of gl-matrix.js shared by all demos
+ * This includes only the matrix, vector and quaternion operations we need.
+ * Matrices are column-major Float32Arrays, exactly as WebGL expects them.
  */
 
 const glMatrix = {
@@ -85,6 +86,75 @@ const vec3 = {
         return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
     },
 
+    distance: function (a, b) {
+        return Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+    },
+
+    // Spherical coordinates (Y up): azimuth is measured around +Y starting at +Z towards +X,
+    // elevation is the angle above the XZ plane. fromSpherical(out, 5, 0, 0) gives [0, 0, 5].
+    fromSpherical: function (out, radius, azimuth, elevation) {
+        const horizontal = radius * Math.cos(elevation);
+        out[0] = horizontal * Math.sin(azimuth);
+        out[1] = radius * Math.sin(elevation);
+        out[2] = horizontal * Math.cos(azimuth);
+        return out;
+    },
+
+    // Writes [radius, azimuth, elevation] into out
+    toSpherical: function (out, a) {
+        const x = a[0],
+            y = a[1],
+            z = a[2];
+        const radius = Math.sqrt(x * x + y * y + z * z);
+
+        out[0] = radius;
+        out[1] = Math.atan2(x, z);
+        out[2] = radius > 0 ? Math.asin(Math.min(Math.max(y / radius, -1), 1)) : 0;
+        return out;
+    },
+
+    // Cylindrical coordinates around the Y axis, same azimuth convention as fromSpherical
+    fromCylindrical: function (out, radius, azimuth, height) {
+        out[0] = radius * Math.sin(azimuth);
+        out[1] = height;
+        out[2] = radius * Math.cos(azimuth);
+        return out;
+    },
+
+    // Writes [radius, azimuth, height] into out
+    toCylindrical: function (out, a) {
+        const x = a[0],
+            y = a[1],
+            z = a[2];
+
+        out[0] = Math.sqrt(x * x + z * z);
+        out[1] = Math.atan2(x, z);
+        out[2] = y;
+        return out;
+    },
+
+    // Spherical interpolation between two unit directions along the shorter arc
+    slerp: function (out, a, b, t) {
+        const cosAngle = Math.min(Math.max(vec3.dot(a, b), -1), 1);
+        const theta = Math.acos(cosAngle);
+        const sinTheta = Math.sin(theta);
+
+        let scaleA, scaleB;
+        if (sinTheta > glMatrix.EPSILON) {
+            scaleA = Math.sin((1 - t) * theta) / sinTheta;
+            scaleB = Math.sin(t * theta) / sinTheta;
+        } else {
+            // Nearly parallel (or opposite, where any arc is equally short): fall back to lerp
+            scaleA = 1 - t;
+            scaleB = t;
+        }
+
+        out[0] = scaleA * a[0] + scaleB * b[0];
+        out[1] = scaleA * a[1] + scaleB * b[1];
+        out[2] = scaleA * a[2] + scaleB * b[2];
+        return out;
+    },
+
     transformMat4: function (out, a, m) {
         const x = a[0],
             y = a[1],
@@ -102,6 +172,108 @@ const vec3 = {
     },
 };
 
+// Angle helpers (radians) for orbit cameras and animated lights
+const angle = {
+    // Wrap into [-PI, PI)
+    wrap: function (a) {
+        const twoPi = Math.PI * 2;
+        return a - twoPi * Math.floor((a + Math.PI) / twoPi);
+    },
+
+    // Wrap into [0, 2 * PI)
+    wrapPositive: function (a) {
+        const twoPi = Math.PI * 2;
+        return a - twoPi * Math.floor(a / twoPi);
+    },
+
+    clamp: function (a, min, max) {
+        return Math.min(Math.max(a, min), max);
+    },
+
+    // Signed shortest rotation from one angle to another, in [-PI, PI)
+    difference: function (from, to) {
+        return angle.wrap(to - from);
+    },
+
+    // Interpolate along the shortest arc, so 350 degrees to 10 degrees passes through 0
+    lerp: function (from, to, t) {
+        return angle.wrap(from + angle.difference(from, to) * t);
+    },
+};
+
+const mat3 = {
+    create: function () {
+        const out = new Float32Array(9);
+        out[0] = 1;
+        out[4] = 1;
+        out[8] = 1;
+        return out;
+    },
+
+    identity: function (out) {
+        out[0] = 1;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 1;
+        out[5] = 0;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 1;
+        return out;
+    },
+
+    fromMat4: function (out, a) {
+        // Upper-left 3x3 part (rotation and scale)
+        out[0] = a[0];
+        out[1] = a[1];
+        out[2] = a[2];
+        out[3] = a[4];
+        out[4] = a[5];
+        out[5] = a[6];
+        out[6] = a[8];
+        out[7] = a[9];
+        out[8] = a[10];
+        return out;
+    },
+
+    normalFromMat4: function (out, a) {
+        // Inverse-transpose of the upper-left 3x3, keeps normals perpendicular under non-uniform scaling
+        const a00 = a[0],
+            a01 = a[1],
+            a02 = a[2];
+        const a10 = a[4],
+            a11 = a[5],
+            a12 = a[6];
+        const a20 = a[8],
+            a21 = a[9],
+            a22 = a[10];
+
+        const b01 = a22 * a11 - a12 * a21;
+        const b11 = -a22 * a10 + a12 * a20;
+        const b21 = a21 * a10 - a11 * a20;
+
+        let det = a00 * b01 + a01 * b11 + a02 * b21;
+
+        if (!det) {
+            return null;
+        }
+
+        det = 1.0 / det;
+
+        out[0] = b01 * det;
+        out[1] = b11 * det;
+        out[2] = b21 * det;
+        out[3] = (-a22 * a01 + a02 * a21) * det;
+        out[4] = (a22 * a00 - a02 * a20) * det;
+        out[5] = (-a21 * a00 + a01 * a20) * det;
+        out[6] = (a12 * a01 - a02 * a11) * det;
+        out[7] = (-a12 * a00 + a02 * a10) * det;
+        out[8] = (a11 * a00 - a01 * a10) * det;
+        return out;
+    },
+};
+
 const mat4 = {
     create: function () {
         const out = new Float32Array(16);
@@ -214,6 +386,22 @@ const mat4 = {
             y = v[1],
             z = v[2];
 
+        if (a !== out) {
+            // Copy the unchanged elements
+            out[0] = a[0];
+            out[1] = a[1];
+            out[2] = a[2];
+            out[3] = a[3];
+            out[4] = a[4];
+            out[5] = a[5];
+            out[6] = a[6];
+            out[7] = a[7];
+            out[8] = a[8];
+            out[9] = a[9];
+            out[10] = a[10];
+            out[11] = a[11];
+        }
+
         out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
         out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
         out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
@@ -450,6 +638,113 @@ const mat4 = {
         return out;
     },
 
+    perspectiveInfinite: function (out, fovy, aspect, near) {
+        // Standard [-1, 1] depth range with the far plane pushed to infinity
+        const f = 1.0 / Math.tan(fovy / 2);
+
+        out[0] = f / aspect;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = f;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = -1;
+        out[11] = -1;
+        out[12] = 0;
+        out[13] = 0;
+        out[14] = -2 * near;
+        out[15] = 0;
+
+        return out;
+    },
+
+    perspectiveReverseZ: function (out, fovy, aspect, near, far) {
+        // [0, 1] depth range with near mapped to 1 and far to 0; pass far = Infinity for an infinite far plane.
+        // Needs a zero-to-one clip range (EXT_clip_control) and a GREATER depth test cleared to 0.
+        const f = 1.0 / Math.tan(fovy / 2);
+
+        out[0] = f / aspect;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = f;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[11] = -1;
+        out[12] = 0;
+        out[13] = 0;
+        out[15] = 0;
+
+        if (Number.isFinite(far)) {
+            const fn = 1 / (far - near);
+            out[10] = near * fn;
+            out[14] = far * near * fn;
+        } else {
+            out[10] = 0;
+            out[14] = near;
+        }
+
+        return out;
+    },
+
+    ortho: function (out, left, right, bottom, top, near, far) {
+        const lr = 1 / (left - right);
+        const bt = 1 / (bottom - top);
+        const nf = 1 / (near - far);
+
+        out[0] = -2 * lr;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = -2 * bt;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = 2 * nf;
+        out[11] = 0;
+        out[12] = (left + right) * lr;
+        out[13] = (top + bottom) * bt;
+        out[14] = (far + near) * nf;
+        out[15] = 1;
+
+        return out;
+    },
+
+    orthoZO: function (out, left, right, bottom, top, near, far) {
+        // Same as ortho, but maps depth to [0, 1] instead of [-1, 1]
+        const lr = 1 / (left - right);
+        const bt = 1 / (bottom - top);
+        const nf = 1 / (near - far);
+
+        out[0] = -2 * lr;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 0;
+        out[4] = 0;
+        out[5] = -2 * bt;
+        out[6] = 0;
+        out[7] = 0;
+        out[8] = 0;
+        out[9] = 0;
+        out[10] = nf;
+        out[11] = 0;
+        out[12] = (left + right) * lr;
+        out[13] = (top + bottom) * bt;
+        out[14] = near * nf;
+        out[15] = 1;
+
+        return out;
+    },
+
     lookAt: function (out, eye, center, up) {
         const eyex = eye[0];
         const eyey = eye[1];
@@ -579,6 +874,40 @@ const mat4 = {
         return out;
     },
 
+    determinant: function (a) {
+        const a00 = a[0],
+            a01 = a[1],
+            a02 = a[2],
+            a03 = a[3];
+        const a10 = a[4],
+            a11 = a[5],
+            a12 = a[6],
+            a13 = a[7];
+        const a20 = a[8],
+            a21 = a[9],
+            a22 = a[10],
+            a23 = a[11];
+        const a30 = a[12],
+            a31 = a[13],
+            a32 = a[14],
+            a33 = a[15];
+
+        const b00 = a00 * a11 - a01 * a10;
+        const b01 = a00 * a12 - a02 * a10;
+        const b02 = a00 * a13 - a03 * a10;
+        const b03 = a01 * a12 - a02 * a11;
+        const b04 = a01 * a13 - a03 * a11;
+        const b05 = a02 * a13 - a03 * a12;
+        const b06 = a20 * a31 - a21 * a30;
+        const b07 = a20 * a32 - a22 * a30;
+        const b08 = a20 * a33 - a23 * a30;
+        const b09 = a21 * a32 - a22 * a31;
+        const b10 = a21 * a33 - a23 * a31;
+        const b11 = a22 * a33 - a23 * a32;
+
+        return b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    },
+
     invert: function (out, a) {
         const a00 = a[0],
             a01 = a[1],
@@ -638,4 +967,225 @@ const mat4 = {
 
         return out;
     },
+
+    fromRotationTranslationScale: function (out, q, v, s) {
+        const x = q[0],
+            y = q[1],
+            z = q[2],
+            w = q[3];
+        const x2 = x + x;
+        const y2 = y + y;
+        const z2 = z + z;
+
+        const xx = x * x2;
+        const xy = x * y2;
+        const xz = x * z2;
+        const yy = y * y2;
+        const yz = y * z2;
+        const zz = z * z2;
+        const wx = w * x2;
+        const wy = w * y2;
+        const wz = w * z2;
+        const sx = s[0];
+        const sy = s[1];
+        const sz = s[2];
+
+        // Rotation columns scaled per axis, translation in the last column
+        out[0] = (1 - (yy + zz)) * sx;
+        out[1] = (xy + wz) * sx;
+        out[2] = (xz - wy) * sx;
+        out[3] = 0;
+        out[4] = (xy - wz) * sy;
+        out[5] = (1 - (xx + zz)) * sy;
+        out[6] = (yz + wx) * sy;
+        out[7] = 0;
+        out[8] = (xz + wy) * sz;
+        out[9] = (yz - wx) * sz;
+        out[10] = (1 - (xx + yy)) * sz;
+        out[11] = 0;
+        out[12] = v[0];
+        out[13] = v[1];
+        out[14] = v[2];
+        out[15] = 1;
+
+        return out;
+    },
+};
+
+const quat = {
+    create: function () {
+        const out = new Float32Array(4);
+        out[3] = 1;
+        return out;
+    },
+
+    identity: function (out) {
+        out[0] = 0;
+        out[1] = 0;
+        out[2] = 0;
+        out[3] = 1;
+        return out;
+    },
+
+    fromAxisAngle: function (out, axis, rad) {
+        // Expects a normalized axis
+        rad = rad * 0.5;
+        const s = Math.sin(rad);
+
+        out[0] = s * axis[0];
+        out[1] = s * axis[1];
+        out[2] = s * axis[2];
+        out[3] = Math.cos(rad);
+        return out;
+    },
+
+    fromEuler: function (out, x, y, z) {
+        // Angles in degrees, applied in X, Y, Z order (same as gl-matrix)
+        const halfToRad = Math.PI / 360;
+        x *= halfToRad;
+        y *= halfToRad;
+        z *= halfToRad;
+
+        const sx = Math.sin(x);
+        const cx = Math.cos(x);
+        const sy = Math.sin(y);
+        const cy = Math.cos(y);
+        const sz = Math.sin(z);
+        const cz = Math.cos(z);
+
+        out[0] = sx * cy * cz - cx * sy * sz;
+        out[1] = cx * sy * cz + sx * cy * sz;
+        out[2] = cx * cy * sz - sx * sy * cz;
+        out[3] = cx * cy * cz + sx * sy * sz;
+        return out;
+    },
+
+    multiply: function (out, a, b) {
+        const ax = a[0],
+            ay = a[1],
+            az = a[2],
+            aw = a[3];
+        const bx = b[0],
+            by = b[1],
+            bz = b[2],
+            bw = b[3];
+
+        out[0] = ax * bw + aw * bx + ay * bz - az * by;
+        out[1] = ay * bw + aw * by + az * bx - ax * bz;
+        out[2] = az * bw + aw * bz + ax * by - ay * bx;
+        out[3] = aw * bw - ax * bx - ay * by - az * bz;
+        return out;
+    },
+
+    slerp: function (out, a, b, t) {
+        const ax = a[0],
+            ay = a[1],
+            az = a[2],
+            aw = a[3];
+        let bx = b[0],
+            by = b[1],
+            bz = b[2],
+            bw = b[3];
+
+        let cosom = ax * bx + ay * by + az * bz + aw * bw;
+
+        // Flip one end so we interpolate along the shorter arc
+        if (cosom < 0.0) {
+            cosom = -cosom;
+            bx = -bx;
+            by = -by;
+            bz = -bz;
+            bw = -bw;
+        }
+
+        let scale0, scale1;
+        if (1.0 - cosom > glMatrix.EPSILON) {
+            const omega = Math.acos(cosom);
+            const sinom = Math.sin(omega);
+            scale0 = Math.sin((1.0 - t) * omega) / sinom;
+            scale1 = Math.sin(t * omega) / sinom;
+        } else {
+            // Nearly identical rotations: linear interpolation is accurate enough
+            scale0 = 1.0 - t;
+            scale1 = t;
+        }
+
+        out[0] = scale0 * ax + scale1 * bx;
+        out[1] = scale0 * ay + scale1 * by;
+        out[2] = scale0 * az + scale1 * bz;
+        out[3] = scale0 * aw + scale1 * bw;
+        return out;
+    },
+
+    normalize: function (out, a) {
+        const x = a[0];
+        const y = a[1];
+        const z = a[2];
+        const w = a[3];
+        let len = x * x + y * y + z * z + w * w;
+
+        if (len > 0) {
+            len = 1 / Math.sqrt(len);
+        }
+
+        out[0] = x * len;
+        out[1] = y * len;
+        out[2] = z * len;
+        out[3] = w * len;
+        return out;
+    },
+
+    invert: function (out, a) {
+        const a0 = a[0],
+            a1 = a[1],
+            a2 = a[2],
+            a3 = a[3];
+        const dot = a0 * a0 + a1 * a1 + a2 * a2 + a3 * a3;
+        const invDot = dot ? 1.0 / dot : 0;
+
+        out[0] = -a0 * invDot;
+        out[1] = -a1 * invDot;
+        out[2] = -a2 * invDot;
+        out[3] = a3 * invDot;
+        return out;
+    },
+
+    conjugate: function (out, a) {
+        // Equals the inverse for unit quaternions
+        out[0] = -a[0];
+        out[1] = -a[1];
+        out[2] = -a[2];
+        out[3] = a[3];
+        return out;
+    },
+
+    fromMat3: function (out, m) {
+        // Ken Shoemake's algorithm, picking the largest component to stay numerically stable
+        const fTrace = m[0] + m[4] + m[8];
+        let fRoot;
+
+        if (fTrace > 0.0) {
+            fRoot = Math.sqrt(fTrace + 1.0); // 2w
+            out[3] = 0.5 * fRoot;
+            fRoot = 0.5 / fRoot; // 1/(4w)
+            out[0] = (m[5] - m[7]) * fRoot;
+            out[1] = (m[6] - m[2]) * fRoot;
+            out[2] = (m[1] - m[3]) * fRoot;
+        } else {
+            let i = 0;
+            if (m[4] > m[0]) i = 1;
+            if (m[8] > m[i * 3 + i]) i = 2;
+            const j = (i + 1) % 3;
+            const k = (i + 2) % 3;
+
+            fRoot = Math.sqrt(m[i * 3 + i] - m[j * 3 + j] - m[k * 3 + k] + 1.0);
+            out[i] = 0.5 * fRoot;
+            fRoot = 0.5 / fRoot;
+            out[3] = (m[j * 3 + k] - m[k * 3 + j]) * fRoot;
+            out[j] = (m[j * 3 + i] + m[i * 3 + j]) * fRoot;
+            out[k] = (m[k * 3 + i] + m[i * 3 + k]) * fRoot;
+        }
+
+        return out;
+    },
 };
@@ -0,0 +1,615 @@
+/**
+ * Seeded random numbers and procedural noise
+ * Everything here is deterministic: the same seed always produces the same values,
+ * so procedural textures look identical on every run and can be compared in tests.
+ *
+ * Lattice noise is driven by a 32-bit integer hash instead of a permutation table.
+ * noiseGLSL contains the same functions written in GLSL ES 3.00 (uint arithmetic,
+ * so WebGL 2 only); for equal inputs they return the same values as the JS versions
+ * up to float precision.
+ *
+ * value, perlin and simplex return values in roughly [-1, 1];
+ * worley returns the distance to the nearest feature point (0 at a feature point).
+ */
+
+const random = {
+    create: function (seed = 0) {
+        return { state: seed >>> 0 };
+    },
+
+    // Mulberry32: returns a float in [0, 1) and advances the generator
+    next: function (rng) {
+        rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+        let t = rng.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    range: function (rng, min, max) {
+        return min + (max - min) * random.next(rng);
+    },
+
+    // Integer in [min, max] inclusive
+    int: function (rng, min, max) {
+        return min + Math.floor(random.next(rng) * (max - min + 1));
+    },
+
+    pick: function (rng, items) {
+        return items[Math.floor(random.next(rng) * items.length)];
+    },
+};
+
+const noise = {
+    // lowbias32 integer hash
+    hash: function (x) {
+        x = x >>> 0;
+        x ^= x >>> 16;
+        x = Math.imul(x, 0x7feb352d);
+        x ^= x >>> 15;
+        x = Math.imul(x, 0x846ca68b);
+        x ^= x >>> 16;
+        return x >>> 0;
+    },
+
+    hash2: function (ix, iy, seed) {
+        let h = noise.hash(seed);
+        h = noise.hash(h ^ ix);
+        return noise.hash(h ^ iy);
+    },
+
+    hash3: function (ix, iy, iz, seed) {
+        let h = noise.hash(seed);
+        h = noise.hash(h ^ ix);
+        h = noise.hash(h ^ iy);
+        return noise.hash(h ^ iz);
+    },
+
+    // Top 24 bits of a hash as a float in [0, 1), exact in 32-bit floats
+    toFloat: function (h) {
+        return (h >>> 8) / 16777216;
+    },
+
+    value2: function (x, y, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const u = noiseFade(x - ix);
+        const v = noiseFade(y - iy);
+
+        const a = noise.toFloat(noise.hash2(ix, iy, seed));
+        const b = noise.toFloat(noise.hash2(ix + 1, iy, seed));
+        const c = noise.toFloat(noise.hash2(ix, iy + 1, seed));
+        const d = noise.toFloat(noise.hash2(ix + 1, iy + 1, seed));
+
+        return noiseLerp(noiseLerp(a, b, u), noiseLerp(c, d, u), v) * 2 - 1;
+    },
+
+    value3: function (x, y, z, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const iz = Math.floor(z);
+        const u = noiseFade(x - ix);
+        const v = noiseFade(y - iy);
+        const w = noiseFade(z - iz);
+
+        const corner = (dx, dy, dz) => noise.toFloat(noise.hash3(ix + dx, iy + dy, iz + dz, seed));
+
+        const bottom = noiseLerp(
+            noiseLerp(corner(0, 0, 0), corner(1, 0, 0), u),
+            noiseLerp(corner(0, 1, 0), corner(1, 1, 0), u),
+            v
+        );
+        const top = noiseLerp(
+            noiseLerp(corner(0, 0, 1), corner(1, 0, 1), u),
+            noiseLerp(corner(0, 1, 1), corner(1, 1, 1), u),
+            v
+        );
+
+        return noiseLerp(bottom, top, w) * 2 - 1;
+    },
+
+    perlin2: function (x, y, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        const u = noiseFade(fx);
+        const v = noiseFade(fy);
+
+        const a = noiseGrad2(noise.hash2(ix, iy, seed), fx, fy);
+        const b = noiseGrad2(noise.hash2(ix + 1, iy, seed), fx - 1, fy);
+        const c = noiseGrad2(noise.hash2(ix, iy + 1, seed), fx, fy - 1);
+        const d = noiseGrad2(noise.hash2(ix + 1, iy + 1, seed), fx - 1, fy - 1);
+
+        return noiseLerp(noiseLerp(a, b, u), noiseLerp(c, d, u), v);
+    },
+
+    perlin3: function (x, y, z, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const iz = Math.floor(z);
+        const fx = x - ix;
+        const fy = y - iy;
+        const fz = z - iz;
+        const u = noiseFade(fx);
+        const v = noiseFade(fy);
+        const w = noiseFade(fz);
+
+        const corner = (dx, dy, dz) =>
+            noiseGrad3(noise.hash3(ix + dx, iy + dy, iz + dz, seed), fx - dx, fy - dy, fz - dz);
+
+        const bottom = noiseLerp(
+            noiseLerp(corner(0, 0, 0), corner(1, 0, 0), u),
+            noiseLerp(corner(0, 1, 0), corner(1, 1, 0), u),
+            v
+        );
+        const top = noiseLerp(
+            noiseLerp(corner(0, 0, 1), corner(1, 0, 1), u),
+            noiseLerp(corner(0, 1, 1), corner(1, 1, 1), u),
+            v
+        );
+
+        return noiseLerp(bottom, top, w);
+    },
+
+    // 2D simplex noise (after Stefan Gustavson's reference implementation)
+    simplex2: function (x, y, seed = 0) {
+        const F2 = 0.5 * (Math.sqrt(3) - 1);
+        const G2 = (3 - Math.sqrt(3)) / 6;
+
+        // Skew into simplex cell space to find the cell origin
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles of the cell we are in
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = 1 - i1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const n0 = noiseSimplexCorner2(noise.hash2(i, j, seed), x0, y0);
+        const n1 = noiseSimplexCorner2(noise.hash2(i + i1, j + j1, seed), x1, y1);
+        const n2 = noiseSimplexCorner2(noise.hash2(i + 1, j + 1, seed), x2, y2);
+
+        return 70 * (n0 + n1 + n2);
+    },
+
+    simplex3: function (x, y, z, seed = 0) {
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Rank the offsets to find which of the six tetrahedra we are in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) {
+                [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+            } else if (x0 >= z0) {
+                [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+            } else {
+                [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+            }
+        } else {
+            if (y0 < z0) {
+                [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+            } else if (x0 < z0) {
+                [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+            } else {
+                [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+            }
+        }
+
+        const n0 = noiseSimplexCorner3(noise.hash3(i, j, k, seed), x0, y0, z0);
+        const n1 = noiseSimplexCorner3(
+            noise.hash3(i + i1, j + j1, k + k1, seed),
+            x0 - i1 + G3,
+            y0 - j1 + G3,
+            z0 - k1 + G3
+        );
+        const n2 = noiseSimplexCorner3(
+            noise.hash3(i + i2, j + j2, k + k2, seed),
+            x0 - i2 + 2 * G3,
+            y0 - j2 + 2 * G3,
+            z0 - k2 + 2 * G3
+        );
+        const n3 = noiseSimplexCorner3(
+            noise.hash3(i + 1, j + 1, k + 1, seed),
+            x0 - 1 + 3 * G3,
+            y0 - 1 + 3 * G3,
+            z0 - 1 + 3 * G3
+        );
+
+        return 32 * (n0 + n1 + n2 + n3);
+    },
+
+    // Cellular noise: distance to the nearest of one random feature point per cell
+    worley2: function (x, y, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        let minDistSq = Infinity;
+
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const h = noise.hash2(ix + dx, iy + dy, seed);
+                const px = ix + dx + (h & 0xffff) / 65536 - x;
+                const py = iy + dy + (h >>> 16) / 65536 - y;
+                minDistSq = Math.min(minDistSq, px * px + py * py);
+            }
+        }
+
+        return Math.sqrt(minDistSq);
+    },
+
+    worley3: function (x, y, z, seed = 0) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const iz = Math.floor(z);
+        let minDistSq = Infinity;
+
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const h = noise.hash3(ix + dx, iy + dy, iz + dz, seed);
+                    const px = ix + dx + (h & 0x3ff) / 1024 - x;
+                    const py = iy + dy + ((h >>> 10) & 0x3ff) / 1024 - y;
+                    const pz = iz + dz + ((h >>> 20) & 0x3ff) / 1024 - z;
+                    minDistSq = Math.min(minDistSq, px * px + py * py + pz * pz);
+                }
+            }
+        }
+
+        return Math.sqrt(minDistSq);
+    },
+
+    // Fractal Brownian motion: sums octaves of noiseFn(x, y, seed), normalized by total amplitude.
+    // Each octave uses seed + octave so the layers are not correlated.
+    fbm2: function (noiseFn, x, y, seed = 0, octaves = 5, lacunarity = 2.0, gain = 0.5) {
+        let sum = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            sum += amplitude * noiseFn(x * frequency, y * frequency, (seed + octave) >>> 0);
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return sum / total;
+    },
+
+    fbm3: function (noiseFn, x, y, z, seed = 0, octaves = 5, lacunarity = 2.0, gain = 0.5) {
+        let sum = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            sum += amplitude * noiseFn(x * frequency, y * frequency, z * frequency, (seed + octave) >>> 0);
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return sum / total;
+    },
+};
+
+// Quintic smoothstep 6t^5 - 15t^4 + 10t^3 (continuous second derivative)
+function noiseFade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function noiseLerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Dot product with one of eight gradients: four diagonals and four axes
+function noiseGrad2(h, x, y) {
+    const k = h & 7;
+    if (k < 4) {
+        return (k & 1 ? -x : x) + (k & 2 ? -y : y);
+    }
+    const g = k & 2 ? y : x;
+    return k & 1 ? -g : g;
+}
+
+// Ken Perlin's improved-noise gradients (the twelve cube edge directions)
+function noiseGrad3(h, x, y, z) {
+    const k = h & 15;
+    const u = k < 8 ? x : y;
+    const v = k < 4 ? y : k === 12 || k === 14 ? x : z;
+    return (k & 1 ? -u : u) + (k & 2 ? -v : v);
+}
+
+function noiseSimplexCorner2(h, x, y) {
+    const t = 0.5 - x * x - y * y;
+    if (t < 0) return 0;
+    return t * t * t * t * noiseGrad2(h, x, y);
+}
+
+function noiseSimplexCorner3(h, x, y, z) {
+    const t = 0.6 - x * x - y * y - z * z;
+    if (t < 0) return 0;
+    return t * t * t * t * noiseGrad3(h, x, y, z);
+}
+
+/**
+ * GLSL ES 3.00 versions of the functions above.
+ * Concatenate the snippets you need after the precision statement, e.g.
+ *   noiseGLSL.common + noiseGLSL.perlin + noiseGLSL.fbm('perlinNoise2', 2)
+ * The seed is a uint uniform (gl.uniform1ui) so it matches the JS seed exactly.
+ */
+const noiseGLSL = {
+    common: `
+uint noiseHash(uint x) {
+    x ^= x >> 16;
+    x *= 0x7feb352du;
+    x ^= x >> 15;
+    x *= 0x846ca68bu;
+    x ^= x >> 16;
+    return x;
+}
+
+uint noiseHash2(ivec2 i, uint seed) {
+    uint h = noiseHash(seed);
+    h = noiseHash(h ^ uint(i.x));
+    return noiseHash(h ^ uint(i.y));
+}
+
+uint noiseHash3(ivec3 i, uint seed) {
+    uint h = noiseHash(seed);
+    h = noiseHash(h ^ uint(i.x));
+    h = noiseHash(h ^ uint(i.y));
+    return noiseHash(h ^ uint(i.z));
+}
+
+float noiseToFloat(uint h) {
+    return float(h >> 8) / 16777216.0;
+}
+
+float noiseFade(float t) {
+    return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+}
+
+float noiseGrad2(uint h, float x, float y) {
+    uint k = h & 7u;
+    if (k < 4u) {
+        return ((k & 1u) != 0u ? -x : x) + ((k & 2u) != 0u ? -y : y);
+    }
+    float g = (k & 2u) != 0u ? y : x;
+    return (k & 1u) != 0u ? -g : g;
+}
+
+float noiseGrad3(uint h, float x, float y, float z) {
+    uint k = h & 15u;
+    float u = k < 8u ? x : y;
+    float v = k < 4u ? y : (k == 12u || k == 14u ? x : z);
+    return ((k & 1u) != 0u ? -u : u) + ((k & 2u) != 0u ? -v : v);
+}
+`,
+
+    value: `
+float valueNoise2(vec2 p, uint seed) {
+    ivec2 i = ivec2(floor(p));
+    vec2 f = p - floor(p);
+    float u = noiseFade(f.x);
+    float v = noiseFade(f.y);
+
+    float a = noiseToFloat(noiseHash2(i, seed));
+    float b = noiseToFloat(noiseHash2(i + ivec2(1, 0), seed));
+    float c = noiseToFloat(noiseHash2(i + ivec2(0, 1), seed));
+    float d = noiseToFloat(noiseHash2(i + ivec2(1, 1), seed));
+
+    return mix(mix(a, b, u), mix(c, d, u), v) * 2.0 - 1.0;
+}
+
+float valueNoise3(vec3 p, uint seed) {
+    ivec3 i = ivec3(floor(p));
+    vec3 f = p - floor(p);
+    float u = noiseFade(f.x);
+    float v = noiseFade(f.y);
+    float w = noiseFade(f.z);
+
+    float bottom = mix(
+        mix(noiseToFloat(noiseHash3(i, seed)), noiseToFloat(noiseHash3(i + ivec3(1, 0, 0), seed)), u),
+        mix(noiseToFloat(noiseHash3(i + ivec3(0, 1, 0), seed)), noiseToFloat(noiseHash3(i + ivec3(1, 1, 0), seed)), u),
+        v);
+    float top = mix(
+        mix(noiseToFloat(noiseHash3(i + ivec3(0, 0, 1), seed)), noiseToFloat(noiseHash3(i + ivec3(1, 0, 1), seed)), u),
+        mix(noiseToFloat(noiseHash3(i + ivec3(0, 1, 1), seed)), noiseToFloat(noiseHash3(i + ivec3(1, 1, 1), seed)), u),
+        v);
+
+    return mix(bottom, top, w) * 2.0 - 1.0;
+}
+`,
+
+    perlin: `
+float perlinNoise2(vec2 p, uint seed) {
+    ivec2 i = ivec2(floor(p));
+    vec2 f = p - floor(p);
+    float u = noiseFade(f.x);
+    float v = noiseFade(f.y);
+
+    float a = noiseGrad2(noiseHash2(i, seed), f.x, f.y);
+    float b = noiseGrad2(noiseHash2(i + ivec2(1, 0), seed), f.x - 1.0, f.y);
+    float c = noiseGrad2(noiseHash2(i + ivec2(0, 1), seed), f.x, f.y - 1.0);
+    float d = noiseGrad2(noiseHash2(i + ivec2(1, 1), seed), f.x - 1.0, f.y - 1.0);
+
+    return mix(mix(a, b, u), mix(c, d, u), v);
+}
+
+float perlinCorner3(ivec3 i, vec3 f, ivec3 d, uint seed) {
+    vec3 o = f - vec3(d);
+    return noiseGrad3(noiseHash3(i + d, seed), o.x, o.y, o.z);
+}
+
+float perlinNoise3(vec3 p, uint seed) {
+    ivec3 i = ivec3(floor(p));
+    vec3 f = p - floor(p);
+    float u = noiseFade(f.x);
+    float v = noiseFade(f.y);
+    float w = noiseFade(f.z);
+
+    float bottom = mix(
+        mix(perlinCorner3(i, f, ivec3(0, 0, 0), seed), perlinCorner3(i, f, ivec3(1, 0, 0), seed), u),
+        mix(perlinCorner3(i, f, ivec3(0, 1, 0), seed), perlinCorner3(i, f, ivec3(1, 1, 0), seed), u),
+        v);
+    float top = mix(
+        mix(perlinCorner3(i, f, ivec3(0, 0, 1), seed), perlinCorner3(i, f, ivec3(1, 0, 1), seed), u),
+        mix(perlinCorner3(i, f, ivec3(0, 1, 1), seed), perlinCorner3(i, f, ivec3(1, 1, 1), seed), u),
+        v);
+
+    return mix(bottom, top, w);
+}
+`,
+
+    simplex: `
+float simplexCorner2(uint h, vec2 p) {
+    float t = 0.5 - dot(p, p);
+    if (t < 0.0) return 0.0;
+    return t * t * t * t * noiseGrad2(h, p.x, p.y);
+}
+
+float simplexNoise2(vec2 p, uint seed) {
+    const float F2 = 0.36602540378;
+    const float G2 = 0.21132486540;
+
+    float s = (p.x + p.y) * F2;
+    vec2 cell = floor(p + s);
+    ivec2 i = ivec2(cell);
+    float t = (cell.x + cell.y) * G2;
+    vec2 p0 = p - (cell - t);
+
+    ivec2 o1 = p0.x > p0.y ? ivec2(1, 0) : ivec2(0, 1);
+    vec2 p1 = p0 - vec2(o1) + G2;
+    vec2 p2 = p0 - 1.0 + 2.0 * G2;
+
+    float n0 = simplexCorner2(noiseHash2(i, seed), p0);
+    float n1 = simplexCorner2(noiseHash2(i + o1, seed), p1);
+    float n2 = simplexCorner2(noiseHash2(i + ivec2(1, 1), seed), p2);
+
+    return 70.0 * (n0 + n1 + n2);
+}
+
+float simplexCorner3(uint h, vec3 p) {
+    float t = 0.6 - dot(p, p);
+    if (t < 0.0) return 0.0;
+    return t * t * t * t * noiseGrad3(h, p.x, p.y, p.z);
+}
+
+float simplexNoise3(vec3 p, uint seed) {
+    const float F3 = 1.0 / 3.0;
+    const float G3 = 1.0 / 6.0;
+
+    float s = (p.x + p.y + p.z) * F3;
+    vec3 cell = floor(p + s);
+    ivec3 i = ivec3(cell);
+    float t = (cell.x + cell.y + cell.z) * G3;
+    vec3 p0 = p - (cell - t);
+
+    ivec3 o1;
+    ivec3 o2;
+    if (p0.x >= p0.y) {
+        if (p0.y >= p0.z) {
+            o1 = ivec3(1, 0, 0); o2 = ivec3(1, 1, 0);
+        } else if (p0.x >= p0.z) {
+            o1 = ivec3(1, 0, 0); o2 = ivec3(1, 0, 1);
+        } else {
+            o1 = ivec3(0, 0, 1); o2 = ivec3(1, 0, 1);
+        }
+    } else {
+        if (p0.y < p0.z) {
+            o1 = ivec3(0, 0, 1); o2 = ivec3(0, 1, 1);
+        } else if (p0.x < p0.z) {
+            o1 = ivec3(0, 1, 0); o2 = ivec3(0, 1, 1);
+        } else {
+            o1 = ivec3(0, 1, 0); o2 = ivec3(1, 1, 0);
+        }
+    }
+
+    float n0 = simplexCorner3(noiseHash3(i, seed), p0);
+    float n1 = simplexCorner3(noiseHash3(i + o1, seed), p0 - vec3(o1) + G3);
+    float n2 = simplexCorner3(noiseHash3(i + o2, seed), p0 - vec3(o2) + 2.0 * G3);
+    float n3 = simplexCorner3(noiseHash3(i + ivec3(1, 1, 1), seed), p0 - 1.0 + 3.0 * G3);
+
+    return 32.0 * (n0 + n1 + n2 + n3);
+}
+`,
+
+    worley: `
+float worleyNoise2(vec2 p, uint seed) {
+    ivec2 i = ivec2(floor(p));
+    float minDistSq = 1e20;
+
+    for (int dy = -1; dy <= 1; dy++) {
+        for (int dx = -1; dx <= 1; dx++) {
+            ivec2 cell = i + ivec2(dx, dy);
+            uint h = noiseHash2(cell, seed);
+            vec2 feature = vec2(cell) + vec2(float(h & 0xffffu), float(h >> 16)) / 65536.0;
+            vec2 d = feature - p;
+            minDistSq = min(minDistSq, dot(d, d));
+        }
+    }
+
+    return sqrt(minDistSq);
+}
+
+float worleyNoise3(vec3 p, uint seed) {
+    ivec3 i = ivec3(floor(p));
+    float minDistSq = 1e20;
+
+    for (int dz = -1; dz <= 1; dz++) {
+        for (int dy = -1; dy <= 1; dy++) {
+            for (int dx = -1; dx <= 1; dx++) {
+                ivec3 cell = i + ivec3(dx, dy, dz);
+                uint h = noiseHash3(cell, seed);
+                vec3 offset = vec3(float(h & 0x3ffu), float((h >> 10) & 0x3ffu), float((h >> 20) & 0x3ffu));
+                vec3 d = vec3(cell) + offset / 1024.0 - p;
+                minDistSq = min(minDistSq, dot(d, d));
+            }
+        }
+    }
+
+    return sqrt(minDistSq);
+}
+`,
+
+    // Builds fbm_<noiseName>(p, seed, octaves, lacunarity, gain) around one of the noise functions
+    fbm: function (noiseName, dimensions) {
+        const type = dimensions === 3 ? 'vec3' : 'vec2';
+        return `
+float fbm_${noiseName}(${type} p, uint seed, int octaves, float lacunarity, float gain) {
+    float sum = 0.0;
+    float amplitude = 1.0;
+    float frequency = 1.0;
+    float total = 0.0;
+
+    for (int octave = 0; octave < octaves; octave++) {
+        sum += amplitude * ${noiseName}(p * frequency, seed + uint(octave));
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+
+    return sum / total;
+}
+`;
+    },
+};
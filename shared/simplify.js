@@ -0,0 +1,484 @@
+/**
+ * Mesh simplification and level of detail
+ * Quadric error metric (Garland & Heckbert) decimation for the geometry objects returned
+ * by the generators in models.js: { positions, normals, texCoords, indices }, with optional
+ * tangents and groups, which are carried through.
+ *
+ * Edges are removed by half-edge collapses: a vertex merges into a neighbour and takes its
+ * position, so the remaining vertices keep their original attributes. Vertices on a UV seam
+ * (several vertices at the same position) only merge with each other, and open borders only
+ * shrink along themselves, so simplified meshes don't crack open.
+ *
+ * The error of a result is the square root of the largest quadric cost that was accepted:
+ * every removed vertex ended up within that distance of the planes of all the original
+ * triangles that were merged into its new position. selectLod() turns it into pixels.
+ * Depends on geometry-tools.js for index arrays.
+ */
+
+const meshSimplify = {
+    // Remove triangles until at most targetTriangles remain or the next collapse would
+    // exceed maxError. Returns { geometry, triangleCount, error }.
+    simplify: function (geometry, targetTriangles, maxError = Infinity) {
+        let result = null;
+        simplifyRun(geometry, [targetTriangles], maxError, (snapshot) => {
+            result = snapshot;
+        });
+        return result;
+    },
+
+    // Build LODs at the given triangle ratios (1 is the original mesh) in one decimation pass.
+    // Returns [{ geometry, ratio, triangleCount, error }] from the most to the least detailed.
+    lodChain: function (geometry, ratios = [1, 0.5, 0.25, 0.125], maxError = Infinity) {
+        const triangleCount = Math.floor(geometry.indices.length / 3);
+        const sorted = ratios.slice().sort((a, b) => b - a);
+        const lods = [];
+
+        simplifyRun(
+            geometry,
+            sorted.map((ratio) => Math.floor(triangleCount * ratio)),
+            maxError,
+            (snapshot, i) => {
+                lods.push({
+                    geometry: snapshot.geometry,
+                    ratio: sorted[i],
+                    triangleCount: snapshot.triangleCount,
+                    error: snapshot.error,
+                });
+            }
+        );
+
+        return lods;
+    },
+
+    // Diameter in pixels of a bounding sphere seen through a perspective camera
+    projectedSize: function (radius, distance, fovy, viewportHeight) {
+        if (distance <= radius) return Infinity;
+        return (radius / (distance * Math.tan(fovy / 2))) * viewportHeight;
+    },
+
+    // Index of the coarsest LOD whose error stays below maxPixelError on screen.
+    // radius is the mesh's bounding radius in the same units as the LOD errors.
+    selectLod: function (lods, radius, pixelSize, maxPixelError = 1) {
+        if (!Number.isFinite(pixelSize)) return 0;
+
+        const pixelsPerUnit = radius > 0 ? pixelSize / (2 * radius) : 0;
+        let selected = 0;
+
+        for (let i = 1; i < lods.length; i++) {
+            if (lods[i].error * pixelsPerUnit <= maxPixelError) selected = i;
+        }
+
+        return selected;
+    },
+};
+
+// Decimate towards each target in turn (largest first), reporting a snapshot at every target
+function simplifyRun(geometry, targets, maxError, onSnapshot) {
+    const positions = geometry.positions;
+    const vertexCount = positions.length / 3;
+    const triangleCount = Math.floor(geometry.indices.length / 3);
+    const triangles = Int32Array.from(geometry.indices.subarray(0, triangleCount * 3));
+    const triangleAlive = new Uint8Array(triangleCount).fill(1);
+    const vertexAlive = new Uint8Array(vertexCount).fill(1);
+    const version = new Uint32Array(vertexCount);
+    const incident = Array.from({ length: vertexCount }, () => []);
+    const quadrics = new Float64Array(vertexCount * 10);
+    const maxCost = maxError * maxError;
+    let aliveCount = triangleCount;
+    let error = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) {
+            incident[triangles[t * 3 + k]].push(t);
+        }
+        const plane = simplifyTrianglePlane(positions, triangles, t);
+        if (plane) {
+            for (let k = 0; k < 3; k++) {
+                simplifyAddPlane(quadrics, triangles[t * 3 + k], plane, 1);
+            }
+        }
+    }
+
+    const epsilon = simplifyTolerance(positions);
+    const seam = simplifyFindSeamVertices(positions, epsilon);
+    const border = new Uint8Array(vertexCount);
+
+    // Border edges belong to a single triangle. Their vertices get an extra plane through
+    // the edge, perpendicular to the triangle, so collapses along the border keep its shape.
+    simplifyCountEdges(triangles, triangleAlive).forEach((count, key) => {
+        if (count !== 1) return;
+        const [a, b] = key.split(',').map(Number);
+        border[a] = 1;
+        border[b] = 1;
+
+        const t = incident[a].find((tri) => simplifyTriangleHas(triangles, tri, b));
+        const plane = simplifyBorderPlane(positions, triangles, t, a, b);
+        if (plane) {
+            simplifyAddPlane(quadrics, a, plane, 1);
+            simplifyAddPlane(quadrics, b, plane, 1);
+        }
+    });
+
+    const heap = simplifyCreateHeap();
+    const pushEdge = (from, to) => {
+        // Seam vertices may only merge into a vertex at the same spot (e.g. the fan of vertices at a sphere's pole)
+        if (seam[from] && !simplifyCoincident(positions, from, to, epsilon)) return;
+        if (border[from] && !(border[to] && simplifyIsBorderEdge(triangles, triangleAlive, incident, from, to))) return;
+
+        const cost = simplifyCost(quadrics, from, to, positions);
+        simplifyHeapPush(heap, { cost: cost, from: from, to: to, fromVersion: version[from], toVersion: version[to] });
+    };
+
+    for (let v = 0; v < vertexCount; v++) {
+        simplifyNeighbours(triangles, incident, v).forEach((n) => pushEdge(v, n));
+    }
+
+    targets.forEach((target, index) => {
+        while (aliveCount > target && heap.length > 0) {
+            const edge = simplifyHeapPop(heap);
+            const { from, to } = edge;
+
+            if (!vertexAlive[from] || !vertexAlive[to]) continue;
+            if (edge.fromVersion !== version[from] || edge.toVersion !== version[to]) continue;
+            if (edge.cost > maxCost) break;
+            if (!simplifyCanCollapse(positions, triangles, triangleAlive, incident, from, to)) continue;
+
+            // Triangles on the edge disappear, the others around 'from' now use 'to'
+            incident[from].forEach((t) => {
+                if (!triangleAlive[t]) return;
+                if (simplifyTriangleHas(triangles, t, to)) {
+                    triangleAlive[t] = 0;
+                    aliveCount--;
+                    return;
+                }
+                for (let k = 0; k < 3; k++) {
+                    if (triangles[t * 3 + k] === from) triangles[t * 3 + k] = to;
+                }
+                incident[to].push(t);
+            });
+
+            incident[from] = [];
+            incident[to] = incident[to].filter((t) => triangleAlive[t]);
+            vertexAlive[from] = 0;
+            for (let i = 0; i < 10; i++) {
+                quadrics[to * 10 + i] += quadrics[from * 10 + i];
+            }
+            error = Math.max(error, Math.sqrt(Math.max(edge.cost, 0)));
+
+            // Every edge touching 'to' has a new cost
+            version[to]++;
+            simplifyNeighbours(triangles, incident, to).forEach((n) => {
+                version[n]++;
+                pushEdge(to, n);
+                pushEdge(n, to);
+                simplifyNeighbours(triangles, incident, n).forEach((m) => {
+                    if (m !== to) {
+                        pushEdge(n, m);
+                        pushEdge(m, n);
+                    }
+                });
+            });
+        }
+
+        onSnapshot(
+            {
+                geometry: simplifyBuildGeometry(geometry, triangles, triangleAlive),
+                triangleCount: aliveCount,
+                error: error,
+            },
+            index
+        );
+    });
+}
+
+// A collapse must keep the mesh manifold (link condition) and must not flip any triangle
+function simplifyCanCollapse(positions, triangles, triangleAlive, incident, from, to) {
+    const fromNeighbours = simplifyNeighbours(triangles, incident, from);
+    const toNeighbours = new Set(simplifyNeighbours(triangles, incident, to));
+    const shared = fromNeighbours.filter((n) => toNeighbours.has(n));
+
+    const opposite = new Set();
+    incident[from].forEach((t) => {
+        if (!triangleAlive[t] || !simplifyTriangleHas(triangles, t, to)) return;
+        for (let k = 0; k < 3; k++) {
+            const v = triangles[t * 3 + k];
+            if (v !== from && v !== to) opposite.add(v);
+        }
+    });
+
+    if (shared.length !== opposite.size) return false;
+
+    for (const t of incident[from]) {
+        if (!triangleAlive[t] || simplifyTriangleHas(triangles, t, to)) continue;
+
+        const before = simplifyTriangleNormal(positions, triangles, t, -1, -1);
+        const after = simplifyTriangleNormal(positions, triangles, t, from, to);
+        const lengthBefore = Math.hypot(before[0], before[1], before[2]);
+        const lengthAfter = Math.hypot(after[0], after[1], after[2]);
+
+        // Reject flipped triangles and triangles that would collapse to a sliver
+        if (lengthAfter === 0) return false;
+        const d =
+            (before[0] * after[0] + before[1] * after[1] + before[2] * after[2]) / (lengthBefore * lengthAfter || 1);
+        if (lengthBefore > 0 && d < 0.2) return false;
+    }
+
+    return true;
+}
+
+function simplifyIsBorderEdge(triangles, triangleAlive, incident, a, b) {
+    let count = 0;
+    incident[a].forEach((t) => {
+        if (triangleAlive[t] && simplifyTriangleHas(triangles, t, b)) count++;
+    });
+    return count === 1;
+}
+
+function simplifyCountEdges(triangles, triangleAlive) {
+    const counts = new Map();
+    for (let t = 0; t < triangleAlive.length; t++) {
+        if (!triangleAlive[t]) continue;
+        for (let k = 0; k < 3; k++) {
+            const a = triangles[t * 3 + k];
+            const b = triangles[t * 3 + ((k + 1) % 3)];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+function simplifyNeighbours(triangles, incident, v) {
+    const result = new Set();
+    incident[v].forEach((t) => {
+        for (let k = 0; k < 3; k++) {
+            const n = triangles[t * 3 + k];
+            if (n !== v) result.add(n);
+        }
+    });
+    return Array.from(result);
+}
+
+function simplifyTriangleHas(triangles, t, v) {
+    return triangles[t * 3] === v || triangles[t * 3 + 1] === v || triangles[t * 3 + 2] === v;
+}
+
+// Vertices that share their position with another vertex (UV or normal seams). Generators
+// compute both sides of a seam separately (e.g. cos(0) and cos(2 * PI)), so positions only
+// need to match within a tolerance relative to the mesh size.
+function simplifyFindSeamVertices(positions, epsilon) {
+    const vertexCount = positions.length / 3;
+    const seam = new Uint8Array(vertexCount);
+    const cells = new Map();
+
+    for (let v = 0; v < vertexCount; v++) {
+        const cx = Math.floor(positions[v * 3] / epsilon);
+        const cy = Math.floor(positions[v * 3 + 1] / epsilon);
+        const cz = Math.floor(positions[v * 3 + 2] / epsilon);
+
+        // Compare against the vertices in this and the neighbouring cells
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    (cells.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach((other) => {
+                        if (simplifyCoincident(positions, v, other, epsilon)) {
+                            seam[v] = 1;
+                            seam[other] = 1;
+                        }
+                    });
+                }
+            }
+        }
+
+        const key = `${cx},${cy},${cz}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(v);
+    }
+
+    return seam;
+}
+
+// Distance below which two positions count as the same, relative to the mesh size
+function simplifyTolerance(positions) {
+    let extent = 0;
+    for (let i = 0; i < positions.length; i++) {
+        extent = Math.max(extent, Math.abs(positions[i]));
+    }
+    return Math.max(extent, 1) * 1e-6;
+}
+
+function simplifyCoincident(positions, a, b, epsilon) {
+    return (
+        Math.abs(positions[a * 3] - positions[b * 3]) <= epsilon &&
+        Math.abs(positions[a * 3 + 1] - positions[b * 3 + 1]) <= epsilon &&
+        Math.abs(positions[a * 3 + 2] - positions[b * 3 + 2]) <= epsilon
+    );
+}
+
+// Unnormalized normal of triangle t, optionally with vertex 'replace' moved to 'by'
+function simplifyTriangleNormal(positions, triangles, t, replace, by) {
+    const p = [0, 1, 2].map((k) => {
+        let v = triangles[t * 3 + k];
+        if (v === replace) v = by;
+        return [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+    });
+    const u = [p[1][0] - p[0][0], p[1][1] - p[0][1], p[1][2] - p[0][2]];
+    const w = [p[2][0] - p[0][0], p[2][1] - p[0][1], p[2][2] - p[0][2]];
+    return [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+}
+
+// Plane [a, b, c, d] of a triangle with a unit normal, or null for a degenerate triangle
+function simplifyTrianglePlane(positions, triangles, t) {
+    const n = simplifyTriangleNormal(positions, triangles, t, -1, -1);
+    const length = Math.hypot(n[0], n[1], n[2]);
+    if (length === 0) return null;
+
+    const v = triangles[t * 3];
+    const a = n[0] / length;
+    const b = n[1] / length;
+    const c = n[2] / length;
+    return [a, b, c, -(a * positions[v * 3] + b * positions[v * 3 + 1] + c * positions[v * 3 + 2])];
+}
+
+// Plane containing the border edge a-b and perpendicular to its triangle
+function simplifyBorderPlane(positions, triangles, t, a, b) {
+    const n = simplifyTriangleNormal(positions, triangles, t, -1, -1);
+    const e = [
+        positions[b * 3] - positions[a * 3],
+        positions[b * 3 + 1] - positions[a * 3 + 1],
+        positions[b * 3 + 2] - positions[a * 3 + 2],
+    ];
+    const p = [e[1] * n[2] - e[2] * n[1], e[2] * n[0] - e[0] * n[2], e[0] * n[1] - e[1] * n[0]];
+    const length = Math.hypot(p[0], p[1], p[2]);
+    if (length === 0) return null;
+
+    const x = p[0] / length;
+    const y = p[1] / length;
+    const z = p[2] / length;
+    return [x, y, z, -(x * positions[a * 3] + y * positions[a * 3 + 1] + z * positions[a * 3 + 2])];
+}
+
+// Quadrics are symmetric 4x4 matrices stored as their 10 upper-triangle entries
+function simplifyAddPlane(quadrics, v, plane, weight) {
+    const [a, b, c, d] = plane;
+    const o = v * 10;
+    quadrics[o] += a * a * weight;
+    quadrics[o + 1] += a * b * weight;
+    quadrics[o + 2] += a * c * weight;
+    quadrics[o + 3] += a * d * weight;
+    quadrics[o + 4] += b * b * weight;
+    quadrics[o + 5] += b * c * weight;
+    quadrics[o + 6] += b * d * weight;
+    quadrics[o + 7] += c * c * weight;
+    quadrics[o + 8] += c * d * weight;
+    quadrics[o + 9] += d * d * weight;
+}
+
+// Summed squared plane distances of both vertices' planes, measured at the position of 'to'
+function simplifyCost(quadrics, from, to, positions) {
+    const x = positions[to * 3];
+    const y = positions[to * 3 + 1];
+    const z = positions[to * 3 + 2];
+    let cost = 0;
+
+    [from, to].forEach((v) => {
+        const q = quadrics.subarray(v * 10, v * 10 + 10);
+        cost +=
+            q[0] * x * x +
+            2 * q[1] * x * y +
+            2 * q[2] * x * z +
+            2 * q[3] * x +
+            q[4] * y * y +
+            2 * q[5] * y * z +
+            2 * q[6] * y +
+            q[7] * z * z +
+            2 * q[8] * z +
+            q[9];
+    });
+
+    return Math.max(cost, 0);
+}
+
+// Compact the surviving triangles into a new geometry, keeping groups and optional tangents
+function simplifyBuildGeometry(geometry, triangles, triangleAlive) {
+    const lookup = new Map();
+    const source = [];
+    const indices = [];
+    const groups = geometry.groups
+        ? geometry.groups.map((group) => Object.assign({}, group, { start: 0, count: 0 }))
+        : null;
+    let group = 0;
+
+    for (let t = 0; t < triangleAlive.length; t++) {
+        if (groups) {
+            const original = geometry.groups;
+            while (group < original.length - 1 && t * 3 >= original[group].start + original[group].count) {
+                group++;
+            }
+            if (groups[group].count === 0) groups[group].start = indices.length;
+        }
+        if (!triangleAlive[t]) continue;
+
+        for (let k = 0; k < 3; k++) {
+            const v = triangles[t * 3 + k];
+            if (!lookup.has(v)) {
+                lookup.set(v, source.length);
+                source.push(v);
+            }
+            indices.push(lookup.get(v));
+        }
+        if (groups) groups[group].count += 3;
+    }
+
+    const copy = (values, size) => {
+        const out = new Float32Array(source.length * size);
+        source.forEach((v, i) => out.set(values.subarray(v * size, v * size + size), i * size));
+        return out;
+    };
+
+    const result = {
+        positions: copy(geometry.positions, 3),
+        normals: copy(geometry.normals, 3),
+        texCoords: copy(geometry.texCoords, 2),
+        indices: geometryTools.createIndexArray(indices, source.length),
+    };
+    if (geometry.tangents) result.tangents = copy(geometry.tangents, 4);
+    if (groups) result.groups = groups;
+    return result;
+}
+
+// Binary min-heap on cost
+function simplifyCreateHeap() {
+    return [];
+}
+
+function simplifyHeapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].cost <= heap[i].cost) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function simplifyHeapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].cost < heap[smallest].cost) smallest = left;
+            if (right < heap.length && heap[right].cost < heap[smallest].cost) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
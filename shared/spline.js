@@ -0,0 +1,304 @@
+/**
+ * Cubic splines for animation paths
+ * Bezier, Hermite and Catmull-Rom curves through vec3 control points, in the same
+ * out-parameter style as gl-matrix.js.
+ *
+ * A path joins several cubic segments. Every path type is converted to Bezier segments
+ * when it is created, and an arc-length table is built so that objects can move along
+ * the path at constant speed (pointAtDistance) instead of constant parameter rate.
+ * A path through a single point stays on it; one with no segment at all is an error.
+ */
+
+const spline = {
+    // Single cubic Bezier segment
+    bezier: function (out, p0, p1, p2, p3, t) {
+        const it = 1 - t;
+        const b0 = it * it * it;
+        const b1 = 3 * it * it * t;
+        const b2 = 3 * it * t * t;
+        const b3 = t * t * t;
+
+        out[0] = b0 * p0[0] + b1 * p1[0] + b2 * p2[0] + b3 * p3[0];
+        out[1] = b0 * p0[1] + b1 * p1[1] + b2 * p2[1] + b3 * p3[1];
+        out[2] = b0 * p0[2] + b1 * p1[2] + b2 * p2[2] + b3 * p3[2];
+        return out;
+    },
+
+    // Derivative of the Bezier segment with respect to t (not normalized)
+    bezierTangent: function (out, p0, p1, p2, p3, t) {
+        const it = 1 - t;
+        const d0 = 3 * it * it;
+        const d1 = 6 * it * t;
+        const d2 = 3 * t * t;
+
+        for (let i = 0; i < 3; i++) {
+            out[i] = d0 * (p1[i] - p0[i]) + d1 * (p2[i] - p1[i]) + d2 * (p3[i] - p2[i]);
+        }
+        return out;
+    },
+
+    // Cubic Hermite segment from p0 to p1 with tangents m0 and m1
+    hermite: function (out, p0, m0, p1, m1, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const h00 = 2 * t3 - 3 * t2 + 1;
+        const h10 = t3 - 2 * t2 + t;
+        const h01 = -2 * t3 + 3 * t2;
+        const h11 = t3 - t2;
+
+        for (let i = 0; i < 3; i++) {
+            out[i] = h00 * p0[i] + h10 * m0[i] + h01 * p1[i] + h11 * m1[i];
+        }
+        return out;
+    },
+
+    hermiteTangent: function (out, p0, m0, p1, m1, t) {
+        const t2 = t * t;
+        const h00 = 6 * t2 - 6 * t;
+        const h10 = 3 * t2 - 4 * t + 1;
+        const h01 = -6 * t2 + 6 * t;
+        const h11 = 3 * t2 - 2 * t;
+
+        for (let i = 0; i < 3; i++) {
+            out[i] = h00 * p0[i] + h10 * m0[i] + h01 * p1[i] + h11 * m1[i];
+        }
+        return out;
+    },
+
+    // Uniform Catmull-Rom segment between p1 and p2
+    catmullRom: function (out, p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        for (let i = 0; i < 3; i++) {
+            out[i] =
+                0.5 *
+                (2 * p1[i] +
+                    (p2[i] - p0[i]) * t +
+                    (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2 +
+                    (3 * p1[i] - p0[i] - 3 * p2[i] + p3[i]) * t3);
+        }
+        return out;
+    },
+
+    catmullRomTangent: function (out, p0, p1, p2, p3, t) {
+        const t2 = t * t;
+
+        for (let i = 0; i < 3; i++) {
+            out[i] =
+                0.5 *
+                (p2[i] -
+                    p0[i] +
+                    2 * (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t +
+                    3 * (3 * p1[i] - p0[i] - 3 * p2[i] + p3[i]) * t2);
+        }
+        return out;
+    },
+
+    // Path through all points. Open paths repeat the end points so the curve reaches them.
+    catmullRomPath: function (points, closed = false, samplesPerSegment = 32) {
+        if (points.length === 1) return splineConstantPath(points[0], closed, samplesPerSegment);
+
+        const n = points.length;
+        const segmentCount = closed ? n : n - 1;
+        const segments = [];
+
+        const at = (i) => (closed ? points[(i + n) % n] : points[Math.min(Math.max(i, 0), n - 1)]);
+
+        for (let i = 0; i < segmentCount; i++) {
+            const p0 = at(i - 1);
+            const p1 = at(i);
+            const p2 = at(i + 1);
+            const p3 = at(i + 2);
+
+            // Catmull-Rom tangents are (p2 - p0) / 2, a third of that gives the Bezier handles
+            segments.push([
+                splineCopyPoint(p1),
+                splineOffsetPoint(p1, p2, p0, 1 / 6),
+                splineOffsetPoint(p2, p3, p1, -1 / 6),
+                splineCopyPoint(p2),
+            ]);
+        }
+
+        return splineCreatePath(segments, closed, samplesPerSegment);
+    },
+
+    // Points are anchor, handle, handle, anchor, handle, handle, anchor, ...
+    // (3n + 1 points, or 3n for a closed path whose last segment returns to the first anchor)
+    bezierPath: function (points, closed = false, samplesPerSegment = 32) {
+        if (points.length === 1) return splineConstantPath(points[0], closed, samplesPerSegment);
+
+        const segmentCount = Math.floor((closed ? points.length : points.length - 1) / 3);
+        const segments = [];
+
+        for (let i = 0; i < segmentCount; i++) {
+            const base = i * 3;
+            segments.push([
+                splineCopyPoint(points[base]),
+                splineCopyPoint(points[base + 1]),
+                splineCopyPoint(points[base + 2]),
+                splineCopyPoint(points[(base + 3) % points.length]),
+            ]);
+        }
+
+        return splineCreatePath(segments, closed, samplesPerSegment);
+    },
+
+    // Path through points with an explicit tangent at every point
+    hermitePath: function (points, tangents, closed = false, samplesPerSegment = 32) {
+        if (points.length === 1) return splineConstantPath(points[0], closed, samplesPerSegment);
+
+        const n = points.length;
+        const segmentCount = closed ? n : n - 1;
+        const segments = [];
+
+        for (let i = 0; i < segmentCount; i++) {
+            const j = (i + 1) % n;
+            segments.push([
+                splineCopyPoint(points[i]),
+                splineOffsetPoint(points[i], tangents[i], null, 1 / 3),
+                splineOffsetPoint(points[j], tangents[j], null, -1 / 3),
+                splineCopyPoint(points[j]),
+            ]);
+        }
+
+        return splineCreatePath(segments, closed, samplesPerSegment);
+    },
+
+    // Position at parameter u in [0, 1] over the whole path (closed paths wrap around)
+    point: function (out, path, u) {
+        const s = splineLocateSegment(path, u);
+        const c = path.segments[s.index];
+        return spline.bezier(out, c[0], c[1], c[2], c[3], s.t);
+    },
+
+    // Unit tangent (direction of travel) at parameter u, or zero on a path that stays on one point
+    tangent: function (out, path, u) {
+        const s = splineLocateSegment(path, u);
+        const c = path.segments[s.index];
+        spline.bezierTangent(out, c[0], c[1], c[2], c[3], s.t);
+        return splineNormalize(out);
+    },
+
+    length: function (path) {
+        return path.arcLengths[path.arcLengths.length - 1];
+    },
+
+    // Convert a distance along the path into the parameter u used by point() and tangent()
+    parameterAtDistance: function (path, distance) {
+        const table = path.arcLengths;
+        const total = table[table.length - 1];
+
+        if (total === 0) return 0;
+
+        if (path.closed) {
+            distance = distance - total * Math.floor(distance / total);
+        } else {
+            distance = Math.min(Math.max(distance, 0), total);
+        }
+
+        // Binary search for the last sample not past the distance
+        let low = 0;
+        let high = table.length - 1;
+        while (low < high - 1) {
+            const mid = (low + high) >> 1;
+            if (table[mid] <= distance) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const span = table[high] - table[low];
+        const fraction = span > 0 ? (distance - table[low]) / span : 0;
+        return (low + fraction) / (table.length - 1);
+    },
+
+    // Position after travelling a distance from the start, for constant-speed motion
+    pointAtDistance: function (out, path, distance) {
+        return spline.point(out, path, spline.parameterAtDistance(path, distance));
+    },
+
+    tangentAtDistance: function (out, path, distance) {
+        return spline.tangent(out, path, spline.parameterAtDistance(path, distance));
+    },
+};
+
+// Build the arc-length table shared by every path type
+function splineCreatePath(segments, closed, samplesPerSegment) {
+    if (segments.length === 0) {
+        throw new Error('Spline path needs at least one segment (2 points, or 3n + 1 for a Bezier path)');
+    }
+
+    const sampleCount = segments.length * samplesPerSegment;
+    const arcLengths = new Float32Array(sampleCount + 1);
+    const first = segments[0][0];
+    const previous = [first[0], first[1], first[2]];
+    const current = [0, 0, 0];
+
+    for (let i = 1; i <= sampleCount; i++) {
+        const index = Math.min(Math.floor((i - 1) / samplesPerSegment), segments.length - 1);
+        const t = i / samplesPerSegment - index;
+        const c = segments[index];
+        spline.bezier(current, c[0], c[1], c[2], c[3], t);
+
+        const dx = current[0] - previous[0];
+        const dy = current[1] - previous[1];
+        const dz = current[2] - previous[2];
+        arcLengths[i] = arcLengths[i - 1] + Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        previous[0] = current[0];
+        previous[1] = current[1];
+        previous[2] = current[2];
+    }
+
+    return {
+        segments: segments,
+        closed: closed,
+        arcLengths: arcLengths,
+    };
+}
+
+// Path that stays on one point: zero length, and a zero tangent
+function splineConstantPath(point, closed, samplesPerSegment) {
+    const segment = [splineCopyPoint(point), splineCopyPoint(point), splineCopyPoint(point), splineCopyPoint(point)];
+    return splineCreatePath([segment], closed, samplesPerSegment);
+}
+
+// Map a path parameter to a segment index and a local t
+function splineLocateSegment(path, u) {
+    const count = path.segments.length;
+
+    if (path.closed) {
+        u = u - Math.floor(u);
+    } else {
+        u = Math.min(Math.max(u, 0), 1);
+    }
+
+    const scaled = u * count;
+    const index = Math.min(Math.floor(scaled), count - 1);
+    return { index: index, t: scaled - index };
+}
+
+function splineCopyPoint(p) {
+    return new Float32Array([p[0], p[1], p[2]]);
+}
+
+// base + (a - b) * scale, or base + a * scale when b is null
+function splineOffsetPoint(base, a, b, scale) {
+    const out = new Float32Array(3);
+    for (let i = 0; i < 3; i++) {
+        out[i] = base[i] + (a[i] - (b ? b[i] : 0)) * scale;
+    }
+    return out;
+}
+
+function splineNormalize(out) {
+    const len = Math.sqrt(out[0] * out[0] + out[1] * out[1] + out[2] * out[2]);
+    if (len > 0) {
+        out[0] /= len;
+        out[1] /= len;
+        out[2] /= len;
+    }
+    return out;
+}
@@ -0,0 +1,351 @@
+/**
+ * TextureManager Module - Shares textures between their users and tracks their loading
+ *
+ * Textures are keyed by URL or by a descriptor: { url } for a 2D texture or { urls } with the six
+ * faces of a cube map (+X, -X, +Y, -Y, +Z, -Z), plus optional sampling settings. Loading a key that
+ * is already known returns the same entry and adds a reference; release() drops one, and the last
+ * release deletes the texture.
+ *
+ * Entries can be drawn with right away: their texture holds a placeholder color until all of its
+ * images have loaded, and keeps it (or shows the manager's error color) if one of them fails.
+ * A failed entry leaves the cache so the next load() of its key tries again; the texture itself lives
+ * until its last reference is released.
+ *
+ * Uploads and sampler state go through TextureSetup (texture-setup.js), which must be loaded first.
+ */
+const TextureManager = (function () {
+    const LOADING = 'loading';
+    const READY = 'ready';
+    const ERROR = 'error';
+
+    /**
+     * Create a texture manager for a context
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} [options] - Manager options
+     * @param {Array<number>} [options.placeholder=[255, 255, 255, 255]] - RGBA8 color shown while loading
+     * @param {Array<number>} [options.errorColor] - RGBA8 color for failed textures (default: keep the placeholder)
+     * @returns {Object} Manager with load, release, get, on, off, progress and settled
+     */
+    function create(gl, options = {}) {
+        const { placeholder = [255, 255, 255, 255], errorColor = null } = options;
+        const entries = new Map();
+        // Failed entries that left the cache but still have references
+        const failed = new Set();
+        const listeners = { loading: [], ready: [], error: [], progress: [] };
+
+        // Images of the current batch; a batch starts when a load begins while nothing is pending
+        const batch = { total: 0, loaded: 0, failed: 0 };
+
+        function emit(type, detail) {
+            listeners[type].forEach((listener) => listener(detail));
+        }
+
+        function countImage(succeeded) {
+            if (succeeded) {
+                batch.loaded++;
+            } else {
+                batch.failed++;
+            }
+            emit('progress', progress());
+        }
+
+        /**
+         * Start loading a texture, or add a reference to one that is already known
+         * @param {string|Object} source - URL, or descriptor with url or urls (six cube faces) and optional
+         *                                 key, crossOrigin, placeholder (RGBA8 color) and the upload and
+         *                                 sampler options of TextureSetup (wrap, filters, anisotropy,
+         *                                 flipY, premultiplyAlpha, srgb)
+         * @returns {Object} Entry with key, texture, target, state, error, refCount and promise
+         *                   (resolves to the texture once it is ready)
+         */
+        function load(source) {
+            const key = keyOf(source);
+            const existing = entries.get(key);
+            if (existing) {
+                existing.refCount++;
+                return existing;
+            }
+
+            const descriptor = typeof source === 'string' ? { url: source } : source;
+            const urls = descriptor.urls || [descriptor.url];
+            if (descriptor.urls && urls.length !== 6) {
+                throw new Error(`Cube map needs 6 face URLs, got ${urls.length}`);
+            }
+
+            const entry = {
+                key: key,
+                descriptor: descriptor,
+                texture: gl.createTexture(),
+                target: descriptor.urls ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D,
+                state: LOADING,
+                error: null,
+                refCount: 1,
+                promise: null,
+            };
+            entries.set(key, entry);
+            fillTexture(gl, entry, descriptor.placeholder || placeholder);
+
+            if (batch.loaded + batch.failed === batch.total) {
+                batch.total = batch.loaded = batch.failed = 0;
+            }
+            batch.total += urls.length;
+            emit('loading', entry);
+            emit('progress', progress());
+
+            const images = urls.map((url) =>
+                loadImage(url, descriptor.crossOrigin).then(
+                    (image) => {
+                        countImage(true);
+                        return image;
+                    },
+                    (error) => {
+                        countImage(false);
+                        throw error;
+                    }
+                )
+            );
+
+            entry.promise = Promise.all(images)
+                .then((loaded) => {
+                    if (entries.get(key) !== entry) {
+                        throw new Error(`Texture released while loading: ${key}`);
+                    }
+                    uploadImages(gl, entry, loaded);
+                    entry.state = READY;
+                    emit('ready', entry);
+                    return entry.texture;
+                })
+                .catch((error) => {
+                    entry.state = ERROR;
+                    entry.error = error;
+
+                    // A released texture is already deleted and nobody listens for it anymore
+                    if (entries.get(key) === entry) {
+                        if (errorColor) {
+                            fillTexture(gl, entry, errorColor);
+                        }
+                        entries.delete(key);
+                        failed.add(entry);
+                        emit('error', entry);
+                    }
+                    throw error;
+                });
+
+            // Failures are reported through the 'error' event; callers may still catch the promise
+            entry.promise.catch(() => {});
+            return entry;
+        }
+
+        /**
+         * Drop a reference to a texture, deleting it with the last one
+         * @param {Object|string} source - Entry returned by load, or the URL/descriptor it was loaded with
+         * @returns {boolean} True if the texture was deleted
+         */
+        function release(source) {
+            const entry = findEntry(source);
+            if (!entry) {
+                return false;
+            }
+
+            entry.refCount--;
+            if (entry.refCount > 0) {
+                return false;
+            }
+
+            if (entries.get(entry.key) === entry) {
+                entries.delete(entry.key);
+            }
+            failed.delete(entry);
+            gl.deleteTexture(entry.texture);
+            return true;
+        }
+
+        /**
+         * Entry to release: the failed entry itself, the cached one for a key, or else a failed one with that key
+         * @param {Object|string} source - Entry, URL or descriptor
+         * @returns {Object|null} The entry, or null if there is none
+         */
+        function findEntry(source) {
+            if (failed.has(source)) {
+                return source;
+            }
+
+            const key = keyOf(source);
+            return entries.get(key) || Array.from(failed).find((entry) => entry.key === key) || null;
+        }
+
+        /**
+         * Look up a texture without adding a reference
+         * @param {Object|string} source - URL or descriptor
+         * @returns {Object|null} The entry, or null if it isn't loaded or failed to
+         */
+        function get(source) {
+            return entries.get(keyOf(source)) || null;
+        }
+
+        /**
+         * Listen for 'loading', 'ready' and 'error' (called with the entry) or 'progress' (called with progress())
+         * @param {string} type - Event type
+         * @param {Function} listener - Callback
+         */
+        function on(type, listener) {
+            if (!listeners[type]) {
+                throw new Error(`Unknown texture manager event: ${type}`);
+            }
+            listeners[type].push(listener);
+        }
+
+        /**
+         * Stop listening for an event
+         * @param {string} type - Event type
+         * @param {Function} listener - Callback passed to on()
+         */
+        function off(type, listener) {
+            if (listeners[type]) {
+                listeners[type] = listeners[type].filter((existing) => existing !== listener);
+            }
+        }
+
+        /**
+         * Progress of the current batch, counted in images (a cube map counts six)
+         * @returns {Object} loaded, failed and total image counts, and fraction done (1 when idle)
+         */
+        function progress() {
+            const done = batch.loaded + batch.failed;
+            return {
+                loaded: batch.loaded,
+                failed: batch.failed,
+                total: batch.total,
+                fraction: batch.total > 0 ? done / batch.total : 1,
+            };
+        }
+
+        /**
+         * Wait until no texture is loading, including ones started while waiting
+         * @returns {Promise<Object>} Resolves to the final progress(); never rejects
+         */
+        function settled() {
+            const pending = Array.from(entries.values())
+                .filter((entry) => entry.state === LOADING)
+                .map((entry) => entry.promise);
+
+            if (pending.length === 0) {
+                return Promise.resolve(progress());
+            }
+            return Promise.allSettled(pending).then(settled);
+        }
+
+        return {
+            load: load,
+            release: release,
+            get: get,
+            on: on,
+            off: off,
+            progress: progress,
+            settled: settled,
+        };
+    }
+
+    /**
+     * Cache key of a URL or descriptor; a descriptor with just a url shares the URL's key
+     * @param {string|Object} source - URL, descriptor or entry
+     * @returns {string} Key
+     */
+    function keyOf(source) {
+        if (typeof source === 'string') {
+            return source;
+        }
+        if (source.key) {
+            return source.key;
+        }
+
+        // The placeholder only matters while loading, so it doesn't make a different texture
+        const names = Object.keys(source)
+            .filter((name) => name !== 'placeholder')
+            .sort();
+        if (names.length === 1 && names[0] === 'url') {
+            return source.url;
+        }
+        return JSON.stringify(names.map((name) => [name, source[name]]));
+    }
+
+    /**
+     * Load an image element
+     * @param {string} url - Image URL
+     * @param {string|null} [crossOrigin='anonymous'] - CORS mode, needed to upload images from other origins
+     * @returns {Promise<HTMLImageElement>} Resolves once the image has loaded
+     */
+    function loadImage(url, crossOrigin = 'anonymous') {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            if (crossOrigin !== null) {
+                image.crossOrigin = crossOrigin;
+            }
+
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Failed to load texture: ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Fill a texture (every face of a cube map) with one 1x1 color
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} entry - Texture entry
+     * @param {Array<number>} color - RGBA8 color
+     */
+    function fillTexture(gl, entry, color) {
+        const pixel = { width: 1, height: 1, data: new Uint8Array(color) };
+        const options = textureOptions(gl, entry);
+        gl.bindTexture(entry.target, entry.texture);
+
+        faceTargets(gl, entry).forEach((target) => TextureSetup.upload(gl, target, pixel, options));
+        TextureSetup.applySampler(gl, entry.target, 1, 1, options);
+    }
+
+    /**
+     * Upload loaded images, one per face for cube maps
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} entry - Texture entry
+     * @param {Array<HTMLImageElement>} images - Loaded images
+     */
+    function uploadImages(gl, entry, images) {
+        const options = textureOptions(gl, entry);
+        gl.bindTexture(entry.target, entry.texture);
+
+        const sizes = faceTargets(gl, entry).map((target, i) => TextureSetup.upload(gl, target, images[i], options));
+        TextureSetup.applySampler(gl, entry.target, sizes[0].width, sizes[0].height, options);
+    }
+
+    /**
+     * Texture targets to upload an entry's images to
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} entry - Texture entry
+     * @returns {Array<number>} TEXTURE_2D, or the six cube map face targets
+     */
+    function faceTargets(gl, entry) {
+        if (entry.target !== gl.TEXTURE_CUBE_MAP) {
+            return [gl.TEXTURE_2D];
+        }
+        return [0, 1, 2, 3, 4, 5].map((face) => gl.TEXTURE_CUBE_MAP_POSITIVE_X + face);
+    }
+
+    /**
+     * TextureSetup options of an entry: its descriptor's, with cube maps clamped unless it says otherwise
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} entry - Texture entry
+     * @returns {Object} Upload and sampler options
+     */
+    function textureOptions(gl, entry) {
+        const wrap = entry.target === gl.TEXTURE_CUBE_MAP ? gl.CLAMP_TO_EDGE : gl.REPEAT;
+        return Object.assign({ wrap: wrap }, entry.descriptor);
+    }
+
+    // Public API
+    return {
+        LOADING: LOADING,
+        READY: READY,
+        ERROR: ERROR,
+        create: create,
+    };
+})();
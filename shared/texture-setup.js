@@ -0,0 +1,203 @@
+/**
+ * TextureSetup Module - Context-aware texture uploads and sampler state
+ *
+ * WebGL 2 mipmaps and repeats textures of any size. WebGL 1 only does either for power-of-2
+ * textures, so there non-power-of-2 textures are clamped and their mipmapped min filters are
+ * replaced by the matching non-mipmapped filter. sRGB textures use SRGB8_ALPHA8 in WebGL 2 and
+ * EXT_sRGB in WebGL 1 (which can't generate mipmaps for them).
+ *
+ * Options (all optional):
+ *   wrap, wrapS, wrapT      - Wrap modes (gl.REPEAT by default; wrapS/wrapT override wrap)
+ *   minFilter, magFilter    - Filters (gl.LINEAR_MIPMAP_LINEAR and gl.LINEAR by default)
+ *   anisotropy              - Max anisotropy, clamped to what EXT_texture_filter_anisotropic allows
+ *   flipY                   - Flip rows on upload, so an image's bottom row becomes v = 0
+ *   premultiplyAlpha        - Multiply color by alpha on upload
+ *   srgb                    - Store the color as sRGB, decoded to linear when sampled
+ */
+const TextureSetup = (function () {
+    /**
+     * Check whether a context is WebGL 2
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {boolean} True for WebGL 2
+     */
+    function isWebGL2(gl) {
+        return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+    }
+
+    /**
+     * Check whether a texture of this size and color space can have mipmaps
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {number} width - Texture width
+     * @param {number} height - Texture height
+     * @param {boolean} [srgb=false] - Whether the texture is sRGB
+     * @returns {boolean} True if generateMipmap works for it
+     */
+    function canMipmap(gl, width, height, srgb = false) {
+        if (isWebGL2(gl)) {
+            return true;
+        }
+        return !srgb && isPowerOf2(width) && isPowerOf2(height);
+    }
+
+    /**
+     * Upload level 0 of a texture (or cube map face) that is already bound
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {number} target - gl.TEXTURE_2D or a cube map face target
+     * @param {TexImageSource|Object} source - Image, canvas, ImageData, etc., or { width, height, data } with RGBA8 data
+     * @param {Object} [options] - flipY, premultiplyAlpha and srgb (see above)
+     * @returns {Object} Object containing the uploaded width and height
+     */
+    function upload(gl, target, source, options = {}) {
+        const { flipY = false, premultiplyAlpha = false, srgb = false } = options;
+        const { internalFormat, format } = colorFormat(gl, srgb);
+
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, flipY);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, premultiplyAlpha);
+
+        let width;
+        let height;
+        if (ArrayBuffer.isView(source.data)) {
+            width = source.width;
+            height = source.height;
+            gl.texImage2D(target, 0, internalFormat, width, height, 0, format, gl.UNSIGNED_BYTE, source.data);
+        } else {
+            width = source.naturalWidth || source.videoWidth || source.width;
+            height = source.naturalHeight || source.videoHeight || source.height;
+            gl.texImage2D(target, 0, internalFormat, format, gl.UNSIGNED_BYTE, source);
+        }
+
+        // Restore the defaults so other uploads aren't affected
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+
+        return { width: width, height: height };
+    }
+
+    /**
+     * Set wrap, filter and anisotropy of the bound texture, and generate mipmaps if its min filter uses them
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {number} target - gl.TEXTURE_2D or gl.TEXTURE_CUBE_MAP
+     * @param {number} width - Texture width
+     * @param {number} height - Texture height
+     * @param {Object} [options] - wrap, wrapS, wrapT, minFilter, magFilter, anisotropy and srgb (see above)
+     * @returns {boolean} True if mipmaps were generated
+     */
+    function applySampler(gl, target, width, height, options = {}) {
+        const { wrap = gl.REPEAT, minFilter = gl.LINEAR_MIPMAP_LINEAR, magFilter = gl.LINEAR } = options;
+        let { wrapS = wrap, wrapT = wrap } = options;
+        let filter = minFilter;
+        const mipmapped = isMipmapFilter(gl, minFilter);
+
+        if (!isWebGL2(gl) && !(isPowerOf2(width) && isPowerOf2(height))) {
+            wrapS = wrapT = gl.CLAMP_TO_EDGE;
+        }
+        if (mipmapped && !canMipmap(gl, width, height, options.srgb)) {
+            filter =
+                minFilter === gl.NEAREST_MIPMAP_NEAREST || minFilter === gl.NEAREST_MIPMAP_LINEAR
+                    ? gl.NEAREST
+                    : gl.LINEAR;
+        }
+
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, wrapS);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, wrapT);
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, magFilter);
+
+        if (options.anisotropy > 1) {
+            const ext =
+                gl.getExtension('EXT_texture_filter_anisotropic') ||
+                gl.getExtension('WEBKIT_EXT_texture_filter_anisotropic');
+
+            if (ext) {
+                const maxAnisotropy = gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+                gl.texParameterf(target, ext.TEXTURE_MAX_ANISOTROPY_EXT, Math.min(options.anisotropy, maxAnisotropy));
+            }
+        }
+
+        if (filter !== minFilter || !mipmapped) {
+            return false;
+        }
+
+        gl.generateMipmap(target);
+        return true;
+    }
+
+    /**
+     * Create a 2D texture from an image or pixel data
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {TexImageSource|Object} source - Image, canvas, ImageData, etc., or { width, height, data } with RGBA8 data
+     * @param {Object} [options] - Upload and sampler options (see above)
+     * @returns {WebGLTexture} The new texture
+     */
+    function create(gl, source, options = {}) {
+        const texture = gl.createTexture();
+        update(gl, texture, source, options);
+        return texture;
+    }
+
+    /**
+     * Replace the contents and sampler state of an existing 2D texture
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {WebGLTexture} texture - The texture
+     * @param {TexImageSource|Object} source - Image, canvas, ImageData, etc., or { width, height, data } with RGBA8 data
+     * @param {Object} [options] - Upload and sampler options (see above)
+     */
+    function update(gl, texture, source, options = {}) {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        const size = upload(gl, gl.TEXTURE_2D, source, options);
+        applySampler(gl, gl.TEXTURE_2D, size.width, size.height, options);
+    }
+
+    /**
+     * Internal format and format for RGBA8 color, linear or sRGB
+     * Falls back to linear RGBA (with a warning) when WebGL 1 lacks EXT_sRGB.
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {boolean} srgb - Whether the color is sRGB
+     * @returns {Object} Object containing internalFormat and format for texImage2D
+     */
+    function colorFormat(gl, srgb) {
+        if (!srgb) {
+            return { internalFormat: gl.RGBA, format: gl.RGBA };
+        }
+        if (isWebGL2(gl)) {
+            return { internalFormat: gl.SRGB8_ALPHA8, format: gl.RGBA };
+        }
+
+        const ext = gl.getExtension('EXT_sRGB');
+        if (ext) {
+            return { internalFormat: ext.SRGB_ALPHA_EXT, format: ext.SRGB_ALPHA_EXT };
+        }
+
+        console.warn('EXT_sRGB not supported, uploading sRGB texture as linear');
+        return { internalFormat: gl.RGBA, format: gl.RGBA };
+    }
+
+    /**
+     * Check whether a min filter samples mipmaps
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {number} filter - Min filter, e.g. gl.LINEAR_MIPMAP_LINEAR
+     * @returns {boolean} True for the four *_MIPMAP_* filters
+     */
+    function isMipmapFilter(gl, filter) {
+        return filter !== gl.NEAREST && filter !== gl.LINEAR;
+    }
+
+    /**
+     * Check whether a texture dimension is a power of 2
+     * @param {number} value - Width or height in pixels
+     * @returns {boolean} True for 1, 2, 4, 8, ...
+     */
+    function isPowerOf2(value) {
+        return (value & (value - 1)) === 0;
+    }
+
+    // Public API
+    return {
+        isWebGL2: isWebGL2,
+        canMipmap: canMipmap,
+        upload: upload,
+        applySampler: applySampler,
+        create: create,
+        update: update,
+    };
+})();
@@ -0,0 +1,354 @@
+/**
+ * Interleaved vertex layouts
+ * Packs the arrays of a geometry object ({ positions, normals, texCoords, ... } as returned by
+ * the generators in models.js) into one interleaved ArrayBuffer, described by a declarative
+ * layout, and sets up the matching vertexAttribPointer calls.
+ *
+ * Formats:
+ * - float32xN, float16xN: N floats (half floats need WebGL 2)
+ * - unorm8xN, snorm8xN, unorm16xN, snorm16xN: normalized integers, read as floats in [0, 1] or [-1, 1]
+ * - uint8xN, sint8xN, uint16xN, sint16xN: integers read as unnormalized floats
+ * - snorm10_10_10_2, unorm10_10_10_2: 4 components in 32 bits (INT_2_10_10_10_REV and
+ *   UNSIGNED_INT_2_10_10_10_REV); w keeps 2 bits, enough for a tangent's handedness
+ * - oct8, oct16: unit vectors octahedral-encoded into 2 snorm components; decode them in the
+ *   shader with vertexLayoutGLSL.octDecode
+ *
+ * Every attribute starts at a 4-byte aligned offset. Source components the format doesn't
+ * have are dropped; components the source doesn't have default to (0, 0, 0, 1) like GL does.
+ */
+
+const vertexLayout = {
+    // WebGL 2 enums, so layouts can be built and checked without a context
+    FLOAT: 0x1406,
+    HALF_FLOAT: 0x140b,
+    BYTE: 0x1400,
+    UNSIGNED_BYTE: 0x1401,
+    SHORT: 0x1402,
+    UNSIGNED_SHORT: 0x1403,
+    INT_2_10_10_10_REV: 0x8d9f,
+    UNSIGNED_INT_2_10_10_10_REV: 0x8368,
+
+    // Build a layout from [{ name, source, format }]: name is the shader attribute, source the
+    // geometry property it is read from. Returns { attributes, stride }, where every attribute
+    // also carries its vertexAttribPointer arguments (size, type, normalized, offset).
+    create: function (entries) {
+        let offset = 0;
+
+        const attributes = entries.map((entry) => {
+            const format = vertexLayoutParseFormat(entry.format);
+            const attribute = Object.assign({}, entry, {
+                size: format.size,
+                type: format.type,
+                normalized: format.normalized,
+                offset,
+                byteLength: format.byteLength,
+            });
+            offset += Math.ceil(format.byteLength / 4) * 4;
+            return attribute;
+        });
+
+        return { attributes, stride: offset };
+    },
+
+    // Pack a geometry into an ArrayBuffer with the given layout.
+    // Returns { data, vertexCount, stride, attributes } ready for bufferData and setupAttributes().
+    pack: function (geometry, layout) {
+        const vertexCount = geometry.positions.length / 3;
+        const data = new ArrayBuffer(vertexCount * layout.stride);
+        const view = new DataView(data);
+        const value = [0, 0, 0, 1];
+
+        layout.attributes.forEach((attribute) => {
+            const source = geometry[attribute.source];
+            if (!source) {
+                throw new Error(`Geometry has no ${attribute.source} for attribute ${attribute.name}`);
+            }
+
+            const width = source.length / vertexCount;
+            if (!Number.isInteger(width) || width < 1 || width > 4) {
+                throw new Error(`${attribute.source} doesn't have 1 to 4 components per vertex`);
+            }
+
+            const format = vertexLayoutParseFormat(attribute.format);
+
+            for (let i = 0; i < vertexCount; i++) {
+                for (let k = 0; k < 4; k++) {
+                    value[k] = k < width ? source[i * width + k] : k === 3 ? 1 : 0;
+                }
+                format.write(view, i * layout.stride + attribute.offset, value);
+            }
+        });
+
+        return { data, vertexCount, stride: layout.stride, attributes: layout.attributes };
+    },
+
+    // Point the program's attributes at the interleaved buffer currently bound to ARRAY_BUFFER.
+    // Attributes the program doesn't use are skipped.
+    setupAttributes: function (gl, program, layout) {
+        layout.attributes.forEach((attribute) => {
+            const location = gl.getAttribLocation(program, attribute.name);
+            if (location === -1) return;
+
+            gl.vertexAttribPointer(
+                location,
+                attribute.size,
+                attribute.type,
+                attribute.normalized,
+                layout.stride,
+                attribute.offset
+            );
+            gl.enableVertexAttribArray(location);
+        });
+    },
+
+    // IEEE 754 binary16 bits of a number, rounded to nearest even
+    toHalf: function (value) {
+        vertexLayoutFloatBits[0] = value;
+        const bits = vertexLayoutIntBits[0];
+        const sign = (bits >>> 16) & 0x8000;
+        const floatExponent = (bits >>> 23) & 0xff;
+        let mantissa = bits & 0x7fffff;
+
+        // Infinity and NaN
+        if (floatExponent === 0xff) return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+
+        // Rebias from float to half; too large becomes Infinity
+        const exponent = floatExponent - 127 + 15;
+        if (exponent >= 0x1f) return sign | 0x7c00;
+
+        // Too small even for a subnormal half
+        if (exponent < -10) return sign;
+
+        let shift = 13;
+        let half = exponent << 10;
+        if (exponent <= 0) {
+            mantissa |= 0x800000;
+            shift = 14 - exponent;
+            half = 0;
+        }
+
+        half |= mantissa >> shift;
+        const rest = mantissa & ((1 << shift) - 1);
+        const halfway = 1 << (shift - 1);
+
+        // A carry out of the mantissa correctly bumps the exponent (up to Infinity)
+        if (rest > halfway || (rest === halfway && half & 1)) half++;
+        return sign | half;
+    },
+
+    fromHalf: function (half) {
+        const sign = half & 0x8000 ? -1 : 1;
+        const exponent = (half >> 10) & 0x1f;
+        const mantissa = half & 0x3ff;
+
+        if (exponent === 0) return sign * mantissa * Math.pow(2, -24);
+        if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+        return sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+    },
+
+    // Octahedral encoding: the unit sphere is projected onto an octahedron and unfolded into [-1, 1]^2
+    octEncode: function (out, x, y, z) {
+        const length = Math.abs(x) + Math.abs(y) + Math.abs(z) || 1;
+        const u = x / length;
+        const v = y / length;
+
+        if (z < 0) {
+            out[0] = (1 - Math.abs(v)) * (u >= 0 ? 1 : -1);
+            out[1] = (1 - Math.abs(u)) * (v >= 0 ? 1 : -1);
+        } else {
+            out[0] = u;
+            out[1] = v;
+        }
+        return out;
+    },
+
+    octDecode: function (out, u, v) {
+        let x = u;
+        let y = v;
+        const z = 1 - Math.abs(u) - Math.abs(v);
+        const fold = Math.max(-z, 0);
+        x += x >= 0 ? -fold : fold;
+        y += y >= 0 ? -fold : fold;
+
+        const length = Math.hypot(x, y, z);
+        out[0] = x / length;
+        out[1] = y / length;
+        out[2] = z / length;
+        return out;
+    },
+};
+
+// GLSL ES 3.00 decoder for oct8 / oct16 attributes; same math as vertexLayout.octDecode
+const vertexLayoutGLSL = {
+    octDecode: `
+vec3 octDecode(vec2 e) {
+    vec3 n = vec3(e, 1.0 - abs(e.x) - abs(e.y));
+    float fold = max(-n.z, 0.0);
+    n.x += n.x >= 0.0 ? -fold : fold;
+    n.y += n.y >= 0.0 ? -fold : fold;
+    return normalize(n);
+}
+`,
+};
+
+// Scratch views for reinterpreting float bits in toHalf()
+const vertexLayoutFloatBits = new Float32Array(1);
+const vertexLayoutIntBits = new Uint32Array(vertexLayoutFloatBits.buffer);
+
+// Per-component encodings: GL type, bytes, whether GL normalizes them, and a DataView writer
+const vertexLayoutComponents = {
+    float32: {
+        type: vertexLayout.FLOAT,
+        bytes: 4,
+        normalized: false,
+        write: (view, offset, v) => view.setFloat32(offset, v, true),
+    },
+    float16: {
+        type: vertexLayout.HALF_FLOAT,
+        bytes: 2,
+        normalized: false,
+        write: (view, offset, v) => view.setUint16(offset, vertexLayout.toHalf(v), true),
+    },
+    unorm8: {
+        type: vertexLayout.UNSIGNED_BYTE,
+        bytes: 1,
+        normalized: true,
+        write: (view, offset, v) => view.setUint8(offset, vertexLayoutQuantize(v, 0, 1, 255)),
+    },
+    snorm8: {
+        type: vertexLayout.BYTE,
+        bytes: 1,
+        normalized: true,
+        write: (view, offset, v) => view.setInt8(offset, vertexLayoutQuantize(v, -1, 1, 127)),
+    },
+    unorm16: {
+        type: vertexLayout.UNSIGNED_SHORT,
+        bytes: 2,
+        normalized: true,
+        write: (view, offset, v) => view.setUint16(offset, vertexLayoutQuantize(v, 0, 1, 65535), true),
+    },
+    snorm16: {
+        type: vertexLayout.SHORT,
+        bytes: 2,
+        normalized: true,
+        write: (view, offset, v) => view.setInt16(offset, vertexLayoutQuantize(v, -1, 1, 32767), true),
+    },
+    uint8: {
+        type: vertexLayout.UNSIGNED_BYTE,
+        bytes: 1,
+        normalized: false,
+        write: (view, offset, v) => view.setUint8(offset, vertexLayoutQuantize(v, 0, 255, 1)),
+    },
+    sint8: {
+        type: vertexLayout.BYTE,
+        bytes: 1,
+        normalized: false,
+        write: (view, offset, v) => view.setInt8(offset, vertexLayoutQuantize(v, -128, 127, 1)),
+    },
+    uint16: {
+        type: vertexLayout.UNSIGNED_SHORT,
+        bytes: 2,
+        normalized: false,
+        write: (view, offset, v) => view.setUint16(offset, vertexLayoutQuantize(v, 0, 65535, 1), true),
+    },
+    sint16: {
+        type: vertexLayout.SHORT,
+        bytes: 2,
+        normalized: false,
+        write: (view, offset, v) => view.setInt16(offset, vertexLayoutQuantize(v, -32768, 32767, 1), true),
+    },
+};
+
+// Resolve a format name to { size, type, normalized, byteLength, write(view, offset, value) }
+function vertexLayoutParseFormat(format) {
+    if (format === 'snorm10_10_10_2' || format === 'unorm10_10_10_2') {
+        const signed = format === 'snorm10_10_10_2';
+        return {
+            size: 4,
+            type: signed ? vertexLayout.INT_2_10_10_10_REV : vertexLayout.UNSIGNED_INT_2_10_10_10_REV,
+            normalized: true,
+            byteLength: 4,
+            write: (view, offset, value) => view.setUint32(offset, vertexLayoutPack1010102(value, signed), true),
+        };
+    }
+
+    if (format === 'oct8' || format === 'oct16') {
+        const component = vertexLayoutComponents[format === 'oct8' ? 'snorm8' : 'snorm16'];
+        const steps = format === 'oct8' ? 127 : 32767;
+        const encoded = [0, 0];
+        return {
+            size: 2,
+            type: component.type,
+            normalized: true,
+            byteLength: component.bytes * 2,
+            write: (view, offset, value) => {
+                vertexLayoutOctQuantize(encoded, value, steps);
+                component.write(view, offset, encoded[0]);
+                component.write(view, offset + component.bytes, encoded[1]);
+            },
+        };
+    }
+
+    const match = /^([a-z]+\d+)x([1-4])$/.exec(format);
+    const component = match && vertexLayoutComponents[match[1]];
+    if (!component) {
+        throw new Error(`Unknown vertex format: ${format}`);
+    }
+
+    const size = parseInt(match[2], 10);
+    return {
+        size,
+        type: component.type,
+        normalized: component.normalized,
+        byteLength: component.bytes * size,
+        write: (view, offset, value) => {
+            for (let k = 0; k < size; k++) {
+                component.write(view, offset + k * component.bytes, value[k]);
+            }
+        },
+    };
+}
+
+// Clamp to [min, max] and round to the nearest of `steps` levels per unit
+function vertexLayoutQuantize(value, min, max, steps) {
+    return Math.round(Math.min(Math.max(value, min), max) * steps);
+}
+
+// x, y and z take 10 bits each and w the top 2, as GL reads INT_2_10_10_10_REV
+function vertexLayoutPack1010102(value, signed) {
+    const xyz = signed ? 511 : 1023;
+    const w = signed ? 1 : 3;
+    const min = signed ? -1 : 0;
+
+    const x = vertexLayoutQuantize(value[0], min, 1, xyz) & 0x3ff;
+    const y = vertexLayoutQuantize(value[1], min, 1, xyz) & 0x3ff;
+    const z = vertexLayoutQuantize(value[2], min, 1, xyz) & 0x3ff;
+    const a = vertexLayoutQuantize(value[3], min, 1, w) & 0x3;
+
+    return (x | (y << 10) | (z << 20) | (a << 30)) >>> 0;
+}
+
+// Octahedral-encode a vector and pick whichever neighbouring snorm values decode closest to it,
+// which is noticeably more accurate than plain rounding at 8 bits
+function vertexLayoutOctQuantize(out, value, steps) {
+    const length = Math.hypot(value[0], value[1], value[2]) || 1;
+    const n = [value[0] / length, value[1] / length, value[2] / length];
+    const encoded = vertexLayout.octEncode([0, 0], n[0], n[1], n[2]);
+    const decoded = [0, 0, 0];
+    let best = -Infinity;
+
+    for (let i = 0; i < 4; i++) {
+        const u = (i & 1 ? Math.ceil : Math.floor)(encoded[0] * steps) / steps;
+        const v = (i & 2 ? Math.ceil : Math.floor)(encoded[1] * steps) / steps;
+        vertexLayout.octDecode(decoded, u, v);
+
+        const dot = decoded[0] * n[0] + decoded[1] * n[1] + decoded[2] * n[2];
+        if (dot > best) {
+            best = dot;
+            out[0] = u;
+            out[1] = v;
+        }
+    }
+
+    return out;
+}
@@ -0,0 +1,208 @@
+/**
+ * Bounding volumes, picking rays and frustum culling, under both depth conventions
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { mat4, vec3, aabb, boundingSphere, frustum, ray, DepthConvention } = loadScripts([
+    'shared/gl-matrix.js',
+    'shared/depth.js',
+    'shared/bounds.js',
+]);
+
+const WIDTH = 800;
+const HEIGHT = 600;
+const NEAR = 0.1;
+const FAR = 100;
+
+// Camera at (0, 2, 10) looking at the origin
+const EYE = [0, 2, 10];
+
+function camera(convention, far = FAR) {
+    const view = mat4.lookAt(mat4.create(), EYE, [0, 0, 0], [0, 1, 0]);
+    const projection = DepthConvention.perspective(mat4.create(), convention, Math.PI / 4, WIDTH / HEIGHT, NEAR, far);
+    const viewProjection = mat4.multiply(mat4.create(), projection, view);
+    return {
+        viewProjection: viewProjection,
+        inverse: mat4.invert(mat4.create(), viewProjection),
+        planes: frustum.fromMatrix(frustum.create(), viewProjection, convention),
+    };
+}
+
+// Pixel a world-space point projects to
+function toPixel(viewProjection, p) {
+    const m = viewProjection;
+    const w = m[3] * p[0] + m[7] * p[1] + m[11] * p[2] + m[15];
+    const x = (m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12]) / w;
+    const y = (m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13]) / w;
+    return [((x + 1) / 2) * WIDTH, ((1 - y) / 2) * HEIGHT];
+}
+
+// Point at a distance along the camera's view direction
+function alongView(distance) {
+    const direction = vec3.normalize(vec3.create(), [-EYE[0], -EYE[1], -EYE[2]]);
+    return [EYE[0] + direction[0] * distance, EYE[1] + direction[1] * distance, EYE[2] + direction[2] * distance];
+}
+
+function sphere(center, radius) {
+    const s = boundingSphere.create();
+    s.center.set(center);
+    s.radius = radius;
+    return s;
+}
+
+const conventions = [
+    ['standard', 'STANDARD', FAR],
+    ['reverse-Z', 'REVERSE_Z', FAR],
+    ['standard, infinite far plane', 'STANDARD', Infinity],
+    ['reverse-Z, infinite far plane', 'REVERSE_Z', Infinity],
+];
+
+describe('bounding volumes', () => {
+    // Corners of a box from (-1, -2, -3) to (4, 5, 6)
+    const positions = [];
+    for (let i = 0; i < 8; i++) {
+        positions.push(i & 1 ? 4 : -1, i & 2 ? 5 : -2, i & 4 ? 6 : -3);
+    }
+
+    it('computes the AABB of a position array', () => {
+        const box = aabb.fromPositions(aabb.create(), positions);
+        assertClose(box.min, [-1, -2, -3]);
+        assertClose(box.max, [4, 5, 6]);
+        assertClose(aabb.center(vec3.create(), box), [1.5, 1.5, 1.5]);
+        assert.ok(aabb.containsPoint(box, [0, 0, 0]));
+        assert.ok(!aabb.containsPoint(box, [0, 0, 7]));
+    });
+
+    it('computes a bounding sphere that contains every position', () => {
+        const s = boundingSphere.fromPositions(boundingSphere.create(), positions);
+        for (let i = 0; i < positions.length; i += 3) {
+            const distance = vec3.distance(s.center, positions.slice(i, i + 3));
+            assert.ok(distance <= s.radius + 1e-5, `point ${i / 3} is outside the sphere`);
+        }
+
+        // Ritter's sphere is at most a few percent larger than the optimal one (half the box diagonal)
+        assert.ok(s.radius <= (Math.hypot(5, 7, 9) / 2) * 1.05);
+    });
+
+    it('transforms volumes conservatively', () => {
+        const m = mat4.create();
+        mat4.translate(m, m, [10, 0, 0]);
+        mat4.rotateY(m, m, Math.PI / 4);
+        mat4.scale(m, m, [1, 3, 1]);
+
+        const s = boundingSphere.transformMat4(boundingSphere.create(), sphere([0, 0, 0], 2), m);
+        assertClose(s.center, [10, 0, 0]);
+        assertClose(s.radius, 6);
+
+        const box = aabb.transformMat4(aabb.create(), aabb.fromPositions(aabb.create(), [-1, -1, -1, 1, 1, 1]), m);
+        assertClose(box.min, [10 - Math.SQRT2, -3, -Math.SQRT2]);
+        assertClose(box.max, [10 + Math.SQRT2, 3, Math.SQRT2]);
+    });
+});
+
+describe('ray intersections', () => {
+    const r = ray.create();
+    r.origin.set([0, 0, 5]);
+    r.direction.set([0, 0, -1]);
+
+    it('hits and misses triangles', () => {
+        assertClose(ray.intersectTriangle(r, [-1, -1, 0], [1, -1, 0], [0, 1, 0]), 5);
+        assert.strictEqual(ray.intersectTriangle(r, [1, 1, 0], [2, 1, 0], [1, 2, 0]), null);
+        assert.strictEqual(ray.intersectTriangle(r, [-1, -1, 6], [1, -1, 6], [0, 1, 6]), null, 'behind the origin');
+    });
+
+    it('hits spheres, from outside and from inside', () => {
+        assertClose(ray.intersectSphere(r, sphere([0, 0, 0], 1)), 4);
+        assert.strictEqual(ray.intersectSphere(r, sphere([3, 0, 0], 1)), null);
+        assertClose(ray.intersectSphere(r, sphere([0, 0, 5], 2)), 2);
+    });
+
+    it('hits boxes with the slab test', () => {
+        const box = aabb.fromPositions(aabb.create(), [-1, -1, -1, 1, 1, 1]);
+        assertClose(ray.intersectAABB(r, box), 4);
+        box.min[0] = 2;
+        box.max[0] = 3;
+        assert.strictEqual(ray.intersectAABB(r, box), null);
+    });
+
+    it('finds the closest triangle of a mesh', () => {
+        const positions = [-1, -1, 0, 1, -1, 0, 0, 1, 0, -1, -1, 2, 1, -1, 2, 0, 1, 2];
+        assertClose(ray.intersectMesh(r, positions, [0, 1, 2, 3, 4, 5]), 3);
+        assert.strictEqual(ray.intersectMesh(r, positions, []), null);
+    });
+});
+
+conventions.forEach(([name, key, far]) => {
+    const convention = DepthConvention[key];
+
+    describe(`picking (${name})`, () => {
+        const { viewProjection, inverse } = camera(convention, far);
+
+        it('starts the ray on the near plane and points it into the screen', () => {
+            const r = ray.fromScreen(ray.create(), WIDTH / 2, HEIGHT / 2, WIDTH, HEIGHT, inverse, convention);
+
+            assertClose(r.origin, alongView(NEAR), 1e-4);
+            assertClose(r.direction, vec3.normalize(vec3.create(), [-EYE[0], -EYE[1], -EYE[2]]), 1e-4);
+        });
+
+        it('goes through the point under the cursor', () => {
+            const target = [1.5, -0.5, 2];
+            const [x, y] = toPixel(viewProjection, target);
+            const r = ray.fromScreen(ray.create(), x, y, WIDTH, HEIGHT, inverse, convention);
+
+            const t = vec3.distance(r.origin, target);
+            assertClose(ray.at(vec3.create(), r, t), target, 1e-3);
+        });
+
+        it('picks the sphere under the cursor and not its neighbour', () => {
+            const picked = sphere([1.5, -0.5, 2], 0.5);
+            const other = sphere([-2, 0, 0], 0.5);
+            const [x, y] = toPixel(viewProjection, picked.center);
+            const r = ray.fromScreen(ray.create(), x, y, WIDTH, HEIGHT, inverse, convention);
+
+            assertClose(ray.intersectSphere(r, picked), vec3.distance(r.origin, picked.center) - 0.5, 1e-3);
+            assert.strictEqual(ray.intersectSphere(r, other), null);
+        });
+    });
+
+    describe(`frustum culling (${name})`, () => {
+        const { planes } = camera(convention, far);
+
+        it('keeps what is in front of the camera between the near and far planes', () => {
+            assert.ok(frustum.containsPoint(planes, [0, 0, 0]));
+            assert.ok(frustum.containsPoint(planes, alongView(NEAR * 1.01)));
+            assert.ok(frustum.containsPoint(planes, alongView(FAR * 0.99)));
+            assert.ok(frustum.intersectsSphere(planes, sphere([0, 0, 0], 1)));
+        });
+
+        it('culls what is closer than the near plane or behind the camera', () => {
+            assert.ok(!frustum.containsPoint(planes, alongView(NEAR * 0.5)));
+            assert.ok(!frustum.containsPoint(planes, alongView(-1)));
+            assert.ok(!frustum.intersectsSphere(planes, sphere(alongView(-5), 1)));
+        });
+
+        it('culls what is outside the sides', () => {
+            assert.ok(!frustum.intersectsSphere(planes, sphere([50, 0, 0], 1)));
+            assert.ok(!frustum.intersectsSphere(planes, sphere([0, 40, 0], 1)));
+            assert.ok(frustum.intersectsSphere(planes, sphere([5.5, 0, 0], 1)), 'partly inside the right plane');
+
+            const box = aabb.fromPositions(aabb.create(), [20, -1, -1, 22, 1, 1]);
+            assert.ok(!frustum.intersectsAABB(planes, box));
+            box.min[0] = 4;
+            assert.ok(frustum.intersectsAABB(planes, box));
+        });
+
+        if (Number.isFinite(far)) {
+            it('culls what is beyond the far plane', () => {
+                assert.ok(!frustum.containsPoint(planes, alongView(FAR * 1.01)));
+                assert.ok(!frustum.intersectsSphere(planes, sphere(alongView(FAR + 5), 1)));
+            });
+        } else {
+            it('never culls by distance', () => {
+                assert.ok(frustum.containsPoint(planes, alongView(1e6)));
+            });
+        }
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Debug formatting of matrices: row-order printing of column-major storage, tolerance diffs and flagged values
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertMatrixClose } = require('./helpers/load-scripts');
+
+const { debugFormat } = loadScripts(['shared/debug-format.js']);
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Identity with a translation, stored column-major like gl-matrix
+function translation(x, y, z) {
+    return IDENTITY.slice(0, 12).concat([x, y, z, 1]);
+}
+
+describe('debugFormat.matrix', () => {
+    it('prints column-major storage in row order', () => {
+        assert.strictEqual(debugFormat.matrix([1, 2, 3, 4], 0), '| 1 3 |\n| 2 4 |');
+        assert.strictEqual(
+            debugFormat.matrix(translation(5, -6, 7), 0),
+            ['|  1  0  0  5 |', '|  0  1  0 -6 |', '|  0  0  1  7 |', '|  0  0  0  1 |'].join('\n')
+        );
+    });
+
+    it('pads every cell to the widest one and never prints negative zero', () => {
+        assert.strictEqual(debugFormat.matrix([-0.0001, 0, 0, 12.5], 2), '|  0.00  0.00 |\n|  0.00 12.50 |');
+    });
+
+    it('flags NaN, infinite and denormal entries by row and column', () => {
+        const m = translation(0, 0, NaN);
+        m[1] = Infinity;
+        m[4] = 1e-40;
+
+        const lines = debugFormat.matrix(m, 1).split('\n');
+        assert.strictEqual(lines[1], '| Inf 1.0 0.0 0.0 |');
+        assert.strictEqual(lines[2], '| 0.0 0.0 1.0 NaN |');
+        assert.deepStrictEqual(lines.slice(4), [
+            '! Infinity at row 1, col 0: Infinity',
+            '! denormal at row 0, col 1: 1e-40',
+            '! NaN at row 2, col 3: NaN',
+        ]);
+    });
+});
+
+describe('debugFormat.issues', () => {
+    it('finds NaN, infinities and denormals but not zeros or normal floats', () => {
+        const issues = debugFormat.issues([NaN, 1e-40, -Infinity, 0, -0, 1.2e-38, 1]);
+        assert.deepStrictEqual(
+            Array.from(issues, (issue) => `${issue.index} ${issue.kind}`),
+            ['0 NaN', '1 denormal', '2 Infinity']
+        );
+    });
+});
+
+describe('debugFormat.diff', () => {
+    it('accepts differences up to the tolerance', () => {
+        const actual = translation(1, 2, 3.0005);
+
+        assert.strictEqual(debugFormat.diff(actual, translation(1, 2, 3), 1e-3).equal, true);
+        assertMatrixClose(actual, translation(1, 2, 3), 1e-3);
+
+        const result = debugFormat.diff(actual, translation(1, 2, 3), 1e-4);
+        assert.strictEqual(result.equal, false);
+        assert.ok(Math.abs(result.maxError - 0.0005) < 1e-9);
+        assert.strictEqual(result.mismatches.length, 1);
+        assert.strictEqual(result.mismatches[0].index, 14);
+        assert.strictEqual(result.mismatches[0].row, 2);
+        assert.strictEqual(result.mismatches[0].col, 3);
+    });
+
+    it('never matches NaN, not even against NaN, and reports size mismatches', () => {
+        const nan = translation(NaN, 0, 0);
+        const result = debugFormat.diff(nan, nan);
+        assert.strictEqual(result.equal, false);
+        assert.strictEqual(result.maxError, Infinity);
+
+        assert.strictEqual(debugFormat.diff(IDENTITY, IDENTITY.slice(0, 9)).equal, false);
+        assert.strictEqual(
+            debugFormat.formatDiff(IDENTITY, IDENTITY.slice(0, 9)),
+            'Size mismatch: got 16 elements, expected 9'
+        );
+    });
+});
+
+describe('assertMatrixClose', () => {
+    it('fails with both matrices in row order and the mismatching elements', () => {
+        assert.throws(
+            () => assertMatrixClose(translation(1, 2, 3), translation(1, 2.5, 3)),
+            (error) => {
+                const message = error.message;
+                assert.match(message, /Matrices differ in 1 element\(s\), max error 0\.5 \(tolerance 0\.00001\)/);
+                assert.match(
+                    message,
+                    /Actual:\n\| 1\.000000 0\.000000 0\.000000 1\.000000 \|\n\| 0\.000000 1\.000000 0\.000000 2\.000000 \|/
+                );
+                assert.match(message, /Expected:\n[^]*\| 0\.000000 1\.000000 0\.000000 2\.500000 \|/);
+                assert.match(message, /row 1, col 3: got 2, expected 2\.5/);
+                return true;
+            }
+        );
+    });
+
+    it('points at NaN entries in the actual matrix', () => {
+        assert.throws(() => assertMatrixClose(translation(NaN, 0, 0), IDENTITY), /! NaN at row 0, col 3: NaN/);
+    });
+});
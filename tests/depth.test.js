@@ -0,0 +1,184 @@
+/**
+ * Depth conventions: where each projection puts the near and far planes, how much depth
+ * precision reverse-Z buys over the standard projection, and the GL state setup() leaves behind
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose, assertMatrixClose } = require('./helpers/load-scripts');
+
+const { mat4, DepthConvention } = loadScripts(['shared/gl-matrix.js', 'shared/depth.js']);
+
+const NEAR = 0.1;
+const FAR = 1000;
+
+// NDC depth of a point at a distance in front of the camera
+function ndcDepth(projection, distance) {
+    const z = -distance;
+    return (projection[10] * z + projection[14]) / (projection[11] * z + projection[15]);
+}
+
+// Depth the GPU would store for it in a 32-bit float depth buffer, computed in single precision throughout.
+// Standard depth goes through the default [-1, 1] to [0, 1] viewport transform; reverse-Z clips to [0, 1] already.
+function storedDepth(projection, convention, distance) {
+    const f = Math.fround;
+    const z = -distance;
+    const clipZ = f(f(projection[10] * z) + projection[14]);
+    const clipW = f(f(projection[11] * z) + projection[15]);
+    const ndc = f(clipZ / clipW);
+    return convention === DepthConvention.REVERSE_Z ? ndc : f(ndc * 0.5 + 0.5);
+}
+
+// Number of different depths stored for surfaces spread over 10 cm starting at a distance
+function distinctDepths(projection, convention, distance) {
+    const depths = new Set();
+    for (let i = 0; i < 20000; i++) {
+        depths.add(storedDepth(projection, convention, distance + i * 0.000005));
+    }
+    return depths.size;
+}
+
+function projection(convention, far) {
+    return DepthConvention.perspective(mat4.create(), convention, Math.PI / 4, 1.5, NEAR, far);
+}
+
+describe('projection depth ranges', () => {
+    it('maps near and far to -1 and 1 with the standard projection', () => {
+        const m = projection(DepthConvention.STANDARD, FAR);
+        assertClose(ndcDepth(m, NEAR), -1);
+        assertClose(ndcDepth(m, FAR), 1);
+        assertMatrixClose(m, mat4.perspective(mat4.create(), Math.PI / 4, 1.5, NEAR, FAR));
+    });
+
+    it('maps near and far to 1 and 0 with reverse-Z', () => {
+        const m = projection(DepthConvention.REVERSE_Z, FAR);
+        assertClose(ndcDepth(m, NEAR), 1);
+        assertClose(ndcDepth(m, FAR), 0);
+        assert.ok(ndcDepth(m, 10) > ndcDepth(m, 20), 'closer points get larger depths');
+    });
+
+    it('approaches the far depth without reaching it when the far plane is infinite', () => {
+        const standard = projection(DepthConvention.STANDARD, Infinity);
+        assertMatrixClose(standard, mat4.perspectiveInfinite(mat4.create(), Math.PI / 4, 1.5, NEAR));
+        assertClose(ndcDepth(standard, NEAR), -1);
+        assert.ok(ndcDepth(standard, 1e6) < 1);
+        assertClose(ndcDepth(standard, 1e6), 1, 1e-6);
+
+        const reverse = projection(DepthConvention.REVERSE_Z, Infinity);
+        assertClose(ndcDepth(reverse, NEAR), 1);
+        assert.ok(ndcDepth(reverse, 1e6) > 0);
+        assertClose(ndcDepth(reverse, 1e6), 0, 1e-6);
+    });
+
+    it('matches the range reported by ndcDepthRange for orthographic projections too', () => {
+        [DepthConvention.STANDARD, DepthConvention.REVERSE_Z].forEach((convention) => {
+            const range = DepthConvention.ndcDepthRange(convention);
+            const m = DepthConvention.ortho(mat4.create(), convention, -2, 2, -1, 1, NEAR, FAR);
+
+            assertClose(ndcDepth(m, NEAR), range.near);
+            assertClose(ndcDepth(m, FAR), range.far);
+            assertClose(ndcDepth(m, (NEAR + FAR) / 2), (range.near + range.far) / 2, 1e-5);
+        });
+
+        // orthoZO maps near to 0 and far to 1 on its own
+        const zeroToOne = mat4.orthoZO(mat4.create(), -2, 2, -1, 1, NEAR, FAR);
+        assertClose(ndcDepth(zeroToOne, NEAR), 0);
+        assertClose(ndcDepth(zeroToOne, FAR), 1);
+    });
+});
+
+describe('depth precision', () => {
+    [FAR, Infinity].forEach((far) => {
+        const label = Number.isFinite(far) ? `far plane at ${far}` : 'infinite far plane';
+        const standard = projection(DepthConvention.STANDARD, far);
+        const reverse = projection(DepthConvention.REVERSE_Z, far);
+
+        it(`resolves distant depth at least 100 times finer with reverse-Z (${label})`, () => {
+            [100, 500, 900].forEach((distance) => {
+                const standardCount = distinctDepths(standard, DepthConvention.STANDARD, distance);
+                const reverseCount = distinctDepths(reverse, DepthConvention.REVERSE_Z, distance);
+
+                assert.ok(
+                    reverseCount > standardCount * 100,
+                    `at ${distance}: ${reverseCount} reverse-Z depths, ${standardCount} standard depths`
+                );
+            });
+        });
+
+        it(`keeps surfaces 1 cm apart from z-fighting only with reverse-Z (${label})`, () => {
+            let standardSeparated = 0;
+            let reverseSeparated = 0;
+            let total = 0;
+
+            for (let distance = 100; distance < 1000; distance += 10) {
+                total++;
+                if (
+                    storedDepth(standard, DepthConvention.STANDARD, distance) !==
+                    storedDepth(standard, DepthConvention.STANDARD, distance + 0.01)
+                ) {
+                    standardSeparated++;
+                }
+                if (
+                    storedDepth(reverse, DepthConvention.REVERSE_Z, distance) !==
+                    storedDepth(reverse, DepthConvention.REVERSE_Z, distance + 0.01)
+                ) {
+                    reverseSeparated++;
+                }
+            }
+
+            assert.strictEqual(reverseSeparated, total);
+            assert.ok(standardSeparated < total / 2, `standard separated ${standardSeparated} of ${total}`);
+        });
+    });
+});
+
+describe('DepthConvention.setup', () => {
+    // Records the depth state a context is left in
+    function fakeContext(hasClipControl) {
+        const state = { clipControl: null, enabled: [] };
+        const gl = {
+            DEPTH_TEST: 'DEPTH_TEST',
+            LESS: 'LESS',
+            LEQUAL: 'LEQUAL',
+            GREATER: 'GREATER',
+            GEQUAL: 'GEQUAL',
+            getExtension: (name) =>
+                name === 'EXT_clip_control' && hasClipControl
+                    ? {
+                          LOWER_LEFT_EXT: 'LOWER_LEFT',
+                          ZERO_TO_ONE_EXT: 'ZERO_TO_ONE',
+                          clipControlEXT: (origin, depth) => (state.clipControl = [origin, depth]),
+                      }
+                    : null,
+            enable: (cap) => state.enabled.push(cap),
+            clearDepth: (depth) => (state.clearDepth = depth),
+            depthFunc: (func) => (state.depthFunc = func),
+        };
+        return { gl: gl, state: state };
+    }
+
+    it('sets up reverse-Z with a zero-to-one clip range, a GREATER test and a clear depth of 0', () => {
+        const { gl, state } = fakeContext(true);
+
+        assert.strictEqual(DepthConvention.setup(gl, DepthConvention.REVERSE_Z), DepthConvention.REVERSE_Z);
+        assert.deepStrictEqual(state.clipControl, ['LOWER_LEFT', 'ZERO_TO_ONE']);
+        assert.deepStrictEqual(state.enabled, ['DEPTH_TEST']);
+        assert.strictEqual(state.depthFunc, 'GREATER');
+        assert.strictEqual(state.clearDepth, 0);
+        assert.strictEqual(DepthConvention.depthFunc(gl, DepthConvention.REVERSE_Z, true), 'GEQUAL');
+    });
+
+    it('falls back to standard depth without EXT_clip_control', () => {
+        const { gl, state } = fakeContext(false);
+        const warn = console.warn;
+        console.warn = () => {};
+
+        try {
+            assert.strictEqual(DepthConvention.setup(gl, DepthConvention.REVERSE_Z), DepthConvention.STANDARD);
+        } finally {
+            console.warn = warn;
+        }
+        assert.strictEqual(state.clipControl, null);
+        assert.strictEqual(state.depthFunc, 'LESS');
+        assert.strictEqual(state.clearDepth, 1);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * GeometryManager registration, VAO sharing between programs and disposal, against a recording WebGL 2 stand-in
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const SCRIPTS = [
+    'shared/geometry-tools.js',
+    'shared/vertex-layout.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/models.js',
+    '01-fundamentals/04-shader-programming/geometry.js',
+];
+
+// Programs are { locations: { attributeName: location } }; buffers and VAOs are numbered objects.
+// Every call is recorded as [name, ...args] so tests can check what reached the context.
+function fakeGL() {
+    const calls = [];
+    let nextId = 1;
+    const methods = {
+        createBuffer: () => ({ buffer: nextId++ }),
+        createVertexArray: () => ({ vao: nextId++ }),
+        getAttribLocation: (program, name) => (name in program.locations ? program.locations[name] : -1),
+        getExtension: () => null,
+    };
+
+    const gl = new Proxy(methods, {
+        get: (target, name) => {
+            if (/^[A-Z]/.test(name)) return name;
+            return (...args) => {
+                calls.push([name, ...args]);
+                return name in target ? target[name](...args) : undefined;
+            };
+        },
+    });
+
+    return {
+        gl: gl,
+        calls: calls,
+        named: (name) => calls.filter((call) => call[0] === name),
+    };
+}
+
+function program(locations) {
+    return { locations: locations };
+}
+
+describe('GeometryManager', () => {
+    it('registers the built-in geometries and lists names in registration order', () => {
+        const { GeometryManager } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+
+        GeometryManager.initBuffers(gl);
+        GeometryManager.register(gl, 'triangle', {
+            positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+            indices: new Uint16Array([0, 1, 2]),
+        });
+
+        assert.deepStrictEqual(Array.from(GeometryManager.getNames()), ['cube', 'sphere', 'torus', 'triangle']);
+        // A vertex and an index buffer per geometry, and no VAO until something is drawn
+        assert.strictEqual(named('createBuffer').length, 8);
+        assert.strictEqual(named('createVertexArray').length, 0);
+
+        const uploads = named('bufferData');
+        assert.strictEqual(uploads[6][1], 'ARRAY_BUFFER');
+        assert.strictEqual(uploads[6][2].byteLength, 3 * 12, 'positions only: 12 bytes per vertex');
+        assert.strictEqual(uploads[7][1], 'ELEMENT_ARRAY_BUFFER');
+        assert.deepStrictEqual(Array.from(uploads[7][2]), [0, 1, 2]);
+    });
+
+    it('gives geometries without colors colors from their normals', () => {
+        const { GeometryManager, vertexLayout } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+
+        GeometryManager.register(gl, 'quad', {
+            positions: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0]),
+            normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+            indices: new Uint16Array([0, 1, 2]),
+        });
+        GeometryManager.draw(gl, 'quad', program({ a_position: 0, a_color: 1 }));
+
+        // Position (12 bytes), the normal-derived color as unorm8x4 at offset 12, then the normal
+        const pointers = named('vertexAttribPointer');
+        assert.deepStrictEqual(
+            pointers.map((call) => call.slice(1)),
+            [
+                [0, 3, vertexLayout.FLOAT, false, 20, 0],
+                [1, 4, vertexLayout.UNSIGNED_BYTE, true, 20, 12],
+            ]
+        );
+        const colors = new Uint8Array(named('bufferData')[0][2], 12, 4);
+        assert.deepStrictEqual(Array.from(colors), [128, 128, 255, 255]);
+    });
+
+    it('shares a VAO between programs with the same attribute locations', () => {
+        const { GeometryManager } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+        GeometryManager.initBuffers(gl);
+
+        const basic = program({ a_position: 0, a_color: 1 });
+        const sameLayout = program({ a_position: 0, a_color: 1 });
+        const lit = program({ a_position: 0, a_normal: 1 });
+
+        GeometryManager.draw(gl, 'cube', basic);
+        GeometryManager.draw(gl, 'cube', basic);
+        GeometryManager.draw(gl, 'cube', sameLayout);
+        assert.strictEqual(named('createVertexArray').length, 1);
+
+        GeometryManager.draw(gl, 'cube', lit);
+        GeometryManager.draw(gl, 'sphere', basic);
+        assert.strictEqual(named('createVertexArray').length, 3);
+
+        // Every draw binds the VAO for its layout and draws all indices
+        const draws = named('drawElements');
+        assert.strictEqual(draws.length, 5);
+        assert.deepStrictEqual(draws[0].slice(1), ['TRIANGLES', 36, 'UNSIGNED_SHORT', 0]);
+        const bound = named('bindVertexArray')
+            .map((call) => call[1])
+            .filter(Boolean);
+        const vaos = named('createVertexArray').length;
+        assert.strictEqual(new Set(bound).size, vaos);
+    });
+
+    it('reads the attribute locations of a program only once', () => {
+        const { GeometryManager } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+        GeometryManager.initBuffers(gl);
+        const basic = program({ a_position: 0, a_color: 1 });
+
+        GeometryManager.draw(gl, 'cube', basic);
+        const lookups = named('getAttribLocation').length;
+        GeometryManager.draw(gl, 'cube', basic);
+        GeometryManager.draw(gl, 'torus', basic);
+
+        // The torus VAO sets up its pointers, but the cache key comes from the first lookup
+        assert.strictEqual(named('getAttribLocation').length, lookups + 4);
+    });
+
+    it('deletes the buffers and VAOs of a disposed geometry and forgets its name', () => {
+        const { GeometryManager } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+        GeometryManager.initBuffers(gl);
+
+        GeometryManager.draw(gl, 'sphere', program({ a_position: 0 }));
+        GeometryManager.draw(gl, 'sphere', program({ a_position: 1 }));
+        GeometryManager.dispose(gl, 'sphere');
+        assert.deepStrictEqual(Array.from(GeometryManager.getNames()), ['cube', 'torus']);
+        assert.strictEqual(named('deleteVertexArray').length, 2);
+        assert.strictEqual(named('deleteBuffer').length, 2);
+        assert.strictEqual(named('deleteBuffer')[0][1].buffer, 3, 'the sphere is the second geometry');
+        assert.strictEqual(named('deleteBuffer')[1][1].buffer, 4);
+
+        // Disposing again, or an unknown name, does nothing
+        GeometryManager.dispose(gl, 'sphere');
+        GeometryManager.dispose(gl, 'plane');
+        assert.strictEqual(named('deleteBuffer').length, 2);
+    });
+
+    it('replaces a geometry registered under a name already in use', () => {
+        const { GeometryManager } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+        GeometryManager.initBuffers(gl);
+        GeometryManager.draw(gl, 'cube', program({ a_position: 0 }));
+
+        GeometryManager.register(gl, 'cube', {
+            positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+            indices: new Uint16Array([0, 1, 2]),
+        });
+        assert.deepStrictEqual(Array.from(GeometryManager.getNames()), ['sphere', 'torus', 'cube']);
+        assert.strictEqual(named('deleteVertexArray').length, 1);
+        assert.strictEqual(named('deleteBuffer').length, 2);
+
+        GeometryManager.draw(gl, 'cube', program({ a_position: 0 }));
+        assert.deepStrictEqual(named('drawElements')[1].slice(1), ['TRIANGLES', 3, 'UNSIGNED_SHORT', 0]);
+    });
+
+    it('keeps the current geometry when the new one needs unsupported 32-bit indices', () => {
+        const { GeometryManager, geometryTools } = loadScripts(SCRIPTS);
+        const { gl, named } = fakeGL();
+        GeometryManager.initBuffers(gl);
+
+        // The index array comes from the scripts' realm, so indexType recognizes it as 32-bit
+        const big = {
+            positions: new Float32Array(65536 * 3),
+            indices: geometryTools.createIndexArray([0, 1, 2], 65536),
+        };
+        assert.throws(() => GeometryManager.register(gl, 'cube', big), /32-bit indices are not supported/);
+        assert.deepStrictEqual(Array.from(GeometryManager.getNames()), ['cube', 'sphere', 'torus']);
+        assert.strictEqual(named('deleteBuffer').length, 0);
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Welding, normals, merging and splitting on small hand-built meshes
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { mat4, geometryTools } = loadScripts(['shared/gl-matrix.js', 'shared/geometry-tools.js']);
+
+function geometry(positions, indices, extra = {}) {
+    const count = positions.length / 3;
+    return Object.assign(
+        {
+            positions: new Float32Array(positions),
+            normals: new Float32Array(count * 3),
+            texCoords: new Float32Array(count * 2),
+            indices: new Uint16Array(indices),
+        },
+        extra
+    );
+}
+
+function vector(array, index, size = 3) {
+    return Array.from(array.subarray(index * size, index * size + size));
+}
+
+// Unit quad in the xy plane as two triangles that don't share vertices (a, b, c and c, d, a)
+function splitQuad() {
+    return geometry([0, 0, 0, 1, 0, 0, 1, 1, 0, 1, 1, 0, 0, 1, 0, 0, 0, 0], [0, 1, 2, 3, 4, 5], {
+        texCoords: new Float32Array([0, 0, 1, 0, 1, 1, 1, 1, 0, 1, 0, 0]),
+        normals: new Float32Array(Array(6).fill([0, 0, 1]).flat()),
+        tangents: new Float32Array(Array(6).fill([1, 0, 0, 1]).flat()),
+    });
+}
+
+// Cube from (-1, -1, -1) to (1, 1, 1) with its eight corners shared by all twelve outward-facing triangles
+function cube() {
+    const positions = [];
+    for (let i = 0; i < 8; i++) {
+        positions.push(i & 1 ? 1 : -1, i & 2 ? 1 : -1, i & 4 ? 1 : -1);
+    }
+    // Each face lists its corners counter-clockwise seen from outside
+    const faces = [
+        [0, 4, 6, 2], // -x
+        [1, 3, 7, 5], // +x
+        [0, 1, 5, 4], // -y
+        [2, 6, 7, 3], // +y
+        [0, 2, 3, 1], // -z
+        [4, 5, 7, 6], // +z
+    ];
+    const indices = [];
+    faces.forEach(([a, b, c, d]) => indices.push(a, b, c, c, d, a));
+    return geometry(positions, indices);
+}
+
+describe('geometryTools.weld', () => {
+    it('merges coincident vertices whose attributes match and leaves the input untouched', () => {
+        const quad = splitQuad();
+        const welded = geometryTools.weld(quad);
+
+        assert.strictEqual(welded.positions.length / 3, 4);
+        assert.strictEqual(welded.indices.length, 6);
+        assertClose(welded.positions, [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+        assert.deepStrictEqual(Array.from(welded.indices), [0, 1, 2, 2, 3, 0]);
+        assertClose(welded.tangents, Array(4).fill([1, 0, 0, 1]).flat(), 0);
+
+        assert.strictEqual(quad.positions.length, 18);
+        assert.deepStrictEqual(Array.from(quad.indices), [0, 1, 2, 3, 4, 5]);
+    });
+
+    it('keeps UV seams unless texture coordinates are left out of the comparison', () => {
+        const quad = splitQuad();
+        quad.texCoords.set([0.5, 0.5], 3 * 2); // The second triangle's copy of c has other UVs
+
+        assert.strictEqual(geometryTools.weld(quad).positions.length / 3, 5);
+        assert.strictEqual(geometryTools.weld(quad, 1e-5, ['normals']).positions.length / 3, 4);
+        assert.strictEqual(geometryTools.weld(quad, 1e-5, []).positions.length / 3, 4);
+    });
+
+    it('only merges positions within epsilon', () => {
+        const quad = splitQuad();
+        quad.positions[3 * 3] += 1e-6;
+        assert.strictEqual(geometryTools.weld(quad).positions.length / 3, 4);
+
+        quad.positions[3 * 3] += 1e-3;
+        assert.strictEqual(geometryTools.weld(quad).positions.length / 3, 5);
+        assert.strictEqual(geometryTools.weld(quad, 1e-2).positions.length / 3, 4);
+    });
+
+    it('drops triangles that collapse and shrinks their groups', () => {
+        // A sliver whose two near corners weld together, between two good triangles
+        const mesh = geometry(
+            [0, 0, 0, 1, 0, 0, 0, 1, 0, 5, 0, 0, 5, 0, 1e-7, 5, 1, 0, 0, 0, 1, 1, 0, 1, 0, 1, 1],
+            [0, 1, 2, 3, 4, 5, 6, 7, 8],
+            {
+                groups: [
+                    { name: 'a', material: null, start: 0, count: 3 },
+                    { name: 'sliver', material: null, start: 3, count: 3 },
+                    { name: 'b', material: null, start: 6, count: 3 },
+                ],
+            }
+        );
+
+        const welded = geometryTools.weld(mesh);
+        assert.strictEqual(welded.indices.length, 6);
+        assert.deepStrictEqual(
+            Array.from(welded.groups, (group) => [group.name, group.start, group.count]),
+            [
+                ['a', 0, 3],
+                ['sliver', 3, 0],
+                ['b', 3, 3],
+            ]
+        );
+    });
+});
+
+describe('geometryTools normals', () => {
+    it('smooths shared cube corners into diagonals, whichever triangle covers the corner', () => {
+        const smooth = geometryTools.smoothNormals(cube());
+        const third = 1 / Math.sqrt(3);
+
+        assert.strictEqual(smooth.positions.length / 3, 8);
+        for (let i = 0; i < 8; i++) {
+            const p = vector(smooth.positions, i);
+            assertClose(
+                vector(smooth.normals, i),
+                p.map((x) => x * third)
+            );
+        }
+    });
+
+    it('splits vertices along edges sharper than the angle threshold', () => {
+        const hard = geometryTools.smoothNormals(cube(), Math.PI / 4);
+
+        // Every corner gets one vertex per face, with that face's normal
+        assert.strictEqual(hard.positions.length / 3, 24);
+        for (let i = 0; i < hard.indices.length; i++) {
+            const n = vector(hard.normals, hard.indices[i]);
+            assert.strictEqual(n.filter((x) => Math.abs(x) > 1e-6).length, 1, `normal ${n} is not axis-aligned`);
+            assertClose(
+                vector(hard.positions, hard.indices[i])
+                    .map((x, axis) => x * n[axis])
+                    .reduce((a, b) => a + b),
+                1
+            );
+        }
+    });
+
+    it('smooths across coincident vertices that are separate in the index buffer', () => {
+        // A ridge folded 90 degrees along the y axis whose two halves don't share vertices
+        const ridge = geometry([0, 0, 0, 0, 1, 0, -1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 1, 0], [0, 1, 2, 3, 4, 5]);
+        const smooth = geometryTools.smoothNormals(ridge);
+
+        // Both copies of the ridge vertices point straight between the two faces
+        Array.from(smooth.indices).forEach((index) => {
+            if (vector(smooth.positions, index)[0] === 0) {
+                assertClose(vector(smooth.normals, index), [0, 0, 1]);
+            }
+        });
+        assert.strictEqual(smooth.tangents, undefined, 'tangents are dropped when normals change');
+    });
+
+    it('gives flat triangles their own vertices and counter-clockwise facing normals', () => {
+        const flat = geometryTools.flatNormals(cube());
+
+        assert.strictEqual(flat.positions.length / 3, 36);
+        assert.deepStrictEqual(
+            Array.from(flat.indices),
+            Array.from({ length: 36 }, (_, i) => i)
+        );
+
+        const expected = [
+            [-1, 0, 0],
+            [1, 0, 0],
+            [0, -1, 0],
+            [0, 1, 0],
+            [0, 0, -1],
+            [0, 0, 1],
+        ];
+        for (let i = 0; i < 36; i++) {
+            assertClose(vector(flat.normals, i), expected[Math.floor(i / 6)]);
+        }
+    });
+});
+
+describe('geometryTools.merge', () => {
+    it('transforms positions, normals and tangents and offsets indices and groups', () => {
+        const quad = geometryTools.weld(splitQuad());
+        const m = mat4.create();
+        mat4.translate(m, m, [10, 0, 0]);
+        mat4.scale(m, m, [2, 1, 1]);
+        mat4.rotateY(m, m, Math.PI / 4);
+
+        const merged = geometryTools.merge([quad, { geometry: quad, matrix: m, material: 'stone', name: 'moved' }]);
+
+        assert.strictEqual(merged.positions.length / 3, 8);
+        assert.deepStrictEqual(Array.from(merged.indices), [0, 1, 2, 2, 3, 0, 4, 5, 6, 6, 7, 4]);
+        assert.deepStrictEqual(
+            Array.from(merged.groups, (group) => [group.name, group.material, group.start, group.count]),
+            [
+                ['', null, 0, 6],
+                ['moved', 'stone', 6, 6],
+            ]
+        );
+
+        // The rotation turns +z into (1, 0, 1) / sqrt(2) and +x into (1, 0, -1) / sqrt(2). Stretching x
+        // stretches the tangent along with the surface, but tilts the normal the other way
+        const root5 = Math.sqrt(5);
+        assertClose(vector(merged.positions, 6), [10 + Math.SQRT2, 1, -Math.SQRT1_2]);
+        assertClose(vector(merged.normals, 6), [1 / root5, 0, 2 / root5]);
+        assertClose(vector(merged.tangents, 6, 4), [2 / root5, 0, -1 / root5, 1]);
+    });
+
+    it('restores the winding and flips the bitangent sign of mirrored geometry', () => {
+        const quad = geometryTools.weld(splitQuad());
+        const mirror = mat4.scale(mat4.create(), mat4.create(), [-1, 1, 1]);
+
+        const merged = geometryTools.merge([{ geometry: quad, matrix: mirror }]);
+
+        assert.deepStrictEqual(Array.from(merged.indices), [0, 2, 1, 2, 0, 3]);
+        assertClose(vector(merged.normals, 0), [0, 0, 1]);
+        assertClose(vector(merged.tangents, 0, 4), [-1, 0, 0, -1]);
+
+        // The mirrored triangles still face +z when wound counter-clockwise
+        const flat = geometryTools.flatNormals(merged);
+        assertClose(vector(flat.normals, 0), [0, 0, 1]);
+    });
+});
+
+describe('geometryTools.splitByMaterial', () => {
+    it('combines the groups of each material into a compact geometry', () => {
+        const mesh = cube();
+        mesh.groups = [
+            { name: 'sides', material: 'wood', start: 0, count: 24 },
+            { name: 'bottom', material: 'metal', start: 24, count: 6 },
+            { name: 'top', material: 'wood', start: 30, count: 6 },
+        ];
+
+        const parts = geometryTools.splitByMaterial(mesh);
+
+        assert.deepStrictEqual(
+            Array.from(parts, (part) => part.material),
+            ['wood', 'metal']
+        );
+
+        const [wood, metal] = parts.map((part) => part.geometry);
+        assert.strictEqual(wood.indices.length, 30);
+        assert.strictEqual(wood.positions.length / 3, 8);
+        assert.deepStrictEqual(
+            Array.from(wood.groups, (group) => [group.name, group.start, group.count]),
+            [
+                ['sides', 0, 24],
+                ['top', 24, 6],
+            ]
+        );
+
+        // The -z face only uses the four corners with z = -1
+        assert.strictEqual(metal.positions.length / 3, 4);
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual(vector(metal.positions, i)[2], -1);
+        }
+    });
+});
+
+describe('geometryTools index types', () => {
+    const gl = { UNSIGNED_BYTE: 5121, UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125, getExtension: () => null };
+
+    // 65535 itself is left out, as WebGL 2 reserves it to restart primitives
+    it('uses 16-bit indices up to 65535 vertices and 32-bit ones above', () => {
+        assert.strictEqual(geometryTools.createIndexArray([0, 1, 2], 65535).constructor.name, 'Uint16Array');
+        assert.strictEqual(geometryTools.createIndexArray([0, 1, 2], 65536).constructor.name, 'Uint32Array');
+        assert.deepStrictEqual(Array.from(geometryTools.createIndexArray([0, 1, 65536], 65537)), [0, 1, 65536]);
+    });
+
+    it('draws with the type of the index array', () => {
+        const mesh = (indices, vertexCount) => ({
+            positions: new Float32Array(vertexCount * 3),
+            indices: geometryTools.createIndexArray(indices, vertexCount),
+        });
+
+        assert.strictEqual(geometryTools.indexType(gl, mesh([0, 1, 2], 3)), gl.UNSIGNED_SHORT);
+
+        const big = mesh([0, 1, 70000], 70001);
+        const withExtension = Object.assign({}, gl, { getExtension: (name) => name === 'OES_element_index_uint' });
+        assert.strictEqual(geometryTools.indexType(withExtension, big), gl.UNSIGNED_INT);
+        assert.throws(() => geometryTools.indexType(gl, big), /70001 vertices.*OES_element_index_uint missing/);
+    });
+});
@@ -0,0 +1,263 @@
+/**
+ * Rotation math of the shared gl-matrix subset: quaternions against rotation matrices, slerp,
+ * spherical and cylindrical coordinates and angle wrapping
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose, assertMatrixClose } = require('./helpers/load-scripts');
+
+const { vec3, angle, quat, mat3, mat4 } = loadScripts(['shared/gl-matrix.js']);
+
+// Rotation matrix of a quaternion, through the model matrix builder
+function quatToMat3(q) {
+    const m = mat4.fromRotationTranslationScale(mat4.create(), q, [0, 0, 0], [1, 1, 1]);
+    return mat3.fromMat4(mat3.create(), m);
+}
+
+function rotationMat3(rad, axis) {
+    return mat3.fromMat4(mat3.create(), mat4.rotate(mat4.create(), mat4.create(), rad, axis));
+}
+
+// q and -q are the same rotation
+function assertSameRotation(actual, expected, epsilon = 1e-5) {
+    const sign = Math.sign(
+        actual[0] * expected[0] + actual[1] * expected[1] + actual[2] * expected[2] + actual[3] * expected[3]
+    );
+    assertClose(
+        Array.from(actual, (c) => c * sign),
+        expected,
+        epsilon
+    );
+}
+
+function axisAngle(axis, rad) {
+    const length = Math.hypot(...axis);
+    return quat.fromAxisAngle(
+        quat.create(),
+        axis.map((c) => c / length),
+        rad
+    );
+}
+
+describe('quat and mat3', () => {
+    const rotations = {
+        'no rotation': quat.create(),
+        'a small turn': axisAngle([1, 2, 3], 0.3),
+        'a large turn': axisAngle([-2, 1, 0.5], 2.5),
+        // Half turns have a zero trace and take each of fromMat3's largest-diagonal branches
+        'a half turn about x': axisAngle([1, 0, 0], Math.PI),
+        'a half turn about y': axisAngle([0, 1, 0], Math.PI),
+        'a half turn about z': axisAngle([0, 0, 1], Math.PI),
+        'nearly a half turn about a diagonal': axisAngle([1, 1, -1], Math.PI - 0.01),
+    };
+
+    Object.entries(rotations).forEach(([name, q]) => {
+        it(`round-trips ${name} through a rotation matrix`, () => {
+            const m = quatToMat3(q);
+            assertSameRotation(quat.fromMat3(quat.create(), m), q);
+            assertMatrixClose(quatToMat3(quat.fromMat3(quat.create(), m)), m);
+        });
+    });
+
+    it('builds the same matrix as mat4.rotate from an axis and angle', () => {
+        const axis = [2, -1, 2].map((c) => c / 3);
+        assertMatrixClose(quatToMat3(quat.fromAxisAngle(quat.create(), axis, 1.2)), rotationMat3(1.2, axis));
+    });
+});
+
+describe('quat.fromEuler', () => {
+    it('rotates about X first, then Y, then Z, with angles in degrees', () => {
+        const [x, y, z] = [30, -50, 110];
+        const rad = Math.PI / 180;
+        const qx = axisAngle([1, 0, 0], x * rad);
+        const qy = axisAngle([0, 1, 0], y * rad);
+        const qz = axisAngle([0, 0, 1], z * rad);
+        const expected = quat.multiply(quat.create(), qz, quat.multiply(quat.create(), qy, qx));
+
+        const q = quat.fromEuler(quat.create(), x, y, z);
+        assertSameRotation(q, expected);
+
+        // The same rotation as the matrices applied in that order
+        const m = mat4.create();
+        mat4.rotateZ(m, m, z * rad);
+        mat4.rotateY(m, m, y * rad);
+        mat4.rotateX(m, m, x * rad);
+        assertMatrixClose(quatToMat3(q), mat3.fromMat4(mat3.create(), m));
+    });
+
+    it('round-trips Euler angles through a rotation matrix and back to the same quaternion', () => {
+        [
+            [0, 0, 0],
+            [90, 0, 0],
+            [0, 90, 0],
+            [45, 45, 45],
+            [-170, 80, 10],
+            [10, 200, -30],
+        ].forEach(([x, y, z]) => {
+            const q = quat.fromEuler(quat.create(), x, y, z);
+            assertClose(Math.hypot(...q), 1);
+            assertSameRotation(quat.fromMat3(quat.create(), quatToMat3(q)), q);
+        });
+    });
+});
+
+describe('quat.slerp', () => {
+    const a = axisAngle([0, 1, 0], 0.2);
+    const b = axisAngle([1, 0, 1], 1.4);
+
+    it('returns its endpoints at t = 0 and t = 1', () => {
+        assertClose(quat.slerp(quat.create(), a, b, 0), a);
+        assertClose(quat.slerp(quat.create(), a, b, 1), b);
+    });
+
+    it('moves at a constant angular rate', () => {
+        const full = 2 * Math.acos(Math.min(Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]), 1));
+        [0.25, 0.5, 0.75].forEach((t) => {
+            const q = quat.slerp(quat.create(), a, b, t);
+            const fromA = 2 * Math.acos(Math.min(Math.abs(q[0] * a[0] + q[1] * a[1] + q[2] * a[2] + q[3] * a[3]), 1));
+            assertClose(Math.hypot(...q), 1);
+            assertClose(fromA, full * t, 1e-5);
+        });
+    });
+
+    it('takes the shorter arc when the quaternions are in opposite hemispheres', () => {
+        const negated = Array.from(b, (c) => -c);
+        assertSameRotation(quat.slerp(quat.create(), a, negated, 0.5), quat.slerp(quat.create(), a, b, 0.5));
+        assertSameRotation(quat.slerp(quat.create(), a, negated, 1), b);
+    });
+
+    it('falls back to a linear blend for nearly identical rotations', () => {
+        const c = axisAngle([0, 1, 0], 0.2 + 1e-7);
+        const q = quat.slerp(quat.create(), a, c, 0.5);
+        assert.ok(q.every(Number.isFinite));
+        assertClose(q, axisAngle([0, 1, 0], 0.2 + 0.5e-7), 1e-6);
+    });
+});
+
+describe('vec3 spherical and cylindrical coordinates', () => {
+    const points = [
+        [1, 2, 3],
+        [-4, 0.5, 2],
+        [3, -1, -3],
+        [-0.5, -2, -0.1],
+        [0, 0, 7],
+        [2, 0, 0],
+    ];
+
+    it('puts azimuth 0 and elevation 0 on +Z, and turns the azimuth towards +X', () => {
+        assertClose(vec3.fromSpherical(vec3.create(), 5, 0, 0), [0, 0, 5]);
+        assertClose(vec3.fromSpherical(vec3.create(), 5, Math.PI / 2, 0), [5, 0, 0]);
+        assertClose(vec3.fromSpherical(vec3.create(), 5, 0, Math.PI / 2), [0, 5, 0]);
+        assertClose(vec3.fromCylindrical(vec3.create(), 2, Math.PI / 2, 3), [2, 3, 0]);
+    });
+
+    it('converts points to spherical coordinates and back', () => {
+        points.forEach((p) => {
+            const [radius, azimuth, elevation] = vec3.toSpherical(vec3.create(), p);
+            assert.ok(azimuth >= -Math.PI && azimuth <= Math.PI);
+            assert.ok(elevation >= -Math.PI / 2 && elevation <= Math.PI / 2);
+            assertClose(vec3.fromSpherical(vec3.create(), radius, azimuth, elevation), p);
+        });
+    });
+
+    it('converts spherical coordinates to a point and back', () => {
+        [
+            [1, 0, 0],
+            [2, 1, 0.5],
+            [3, -2.5, -1.2],
+            [0.5, 3, 1.5],
+        ].forEach((coordinates) => {
+            const p = vec3.fromSpherical(vec3.create(), ...coordinates);
+            assertClose(vec3.toSpherical(vec3.create(), p), coordinates);
+        });
+    });
+
+    it('gives the origin and the poles a zero azimuth', () => {
+        assertClose(vec3.toSpherical(vec3.create(), [0, 0, 0]), [0, 0, 0]);
+        assertClose(vec3.toSpherical(vec3.create(), [0, 4, 0]), [4, 0, Math.PI / 2]);
+        assertClose(vec3.toSpherical(vec3.create(), [0, -4, 0]), [4, 0, -Math.PI / 2]);
+    });
+
+    it('converts points to cylindrical coordinates and back', () => {
+        points.forEach((p) => {
+            const [radius, azimuth, height] = vec3.toCylindrical(vec3.create(), p);
+            assertClose(vec3.fromCylindrical(vec3.create(), radius, azimuth, height), p);
+        });
+        [
+            [1, 0, 0],
+            [2, -2, 5],
+            [0.5, 3, -1],
+        ].forEach((coordinates) => {
+            const p = vec3.fromCylindrical(vec3.create(), ...coordinates);
+            assertClose(vec3.toCylindrical(vec3.create(), p), coordinates);
+        });
+        assertClose(vec3.toCylindrical(vec3.create(), [0, 3, 0]), [0, 0, 3]);
+    });
+});
+
+describe('vec3.slerp', () => {
+    const a = vec3.normalize(vec3.create(), [1, 0, 0]);
+    const b = vec3.normalize(vec3.create(), [0, 1, 1]);
+
+    it('returns its endpoints at t = 0 and t = 1', () => {
+        assertClose(vec3.slerp(vec3.create(), a, b, 0), a);
+        assertClose(vec3.slerp(vec3.create(), a, b, 1), b);
+    });
+
+    it('stays on the unit sphere and turns at a constant rate', () => {
+        [0.25, 0.5, 0.75].forEach((t) => {
+            const v = vec3.slerp(vec3.create(), a, b, t);
+            assertClose(Math.hypot(...v), 1);
+            assertClose(Math.acos(vec3.dot(a, v)), (Math.PI / 2) * t);
+        });
+    });
+
+    it('falls back to a linear blend for parallel directions', () => {
+        assertClose(vec3.slerp(vec3.create(), a, a, 0.3), a);
+    });
+});
+
+describe('angle', () => {
+    it('wraps into [-PI, PI), sending PI itself to -PI', () => {
+        assert.strictEqual(angle.wrap(Math.PI), -Math.PI);
+        assert.strictEqual(angle.wrap(-Math.PI), -Math.PI);
+        assert.strictEqual(angle.wrap(0), 0);
+        assertClose(angle.wrap(-Math.PI - 1e-6), Math.PI - 1e-6);
+        assertClose(angle.wrap(Math.PI - 1e-6), Math.PI - 1e-6);
+        assertClose(angle.wrap(Math.PI * 2.5), Math.PI / 2);
+        assertClose(angle.wrap(-Math.PI * 2.5), -Math.PI / 2);
+
+        for (let a = -20; a <= 20; a += 0.37) {
+            const wrapped = angle.wrap(a);
+            assert.ok(wrapped >= -Math.PI && wrapped < Math.PI, `${a} wraps to ${wrapped}`);
+            assertClose(Math.cos(wrapped), Math.cos(a));
+            assertClose(Math.sin(wrapped), Math.sin(a));
+        }
+    });
+
+    it('wraps into [0, 2 * PI)', () => {
+        assert.strictEqual(angle.wrapPositive(Math.PI * 2), 0);
+        assertClose(angle.wrapPositive(-Math.PI / 2), Math.PI * 1.5);
+    });
+
+    it('measures the shorter way round, and goes backwards at exactly half a turn', () => {
+        const degrees = Math.PI / 180;
+        assertClose(angle.difference(350 * degrees, 10 * degrees), 20 * degrees);
+        assertClose(angle.difference(10 * degrees, 350 * degrees), -20 * degrees);
+        assert.strictEqual(angle.difference(0, Math.PI), -Math.PI);
+        assert.strictEqual(angle.difference(Math.PI, 0), -Math.PI);
+    });
+
+    it('interpolates through 0 from 350 to 10 degrees', () => {
+        const degrees = Math.PI / 180;
+        assertClose(angle.lerp(350 * degrees, 10 * degrees, 0), -10 * degrees);
+        assertClose(angle.lerp(350 * degrees, 10 * degrees, 0.5), 0);
+        assertClose(angle.lerp(350 * degrees, 10 * degrees, 1), 10 * degrees);
+    });
+
+    it('clamps to a range', () => {
+        assert.strictEqual(angle.clamp(2, -1, 1), 1);
+        assert.strictEqual(angle.clamp(-2, -1, 1), -1);
+        assert.strictEqual(angle.clamp(0.5, -1, 1), 0.5);
+    });
+});
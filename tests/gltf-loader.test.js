@@ -0,0 +1,268 @@
+/**
+ * glTF parsing on a small GLB built in the test: chunks, data URIs, sparse accessors, node matrices and materials
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const gltf = loadScripts(
+    [
+        'shared/gl-matrix.js',
+        'shared/geometry-tools.js',
+        '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+        '02-advanced-webgl-techniques/01-advanced-shading/models.js',
+        '02-advanced-webgl-techniques/01-advanced-shading/gltf-loader.js',
+    ],
+    { TextDecoder: TextDecoder, TextEncoder: TextEncoder, atob: atob }
+);
+
+// Binary chunk: a triangle's three float positions, then one sparse index (uint16, padded to 4 bytes)
+// and its replacement position
+function binaryChunk() {
+    const bytes = new ArrayBuffer(52);
+    new Float32Array(bytes, 0, 9).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    new Uint16Array(bytes, 36, 1).set([2]);
+    new Float32Array(bytes, 40, 3).set([0, 2, 0]);
+    return bytes;
+}
+
+function sparseJSON() {
+    return {
+        asset: { version: '2.0' },
+        buffers: [{ byteLength: 52 }],
+        bufferViews: [
+            { buffer: 0, byteOffset: 0, byteLength: 36 },
+            { buffer: 0, byteOffset: 36, byteLength: 2 },
+            { buffer: 0, byteOffset: 40, byteLength: 12 },
+        ],
+        accessors: [
+            {
+                bufferView: 0,
+                componentType: 5126,
+                type: 'VEC3',
+                count: 3,
+                sparse: {
+                    count: 1,
+                    indices: { bufferView: 1, componentType: 5123 },
+                    values: { bufferView: 2 },
+                },
+            },
+            // No buffer view: zeros, with the sparse value on top
+            {
+                componentType: 5126,
+                type: 'VEC3',
+                count: 3,
+                sparse: {
+                    count: 1,
+                    indices: { bufferView: 1, componentType: 5123 },
+                    values: { bufferView: 2 },
+                },
+            },
+        ],
+        meshes: [{ name: 'triangle', primitives: [{ attributes: { POSITION: 0 } }] }],
+        // The child comes first, so the matrices can't be computed in array order
+        nodes: [
+            { name: 'child', mesh: 0, scale: [2, 2, 2] },
+            { name: 'parent', translation: [1, 2, 3], children: [0] },
+        ],
+        scenes: [{ nodes: [1] }],
+        scene: 0,
+    };
+}
+
+// GLB container: 12-byte header, then the space-padded JSON chunk and the zero-padded binary chunk
+function createGLB(json, binary) {
+    const text = Buffer.from(JSON.stringify(json));
+    const jsonLength = Math.ceil(text.length / 4) * 4;
+    const binLength = binary ? Math.ceil(binary.byteLength / 4) * 4 : 0;
+    const length = 12 + 8 + jsonLength + (binary ? 8 + binLength : 0);
+
+    const out = new ArrayBuffer(length);
+    const view = new DataView(out);
+    const bytes = new Uint8Array(out);
+    view.setUint32(0, 0x46546c67, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, length, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true);
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(text, 20);
+
+    if (binary) {
+        const offset = 20 + jsonLength;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, 0x004e4942, true);
+        bytes.set(new Uint8Array(binary), offset + 8);
+    }
+    return out;
+}
+
+describe('parseGLB', () => {
+    it('splits a GLB into its JSON and binary chunks', () => {
+        const { json, binary } = gltf.parseGLB(createGLB(sparseJSON(), binaryChunk()));
+
+        assert.strictEqual(json.asset.version, '2.0');
+        assert.strictEqual(json.nodes[1].name, 'parent');
+        assert.strictEqual(binary.byteLength, 52);
+        assertClose(new Float32Array(binary, 0, 9), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    });
+
+    it('returns no binary chunk when there is none', () => {
+        assert.strictEqual(gltf.parseGLB(createGLB({ asset: { version: '2.0' } }, null)).binary, null);
+    });
+
+    it('rejects other container versions and files without JSON', () => {
+        const version1 = createGLB(sparseJSON(), binaryChunk());
+        new DataView(version1).setUint32(4, 1, true);
+        assert.throws(() => gltf.parseGLB(version1), /Unsupported GLB version: 1/);
+
+        const headerOnly = new ArrayBuffer(12);
+        new DataView(headerOnly).setUint32(4, 2, true);
+        new DataView(headerOnly).setUint32(8, 12, true);
+        assert.throws(() => gltf.parseGLB(headerOnly), /GLB file has no JSON chunk/);
+    });
+});
+
+describe('decodeDataURI', () => {
+    it('decodes base64 and percent-encoded payloads', () => {
+        const base64 = gltf.decodeDataURI('data:application/octet-stream;base64,AQID/w==');
+        assert.deepStrictEqual(Array.from(new Uint8Array(base64)), [1, 2, 3, 255]);
+
+        const text = gltf.decodeDataURI('data:text/plain,a%20b');
+        assert.deepStrictEqual(Array.from(new Uint8Array(text)), [0x61, 0x20, 0x62]);
+    });
+});
+
+describe('readAccessor', () => {
+    it('replaces the elements listed by a sparse accessor', () => {
+        const { array, size, count } = gltf.readAccessor(sparseJSON(), [binaryChunk()], 0);
+
+        assert.strictEqual(size, 3);
+        assert.strictEqual(count, 3);
+        assertClose(array, [0, 0, 0, 1, 0, 0, 0, 2, 0]);
+    });
+
+    it('starts a sparse accessor without a buffer view from zeros', () => {
+        assertClose(gltf.readAccessor(sparseJSON(), [binaryChunk()], 1).array, [0, 0, 0, 0, 0, 0, 0, 2, 0]);
+    });
+
+    it('reads interleaved and normalized components', () => {
+        // Two vertices of a byte color (normalized) followed by a padding byte, 4 bytes apart
+        const json = {
+            bufferViews: [{ buffer: 0, byteLength: 8, byteStride: 4 }],
+            accessors: [{ bufferView: 0, componentType: 5120, normalized: true, type: 'VEC3', count: 2 }],
+        };
+        const buffer = new Int8Array([127, 0, -128, 99, -64, 64, 0, 99]).buffer;
+
+        const { array } = gltf.readAccessor(json, [buffer], 0);
+        assert.strictEqual(array.constructor.name, 'Float32Array');
+        assertClose(array, [1, 0, -1, -64 / 127, 64 / 127, 0]);
+    });
+});
+
+describe('computeGLTFNodeMatrices', () => {
+    it('combines TRS properties down the hierarchy whatever the node order', () => {
+        const [child, parent] = gltf.computeGLTFNodeMatrices(sparseJSON());
+
+        assert.strictEqual(child.parent, 1);
+        assert.strictEqual(parent.parent, null);
+        assertClose(parent.worldMatrix, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 1, 2, 3, 1]);
+        assertClose(child.localMatrix, [2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1]);
+        assertClose(child.worldMatrix, [2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 1, 2, 3, 1]);
+    });
+
+    it('uses a node matrix as is and turns rotations into matrices', () => {
+        const matrix = [0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1];
+        const nodes = gltf.computeGLTFNodeMatrices({
+            nodes: [
+                { matrix: matrix, children: [1] },
+                // 90 degrees about z
+                { rotation: [0, 0, Math.SQRT1_2, Math.SQRT1_2] },
+            ],
+        });
+
+        assertClose(nodes[0].worldMatrix, matrix);
+        assertClose(nodes[1].localMatrix, matrix.slice(0, 12).concat([0, 0, 0, 1]));
+        // Two quarter turns and the parent's translation
+        assertClose(nodes[1].worldMatrix, [-1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1]);
+    });
+});
+
+describe('parseGLTF', () => {
+    it('loads a GLB with its binary buffer and flattens the scene into one geometry', async () => {
+        const result = await gltf.parseGLTF(createGLB(sparseJSON(), binaryChunk()), () => {
+            throw new Error('nothing to load');
+        });
+
+        const primitive = result.meshes[0].primitives[0];
+        assertClose(primitive.geometry.positions, [0, 0, 0, 1, 0, 0, 0, 2, 0]);
+        // Normals are missing, so they are generated flat
+        assertClose(primitive.geometry.normals.subarray(0, 3), [0, 0, 1]);
+
+        const geometry = gltf.flattenGLTFScene(result);
+        assert.strictEqual(geometry.indices.length, 3);
+        const positions = Array.from(geometry.indices, (index) =>
+            Array.from(geometry.positions.subarray(index * 3, index * 3 + 3))
+        );
+        assertClose(positions.flat(), [1, 2, 3, 3, 2, 3, 1, 6, 3]);
+        assert.strictEqual(geometry.tangents.length, (geometry.positions.length / 3) * 4);
+    });
+
+    it('decodes data URI buffers of a .gltf and rejects other versions', async () => {
+        const json = sparseJSON();
+        json.buffers[0].uri = `data:application/octet-stream;base64,${Buffer.from(binaryChunk()).toString('base64')}`;
+
+        const result = await gltf.parseGLTF(JSON.stringify(json), () => Promise.reject(new Error('unused')));
+        assertClose(result.meshes[0].primitives[0].geometry.positions, [0, 0, 0, 1, 0, 0, 0, 2, 0]);
+
+        await assert.rejects(
+            gltf.parseGLTF(JSON.stringify({ asset: { version: '1.0' } }), null),
+            /Unsupported glTF version: 1.0/
+        );
+    });
+});
+
+describe('parseGLTFMaterial', () => {
+    const json = {
+        textures: [{ source: 0, sampler: 0 }],
+        samplers: [{ wrapS: 33071 }],
+    };
+
+    it('fills in the defaults of the specification', () => {
+        const material = gltf.parseGLTFMaterial(json, {});
+
+        assert.deepStrictEqual(Array.from(material.baseColorFactor), [1, 1, 1, 1]);
+        assert.strictEqual(material.metallicFactor, 1);
+        assert.strictEqual(material.roughnessFactor, 1);
+        assert.strictEqual(material.normalScale, 1);
+        assert.strictEqual(material.occlusionStrength, 1);
+        assert.deepStrictEqual(Array.from(material.emissiveFactor), [0, 0, 0]);
+        assert.strictEqual(material.alphaMode, 'OPAQUE');
+        assert.strictEqual(material.alphaCutoff, 0.5);
+        assert.strictEqual(material.doubleSided, false);
+        assert.strictEqual(material.normalTexture, null);
+    });
+
+    it('reads texture references, scales and the alpha and culling settings', () => {
+        const material = gltf.parseGLTFMaterial(json, {
+            normalTexture: { index: 0, scale: 0.5 },
+            occlusionTexture: { index: 0, strength: 0.25 },
+            emissiveTexture: { index: 0, texCoord: 1 },
+            emissiveFactor: [1, 0.5, 0],
+            alphaMode: 'MASK',
+            alphaCutoff: 0.3,
+            doubleSided: true,
+        });
+
+        assert.strictEqual(material.normalScale, 0.5);
+        assert.strictEqual(material.occlusionStrength, 0.25);
+        assert.strictEqual(material.emissiveTexture.image, 0);
+        assert.strictEqual(material.emissiveTexture.sampler, json.samplers[0]);
+        assert.strictEqual(material.emissiveTexture.texCoord, 1);
+        assert.deepStrictEqual(Array.from(material.emissiveFactor), [1, 0.5, 0]);
+        assert.strictEqual(material.alphaMode, 'MASK');
+        assert.strictEqual(material.alphaCutoff, 0.3);
+        assert.strictEqual(material.doubleSided, true);
+    });
+});
@@ -0,0 +1,715 @@
+/**
+ * A small GLSL ES 3.00 interpreter, so shader snippets can be checked against reference values without a GPU
+ *
+ * It covers what the shared snippets use: float, int, uint and bool scalars and vectors, swizzle reads,
+ * functions, const and local declarations, if/else, for loops, the arithmetic, bitwise, comparison, logical,
+ * ternary and assignment operators, and the builtins floor, fract, abs, sqrt, min, max, clamp, mix, dot and length.
+ * Floats are rounded to 32 bits after every operation, like highp floats on the GPU, and int and uint wrap around.
+ * Operands must have matching types, as GLSL ES 3.00 has no implicit conversions.
+ */
+
+// Type name -> [base type, component count]
+const TYPES = {
+    float: ['float', 1],
+    int: ['int', 1],
+    uint: ['uint', 1],
+    bool: ['bool', 1],
+    vec2: ['float', 2],
+    vec3: ['float', 3],
+    vec4: ['float', 4],
+    ivec2: ['int', 2],
+    ivec3: ['int', 3],
+    ivec4: ['int', 4],
+    uvec2: ['uint', 2],
+    uvec3: ['uint', 3],
+    uvec4: ['uint', 4],
+    bvec2: ['bool', 2],
+    bvec3: ['bool', 3],
+    bvec4: ['bool', 4],
+};
+
+const SWIZZLE = { x: 0, y: 1, z: 2, w: 3, r: 0, g: 1, b: 2, a: 3, s: 0, t: 1, p: 2, q: 3 };
+
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '^^': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7,
+    '!=': 7,
+    '<': 8,
+    '>': 8,
+    '<=': 8,
+    '>=': 8,
+    '<<': 9,
+    '>>': 9,
+    '+': 10,
+    '-': 10,
+    '*': 11,
+    '/': 11,
+    '%': 11,
+};
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+const TOKEN_PATTERN =
+    /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*|(0[xX][0-9a-fA-F]+[uU]?|(?:\d+\.\d*|\.\d+)(?:[eE][-+]?\d+)?|\d+[eE][-+]?\d+|\d+[uU]?)|([A-Za-z_]\w*)|(<<=|>>=|\+\+|--|<<|>>|<=|>=|==|!=|&&|\|\||\^\^|[-+*/%&|^]=|[-+*/%&|^!~<>=?:;,.(){}[\]])/y;
+
+/**
+ * Make a value from a type name and its components
+ * @param {string} type - GLSL type name
+ * @param {Array<number>} data - Components (bools as 0 and 1)
+ * @returns {Object} Value with type, base, size and data
+ */
+function makeValue(type, data) {
+    const [base, size] = TYPES[type];
+    return { type: type, base: base, size: size, data: data.map((x) => wrap(base, x)) };
+}
+
+function typeName(base, size) {
+    return Object.keys(TYPES).find((name) => TYPES[name][0] === base && TYPES[name][1] === size);
+}
+
+// Round or wrap a number the way a component of the base type stores it
+function wrap(base, x) {
+    switch (base) {
+        case 'float':
+            return Math.fround(x);
+        case 'int':
+            return x | 0;
+        case 'uint':
+            return x >>> 0;
+        default:
+            return x ? 1 : 0;
+    }
+}
+
+// Convert a component between base types, as constructors do
+function convert(from, to, x) {
+    if (from === 'float' && (to === 'int' || to === 'uint')) {
+        return wrap(to, Math.trunc(x));
+    }
+    return wrap(to, x);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            throw new SyntaxError(`Unexpected character in GLSL: ${source.slice(start, start + 20)}`);
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ kind: 'number', text: match[1] });
+        } else if (match[2] !== undefined) {
+            tokens.push({ kind: 'word', text: match[2] });
+        } else if (match[3] !== undefined) {
+            tokens.push({ kind: 'operator', text: match[3] });
+        }
+    }
+
+    tokens.push({ kind: 'end', text: '' });
+    return tokens;
+}
+
+function parseNumber(text) {
+    if (/^0[xX]/.test(text)) {
+        const unsigned = /[uU]$/.test(text);
+        return makeValue(unsigned ? 'uint' : 'int', [parseInt(text.replace(/[uU]$/, ''), 16)]);
+    }
+    if (/[uU]$/.test(text)) {
+        return makeValue('uint', [parseInt(text, 10)]);
+    }
+    if (/[.eE]/.test(text)) {
+        return makeValue('float', [parseFloat(text)]);
+    }
+    return makeValue('int', [parseInt(text, 10)]);
+}
+
+/**
+ * Parse GLSL source into functions and global constant declarations
+ */
+function parse(source) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const next = () => tokens[position++];
+    const accept = (text) => {
+        if (peek().text === text) {
+            position++;
+            return true;
+        }
+        return false;
+    };
+    const expect = (text) => {
+        const token = next();
+        if (token.text !== text) {
+            throw new SyntaxError(`Expected '${text}' in GLSL, got '${token.text}'`);
+        }
+        return token;
+    };
+    const isType = (token) => token.kind === 'word' && (TYPES[token.text] !== undefined || token.text === 'void');
+
+    function parsePrimary() {
+        const token = next();
+
+        if (token.kind === 'number') {
+            return { node: 'literal', value: parseNumber(token.text) };
+        }
+        if (token.text === 'true' || token.text === 'false') {
+            return { node: 'literal', value: makeValue('bool', [token.text === 'true' ? 1 : 0]) };
+        }
+        if (token.kind === 'word') {
+            if (accept('(')) {
+                const args = [];
+                if (!accept(')')) {
+                    do {
+                        args.push(parseAssignment());
+                    } while (accept(','));
+                    expect(')');
+                }
+                return { node: 'call', name: token.text, args: args };
+            }
+            return { node: 'variable', name: token.text };
+        }
+        if (token.text === '(') {
+            const expression = parseExpression();
+            expect(')');
+            return expression;
+        }
+
+        throw new SyntaxError(`Unexpected '${token.text}' in GLSL expression`);
+    }
+
+    function parsePostfix() {
+        let expression = parsePrimary();
+
+        for (;;) {
+            if (accept('.')) {
+                expression = { node: 'field', object: expression, name: next().text };
+            } else if (peek().text === '++' || peek().text === '--') {
+                expression = { node: 'postfix', operator: next().text, target: expression };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    function parseUnary() {
+        const text = peek().text;
+        if (text === '-' || text === '+' || text === '!' || text === '~') {
+            next();
+            return { node: 'unary', operator: text, argument: parseUnary() };
+        }
+        if (text === '++' || text === '--') {
+            next();
+            const target = parseUnary();
+            return { node: 'assign', operator: text === '++' ? '+=' : '-=', target: target, value: null };
+        }
+        return parsePostfix();
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+
+        for (;;) {
+            const operator = peek().text;
+            const precedence = peek().kind === 'operator' ? BINARY_PRECEDENCE[operator] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) {
+                return left;
+            }
+
+            next();
+            const right = parseBinary(precedence + 1);
+            left = { node: 'binary', operator: operator, left: left, right: right };
+        }
+    }
+
+    function parseTernary() {
+        const condition = parseBinary(1);
+        if (!accept('?')) {
+            return condition;
+        }
+
+        const whenTrue = parseAssignment();
+        expect(':');
+        const whenFalse = parseAssignment();
+        return { node: 'ternary', condition: condition, whenTrue: whenTrue, whenFalse: whenFalse };
+    }
+
+    function parseAssignment() {
+        const target = parseTernary();
+        if (peek().kind === 'operator' && ASSIGNMENT_OPERATORS.has(peek().text)) {
+            const operator = next().text;
+            return { node: 'assign', operator: operator, target: target, value: parseAssignment() };
+        }
+        return target;
+    }
+
+    function parseExpression() {
+        const expressions = [parseAssignment()];
+        while (accept(',')) {
+            expressions.push(parseAssignment());
+        }
+        return expressions.length === 1 ? expressions[0] : { node: 'sequence', expressions: expressions };
+    }
+
+    // [const] type name [= value] {, name [= value]} ;
+    function parseDeclaration() {
+        const constant = accept('const');
+        accept('highp') || accept('mediump') || accept('lowp');
+        const type = next().text;
+        const declarators = [];
+
+        do {
+            const name = next().text;
+            const value = accept('=') ? parseAssignment() : null;
+            declarators.push({ name: name, value: value });
+        } while (accept(','));
+
+        expect(';');
+        return { node: 'declaration', constant: constant, type: type, declarators: declarators };
+    }
+
+    function parseStatement() {
+        const token = peek();
+
+        if (accept('{')) {
+            const statements = [];
+            while (!accept('}')) {
+                statements.push(parseStatement());
+            }
+            return { node: 'block', statements: statements };
+        }
+        if (accept('if')) {
+            expect('(');
+            const condition = parseExpression();
+            expect(')');
+            const then = parseStatement();
+            const otherwise = accept('else') ? parseStatement() : null;
+            return { node: 'if', condition: condition, then: then, otherwise: otherwise };
+        }
+        if (accept('for')) {
+            expect('(');
+            const init = accept(';') ? null : parseSimpleStatement();
+            const condition = peek().text === ';' ? null : parseExpression();
+            expect(';');
+            const update = peek().text === ')' ? null : parseExpression();
+            expect(')');
+            return { node: 'for', init: init, condition: condition, update: update, body: parseStatement() };
+        }
+        if (accept('return')) {
+            const value = peek().text === ';' ? null : parseExpression();
+            expect(';');
+            return { node: 'return', value: value };
+        }
+        if (accept('break')) {
+            expect(';');
+            return { node: 'break' };
+        }
+        if (accept('continue')) {
+            expect(';');
+            return { node: 'continue' };
+        }
+        if (accept(';')) {
+            return { node: 'block', statements: [] };
+        }
+        if (token.text === 'const' || (isType(token) && peek(1).kind === 'word')) {
+            return parseDeclaration();
+        }
+
+        return parseSimpleStatement();
+    }
+
+    function parseSimpleStatement() {
+        if (peek().text === 'const' || (isType(peek()) && peek(1).kind === 'word')) {
+            return parseDeclaration();
+        }
+        const expression = parseExpression();
+        expect(';');
+        return { node: 'expression', expression: expression };
+    }
+
+    const functions = {};
+    const globals = [];
+
+    while (peek().kind !== 'end') {
+        if (accept('precision')) {
+            while (!accept(';')) {
+                next();
+            }
+        } else if (peek().text === 'const') {
+            globals.push(parseDeclaration());
+        } else if (isType(peek()) && peek(1).kind === 'word' && peek(2).text === '(') {
+            const returnType = next().text;
+            const name = next().text;
+            const parameters = [];
+
+            expect('(');
+            if (!accept(')')) {
+                do {
+                    accept('in') || accept('highp') || accept('mediump') || accept('lowp');
+                    const type = next().text;
+                    parameters.push({ type: type, name: next().text });
+                } while (accept(','));
+                expect(')');
+            }
+
+            if (functions[name]) {
+                throw new SyntaxError(`Overloaded GLSL function ${name} is not supported`);
+            }
+            functions[name] = { returnType: returnType, parameters: parameters, body: parseStatement() };
+        } else {
+            throw new SyntaxError(`Unexpected '${peek().text}' at GLSL top level`);
+        }
+    }
+
+    return { functions: functions, globals: globals };
+}
+
+// Apply a binary operator component-wise, broadcasting a scalar operand over a vector
+function binary(operator, a, b) {
+    if (operator === '&&' || operator === '||' || operator === '^^') {
+        const x = a.data[0] !== 0;
+        const y = b.data[0] !== 0;
+        const result = operator === '&&' ? x && y : operator === '||' ? x || y : x !== y;
+        return makeValue('bool', [result ? 1 : 0]);
+    }
+
+    if (operator === '==' || operator === '!=') {
+        if (a.type !== b.type) {
+            throw new TypeError(`Cannot compare ${a.type} with ${b.type}`);
+        }
+        const equal = a.data.every((x, i) => x === b.data[i]);
+        return makeValue('bool', [equal === (operator === '==') ? 1 : 0]);
+    }
+
+    // Shifts allow any integer types on either side; everything else needs matching base types
+    const shift = operator === '<<' || operator === '>>';
+    if (!shift && a.base !== b.base) {
+        throw new TypeError(`Cannot apply '${operator}' to ${a.type} and ${b.type}`);
+    }
+    if (a.size > 1 && b.size > 1 && a.size !== b.size) {
+        throw new TypeError(`Cannot apply '${operator}' to ${a.type} and ${b.type}`);
+    }
+
+    const base = a.base;
+    const size = Math.max(a.size, b.size);
+    const component = (value, i) => value.data[value.size === 1 ? 0 : i];
+
+    if (operator === '<' || operator === '>' || operator === '<=' || operator === '>=') {
+        if (size > 1) {
+            throw new TypeError(`Relational '${operator}' needs scalars, got ${a.type} and ${b.type}`);
+        }
+        const x = a.data[0];
+        const y = b.data[0];
+        const result = operator === '<' ? x < y : operator === '>' ? x > y : operator === '<=' ? x <= y : x >= y;
+        return makeValue('bool', [result ? 1 : 0]);
+    }
+
+    const data = [];
+    for (let i = 0; i < size; i++) {
+        data.push(arithmetic(operator, base, component(a, i), component(b, i)));
+    }
+    return makeValue(typeName(base, size), data);
+}
+
+function arithmetic(operator, base, x, y) {
+    const integer = base === 'int' || base === 'uint';
+    if (!integer && '%&|^<<>>'.includes(operator)) {
+        throw new TypeError(`Operator '${operator}' needs integer operands`);
+    }
+
+    switch (operator) {
+        case '+':
+            return x + y;
+        case '-':
+            return x - y;
+        case '*':
+            return integer ? Math.imul(x, y) : x * y;
+        case '/':
+            return integer ? Math.trunc(x / y) : x / y;
+        case '%':
+            return x % y;
+        case '&':
+            return x & y;
+        case '|':
+            return x | y;
+        case '^':
+            return x ^ y;
+        case '<<':
+            return x << y;
+        case '>>':
+            return base === 'uint' ? x >>> y : x >> y;
+        default:
+            throw new SyntaxError(`Unknown operator '${operator}'`);
+    }
+}
+
+function construct(type, args) {
+    const [base, size] = TYPES[type];
+    const components = [];
+    args.forEach((arg) => arg.data.forEach((x) => components.push(convert(arg.base, base, x))));
+
+    if (args.length === 1 && args[0].size === 1) {
+        return makeValue(type, new Array(size).fill(components[0]));
+    }
+    if (components.length < size) {
+        throw new TypeError(`Not enough components to construct ${type}`);
+    }
+    return makeValue(type, components.slice(0, size));
+}
+
+// Component-wise builtin over values of one shape; scalar arguments are broadcast
+function componentwise(args, fn) {
+    const shape = args.reduce((widest, arg) => (arg.size > widest.size ? arg : widest), args[0]);
+    const data = [];
+    for (let i = 0; i < shape.size; i++) {
+        data.push(fn(...args.map((arg) => arg.data[arg.size === 1 ? 0 : i])));
+    }
+    return makeValue(shape.type, data);
+}
+
+const BUILTINS = {
+    floor: (x) => componentwise([x], Math.floor),
+    fract: (x) => componentwise([x], (v) => v - Math.floor(v)),
+    abs: (x) => componentwise([x], Math.abs),
+    sqrt: (x) => componentwise([x], Math.sqrt),
+    min: (x, y) => componentwise([x, y], Math.min),
+    max: (x, y) => componentwise([x, y], Math.max),
+    clamp: (x, lo, hi) => componentwise([x, lo, hi], (v, l, h) => Math.min(Math.max(v, l), h)),
+    mix: (x, y, t) => componentwise([x, y, t], (a, b, s) => a * (1 - s) + b * s),
+    dot: (x, y) => makeValue('float', [x.data.reduce((sum, v, i) => Math.fround(sum + v * y.data[i]), 0)]),
+    length: (x) => makeValue('float', [Math.sqrt(x.data.reduce((sum, v) => sum + v * v, 0))]),
+};
+
+/**
+ * Compile GLSL functions for evaluation
+ * @param {string} source - GLSL source with function definitions and optional global constants
+ * @returns {Object} Object with call(name, ...args), taking arguments made with the GLSL.* constructors and
+ *     returning a number for scalars or an array of components for vectors
+ */
+function compileGLSL(source) {
+    const program = parse(source);
+
+    // Scopes are Maps from variable name to { type, value }, innermost last
+    const globalScope = new Map();
+
+    function lookup(scopes, name) {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            if (scopes[i].has(name)) {
+                return scopes[i].get(name);
+            }
+        }
+        throw new ReferenceError(`Unknown GLSL variable ${name}`);
+    }
+
+    function coerce(type, value) {
+        if (value.type !== type) {
+            throw new TypeError(`Cannot assign ${value.type} to ${type}`);
+        }
+        return value;
+    }
+
+    function declare(scopes, statement) {
+        statement.declarators.forEach(({ name, value }) => {
+            const initial = value
+                ? coerce(statement.type, evaluate(value, scopes))
+                : construct(statement.type, [makeValue('int', [0])]);
+            scopes[scopes.length - 1].set(name, { type: statement.type, value: initial });
+        });
+    }
+
+    function evaluate(expression, scopes) {
+        switch (expression.node) {
+            case 'literal':
+                return expression.value;
+            case 'variable':
+                return lookup(scopes, expression.name).value;
+            case 'sequence':
+                return expression.expressions.map((e) => evaluate(e, scopes)).pop();
+            case 'field': {
+                const object = evaluate(expression.object, scopes);
+                const indices = expression.name.split('').map((c) => SWIZZLE[c]);
+                if (indices.some((i) => i === undefined || i >= object.size)) {
+                    throw new TypeError(`Invalid swizzle .${expression.name} on ${object.type}`);
+                }
+                return makeValue(
+                    typeName(object.base, indices.length),
+                    indices.map((i) => object.data[i])
+                );
+            }
+            case 'unary': {
+                const argument = evaluate(expression.argument, scopes);
+                if (expression.operator === '!') {
+                    return makeValue('bool', [argument.data[0] ? 0 : 1]);
+                }
+                if (expression.operator === '~') {
+                    return makeValue(
+                        argument.type,
+                        argument.data.map((x) => ~x)
+                    );
+                }
+                return expression.operator === '-'
+                    ? makeValue(
+                          argument.type,
+                          argument.data.map((x) => -x)
+                      )
+                    : argument;
+            }
+            case 'binary': {
+                const left = evaluate(expression.left, scopes);
+
+                // && and || don't evaluate their right operand when the left decides the result
+                if (expression.operator === '&&' && !left.data[0]) {
+                    return makeValue('bool', [0]);
+                }
+                if (expression.operator === '||' && left.data[0]) {
+                    return makeValue('bool', [1]);
+                }
+                return binary(expression.operator, left, evaluate(expression.right, scopes));
+            }
+            case 'ternary':
+                return evaluate(expression.condition, scopes).data[0]
+                    ? evaluate(expression.whenTrue, scopes)
+                    : evaluate(expression.whenFalse, scopes);
+            case 'assign':
+            case 'postfix': {
+                if (expression.target.node !== 'variable') {
+                    throw new SyntaxError('Only plain variables can be assigned to');
+                }
+                const variable = lookup(scopes, expression.target.name);
+                const old = variable.value;
+                let value;
+
+                if (expression.node === 'postfix' || expression.value === null) {
+                    // ++ and -- step by one of the variable's own type
+                    value = binary(expression.operator[0], old, construct(old.base, [makeValue('int', [1])]));
+                } else if (expression.operator === '=') {
+                    value = evaluate(expression.value, scopes);
+                } else {
+                    value = binary(expression.operator.slice(0, -1), old, evaluate(expression.value, scopes));
+                }
+
+                variable.value = coerce(variable.type, value);
+                return expression.node === 'postfix' ? old : variable.value;
+            }
+            case 'call': {
+                const args = expression.args.map((arg) => evaluate(arg, scopes));
+                if (TYPES[expression.name]) {
+                    return construct(expression.name, args);
+                }
+                if (BUILTINS[expression.name]) {
+                    return BUILTINS[expression.name](...args);
+                }
+                return callFunction(expression.name, args);
+            }
+            default:
+                throw new SyntaxError(`Unknown GLSL expression ${expression.node}`);
+        }
+    }
+
+    // Returns { signal: 'return' | 'break' | 'continue', value } to unwind, or undefined
+    function execute(statement, scopes) {
+        switch (statement.node) {
+            case 'block': {
+                const inner = scopes.concat([new Map()]);
+                for (const child of statement.statements) {
+                    const result = execute(child, inner);
+                    if (result) {
+                        return result;
+                    }
+                }
+                return undefined;
+            }
+            case 'declaration':
+                declare(scopes, statement);
+                return undefined;
+            case 'expression':
+                evaluate(statement.expression, scopes);
+                return undefined;
+            case 'if':
+                if (evaluate(statement.condition, scopes).data[0]) {
+                    return execute(statement.then, scopes);
+                }
+                return statement.otherwise ? execute(statement.otherwise, scopes) : undefined;
+            case 'for': {
+                const loopScopes = scopes.concat([new Map()]);
+                if (statement.init) {
+                    execute(statement.init, loopScopes);
+                }
+                while (!statement.condition || evaluate(statement.condition, loopScopes).data[0]) {
+                    const result = execute(statement.body, loopScopes);
+                    if (result && result.signal === 'return') {
+                        return result;
+                    }
+                    if (result && result.signal === 'break') {
+                        break;
+                    }
+                    if (statement.update) {
+                        evaluate(statement.update, loopScopes);
+                    }
+                }
+                return undefined;
+            }
+            case 'return':
+                return { signal: 'return', value: statement.value ? evaluate(statement.value, scopes) : null };
+            case 'break':
+            case 'continue':
+                return { signal: statement.node };
+            default:
+                throw new SyntaxError(`Unknown GLSL statement ${statement.node}`);
+        }
+    }
+
+    function callFunction(name, args) {
+        const fn = program.functions[name];
+        if (!fn) {
+            throw new ReferenceError(`Unknown GLSL function ${name}`);
+        }
+        if (args.length !== fn.parameters.length) {
+            throw new TypeError(`${name} takes ${fn.parameters.length} arguments, got ${args.length}`);
+        }
+
+        const scope = new Map();
+        fn.parameters.forEach((parameter, i) => {
+            scope.set(parameter.name, { type: parameter.type, value: coerce(parameter.type, args[i]) });
+        });
+
+        const result = execute(fn.body, [globalScope, scope]);
+        if (fn.returnType === 'void') {
+            return null;
+        }
+        if (!result || result.signal !== 'return') {
+            throw new SyntaxError(`${name} ended without returning a value`);
+        }
+        return coerce(fn.returnType, result.value);
+    }
+
+    program.globals.forEach((statement) => declare([globalScope], statement));
+
+    return {
+        call: function (name, ...args) {
+            const result = callFunction(name, args);
+            return result && (result.size === 1 ? result.data[0] : result.data);
+        },
+    };
+}
+
+// Constructors for arguments: GLSL.vec2(0.5, 1.5), GLSL.uint(7), ...
+const GLSL = {};
+Object.keys(TYPES).forEach((type) => {
+    GLSL[type] = (...components) => makeValue(type, components);
+});
+
+module.exports = {
+    compileGLSL: compileGLSL,
+    GLSL: GLSL,
+};
@@ -0,0 +1,89 @@
+/**
+ * Loads the demos' classic browser scripts into a fresh VM context, the way the
+ * pages load them with <script> tags, so their globals can be tested in Node.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run scripts in order in one shared global scope
+ * @param {Array<string>} files - Script paths relative to the repository root
+ * @param {Object} [globals] - Extra globals the scripts expect (e.g. stubs for browser APIs)
+ * @returns {Object} Proxy that reads any global the scripts declared, including top-level const and function
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({ console: console }, globals));
+
+    files.forEach((file) => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    // Top-level const/let live in the script scope rather than on the context object
+    return new Proxy(
+        {},
+        {
+            get: (target, name) => vm.runInContext(String(name), context),
+        }
+    );
+}
+
+/**
+ * Assert that two numbers or number arrays (typed arrays included) match within a tolerance
+ * @param {number|ArrayLike<number>} actual - Actual value
+ * @param {number|ArrayLike<number>} expected - Expected value
+ * @param {number} [epsilon=1e-5] - Largest allowed absolute difference
+ */
+function assertClose(actual, expected, epsilon = 1e-5) {
+    if (typeof expected === 'number') {
+        assert.ok(Math.abs(actual - expected) <= epsilon, `expected ${expected}, got ${actual}`);
+        return;
+    }
+
+    assert.strictEqual(actual.length, expected.length, 'length mismatch');
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(
+            Math.abs(actual[i] - expected[i]) <= epsilon,
+            `index ${i}: expected ${expected[i]}, got ${actual[i]}\n  actual:   [${Array.from(actual)}]` +
+                `\n  expected: [${Array.from(expected)}]`
+        );
+    }
+}
+
+// The shared debug formatter, loaded on first use, prints failing matrices in row order
+let debugFormat = null;
+
+/**
+ * Assert that two column-major matrices match within a tolerance. On failure the message shows both
+ * matrices in row order, the mismatching rows and columns, and any NaN, infinite or denormal entries.
+ * @param {ArrayLike<number>} actual - Actual 2x2, 3x3 or 4x4 matrix
+ * @param {ArrayLike<number>} expected - Expected matrix
+ * @param {number} [epsilon=1e-5] - Largest allowed absolute difference
+ */
+function assertMatrixClose(actual, expected, epsilon = 1e-5) {
+    if (!debugFormat) {
+        debugFormat = loadScripts(['shared/debug-format.js']).debugFormat;
+    }
+
+    assert.ok(debugFormat.diff(actual, expected, epsilon).equal, debugFormat.formatDiff(actual, expected, epsilon));
+}
+
+/**
+ * Read a test fixture
+ * @param {string} name - File name in tests/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+module.exports = {
+    loadScripts: loadScripts,
+    assertClose: assertClose,
+    assertMatrixClose: assertMatrixClose,
+    readFixture: readFixture,
+};
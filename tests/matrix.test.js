@@ -0,0 +1,215 @@
+/**
+ * Checks the Matrix facade of 04-shader-programming against the shared mat4/mat3,
+ * and both against straightforward reference math written out below.
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose, assertMatrixClose } = require('./helpers/load-scripts');
+
+const { Matrix, mat4, mat3 } = loadScripts(['shared/gl-matrix.js', '01-fundamentals/04-shader-programming/matrix.js']);
+
+// A transform with rotation, non-uniform scale and translation
+function sampleMatrix() {
+    const m = Matrix.identity();
+    Matrix.translate(m, 1, -2, 3);
+    Matrix.rotate(m, 0.7, 1, 2, 3);
+    Matrix.scale(m, 2, 0.5, 3);
+    return m;
+}
+
+// Column-major element (row, column)
+function at(m, size, row, column) {
+    return m[column * size + row];
+}
+
+function referenceMultiply(a, b) {
+    const out = new Array(16).fill(0);
+    for (let row = 0; row < 4; row++) {
+        for (let column = 0; column < 4; column++) {
+            for (let k = 0; k < 4; k++) {
+                out[column * 4 + row] += at(a, 4, row, k) * at(b, 4, k, column);
+            }
+        }
+    }
+    return out;
+}
+
+function referenceTransform(m, point) {
+    const out = [0, 0, 0, 0];
+    for (let row = 0; row < 4; row++) {
+        for (let k = 0; k < 4; k++) {
+            out[row] += at(m, 4, row, k) * point[k];
+        }
+    }
+    return out;
+}
+
+// Inverse of a 3x3 (given as rows) by cofactors, or null if singular
+function referenceInverse3(r) {
+    const det =
+        r[0][0] * (r[1][1] * r[2][2] - r[1][2] * r[2][1]) -
+        r[0][1] * (r[1][0] * r[2][2] - r[1][2] * r[2][0]) +
+        r[0][2] * (r[1][0] * r[2][1] - r[1][1] * r[2][0]);
+    if (det === 0) {
+        return null;
+    }
+
+    const cofactor = (i, j) => {
+        const rows = [0, 1, 2].filter((k) => k !== i);
+        const columns = [0, 1, 2].filter((k) => k !== j);
+        const minor = r[rows[0]][columns[0]] * r[rows[1]][columns[1]] - r[rows[0]][columns[1]] * r[rows[1]][columns[0]];
+        return (i + j) % 2 === 0 ? minor : -minor;
+    };
+
+    // inverse[i][j] = cofactor(j, i) / det
+    return [0, 1, 2].map((i) => [0, 1, 2].map((j) => cofactor(j, i) / det));
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+const SINGULAR = new Float32Array([1, 2, 3, 0, 2, 4, 6, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+describe('Matrix.multiply', () => {
+    it('matches mat4.multiply and the reference product', () => {
+        const a = sampleMatrix();
+        const b = Matrix.lookAt([3, 2, 5], [0, 0, 0], [0, 1, 0]);
+
+        const expected = referenceMultiply(a, b);
+        assertMatrixClose(Matrix.multiply(a, b), expected);
+        assertMatrixClose(mat4.multiply(new Float32Array(16), a, b), expected);
+    });
+
+    it('allows out to alias either operand', () => {
+        const a = sampleMatrix();
+        const b = Matrix.perspective(1, 1.5, 0.1, 100);
+        const expected = referenceMultiply(a, b);
+
+        assertMatrixClose(Matrix.multiplyOut(Float32Array.from(a), Float32Array.from(a), b), expected);
+        const left = Float32Array.from(a);
+        assertMatrixClose(Matrix.multiplyOut(left, left, b), expected);
+        const right = Float32Array.from(b);
+        assertMatrixClose(Matrix.multiplyOut(right, a, right), expected);
+    });
+});
+
+describe('Matrix.invert', () => {
+    it('matches mat4.invert and gives the identity when multiplied back', () => {
+        const m = sampleMatrix();
+        const inverse = Matrix.invert(m);
+
+        assertMatrixClose(inverse, mat4.invert(new Float32Array(16), m));
+        assertMatrixClose(Matrix.multiply(m, inverse), IDENTITY);
+        assertMatrixClose(Matrix.multiply(inverse, m), IDENTITY);
+    });
+
+    it('inverts in place', () => {
+        const m = sampleMatrix();
+        const expected = Matrix.invert(m);
+        assertMatrixClose(Matrix.invertOut(m, m), expected);
+    });
+
+    it('returns null for singular matrices and leaves out untouched', () => {
+        const out = new Float32Array(IDENTITY);
+
+        assert.strictEqual(Matrix.invert(SINGULAR), null);
+        assert.strictEqual(Matrix.invertOut(out, SINGULAR), null);
+        assert.strictEqual(mat4.invert(new Float32Array(16), SINGULAR), null);
+        assertMatrixClose(out, IDENTITY);
+        assert.strictEqual(Matrix.determinant(SINGULAR), 0);
+        assert.strictEqual(Matrix.invert(new Float32Array(16)), null);
+    });
+
+    it('agrees with the determinant', () => {
+        const m = Matrix.identity();
+        Matrix.scale(m, 2, 3, 4);
+        assertClose(Matrix.determinant(m), 24);
+        assertClose(Matrix.determinant(Matrix.invert(m)), 1 / 24);
+    });
+});
+
+describe('Matrix.lookAt', () => {
+    const eye = [3, 2, 5];
+    const center = [1, -1, 0];
+    const up = [0, 1, 0];
+
+    it('matches mat4.lookAt', () => {
+        assertMatrixClose(Matrix.lookAt(eye, center, up), mat4.lookAt(new Float32Array(16), eye, center, up));
+        assertMatrixClose(Matrix.lookAtOut(new Float32Array(16), eye, center, up), Matrix.lookAt(eye, center, up));
+    });
+
+    it('moves the eye to the origin and the target onto the -Z axis', () => {
+        const view = Matrix.lookAt(eye, center, up);
+        const distance = Math.hypot(eye[0] - center[0], eye[1] - center[1], eye[2] - center[2]);
+
+        assertClose(referenceTransform(view, [...eye, 1]), [0, 0, 0, 1]);
+        assertClose(referenceTransform(view, [...center, 1]), [0, 0, -distance, 1], 1e-5);
+    });
+
+    it('is a rigid transform', () => {
+        assertClose(Matrix.determinant(Matrix.lookAt(eye, center, up)), 1);
+    });
+});
+
+describe('Matrix.perspective', () => {
+    const fov = Math.PI / 3;
+    const aspect = 16 / 9;
+    const near = 0.5;
+    const far = 50;
+
+    it('matches mat4.perspective', () => {
+        assertMatrixClose(
+            Matrix.perspective(fov, aspect, near, far),
+            mat4.perspective(new Float32Array(16), fov, aspect, near, far)
+        );
+    });
+
+    it('maps the near and far planes to NDC depth -1 and 1', () => {
+        const projection = Matrix.perspective(fov, aspect, near, far);
+        const ndcDepth = (z) => {
+            const clip = referenceTransform(projection, [0, 0, -z, 1]);
+            return clip[2] / clip[3];
+        };
+
+        assertClose(ndcDepth(near), -1);
+        assertClose(ndcDepth(far), 1, 1e-4);
+    });
+
+    it('maps the top edge of the field of view to NDC y = 1', () => {
+        const projection = Matrix.perspective(fov, aspect, near, far);
+        const z = 10;
+        const clip = referenceTransform(projection, [0, Math.tan(fov / 2) * z, -z, 1]);
+        assertClose(clip[1] / clip[3], 1);
+    });
+});
+
+describe('Matrix.normalFromMat4', () => {
+    it('matches mat3.normalFromMat4 and the reference inverse-transpose', () => {
+        const m = sampleMatrix();
+        const rows = [0, 1, 2].map((row) => [0, 1, 2].map((column) => at(m, 4, row, column)));
+        const inverse = referenceInverse3(rows);
+
+        // The transpose of the inverse, stored column-major, is the inverse stored row-major
+        const expected = [].concat(...inverse);
+        assertMatrixClose(Matrix.normalFromMat4(new Float32Array(9), m), expected);
+        assertMatrixClose(mat3.normalFromMat4(new Float32Array(9), m), expected);
+        assertMatrixClose(Matrix.extractNormalMatrix(m), expected);
+    });
+
+    it('keeps normals perpendicular to surfaces under non-uniform scaling', () => {
+        const m = sampleMatrix();
+        const normalMatrix = Matrix.extractNormalMatrix(m);
+        const tangent = [1, 1, 0];
+        const normal = [1, -1, 0.5];
+
+        const t = referenceTransform(m, [...tangent, 0]);
+        const n = [0, 1, 2].map((row) =>
+            [0, 1, 2].reduce((sum, k) => sum + at(normalMatrix, 3, row, k) * normal[k], 0)
+        );
+        assertClose(t[0] * n[0] + t[1] * n[1] + t[2] * n[2], 0);
+    });
+
+    it('returns null for a singular matrix, and extractNormalMatrix falls back to the upper-left 3x3', () => {
+        assert.strictEqual(Matrix.normalFromMat4(new Float32Array(9), SINGULAR), null);
+        assert.strictEqual(mat3.normalFromMat4(new Float32Array(9), SINGULAR), null);
+        assertMatrixClose(Matrix.extractNormalMatrix(SINGULAR), [1, 2, 3, 2, 4, 6, 0, 0, 1]);
+    });
+});
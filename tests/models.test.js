@@ -0,0 +1,135 @@
+/**
+ * Procedural generators of models.js: indices in range, triangles wound counter-clockwise from outside,
+ * no zero-area triangles and unit normals
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const models = loadScripts([
+    'shared/geometry-tools.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/models.js',
+]);
+
+const GENERATORS = {
+    sphere: () => models.createSphere(1, 12, 16),
+    torus: () => models.createTorus(1, 0.4, 12, 16),
+    cylinder: () => models.createCylinder(0.5, 1, 2, 12, 3),
+    cone: () => models.createCone(1, 2, 12, 2),
+    capsule: () => models.createCapsule(0.5, 1, 12, 4, 2),
+    icosphere: () => models.createIcosphere(1, 2),
+    'icosphere (cube-map UVs)': () => models.createIcosphere(1, 1, 'cubemap'),
+    disc: () => models.createDisc(1, 12),
+    ring: () => models.createRing(0.5, 1, 12, 3, 'radial'),
+    arrow: () => models.createArrow(),
+    'torus knot': () => models.createTorusKnot(1, 0.3, 64, 8),
+    'rounded box': () => models.createRoundedBox(2, 1, 1.5, 0.2, 3),
+    'rounded box with radius 0': () => models.createRoundedBox(2, 1, 1.5, 0),
+    'rounded box with radius half its depth': () => models.createRoundedBox(2, 2, 1, 0.5, 3),
+};
+
+// The UV sphere's first and last rings of quads have one corner at the pole, so half their triangles have no area
+const POLE_TRIANGLES = { sphere: 2 * 16 };
+
+function vertex(array, index) {
+    return [array[index * 3], array[index * 3 + 1], array[index * 3 + 2]];
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Triangles whose geometric normal disagrees with their vertex normals, and those with no area
+function checkTriangles(geometry) {
+    const { positions, normals, indices } = geometry;
+    const problems = { inward: 0, degenerate: 0 };
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+        const p = vertex(positions, a);
+        const faceNormal = cross(sub(vertex(positions, b), p), sub(vertex(positions, c), p));
+
+        if (Math.hypot(...faceNormal) < 1e-9) {
+            problems.degenerate++;
+            continue;
+        }
+
+        const vertexNormals = [a, b, c].map((index) => vertex(normals, index));
+        if (vertexNormals.some((n) => dot(faceNormal, n) <= 0)) problems.inward++;
+    }
+
+    return problems;
+}
+
+describe('model generators', () => {
+    Object.entries(GENERATORS).forEach(([name, generate]) => {
+        describe(name, () => {
+            const geometry = generate();
+            const vertexCount = geometry.positions.length / 3;
+
+            it('has whole triangles with indices inside the vertex arrays', () => {
+                assert.ok(vertexCount > 0);
+                assert.strictEqual(geometry.normals.length, vertexCount * 3);
+                assert.strictEqual(geometry.texCoords.length, vertexCount * 2);
+                assert.ok(geometry.indices.length > 0);
+                assert.strictEqual(geometry.indices.length % 3, 0);
+                geometry.indices.forEach((index) => assert.ok(index < vertexCount, `index ${index} of ${vertexCount}`));
+            });
+
+            it('winds every triangle counter-clockwise seen from the side its normals face', () => {
+                assert.deepStrictEqual(checkTriangles(geometry), { inward: 0, degenerate: POLE_TRIANGLES[name] || 0 });
+            });
+
+            it('has unit normals', () => {
+                for (let i = 0; i < vertexCount; i++) {
+                    const length = Math.hypot(...vertex(geometry.normals, i));
+                    assert.ok(Math.abs(length - 1) < 1e-5, `normal ${i} has length ${length}`);
+                }
+            });
+        });
+    });
+
+    it('draws grid lines as pairs of indices inside the vertex arrays', () => {
+        const grid = models.createGridLines(4, 4);
+        const vertexCount = grid.positions.length / 3;
+
+        assert.strictEqual(vertexCount, 5 * 4);
+        assert.strictEqual(grid.indices.length, 5 * 4);
+        grid.indices.forEach((index) => assert.ok(index < vertexCount));
+        for (let i = 0; i < grid.indices.length; i += 2) {
+            const length = Math.hypot(
+                ...sub(vertex(grid.positions, grid.indices[i]), vertex(grid.positions, grid.indices[i + 1]))
+            );
+            assert.ok(Math.abs(length - 4) < 1e-6, 'every line spans the grid');
+        }
+    });
+
+    it('builds a sharp box from four vertices per face when the rounding radius is 0', () => {
+        const box = models.createRoundedBox(2, 1, 1.5, 0);
+
+        assert.strictEqual(box.positions.length / 3, 24);
+        assert.strictEqual(box.indices.length, 36);
+        for (let i = 0; i < 24; i++) {
+            const [x, y, z] = vertex(box.positions, i).map(Math.abs);
+            assert.ok(x === 1 && y === 0.5 && z === 0.75, 'every vertex is a corner');
+        }
+    });
+
+    it('clamps the rounding radius to half the smallest side', () => {
+        const box = models.createRoundedBox(2, 2, 1, 5, 2);
+        let maxZ = 0;
+        for (let i = 0; i < box.positions.length / 3; i++) maxZ = Math.max(maxZ, Math.abs(vertex(box.positions, i)[2]));
+
+        assert.ok(Math.abs(maxZ - 0.5) < 1e-6);
+        assert.deepStrictEqual(checkTriangles(box), { inward: 0, degenerate: 0 });
+    });
+});
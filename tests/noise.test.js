@@ -0,0 +1,213 @@
+/**
+ * Seeded random numbers and noise: determinism, ranges, and reference values that both the JS
+ * functions and the noiseGLSL snippets (run through the test GLSL interpreter) have to reproduce
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+const { compileGLSL, GLSL } = require('./helpers/glsl');
+
+const { random, noise, noiseGLSL } = loadScripts(['shared/noise.js']);
+
+const SEED = 1234;
+
+// Sample points, shared by every function in REFERENCE (2D functions ignore z)
+const POINTS = [
+    [0.3, 1.7, -2.4],
+    [12.25, -3.9, 0.61],
+    [-7.1, 4.4, 9.9],
+    [100.45, 250.8, -33.3],
+];
+
+// Values at POINTS with SEED; fbm uses 4 octaves, lacunarity 2 and gain 0.5
+const REFERENCE = {
+    value2: [-0.309007, -0.486273, -0.174468, 0.0603],
+    perlin2: [0.036412, -0.000392, 0.292933, -0.235023],
+    simplex2: [-0.330964, 0.436176, 0.006129, 0.391713],
+    worley2: [0.166192, 0.262558, 0.226755, 0.514203],
+    value3: [-0.069782, 0.434158, 0.675175, -0.60149],
+    perlin3: [0.233015, -0.009815, 0.427589, 0.165396],
+    simplex3: [-0.108038, -0.36193, -0.104184, 0.440683],
+    worley3: [0.485249, 0.38263, 0.281862, 0.846269],
+    fbmPerlin2: [0.040312, 0.075665, 0.134717, -0.163624],
+    fbmSimplex3: [-0.16707, -0.04722, 0.003687, 0.221085],
+};
+
+// The JS function behind each reference entry
+const JS = {
+    value2: ([x, y]) => noise.value2(x, y, SEED),
+    perlin2: ([x, y]) => noise.perlin2(x, y, SEED),
+    simplex2: ([x, y]) => noise.simplex2(x, y, SEED),
+    worley2: ([x, y]) => noise.worley2(x, y, SEED),
+    value3: ([x, y, z]) => noise.value3(x, y, z, SEED),
+    perlin3: ([x, y, z]) => noise.perlin3(x, y, z, SEED),
+    simplex3: ([x, y, z]) => noise.simplex3(x, y, z, SEED),
+    worley3: ([x, y, z]) => noise.worley3(x, y, z, SEED),
+    fbmPerlin2: ([x, y]) => noise.fbm2(noise.perlin2, x, y, SEED, 4),
+    fbmSimplex3: ([x, y, z]) => noise.fbm3(noise.simplex3, x, y, z, SEED, 4),
+};
+
+// The GLSL function behind each reference entry
+const shader = compileGLSL(
+    noiseGLSL.common +
+        noiseGLSL.value +
+        noiseGLSL.perlin +
+        noiseGLSL.simplex +
+        noiseGLSL.worley +
+        noiseGLSL.fbm('perlinNoise2', 2) +
+        noiseGLSL.fbm('simplexNoise3', 3)
+);
+const seed = GLSL.uint(SEED);
+const octaves = [GLSL.int(4), GLSL.float(2), GLSL.float(0.5)];
+const SHADER = {
+    value2: ([x, y]) => shader.call('valueNoise2', GLSL.vec2(x, y), seed),
+    perlin2: ([x, y]) => shader.call('perlinNoise2', GLSL.vec2(x, y), seed),
+    simplex2: ([x, y]) => shader.call('simplexNoise2', GLSL.vec2(x, y), seed),
+    worley2: ([x, y]) => shader.call('worleyNoise2', GLSL.vec2(x, y), seed),
+    value3: ([x, y, z]) => shader.call('valueNoise3', GLSL.vec3(x, y, z), seed),
+    perlin3: ([x, y, z]) => shader.call('perlinNoise3', GLSL.vec3(x, y, z), seed),
+    simplex3: ([x, y, z]) => shader.call('simplexNoise3', GLSL.vec3(x, y, z), seed),
+    worley3: ([x, y, z]) => shader.call('worleyNoise3', GLSL.vec3(x, y, z), seed),
+    fbmPerlin2: ([x, y]) => shader.call('fbm_perlinNoise2', GLSL.vec2(x, y), seed, ...octaves),
+    fbmSimplex3: ([x, y, z]) => shader.call('fbm_simplexNoise3', GLSL.vec3(x, y, z), seed, ...octaves),
+};
+
+// Points on an irregular grid, so none of them land on lattice or simplex boundaries
+function samplePoints(count) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push([i * 0.173 - 20.05, ((i * 7) % 31) * 0.391 - 5.3, ((i * 13) % 17) * 0.617 - 3.1]);
+    }
+    return points;
+}
+
+describe('random', () => {
+    it('produces the same sequence for the same seed', () => {
+        const a = random.create(SEED);
+        const b = random.create(SEED);
+        for (let i = 0; i < 100; i++) {
+            assert.strictEqual(random.next(a), random.next(b));
+        }
+    });
+
+    it('produces different sequences for different seeds', () => {
+        const a = random.create(1);
+        const b = random.create(2);
+        const same = Array.from({ length: 20 }, () => random.next(a) === random.next(b)).filter(Boolean);
+        assert.strictEqual(same.length, 0);
+    });
+
+    it('stays within its ranges', () => {
+        const rng = random.create(SEED);
+        const ints = new Set();
+        for (let i = 0; i < 1000; i++) {
+            const x = random.next(rng);
+            assert.ok(x >= 0 && x < 1, `next() returned ${x}`);
+
+            const r = random.range(rng, -3, 5);
+            assert.ok(r >= -3 && r < 5, `range() returned ${r}`);
+
+            ints.add(random.int(rng, 2, 4));
+        }
+        assert.deepStrictEqual([...ints].sort(), [2, 3, 4], 'int() includes both bounds');
+        assert.ok(['a', 'b'].includes(random.pick(rng, ['a', 'b'])));
+    });
+});
+
+describe('noise', () => {
+    it('matches the reference values', () => {
+        Object.keys(REFERENCE).forEach((name) => {
+            assertClose(POINTS.map(JS[name]), REFERENCE[name], 1e-6);
+        });
+    });
+
+    it('is deterministic and depends on the seed', () => {
+        const points = samplePoints(50);
+        ['value2', 'perlin2', 'simplex2', 'worley2'].forEach((name) => {
+            const first = points.map(([x, y]) => noise[name](x, y, SEED));
+            const second = points.map(([x, y]) => noise[name](x, y, SEED));
+            const reseeded = points.map(([x, y]) => noise[name](x, y, SEED + 1));
+
+            assert.deepStrictEqual(first, second, `${name} changed between calls`);
+            assert.notDeepStrictEqual(first, reseeded, `${name} ignores its seed`);
+        });
+        ['value3', 'perlin3', 'simplex3', 'worley3'].forEach((name) => {
+            const first = points.map(([x, y, z]) => noise[name](x, y, z, SEED));
+            const second = points.map(([x, y, z]) => noise[name](x, y, z, SEED));
+            const reseeded = points.map(([x, y, z]) => noise[name](x, y, z, SEED + 1));
+
+            assert.deepStrictEqual(first, second, `${name} changed between calls`);
+            assert.notDeepStrictEqual(first, reseeded, `${name} ignores its seed`);
+        });
+    });
+
+    it('keeps value, perlin, simplex and fbm within [-1, 1] and worley within its cell reach', () => {
+        const ranges = {
+            value2: [-1, 1],
+            perlin2: [-1, 1],
+            simplex2: [-1, 1],
+            worley2: [0, Math.SQRT2],
+            value3: [-1, 1],
+            perlin3: [-1, 1],
+            simplex3: [-1, 1],
+            worley3: [0, Math.sqrt(3)],
+            fbmPerlin2: [-1, 1],
+            fbmSimplex3: [-1, 1],
+        };
+
+        samplePoints(2000).forEach((point) => {
+            Object.keys(ranges).forEach((name) => {
+                const [min, max] = ranges[name];
+                const value = JS[name](point);
+                assert.ok(value >= min && value <= max, `${name}(${point}) = ${value}`);
+            });
+        });
+    });
+
+    it('is zero at lattice points for perlin noise and at feature points for worley noise', () => {
+        [
+            [0, 0, 0],
+            [3, -7, 12],
+            [-40, 25, -1],
+        ].forEach(([x, y, z]) => {
+            assert.strictEqual(noise.perlin2(x, y, SEED), 0);
+            assert.strictEqual(noise.perlin3(x, y, z, SEED), 0);
+        });
+
+        // worley2 places the feature point of a cell from the low and high 16 bits of its hash
+        const h = noise.hash2(5, -2, SEED);
+        assertClose(noise.worley2(5 + (h & 0xffff) / 65536, -2 + (h >>> 16) / 65536, SEED), 0);
+    });
+
+    it('reduces to the base noise with a single fbm octave', () => {
+        samplePoints(20).forEach(([x, y, z]) => {
+            assert.strictEqual(noise.fbm2(noise.simplex2, x, y, SEED, 1), noise.simplex2(x, y, SEED));
+            assert.strictEqual(noise.fbm3(noise.perlin3, x, y, z, SEED, 1), noise.perlin3(x, y, z, SEED));
+        });
+    });
+});
+
+describe('noiseGLSL', () => {
+    it('hashes exactly like the JS hash', () => {
+        [0, 1, 1234, 0x7fffffff, 0xdeadbeef, 0xffffffff].forEach((x) => {
+            assert.strictEqual(shader.call('noiseHash', GLSL.uint(x)), noise.hash(x));
+        });
+        assert.strictEqual(shader.call('noiseHash2', GLSL.ivec2(-3, 8), seed), noise.hash2(-3, 8, SEED));
+        assert.strictEqual(shader.call('noiseHash3', GLSL.ivec3(4, -9, 2), seed), noise.hash3(4, -9, 2, SEED));
+    });
+
+    // 32-bit floats keep about five decimals of a coordinate near 250, like the last reference point
+    it('matches the reference values up to float precision', () => {
+        Object.keys(REFERENCE).forEach((name) => {
+            assertClose(POINTS.map(SHADER[name]), REFERENCE[name], 1e-4);
+        });
+    });
+
+    it('matches the JS functions away from the reference points', () => {
+        samplePoints(25).forEach((point) => {
+            Object.keys(SHADER).forEach((name) => {
+                assertClose(SHADER[name](point), JS[name](point), 1e-4);
+            });
+        });
+    });
+});
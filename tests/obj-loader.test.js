@@ -0,0 +1,201 @@
+/**
+ * OBJ and MTL parsing against the fixtures in tests/fixtures
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose, readFixture } = require('./helpers/load-scripts');
+
+const { parseOBJ, parseMTL } = loadScripts([
+    'shared/geometry-tools.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/models.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/obj-loader.js',
+]);
+
+function position(geometry, vertex) {
+    return Array.from(geometry.positions.subarray(vertex * 3, vertex * 3 + 3));
+}
+
+function normal(geometry, vertex) {
+    return Array.from(geometry.normals.subarray(vertex * 3, vertex * 3 + 3));
+}
+
+// Triangles of a group (or the whole mesh) as arrays of three corner positions
+function triangles(geometry, group = { start: 0, count: geometry.indices.length }) {
+    const result = [];
+    for (let i = group.start; i < group.start + group.count; i += 3) {
+        result.push([0, 1, 2].map((k) => position(geometry, geometry.indices[i + k])));
+    }
+    return result;
+}
+
+// Area-weighted normal of a triangle (half its edge cross product)
+function triangleNormal([a, b, c]) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return [(u[1] * v[2] - u[2] * v[1]) / 2, (u[2] * v[0] - u[0] * v[2]) / 2, (u[0] * v[1] - u[1] * v[0]) / 2];
+}
+
+describe('parseOBJ', () => {
+    it('resolves negative indices against the elements read so far', () => {
+        const relative = parseOBJ(readFixture('negative-indices.obj'));
+        const absolute = parseOBJ(
+            readFixture('negative-indices.obj')
+                .replace('f -4/-4/-1 -3/-3/-1 -2/-2/-1 -1/-1/-1', 'f 1/1/1 2/2/1 3/3/1 4/4/1')
+                .replace('f -3//-1 -1//-1 -2//-1', 'f 5//2 7//2 6//2')
+        );
+
+        assertClose(relative.positions, absolute.positions);
+        assertClose(relative.normals, absolute.normals);
+        assertClose(relative.texCoords, absolute.texCoords);
+        assert.deepStrictEqual(Array.from(relative.indices), Array.from(absolute.indices));
+
+        // The triangle's -3 is the fifth position, not the second, and its -1 normal is the second one
+        const [a, b, c] = triangles(relative)[2];
+        assert.deepStrictEqual(
+            [a, b, c],
+            [
+                [2, 0, 0],
+                [2, 1, 0],
+                [3, 0, 0],
+            ]
+        );
+        assert.deepStrictEqual(normal(relative, relative.indices[6]), [0, 0, -1]);
+    });
+
+    it('keeps usemtl and object names as groups and lists the material libraries', () => {
+        const geometry = parseOBJ(readFixture('negative-indices.obj'));
+
+        assert.deepStrictEqual(
+            Array.from(geometry.groups, (group) => Object.assign({}, group)),
+            [
+                { name: 'relative', material: 'red', start: 0, count: 6 },
+                { name: 'relative', material: 'blue', start: 6, count: 3 },
+            ]
+        );
+        assert.deepStrictEqual(Array.from(geometry.materialLibraries), ['materials.mtl']);
+        assertClose(geometry.texCoords.subarray(0, 8), [0, 0, 1, 0, 1, 1, 0, 1]);
+    });
+
+    it('triangulates concave polygons and polygons outside the xy plane without covering area outside them', () => {
+        const geometry = parseOBJ(readFixture('polygons.obj'));
+        const [hexagon, pentagon] = [
+            triangles(geometry, { start: 0, count: 12 }),
+            triangles(geometry, { start: 12, count: 9 }),
+        ];
+
+        assert.strictEqual(geometry.indices.length, (6 - 2) * 3 + (5 - 2) * 3);
+
+        // Every triangle faces the same way as its polygon, and together they cover exactly its area
+        let hexagonArea = 0;
+        hexagon.forEach((triangle) => {
+            const n = triangleNormal(triangle);
+            assert.ok(n[2] > 0, `flipped triangle ${JSON.stringify(triangle)}`);
+            hexagonArea += n[2];
+
+            // The L shape has no area where x > 1 and y > 1
+            const centroid = [0, 1].map((axis) => (triangle[0][axis] + triangle[1][axis] + triangle[2][axis]) / 3);
+            assert.ok(centroid[0] <= 1 || centroid[1] <= 1, `triangle in the notch ${JSON.stringify(triangle)}`);
+        });
+        assertClose(hexagonArea, 3);
+
+        let pentagonArea = 0;
+        pentagon.forEach((triangle) => {
+            const n = triangleNormal(triangle);
+            assert.ok(n[0] > 0, `flipped triangle ${JSON.stringify(triangle)}`);
+            pentagonArea += n[0];
+        });
+        assertClose(pentagonArea, 2.5);
+    });
+
+    it('generates flat normals for faces without vn outside smoothing groups', () => {
+        const geometry = parseOBJ(readFixture('polygons.obj'));
+
+        for (let vertex = 0; vertex < 6; vertex++) {
+            assertClose(normal(geometry, vertex), [0, 0, 1]);
+        }
+        for (let vertex = 6; vertex < 11; vertex++) {
+            assertClose(normal(geometry, vertex), [1, 0, 0]);
+        }
+    });
+
+    it('shares and averages generated normals inside a smoothing group and splits them with s off', () => {
+        const geometry = parseOBJ(readFixture('missing-normals.obj'));
+        const [smooth, flat] = geometry.groups;
+        const slope = Math.SQRT1_2;
+
+        assert.deepStrictEqual([smooth.name, flat.name], ['smooth', 'flat']);
+        assert.strictEqual(geometry.positions.length / 3, 6 + 8, 'six shared vertices, then four per flat quad');
+
+        const used = (group) => new Set(Array.from(geometry.indices.subarray(group.start, group.start + group.count)));
+
+        used(smooth).forEach((vertex) => {
+            const [x] = position(geometry, vertex);
+            const expected = x < 0 ? [-slope, slope, 0] : x > 0 ? [slope, slope, 0] : [0, 1, 0];
+            assertClose(normal(geometry, vertex), expected);
+        });
+
+        // Flat vertices on the ridge take the normal of their own quad
+        for (let i = flat.start; i < flat.start + flat.count; i += 3) {
+            const face = triangleNormal(triangles(geometry, { start: i, count: 3 })[0]);
+            const faceNormal = face.map((x) => x / Math.hypot(...face));
+            [0, 1, 2].forEach((k) => assertClose(normal(geometry, geometry.indices[i + k]), faceNormal));
+        }
+    });
+
+    it('skips statements it does not support and faces with fewer than three corners', () => {
+        const geometry = parseOBJ(readFixture('unknown-directives.obj'));
+
+        assertClose(geometry.positions, [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+        assertClose(geometry.texCoords, [0, 0, 1, 0, 0, 1]);
+        assertClose(geometry.normals, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+        assert.deepStrictEqual(Array.from(geometry.indices), [0, 1, 2]);
+        assert.deepStrictEqual(
+            Array.from(geometry.groups, (group) => Object.assign({}, group)),
+            [{ name: 'default', material: null, start: 0, count: 3 }]
+        );
+        assert.strictEqual(geometry.tangents.length, 3 * 4);
+    });
+});
+
+describe('parseMTL', () => {
+    const materials = parseMTL(readFixture('materials.mtl'));
+
+    it('reads colors and scalar parameters, and keeps defaults for what is missing', () => {
+        assert.deepStrictEqual(Object.keys(materials), ['red', 'blue']);
+
+        const red = materials.red;
+        assert.deepStrictEqual(
+            [red.ambient, red.diffuse, red.specular].map((c) => Array.from(c)),
+            [
+                [0.1, 0, 0],
+                [0.8, 0.1, 0.1],
+                [0.5, 0.5, 0.5],
+            ]
+        );
+        assert.strictEqual(red.shininess, 64);
+        assert.strictEqual(red.illum, 2);
+        assert.strictEqual(red.roughness, 0.3);
+        assert.strictEqual(red.metallic, 0);
+        assert.strictEqual(red.opacity, 1);
+
+        const blue = materials.blue;
+        assert.strictEqual(blue.opacity, 0.75, 'Tr is the inverse of d');
+        assert.strictEqual(blue.roughness, null);
+        assert.deepStrictEqual(Array.from(blue.ambient), [0, 0, 0]);
+    });
+
+    it('reads texture maps with their options and file names containing spaces', () => {
+        const red = materials.red.maps;
+        assert.deepStrictEqual(Object.keys(red), ['diffuse', 'bump']);
+        assert.strictEqual(red.diffuse.file, 'textures/red diffuse.png');
+        assert.strictEqual(red.bump.file, 'textures/bump.png');
+        assert.strictEqual(red.bump.options.bm, '0.5');
+
+        const blue = materials.blue.maps;
+        assert.strictEqual(blue.normal.file, 'textures/normal.png');
+        assert.deepStrictEqual(Array.from(blue.normal.options.o), ['0.5', '0.5']);
+        assert.strictEqual(blue.roughness.file, 'rough.png');
+        assert.strictEqual(blue.roughness.options.clamp, 'on');
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Quadric simplification and LOD selection on subdivided planes, flat and curved
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { meshSimplify } = loadScripts(['shared/geometry-tools.js', 'shared/simplify.js']);
+
+const RATIOS = [1, 0.5, 0.25, 0.1];
+
+// Unit square in the xy plane split into n by n quads of two triangles each, optionally displaced along z
+function subdividedPlane(n, height = () => 0) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+
+    for (let j = 0; j <= n; j++) {
+        for (let i = 0; i <= n; i++) {
+            positions.push(i / n, j / n, height(i / n, j / n));
+            normals.push(0, 0, 1);
+            texCoords.push(i / n, j / n);
+        }
+    }
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const a = j * (n + 1) + i;
+            const c = a + n + 1;
+            indices.push(a, a + 1, c + 1, c + 1, c, a);
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        texCoords: new Float32Array(texCoords),
+        indices: new Uint16Array(indices),
+    };
+}
+
+// A smooth bump in the middle of the plane
+function hill(x, y) {
+    return 0.2 * Math.sin(Math.PI * x) * Math.sin(Math.PI * y);
+}
+
+// Area of the triangles projected onto the xy plane, counting flipped triangles negatively
+function projectedArea(geometry) {
+    const p = geometry.positions;
+    let area = 0;
+    for (let i = 0; i < geometry.indices.length; i += 3) {
+        const [a, b, c] = [0, 1, 2].map((k) => geometry.indices[i + k] * 3);
+        area += ((p[b] - p[a]) * (p[c + 1] - p[a + 1]) - (p[b + 1] - p[a + 1]) * (p[c] - p[a])) / 2;
+    }
+    return area;
+}
+
+describe('meshSimplify.lodChain', () => {
+    it('reduces a subdivided plane to each ratio of its triangles', () => {
+        const plane = subdividedPlane(8);
+        const lods = meshSimplify.lodChain(plane, RATIOS);
+
+        assert.deepStrictEqual(
+            Array.from(lods, (lod) => lod.ratio),
+            RATIOS
+        );
+
+        // A collapse removes two triangles inside the mesh and one on its border, so a level can end one
+        // triangle below its target
+        lods.forEach((lod) => {
+            const target = Math.floor(128 * lod.ratio);
+            assert.ok(
+                lod.triangleCount <= target && lod.triangleCount >= target - 1,
+                `${lod.triangleCount} of ${target}`
+            );
+            assert.strictEqual(lod.geometry.indices.length, lod.triangleCount * 3);
+        });
+        assert.deepStrictEqual(
+            Array.from(lods, (lod) => lod.triangleCount),
+            [128, 63, 31, 11]
+        );
+    });
+
+    it('collapses a flat plane with zero error and without changing its shape', () => {
+        const lods = meshSimplify.lodChain(subdividedPlane(8), RATIOS);
+
+        lods.forEach((lod) => {
+            assert.strictEqual(lod.error, 0);
+
+            // Still the whole unit square, with no folded triangles and every vertex in the plane
+            assertClose(projectedArea(lod.geometry), 1);
+            for (let i = 0; i < lod.geometry.positions.length; i += 3) {
+                assert.strictEqual(lod.geometry.positions[i + 2], 0);
+            }
+        });
+
+        // Without allowing any error, the plane still goes down to the two triangles between its corners
+        const minimal = meshSimplify.simplify(subdividedPlane(8), 0, 0);
+        assert.strictEqual(minimal.triangleCount, 2);
+        assert.strictEqual(minimal.error, 0);
+        assertClose(projectedArea(minimal.geometry), 1);
+    });
+
+    it('reports a growing error on a curved surface and keeps it below maxError', () => {
+        const lods = meshSimplify.lodChain(subdividedPlane(8, hill), RATIOS);
+
+        assert.strictEqual(lods[0].error, 0);
+        for (let i = 1; i < lods.length; i++) {
+            assert.ok(lods[i].error > lods[i - 1].error, `level ${i} error ${lods[i].error}`);
+        }
+
+        // Even the coarsest level's error stays on the scale of the 0.2 high bump
+        assert.ok(lods[lods.length - 1].error < 0.2 * 2);
+
+        // A tighter bound stops the decimation before the target
+        const maxError = lods[2].error;
+        const bounded = meshSimplify.simplify(subdividedPlane(8, hill), 0, maxError);
+        assert.ok(bounded.error <= maxError);
+        assert.ok(bounded.triangleCount >= lods[2].triangleCount);
+        assert.ok(bounded.triangleCount > 2);
+    });
+
+    it('keeps the original vertex attributes of the remaining vertices', () => {
+        const lod = meshSimplify.lodChain(subdividedPlane(8, hill), RATIOS)[2].geometry;
+
+        for (let i = 0; i < lod.positions.length / 3; i++) {
+            const [x, y, z] = lod.positions.subarray(i * 3, i * 3 + 3);
+            assertClose(z, hill(x, y));
+            assertClose(lod.texCoords.subarray(i * 2, i * 2 + 2), [x, y]);
+        }
+    });
+});
+
+describe('meshSimplify.selectLod', () => {
+    const lods = meshSimplify.lodChain(subdividedPlane(8, hill), RATIOS);
+    const radius = Math.SQRT1_2;
+
+    it('uses the full mesh up close and coarser levels further away', () => {
+        const fovy = Math.PI / 4;
+        const near = meshSimplify.projectedSize(radius, 2, fovy, 1080);
+        const far = meshSimplify.projectedSize(radius, 1000, fovy, 1080);
+
+        assert.strictEqual(meshSimplify.selectLod(lods, radius, near), 0);
+        assert.strictEqual(meshSimplify.selectLod(lods, radius, far), lods.length - 1);
+        assert.strictEqual(
+            meshSimplify.selectLod(lods, radius, meshSimplify.projectedSize(radius, 0.5, fovy, 1080)),
+            0
+        );
+    });
+
+    it('picks the coarsest level whose error stays under the pixel budget', () => {
+        // Size at which level 2's error covers exactly one pixel
+        const size = (2 * radius) / lods[2].error;
+
+        assert.strictEqual(meshSimplify.selectLod(lods, radius, size), 2);
+        assert.strictEqual(meshSimplify.selectLod(lods, radius, size * 1.01), 1);
+        assert.strictEqual(meshSimplify.selectLod(lods, radius, size, 0.5), 1);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Spline paths: arc-length tables, clamping and wrapping of parameters and distances, tangents and one-point paths
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { spline } = loadScripts(['shared/spline.js']);
+
+// Corners of a square around the origin, counter-clockwise in the XY plane
+const SQUARE = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [-1, 0, 0],
+    [0, -1, 0],
+];
+
+const ZIGZAG = [
+    [0, 0, 0],
+    [1, 0, 0],
+    [2, 1, 0],
+    [2, 3, 1],
+];
+
+function point(path, u) {
+    return Array.from(spline.point([0, 0, 0], path, u));
+}
+
+function tangent(path, u) {
+    return Array.from(spline.tangent([0, 0, 0], path, u));
+}
+
+describe('spline arc lengths', () => {
+    it('only grow along the path', () => {
+        [spline.catmullRomPath(ZIGZAG), spline.catmullRomPath(SQUARE, true)].forEach((path) => {
+            for (let i = 1; i < path.arcLengths.length; i++) {
+                assert.ok(path.arcLengths[i] >= path.arcLengths[i - 1], `sample ${i}`);
+            }
+
+            // Up to, but not onto, the end, where a closed path starts over
+            let previous = -1;
+            for (let d = 0; d < spline.length(path); d += 0.05) {
+                const u = spline.parameterAtDistance(path, d);
+                assert.ok(u >= previous, `distance ${d}`);
+                previous = u;
+            }
+        });
+    });
+
+    it('measure a straight path exactly and move along it at constant speed', () => {
+        const line = spline.catmullRomPath([
+            [0, 0, 0],
+            [1, 0, 0],
+            [3, 0, 0],
+        ]);
+        assertClose(spline.length(line), 3, 1e-5);
+
+        // Uneven control point spacing changes the parameter rate but not the distance travelled
+        [0.5, 1, 2, 2.5].forEach((distance) => {
+            assertClose(Array.from(spline.pointAtDistance([0, 0, 0], line, distance)), [distance, 0, 0], 1e-3);
+        });
+    });
+});
+
+describe('open spline paths', () => {
+    const path = spline.catmullRomPath(ZIGZAG);
+
+    it('pass through every control point', () => {
+        ZIGZAG.forEach((p, i) => assertClose(point(path, i / (ZIGZAG.length - 1)), p));
+    });
+
+    it('clamp parameters and distances to their ends', () => {
+        assertClose(point(path, -0.5), ZIGZAG[0]);
+        assertClose(point(path, 1.5), ZIGZAG[3]);
+        assert.strictEqual(spline.parameterAtDistance(path, -2), 0);
+        assert.strictEqual(spline.parameterAtDistance(path, spline.length(path) + 2), 1);
+        assertClose(Array.from(spline.pointAtDistance([0, 0, 0], path, 100)), ZIGZAG[3]);
+    });
+});
+
+describe('closed spline paths', () => {
+    const path = spline.catmullRomPath(SQUARE, true);
+    const length = spline.length(path);
+
+    it('return to the first point', () => {
+        assertClose(point(path, 0), SQUARE[0]);
+        assertClose(point(path, 1), SQUARE[0]);
+        assertClose(point(path, 1.25), SQUARE[1]);
+        assertClose(point(path, -0.25), SQUARE[3]);
+    });
+
+    it('wrap distances past either end in parameterAtDistance', () => {
+        [0.3, 1.7, 4].forEach((distance) => {
+            const u = spline.parameterAtDistance(path, distance);
+            assertClose(spline.parameterAtDistance(path, distance + length), u, 1e-5);
+            assertClose(spline.parameterAtDistance(path, distance - 2 * length), u, 1e-5);
+        });
+        assertClose(spline.parameterAtDistance(path, -length / 4), 0.75, 1e-3);
+    });
+});
+
+describe('spline tangents', () => {
+    it('point in the direction of travel and have unit length', () => {
+        // At a corner of the closed square, the direction from the previous corner to the next
+        const square = spline.catmullRomPath(SQUARE, true);
+        assertClose(tangent(square, 0.25), [-1, 0, 0]);
+        assertClose(tangent(square, 0), [0, 1, 0]);
+
+        // An open path leaves its first point towards the second
+        const zigzag = spline.catmullRomPath(ZIGZAG);
+        assertClose(tangent(zigzag, 0), [1, 0, 0]);
+
+        for (let u = 0; u <= 1; u += 0.1) {
+            assertClose(Math.hypot(...tangent(zigzag, u)), 1);
+        }
+    });
+
+    it('follow the tangents given to a Hermite path', () => {
+        const path = spline.hermitePath(
+            [
+                [0, 0, 0],
+                [1, 0, 0],
+            ],
+            [
+                [0, 2, 0],
+                [0, -2, 0],
+            ]
+        );
+
+        assertClose(tangent(path, 0), [0, 1, 0]);
+        assertClose(tangent(path, 1), [0, -1, 0]);
+        assertClose(point(path, 1), [1, 0, 0]);
+    });
+
+    it('follow the handles of a Bezier path', () => {
+        const path = spline.bezierPath([
+            [0, 0, 0],
+            [0, 0, 1],
+            [1, 0, 1],
+            [1, 0, 0],
+        ]);
+
+        assertClose(tangent(path, 0), [0, 0, 1]);
+        assertClose(tangent(path, 1), [0, 0, -1]);
+        assertClose(point(path, 0.5), [0.5, 0, 0.75]);
+    });
+});
+
+describe('degenerate spline paths', () => {
+    it('stay on a single point', () => {
+        const paths = [
+            spline.catmullRomPath([[1, 2, 3]]),
+            spline.catmullRomPath([[1, 2, 3]], true),
+            spline.hermitePath([[1, 2, 3]], [[1, 0, 0]]),
+            spline.bezierPath([[1, 2, 3]]),
+        ];
+
+        paths.forEach((path) => {
+            assert.strictEqual(spline.length(path), 0);
+            [0, 0.5, 1, 2].forEach((u) => assertClose(point(path, u), [1, 2, 3]));
+            assertClose(Array.from(spline.pointAtDistance([0, 0, 0], path, 5)), [1, 2, 3]);
+            assertClose(tangent(path, 0.5), [0, 0, 0]);
+        });
+    });
+
+    it('reject paths without a segment', () => {
+        assert.throws(() => spline.catmullRomPath([]), /Spline path needs at least one segment/);
+        assert.throws(() => spline.hermitePath([], []), /Spline path needs at least one segment/);
+        assert.throws(
+            () =>
+                spline.bezierPath([
+                    [0, 0, 0],
+                    [1, 0, 0],
+                ]),
+            /Spline path needs at least one segment/
+        );
+    });
+});
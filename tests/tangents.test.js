@@ -0,0 +1,68 @@
+/**
+ * Tangent generation in the advanced-shading demo, including vertex splitting along mirrored UVs
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { generateTangents } = loadScripts([
+    'shared/geometry-tools.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+]);
+
+// Two triangles facing +z that share the edge from (0, 0) to (0, 1). The right one maps u to +x, the
+// left one mirrors it so u grows towards -x, which gives the two sides opposite handedness.
+function mirroredQuad(extra = {}) {
+    return Object.assign(
+        {
+            positions: new Float32Array([0, 0, 0, 0, 1, 0, 1, 0, 0, -1, 0, 0]),
+            normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]),
+            texCoords: new Float32Array([0, 0, 0, 1, 1, 0, 1, 0]),
+            indices: new Uint16Array([0, 2, 1, 0, 1, 3]),
+        },
+        extra
+    );
+}
+
+function tangent(geometry, vertex) {
+    return Array.from(geometry.tangents.subarray(vertex * 4, vertex * 4 + 4));
+}
+
+describe('generateTangents', () => {
+    it('adds tangents in place when every vertex has one handedness', () => {
+        const quad = mirroredQuad({ indices: new Uint16Array([0, 2, 1]) });
+        const result = generateTangents(quad);
+
+        assert.strictEqual(result, quad);
+        [0, 1, 2].forEach((vertex) => assertClose(tangent(result, vertex), [1, 0, 0, 1]));
+    });
+
+    it('splits the vertices on the mirror line and gives each side its own tangent frame', () => {
+        const result = generateTangents(mirroredQuad());
+
+        assert.strictEqual(result.positions.length / 3, 6);
+        assert.deepStrictEqual(Array.from(result.indices), [0, 2, 1, 4, 5, 3]);
+
+        [0, 1, 2].forEach((vertex) => assertClose(tangent(result, vertex), [1, 0, 0, 1]));
+        [3, 4, 5].forEach((vertex) => assertClose(tangent(result, vertex), [-1, 0, 0, -1]));
+
+        // The copies sit where the originals are
+        assertClose(result.positions.subarray(12), [0, 0, 0, 0, 1, 0]);
+        assertClose(result.normals.subarray(12), [0, 0, 1, 0, 0, 1]);
+        assertClose(result.texCoords.subarray(8), [0, 0, 0, 1]);
+    });
+
+    it('copies every other per-vertex attribute of split vertices and keeps the rest as is', () => {
+        const groups = [{ name: 'quad', material: null, start: 0, count: 6 }];
+        const colors = new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 9, 9, 9, 255]);
+        const result = generateTangents(mirroredQuad({ colors: colors, groups: groups }));
+
+        assert.ok(result.colors instanceof colors.constructor);
+        assert.strictEqual(result.colors.length, 6 * 4);
+        assert.deepStrictEqual(Array.from(result.colors.subarray(0, 16)), Array.from(colors));
+        assert.deepStrictEqual(Array.from(result.colors.subarray(16)), [255, 0, 0, 255, 0, 255, 0, 255]);
+
+        assert.strictEqual(result.groups, groups);
+        assert.strictEqual(result.tangents.length, 6 * 4);
+    });
+});
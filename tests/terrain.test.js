@@ -0,0 +1,175 @@
+/**
+ * Heightmap terrain: heightmap sources, surface heights against the mesh triangles, tile borders and skirts
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const terrainScripts = loadScripts([
+    'shared/geometry-tools.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/models.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/terrain.js',
+]);
+const { createHeightmap, createTerrain, getTerrainHeight } = terrainScripts;
+
+// createHeightmap tells byte data apart with instanceof, so it has to come from the scripts' realm
+const ScriptUint8Array = terrainScripts.Uint8Array;
+const ScriptFloat32Array = terrainScripts.Float32Array;
+
+// Uneven 5x4 heights, so every cell is tilted differently
+const bumpy = createHeightmap((u, v) => Math.sin(u * 5) * 0.5 + v * v + u * v, 5, 4);
+
+function vertex(geometry, index) {
+    return Array.from(geometry.positions.subarray(index * 3, index * 3 + 3));
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+describe('createHeightmap', () => {
+    it('maps bytes to 0..1 and reads the first channel of multi-channel data', () => {
+        const bytes = createHeightmap(new ScriptUint8Array([0, 51, 255, 102]), 2, 2);
+        assertClose(bytes.heights, [0, 0.2, 1, 0.4]);
+
+        // RGBA pixels: only red is used
+        const rgba = createHeightmap(new ScriptUint8Array([255, 0, 0, 255, 51, 9, 9, 255]), 2, 1);
+        assertClose(rgba.heights, [1, 0.2]);
+    });
+
+    it('uses float samples as they are', () => {
+        const floats = createHeightmap(new ScriptFloat32Array([0, 2.5, -1, 0.5]), 2, 2);
+        assertClose(floats.heights, [0, 2.5, -1, 0.5]);
+        assert.strictEqual(floats.columns, 2);
+        assert.strictEqual(floats.rows, 2);
+    });
+
+    it('rasterizes a height function from corner to corner', () => {
+        const heightmap = createHeightmap((u, v) => u + 10 * v, 3, 2);
+        assertClose(heightmap.heights, [0, 0.5, 1, 10, 10.5, 11]);
+    });
+
+    it('rejects data with fewer samples than the grid', () => {
+        assert.throws(() => createHeightmap(new ScriptFloat32Array(3), 2, 2), /Heightmap needs 4 samples, got 3/);
+    });
+});
+
+describe('getTerrainHeight', () => {
+    it('matches the heightmap at the grid vertices', () => {
+        const terrain = createTerrain(bumpy, { width: 8, depth: 6, heightScale: 2 });
+        const geometry = terrain.tiles[0].geometry;
+
+        for (let i = 0; i < geometry.positions.length / 3; i++) {
+            const [x, y, z] = vertex(geometry, i);
+            assertClose(getTerrainHeight(terrain, x, z), y, 1e-5);
+        }
+        assertClose(geometry.positions[1], bumpy.heights[0] * 2, 1e-6);
+    });
+
+    it('lies on the triangle of the mesh above the point, in either half of a cell', () => {
+        const terrain = createTerrain(bumpy, { width: 8, depth: 6, heightScale: 2 });
+        const { indices } = terrain.tiles[0].geometry;
+        const weights = [
+            [1 / 3, 1 / 3, 1 / 3],
+            [0.7, 0.2, 0.1],
+            [0.1, 0.1, 0.8],
+        ];
+
+        for (let i = 0; i < indices.length; i += 3) {
+            const corners = [0, 1, 2].map((k) => vertex(terrain.tiles[0].geometry, indices[i + k]));
+            weights.forEach((w) => {
+                const p = [0, 1, 2].map((axis) => corners.reduce((sum, c, k) => sum + c[axis] * w[k], 0));
+                assertClose(getTerrainHeight(terrain, p[0], p[2]), p[1], 1e-5);
+            });
+        }
+    });
+
+    it('splits each cell along the diagonal from its (0, 1) to its (1, 0) corner', () => {
+        // One cell that only rises at its far corner: flat below the diagonal, a slope above it
+        const terrain = createTerrain(createHeightmap(new ScriptFloat32Array([0, 0, 0, 1]), 2, 2), {
+            width: 1,
+            depth: 1,
+        });
+
+        assertClose(getTerrainHeight(terrain, -0.25, -0.25), 0);
+        assertClose(getTerrainHeight(terrain, 0, 0), 0);
+        assertClose(getTerrainHeight(terrain, 0.25, 0.25), 0.5, 1e-6);
+        assertClose(getTerrainHeight(terrain, 0.5, 0.5), 1);
+    });
+
+    it('clamps points outside the terrain to its edge', () => {
+        const terrain = createTerrain(bumpy, { width: 8, depth: 6 });
+        assertClose(getTerrainHeight(terrain, -100, -100), bumpy.heights[0]);
+        assertClose(getTerrainHeight(terrain, 100, 100), bumpy.heights[bumpy.heights.length - 1]);
+    });
+});
+
+describe('terrain tiles', () => {
+    it('cut the grid into tiles with identical vertices along their shared borders', () => {
+        const terrain = createTerrain(bumpy, { width: 8, depth: 6, segmentsX: 8, segmentsZ: 6, tilesX: 2, tilesZ: 2 });
+        assert.strictEqual(terrain.tiles.length, 4);
+        assert.deepStrictEqual(
+            Array.from(terrain.tiles, (tile) => `${tile.column},${tile.row}`),
+            ['0,0', '1,0', '0,1', '1,1']
+        );
+
+        // Every vertex at x = 0 or z = 0 belongs to two or four tiles, which must agree on all attributes
+        const shared = new Map();
+        terrain.tiles.forEach((tile) => {
+            const { geometry } = tile;
+            for (let i = 0; i < geometry.positions.length / 3; i++) {
+                const [x, , z] = vertex(geometry, i);
+                if (Math.abs(x) > 1e-6 && Math.abs(z) > 1e-6) continue;
+
+                const attributes = [
+                    ...vertex(geometry, i),
+                    ...geometry.normals.subarray(i * 3, i * 3 + 3),
+                    ...geometry.texCoords.subarray(i * 2, i * 2 + 2),
+                    ...geometry.tangents.subarray(i * 4, i * 4 + 4),
+                ];
+                const key = `${x.toFixed(4)},${z.toFixed(4)}`;
+                if (!shared.has(key)) shared.set(key, []);
+                shared.get(key).push(attributes);
+            }
+        });
+
+        assert.strictEqual(shared.size, 7 + 9 - 1, 'the vertices along x = 0 and along z = 0');
+        shared.forEach((copies, key) => {
+            assert.ok(copies.length >= 2, `${key} is on a border`);
+            copies.slice(1).forEach((copy) => assert.deepStrictEqual(copy, copies[0], key));
+        });
+    });
+
+    it('hang their skirts below the border with triangles facing out of the tile', () => {
+        const skirtDepth = 0.5;
+        const plain = createTerrain(bumpy, { width: 8, depth: 6, tilesX: 2, tilesZ: 1 });
+        const skirted = createTerrain(bumpy, { width: 8, depth: 6, tilesX: 2, tilesZ: 1, skirtDepth });
+
+        skirted.tiles.forEach((tile, t) => {
+            const { geometry, center } = tile;
+            const plainGeometry = plain.tiles[t].geometry;
+            const gridVertexCount = plainGeometry.positions.length / 3;
+            const skirtIndices = Array.from(geometry.indices).slice(plainGeometry.indices.length);
+
+            // Two triangles per border edge: 2 * (2 + 3) edges around each half of the 4x3 cell grid
+            assert.strictEqual(skirtIndices.length, 2 * 10 * 3);
+
+            for (let i = gridVertexCount; i < geometry.positions.length / 3; i++) {
+                const [x, y, z] = vertex(geometry, i);
+                assertClose(y, getTerrainHeight(skirted, x, z) - skirtDepth, 1e-5);
+            }
+
+            for (let i = 0; i < skirtIndices.length; i += 3) {
+                const [a, b, c] = [0, 1, 2].map((k) => vertex(geometry, skirtIndices[i + k]));
+                const normal = cross(sub(b, a), sub(c, a));
+                const outwards = sub([(a[0] + b[0] + c[0]) / 3, 0, (a[2] + b[2] + c[2]) / 3], center);
+                assert.ok(normal[0] * outwards[0] + normal[2] * outwards[2] > 0, `tile ${t}, skirt triangle ${i / 3}`);
+            }
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Normal, curvature, roughness and ambient occlusion baking on small heightmaps built in the test
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const baker = loadScripts([
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/texture-baker.js',
+]);
+
+const SIZE = 9;
+const CENTER = 4;
+
+// Heightmap in the createHeightmap shape, with heights from a function of the texel
+function heightmap(heightAt) {
+    const heights = new Float32Array(SIZE * SIZE);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) heights[y * SIZE + x] = heightAt(x, y);
+    }
+    return { columns: SIZE, rows: SIZE, heights: heights };
+}
+
+const flat = heightmap(() => 0.5);
+const spike = heightmap((x, y) => (x === CENTER && y === CENTER ? 1 : 0));
+const pit = heightmap((x, y) => (x === CENTER && y === CENTER ? 0 : 1));
+
+function texel(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.data.subarray(i, i + 4));
+}
+
+// Encoded normal for slopes in height per texel
+function encodedNormal(dx, dy) {
+    const length = Math.hypot(dx, dy, 1);
+    return [-dx / length, -dy / length, 1 / length].map((c) => Math.round(c * 127.5 + 127.5)).concat(255);
+}
+
+describe('bakeNormalMap', () => {
+    it('points flat areas straight up', () => {
+        const image = baker.bakeNormalMap(flat);
+        assert.strictEqual(image.width, SIZE);
+        assert.strictEqual(image.height, SIZE);
+        for (let i = 0; i < SIZE * SIZE; i++) {
+            assert.deepStrictEqual(texel(image, i % SIZE, Math.floor(i / SIZE)), [128, 128, 255, 255]);
+        }
+    });
+
+    it('gives both kernels the slope of a ramp, tilted away from the way it rises', () => {
+        // Rises by 0.1 per texel along +v, 0.8 texels per texel at strength 8
+        const ramp = heightmap((x, y) => y * 0.1);
+
+        ['sobel', 'scharr'].forEach((kernel) => {
+            const image = baker.bakeNormalMap(ramp, { kernel: kernel, strength: 8, wrap: false });
+            assert.deepStrictEqual(texel(image, CENTER, CENTER), encodedNormal(0, 0.8), kernel);
+            assert.ok(texel(image, CENTER, CENTER)[1] < 128, 'green points towards +v, so a rise along +v lowers it');
+        });
+    });
+
+    it('weighs the neighbours of a texel differently with Sobel and Scharr', () => {
+        const sobel = baker.bakeNormalMap(spike, { kernel: 'sobel', strength: 1 });
+        const scharr = baker.bakeNormalMap(spike, { kernel: 'scharr', strength: 1 });
+
+        // Left of the spike it is a center-row neighbour (2/8 and 10/32), diagonally a side-row one (1/8 and 3/32)
+        assert.deepStrictEqual(texel(sobel, CENTER - 1, CENTER), encodedNormal(2 / 8, 0));
+        assert.deepStrictEqual(texel(scharr, CENTER - 1, CENTER), encodedNormal(10 / 32, 0));
+        assert.deepStrictEqual(texel(sobel, CENTER - 1, CENTER - 1), encodedNormal(1 / 8, 1 / 8));
+        assert.deepStrictEqual(texel(scharr, CENTER - 1, CENTER - 1), encodedNormal(3 / 32, 3 / 32));
+
+        assert.throws(() => baker.bakeNormalMap(spike, { kernel: 'prewitt' }), /Unknown kernel: prewitt/);
+    });
+
+    it('wraps slopes around the edges unless told to clamp', () => {
+        const ramp = heightmap((x) => x * 0.1);
+
+        // Wrapping, the left neighbour of column 0 is the top of the ramp, so the slope flips
+        assert.ok(texel(baker.bakeNormalMap(ramp, { wrap: true }), 0, CENTER)[0] > 128);
+        assert.ok(texel(baker.bakeNormalMap(ramp, { wrap: false }), 0, CENTER)[0] < 128);
+    });
+});
+
+describe('bakeCurvatureMap and bakeRoughnessMap', () => {
+    it('leave flat areas mid gray and at the base roughness', () => {
+        assert.deepStrictEqual(texel(baker.bakeCurvatureMap(flat), CENTER, CENTER), [128, 128, 128, 255]);
+        assert.deepStrictEqual(texel(baker.bakeRoughnessMap(flat), CENTER, CENTER), [128, 128, 128, 255]);
+        assert.deepStrictEqual(
+            texel(baker.bakeRoughnessMap(flat, { baseRoughness: 0.8 }), CENTER, CENTER),
+            [204, 204, 204, 255]
+        );
+    });
+
+    it('brighten and smooth convex bumps, and darken and roughen concave dents', () => {
+        const options = { radius: 1, strength: 0.25 };
+
+        // Laplacian of -4 and 4, times the strength
+        assert.deepStrictEqual(texel(baker.bakeCurvatureMap(spike, options), CENTER, CENTER), [255, 255, 255, 255]);
+        assert.deepStrictEqual(texel(baker.bakeCurvatureMap(pit, options), CENTER, CENTER), [0, 0, 0, 255]);
+
+        // 0.5 - 0.3 on the bump and 0.5 + 0.4 in the dent
+        assert.strictEqual(texel(baker.bakeRoughnessMap(spike, options), CENTER, CENTER)[0], 51);
+        assert.strictEqual(texel(baker.bakeRoughnessMap(pit, options), CENTER, CENTER)[0], 230);
+
+        // Roughness never drops below 0.05
+        const polished = baker.bakeRoughnessMap(spike, Object.assign({ edgeSmoothness: 1 }, options));
+        assert.strictEqual(texel(polished, CENTER, CENTER)[0], 13);
+    });
+});
+
+describe('bakeAmbientOcclusionMap', () => {
+    it('leaves flat ground and peaks unoccluded and darkens pits', () => {
+        assert.deepStrictEqual(texel(baker.bakeAmbientOcclusionMap(flat), CENTER, CENTER), [255, 255, 255, 255]);
+        assert.strictEqual(texel(baker.bakeAmbientOcclusionMap(spike), CENTER, CENTER)[0], 255);
+
+        // Walls 8 texels high at distance 1 in every direction: the horizon is at atan(8)
+        const ao = texel(baker.bakeAmbientOcclusionMap(pit, { radius: 1 }), CENTER, CENTER)[0];
+        assert.strictEqual(ao, Math.round((1 - 8 / Math.hypot(1, 8)) * 255));
+
+        assert.strictEqual(texel(baker.bakeAmbientOcclusionMap(pit, { intensity: 0 }), CENTER, CENTER)[0], 255);
+    });
+
+    it('is bounded by the search radius', () => {
+        // The pit's walls are out of reach of a ray that stops inside the pit
+        const wide = heightmap((x, y) => (Math.abs(x - CENTER) <= 2 && Math.abs(y - CENTER) <= 2 ? 0 : 1));
+        assert.strictEqual(texel(baker.bakeAmbientOcclusionMap(wide, { radius: 2 }), CENTER, CENTER)[0], 255);
+        assert.ok(texel(baker.bakeAmbientOcclusionMap(wide, { radius: 3 }), CENTER, CENTER)[0] < 255);
+    });
+});
+
+describe('bakeHeightMaps', () => {
+    it('bakes every map with the same options', () => {
+        const options = { strength: 2, radius: 1 };
+        const maps = baker.bakeHeightMaps(spike, options);
+
+        assert.deepStrictEqual(Array.from(maps.normal.data), Array.from(baker.bakeNormalMap(spike, options).data));
+        assert.deepStrictEqual(
+            Array.from(maps.ambientOcclusion.data),
+            Array.from(baker.bakeAmbientOcclusionMap(spike, options).data)
+        );
+        assert.deepStrictEqual(Object.keys(maps), ['normal', 'curvature', 'roughness', 'ambientOcclusion']);
+    });
+});
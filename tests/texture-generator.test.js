@@ -0,0 +1,232 @@
+/**
+ * Procedural texture generators: sizes, determinism, seeds and known texels, without a GPU
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { TextureGenerator, noise, bakeNormalMap } = loadScripts([
+    'shared/noise.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/utils.js',
+    '02-advanced-webgl-techniques/01-advanced-shading/texture-baker.js',
+    '01-fundamentals/04-shader-programming/texture-generator.js',
+]);
+
+const SIZE = 16;
+
+function texel(pixels, x, y) {
+    const i = (y * pixels.width + x) * 4;
+    return Array.from(pixels.data.subarray(i, i + 4));
+}
+
+const WHITE = [255, 255, 255, 255];
+
+describe('TextureGenerator', () => {
+    const names = TextureGenerator.getNames();
+
+    it('registers the built-in patterns', () => {
+        assert.deepStrictEqual(Array.from(names), [
+            'checker',
+            'grid',
+            'uv-debug',
+            'brick',
+            'wood',
+            'marble',
+            'noise',
+            'normal-from-height',
+            'gradient',
+        ]);
+        assert.throws(() => TextureGenerator.generatePixels('plaid', SIZE), /Unknown texture generator: plaid/);
+    });
+
+    names.forEach((name) => {
+        it(`generates opaque ${name} pixels of the requested size, the same every time`, () => {
+            const pixels = TextureGenerator.generatePixels(name, SIZE);
+
+            assert.strictEqual(pixels.width, SIZE);
+            assert.strictEqual(pixels.height, SIZE);
+            assert.strictEqual(pixels.data.length, SIZE * SIZE * 4);
+            for (let i = 3; i < pixels.data.length; i += 4) {
+                assert.strictEqual(pixels.data[i], 255);
+            }
+
+            assert.deepStrictEqual(
+                Array.from(TextureGenerator.generatePixels(name, SIZE).data),
+                Array.from(pixels.data)
+            );
+        });
+    });
+
+    ['brick', 'wood', 'marble', 'noise'].forEach((name) => {
+        it(`changes the ${name} pattern with the seed`, () => {
+            const a = TextureGenerator.generatePixels(name, SIZE, { seed: 1 });
+            const b = TextureGenerator.generatePixels(name, SIZE, { seed: 2 });
+            assert.notDeepStrictEqual(Array.from(a.data), Array.from(b.data));
+        });
+    });
+});
+
+describe('TextureGenerator known texels', () => {
+    it('alternates checker colors every SIZE / squares pixels', () => {
+        const pixels = TextureGenerator.generatePixels('checker', SIZE);
+        assert.deepStrictEqual(texel(pixels, 0, 0), [200, 50, 50, 255]);
+        assert.deepStrictEqual(texel(pixels, 2, 0), [50, 50, 200, 255]);
+        assert.deepStrictEqual(texel(pixels, 2, 2), [200, 50, 50, 255]);
+        assert.deepStrictEqual(texel(pixels, 15, 0), [50, 50, 200, 255]);
+    });
+
+    it('draws grid lines along the cell edges', () => {
+        const pixels = TextureGenerator.generatePixels('grid', 32);
+        assert.deepStrictEqual(texel(pixels, 0, 2), [230, 230, 230, 255]);
+        assert.deepStrictEqual(texel(pixels, 1, 2), [230, 230, 230, 255]);
+        assert.deepStrictEqual(texel(pixels, 2, 2), [40, 40, 48, 255]);
+        assert.deepStrictEqual(texel(pixels, 2, 4), [230, 230, 230, 255]);
+    });
+
+    it('tints uv-debug cells by their position and labels them', () => {
+        const pixels = TextureGenerator.generatePixels('uv-debug', 256);
+
+        assert.deepStrictEqual(texel(pixels, 0, 0), [0, 0, 0, 255], 'cell border');
+        assert.deepStrictEqual(texel(pixels, 2, 2), [16, 16, 64, 255], 'A1 is (1/16, 1/16) in u and v');
+        assert.deepStrictEqual(texel(pixels, 255 - 2, 2), [191, 13, 51, 255], 'H1 is shaded darker');
+
+        const cellA1 = [];
+        for (let y = 0; y < 32; y++) {
+            for (let x = 0; x < 32; x++) cellA1.push(texel(pixels, x, y));
+        }
+        assert.ok(
+            cellA1.some((color) => color.every((c, i) => c === WHITE[i])),
+            'A1 has a label'
+        );
+    });
+
+    it('starts bricks with a mortar joint and colors them between the two brick colors', () => {
+        const pixels = TextureGenerator.generatePixels('brick', 64);
+        assert.deepStrictEqual(texel(pixels, 10, 0), [200, 195, 185, 255]);
+
+        const [r, g, b] = texel(pixels, 8, 4);
+        assert.ok(r >= 150 && r <= 185 && g >= 60 && g <= 90 && b >= 40 && b <= 60, `brick color ${[r, g, b]}`);
+    });
+
+    it('mixes wood and marble between their two colors', () => {
+        const wood = TextureGenerator.generatePixels('wood', SIZE);
+        const marble = TextureGenerator.generatePixels('marble', SIZE);
+
+        for (let i = 0; i < SIZE * SIZE * 4; i += 4) {
+            assert.ok(wood.data[i] >= 140 && wood.data[i] <= 222, `wood red ${wood.data[i]}`);
+            assert.ok(marble.data[i] >= 70 && marble.data[i] <= 235, `marble red ${marble.data[i]}`);
+        }
+    });
+
+    it('stores fractal noise as gray levels', () => {
+        const pixels = TextureGenerator.generatePixels('noise', SIZE, { seed: 7 });
+
+        [
+            [0, 0],
+            [5, 11],
+            [15, 15],
+        ].forEach(([x, y]) => {
+            const u = (x + 0.5) / SIZE;
+            const v = (y + 0.5) / SIZE;
+            const value = Math.round((noise.fbm2(noise.perlin2, u * 8, v * 8, 7, 5) * 0.5 + 0.5) * 255);
+            assert.deepStrictEqual(texel(pixels, x, y), [value, value, value, 255]);
+        });
+    });
+
+    it('turns flat heights into straight-up normals', () => {
+        const pixels = TextureGenerator.generatePixels('normal-from-height', SIZE, {
+            source: 'checker',
+            sourceParams: { colorA: [90, 90, 90], colorB: [90, 90, 90] },
+        });
+
+        for (let y = 0; y < SIZE; y++) {
+            for (let x = 0; x < SIZE; x++) {
+                assert.deepStrictEqual(texel(pixels, x, y), [128, 128, 255, 255]);
+            }
+        }
+    });
+
+    it('bakes normals from the red channel of the source with either kernel', () => {
+        const source = TextureGenerator.generatePixels('marble', SIZE);
+        const heights = Float32Array.from({ length: SIZE * SIZE }, (_, i) => source.data[i * 4] / 255);
+
+        ['sobel', 'scharr'].forEach((kernel) => {
+            const pixels = TextureGenerator.generatePixels('normal-from-height', SIZE, {
+                source: 'marble',
+                kernel: kernel,
+                strength: 4,
+            });
+            const baked = bakeNormalMap(
+                { columns: SIZE, rows: SIZE, heights: heights },
+                { kernel: kernel, strength: 4, wrap: true }
+            );
+            assert.deepStrictEqual(Array.from(pixels.data), Array.from(baked.data), kernel);
+        });
+    });
+
+    it('interpolates gradient stops', () => {
+        const pixels = TextureGenerator.generatePixels('gradient', 2);
+
+        // u = 0.25 and 0.75 land halfway between the first and second, and second and third stops
+        assert.deepStrictEqual(texel(pixels, 0, 0), [110, 55, 100, 255]);
+        assert.deepStrictEqual(texel(pixels, 1, 1), [225, 150, 120, 255]);
+    });
+});
+
+describe('uv-debug labels', () => {
+    // Cells whose white label pixels are off-center, on the cell border, or missing when the label fits
+    function misplacedLabels(size, cells) {
+        const pixels = TextureGenerator.generatePixels('uv-debug', size, { cells: cells });
+        const cellSize = size / cells;
+        const boxes = new Map();
+        const problems = [];
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!texel(pixels, x, y).every((c, i) => c === WHITE[i])) continue;
+
+                if (x % cellSize < 1 || y % cellSize < 1) {
+                    problems.push(`label pixel on a border at ${x}, ${y}`);
+                }
+
+                const key = `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+                const box = boxes.get(key) || { minX: x, maxX: x, minY: y, maxY: y };
+                boxes.set(key, {
+                    minX: Math.min(box.minX, x),
+                    maxX: Math.max(box.maxX, x),
+                    minY: Math.min(box.minY, y),
+                    maxY: Math.max(box.maxY, y),
+                });
+            }
+        }
+
+        boxes.forEach((box, key) => {
+            const [column, row] = key.split(',').map(Number);
+            const centerX = (column + 0.5) * cellSize;
+            const centerY = (row + 0.5) * cellSize;
+            if (Math.abs((box.minX + box.maxX + 1) / 2 - centerX) > 1.5) {
+                problems.push(`label of cell ${key} is not centered horizontally`);
+            }
+            if (Math.abs((box.minY + box.maxY + 1) / 2 - centerY) > 1.5) {
+                problems.push(`label of cell ${key} is not centered vertically`);
+            }
+        });
+
+        return { problems: problems, labelled: boxes.size };
+    }
+
+    it('stays inside its cells at every size', () => {
+        [8, 16, 24, 32, 48, 64, 100, 128].forEach((size) => {
+            [2, 4, 8, 16].forEach((cells) => {
+                const { problems } = misplacedLabels(size, cells);
+                assert.deepStrictEqual(problems, [], `size ${size}, ${cells} cells`);
+            });
+        });
+    });
+
+    it('skips labels in cells too small to hold them and draws them once they fit', () => {
+        assert.strictEqual(misplacedLabels(32, 8).labelled, 0, '4 pixel cells');
+        assert.strictEqual(misplacedLabels(96, 8).labelled, 64, '12 pixel cells');
+        assert.strictEqual(misplacedLabels(256, 8).labelled, 64);
+    });
+});
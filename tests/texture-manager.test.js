@@ -0,0 +1,120 @@
+/**
+ * Texture sharing, reference counting and failed loads, with stand-ins for images and the WebGL context
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Images whose URL contains "missing" fail to load; the others load as 4x4 images
+class FakeImage {
+    set src(url) {
+        this.width = this.height = 4;
+        setTimeout(() => (url.includes('missing') ? this.onerror() : this.onload()));
+    }
+}
+
+// Constants are distinct numbers, textures are plain objects and every other call does nothing
+function fakeGL() {
+    const constants = new Map();
+    const deleted = [];
+    const methods = {
+        createTexture: () => ({}),
+        deleteTexture: (texture) => deleted.push(texture),
+        getExtension: () => null,
+        getParameter: () => 0,
+    };
+
+    return {
+        deleted: deleted,
+        gl: new Proxy(methods, {
+            get: (target, name) => {
+                if (name in target) return target[name];
+                if (/^[A-Z]/.test(name)) {
+                    if (!constants.has(name)) constants.set(name, constants.size + 1);
+                    return constants.get(name);
+                }
+                return () => {};
+            },
+        }),
+    };
+}
+
+const { TextureManager } = loadScripts(['shared/texture-setup.js', 'shared/texture-manager.js'], {
+    Image: FakeImage,
+    setTimeout: setTimeout,
+});
+
+describe('TextureManager', () => {
+    it('shares an entry between loads of one URL and deletes it with the last release', async () => {
+        const { gl, deleted } = fakeGL();
+        const manager = TextureManager.create(gl);
+
+        const a = manager.load('brick.png');
+        const b = manager.load({ url: 'brick.png' });
+        assert.strictEqual(a, b);
+        assert.strictEqual(a.refCount, 2);
+
+        await a.promise;
+        assert.strictEqual(a.state, TextureManager.READY);
+
+        assert.strictEqual(manager.release(a), false);
+        assert.strictEqual(manager.release('brick.png'), true);
+        assert.deepStrictEqual(deleted, [a.texture]);
+        assert.strictEqual(manager.get('brick.png'), null);
+    });
+
+    it('evicts failed loads so the next load tries again', async () => {
+        const { gl, deleted } = fakeGL();
+        const manager = TextureManager.create(gl);
+        const errors = [];
+        manager.on('error', (entry) => errors.push(entry));
+
+        const failed = manager.load('missing.png');
+        await assert.rejects(failed.promise, /Failed to load texture: missing.png/);
+
+        assert.deepStrictEqual(errors, [failed]);
+        assert.strictEqual(failed.state, TextureManager.ERROR);
+        assert.strictEqual(manager.get('missing.png'), null);
+        assert.deepStrictEqual(deleted, [], 'the failed texture lives until it is released');
+
+        const retry = manager.load('missing.png');
+        assert.notStrictEqual(retry, failed);
+        assert.strictEqual(retry.state, TextureManager.LOADING);
+        assert.strictEqual(manager.get('missing.png'), retry);
+        await retry.promise.catch(() => {});
+
+        // Each entry is released on its own, by entry or by URL
+        assert.strictEqual(manager.release(failed), true);
+        assert.strictEqual(manager.release('missing.png'), true);
+        assert.deepStrictEqual(deleted, [failed.texture, retry.texture]);
+        assert.strictEqual(manager.release('missing.png'), false);
+    });
+
+    it('keeps the references of a failed entry', async () => {
+        const { gl, deleted } = fakeGL();
+        const manager = TextureManager.create(gl);
+
+        const entry = manager.load('missing.png');
+        manager.load('missing.png');
+        await entry.promise.catch(() => {});
+
+        assert.strictEqual(manager.release(entry), false);
+        assert.deepStrictEqual(deleted, []);
+        assert.strictEqual(manager.release(entry), true);
+        assert.deepStrictEqual(deleted, [entry.texture]);
+    });
+
+    it('settles once every load has finished, counting failures', async () => {
+        const { gl } = fakeGL();
+        const manager = TextureManager.create(gl);
+
+        manager.load('a.png');
+        manager.load({ urls: ['px', 'nx', 'py', 'ny', 'pz', 'missing-nz'] });
+
+        const progress = await manager.settled();
+        assert.strictEqual(progress.total, 7);
+        assert.strictEqual(progress.loaded, 6);
+        assert.strictEqual(progress.failed, 1);
+        assert.strictEqual(progress.fraction, 1);
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * TextureSetup against stub WebGL 1 and WebGL 2 contexts: mipmaps and wrapping of non-power-of-2 textures,
+ * anisotropy and sRGB upload formats
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Stands in for the browser's WebGL2RenderingContext, so isWebGL2 can tell the stub contexts apart
+class FakeWebGL2RenderingContext {}
+
+const warnings = [];
+const { TextureSetup } = loadScripts(['shared/texture-setup.js'], {
+    WebGL2RenderingContext: FakeWebGL2RenderingContext,
+    console: { warn: (message) => warnings.push(message) },
+});
+
+const SRGB = { SRGB_ALPHA_EXT: 'SRGB_ALPHA_EXT' };
+
+const ANISOTROPIC = {
+    MAX_TEXTURE_MAX_ANISOTROPY_EXT: 'MAX_TEXTURE_MAX_ANISOTROPY_EXT',
+    TEXTURE_MAX_ANISOTROPY_EXT: 'TEXTURE_MAX_ANISOTROPY_EXT',
+};
+
+/**
+ * Stub context whose constants are their own names and whose calls are recorded as [name, ...args]
+ * @param {Object} [options] - webgl2, the extensions it supports by name, and maxAnisotropy
+ * @returns {Object} Object containing gl and calls
+ */
+function fakeGL({ webgl2 = false, extensions = {}, maxAnisotropy = 16 } = {}) {
+    const calls = [];
+    const target = webgl2 ? new FakeWebGL2RenderingContext() : {};
+    Object.assign(target, {
+        getExtension: (name) => extensions[name] || null,
+        getParameter: (name) => (name === 'MAX_TEXTURE_MAX_ANISOTROPY_EXT' ? maxAnisotropy : null),
+    });
+
+    const gl = new Proxy(target, {
+        get: (object, name) => {
+            if (name in object) return object[name];
+            if (typeof name === 'string' && /^[A-Z0-9_]+$/.test(name)) return name;
+            return (...args) => calls.push([name, ...args]);
+        },
+    });
+    return { gl, calls };
+}
+
+// The texParameter calls as { parameter: value }
+function parameters(calls) {
+    const result = {};
+    calls
+        .filter(([name]) => name === 'texParameteri' || name === 'texParameterf')
+        .forEach(([, , parameter, value]) => {
+            result[parameter] = value;
+        });
+    return result;
+}
+
+function generatedMipmaps(calls) {
+    return calls.some(([name]) => name === 'generateMipmap');
+}
+
+describe('TextureSetup.canMipmap', () => {
+    it('mipmaps any size and color space in WebGL 2', () => {
+        const { gl } = fakeGL({ webgl2: true });
+        assert.strictEqual(TextureSetup.isWebGL2(gl), true);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 256, 256), true);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 300, 200), true);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 300, 200, true), true);
+    });
+
+    it('only mipmaps linear power-of-2 textures in WebGL 1', () => {
+        const { gl } = fakeGL();
+        assert.strictEqual(TextureSetup.isWebGL2(gl), false);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 256, 64), true);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 1, 1), true);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 300, 256), false);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 256, 200), false);
+        assert.strictEqual(TextureSetup.canMipmap(gl, 256, 256, true), false);
+    });
+});
+
+describe('TextureSetup.applySampler', () => {
+    it('repeats and mipmaps a non-power-of-2 texture in WebGL 2', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        assert.strictEqual(TextureSetup.applySampler(gl, 'TEXTURE_2D', 300, 200), true);
+        assert.deepStrictEqual(parameters(calls), {
+            TEXTURE_WRAP_S: 'REPEAT',
+            TEXTURE_WRAP_T: 'REPEAT',
+            TEXTURE_MIN_FILTER: 'LINEAR_MIPMAP_LINEAR',
+            TEXTURE_MAG_FILTER: 'LINEAR',
+        });
+        assert.ok(generatedMipmaps(calls));
+    });
+
+    it('clamps a non-power-of-2 texture in WebGL 1 and drops the mipmaps from its min filter', () => {
+        const { gl, calls } = fakeGL();
+        assert.strictEqual(TextureSetup.applySampler(gl, 'TEXTURE_2D', 300, 256, { wrap: 'MIRRORED_REPEAT' }), false);
+        assert.deepStrictEqual(parameters(calls), {
+            TEXTURE_WRAP_S: 'CLAMP_TO_EDGE',
+            TEXTURE_WRAP_T: 'CLAMP_TO_EDGE',
+            TEXTURE_MIN_FILTER: 'LINEAR',
+            TEXTURE_MAG_FILTER: 'LINEAR',
+        });
+        assert.ok(!generatedMipmaps(calls));
+    });
+
+    it('replaces the NEAREST mipmap filters with NEAREST when it cannot mipmap', () => {
+        ['NEAREST_MIPMAP_NEAREST', 'NEAREST_MIPMAP_LINEAR'].forEach((minFilter) => {
+            const { gl, calls } = fakeGL();
+            TextureSetup.applySampler(gl, 'TEXTURE_2D', 100, 100, { minFilter });
+            assert.strictEqual(parameters(calls).TEXTURE_MIN_FILTER, 'NEAREST', minFilter);
+        });
+        ['LINEAR_MIPMAP_NEAREST', 'LINEAR_MIPMAP_LINEAR'].forEach((minFilter) => {
+            const { gl, calls } = fakeGL();
+            TextureSetup.applySampler(gl, 'TEXTURE_2D', 100, 100, { minFilter });
+            assert.strictEqual(parameters(calls).TEXTURE_MIN_FILTER, 'LINEAR', minFilter);
+        });
+    });
+
+    it('keeps repeating a power-of-2 sRGB texture in WebGL 1 but does not mipmap it', () => {
+        const { gl, calls } = fakeGL();
+        assert.strictEqual(TextureSetup.applySampler(gl, 'TEXTURE_2D', 256, 256, { srgb: true }), false);
+        assert.strictEqual(parameters(calls).TEXTURE_WRAP_S, 'REPEAT');
+        assert.strictEqual(parameters(calls).TEXTURE_MIN_FILTER, 'LINEAR');
+        assert.ok(!generatedMipmaps(calls));
+    });
+
+    it('does not generate mipmaps for a filter that does not use them', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        assert.strictEqual(TextureSetup.applySampler(gl, 'TEXTURE_2D', 256, 256, { minFilter: 'NEAREST' }), false);
+        assert.strictEqual(parameters(calls).TEXTURE_MIN_FILTER, 'NEAREST');
+        assert.ok(!generatedMipmaps(calls));
+    });
+
+    it('sets wrapS and wrapT separately over wrap', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        TextureSetup.applySampler(gl, 'TEXTURE_2D', 64, 64, { wrap: 'MIRRORED_REPEAT', wrapT: 'CLAMP_TO_EDGE' });
+        assert.strictEqual(parameters(calls).TEXTURE_WRAP_S, 'MIRRORED_REPEAT');
+        assert.strictEqual(parameters(calls).TEXTURE_WRAP_T, 'CLAMP_TO_EDGE');
+    });
+});
+
+describe('TextureSetup anisotropy', () => {
+    it('clamps the requested anisotropy to the extension maximum', () => {
+        [
+            [16, 8, 8],
+            [4, 8, 4],
+            [8, 8, 8],
+        ].forEach(([anisotropy, maxAnisotropy, expected]) => {
+            const { gl, calls } = fakeGL({
+                webgl2: true,
+                extensions: { EXT_texture_filter_anisotropic: ANISOTROPIC },
+                maxAnisotropy,
+            });
+            TextureSetup.applySampler(gl, 'TEXTURE_2D', 64, 64, { anisotropy });
+            assert.strictEqual(
+                parameters(calls).TEXTURE_MAX_ANISOTROPY_EXT,
+                expected,
+                `${anisotropy} of ${maxAnisotropy}`
+            );
+        });
+    });
+
+    it('uses the prefixed extension when the standard one is missing', () => {
+        const { gl, calls } = fakeGL({
+            extensions: { WEBKIT_EXT_texture_filter_anisotropic: ANISOTROPIC },
+            maxAnisotropy: 2,
+        });
+        TextureSetup.applySampler(gl, 'TEXTURE_2D', 64, 64, { anisotropy: 16 });
+        assert.strictEqual(parameters(calls).TEXTURE_MAX_ANISOTROPY_EXT, 2);
+    });
+
+    it('leaves anisotropy alone when it is not requested or not supported', () => {
+        [
+            [{ EXT_texture_filter_anisotropic: ANISOTROPIC }, undefined],
+            [{ EXT_texture_filter_anisotropic: ANISOTROPIC }, 1],
+            [{}, 16],
+        ].forEach(([extensions, anisotropy]) => {
+            const { gl, calls } = fakeGL({ webgl2: true, extensions });
+            TextureSetup.applySampler(gl, 'TEXTURE_2D', 64, 64, { anisotropy });
+            assert.ok(!('TEXTURE_MAX_ANISOTROPY_EXT' in parameters(calls)), `anisotropy ${anisotropy}`);
+        });
+    });
+});
+
+describe('TextureSetup.upload', () => {
+    const pixels = { width: 2, height: 2, data: new Uint8Array(16) };
+
+    // internalFormat and format of the texImage2D call
+    function uploadFormats(gl, calls, options) {
+        TextureSetup.upload(gl, 'TEXTURE_2D', pixels, options);
+        const [, , , internalFormat, , , , format] = calls.find(([name]) => name === 'texImage2D');
+        return { internalFormat, format };
+    }
+
+    it('uploads linear color as RGBA', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        assert.deepStrictEqual(uploadFormats(gl, calls, {}), { internalFormat: 'RGBA', format: 'RGBA' });
+    });
+
+    it('uploads sRGB color as SRGB8_ALPHA8 in WebGL 2', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        assert.deepStrictEqual(uploadFormats(gl, calls, { srgb: true }), {
+            internalFormat: 'SRGB8_ALPHA8',
+            format: 'RGBA',
+        });
+    });
+
+    it('uploads sRGB color with EXT_sRGB in WebGL 1', () => {
+        const { gl, calls } = fakeGL({ extensions: { EXT_sRGB: SRGB } });
+        assert.deepStrictEqual(uploadFormats(gl, calls, { srgb: true }), {
+            internalFormat: 'SRGB_ALPHA_EXT',
+            format: 'SRGB_ALPHA_EXT',
+        });
+    });
+
+    it('falls back to linear RGBA with a warning when WebGL 1 lacks EXT_sRGB', () => {
+        const { gl, calls } = fakeGL();
+        warnings.length = 0;
+        assert.deepStrictEqual(uploadFormats(gl, calls, { srgb: true }), { internalFormat: 'RGBA', format: 'RGBA' });
+        assert.strictEqual(warnings.length, 1);
+        assert.match(warnings[0], /EXT_sRGB not supported/);
+    });
+
+    it('restores the unpack flags after an upload', () => {
+        const { gl, calls } = fakeGL({ webgl2: true });
+        TextureSetup.upload(gl, 'TEXTURE_2D', pixels, { flipY: true, premultiplyAlpha: true });
+        const flags = calls.filter(([name]) => name === 'pixelStorei').map(([, flag, value]) => `${flag}=${value}`);
+        assert.deepStrictEqual(flags, [
+            'UNPACK_FLIP_Y_WEBGL=true',
+            'UNPACK_PREMULTIPLY_ALPHA_WEBGL=true',
+            'UNPACK_FLIP_Y_WEBGL=false',
+            'UNPACK_PREMULTIPLY_ALPHA_WEBGL=false',
+        ]);
+    });
+});
@@ -0,0 +1,337 @@
+/**
+ * Interleaved vertex layouts: offsets and stride, every encoder, and packed geometry read back the way GL reads it
+ */
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadScripts, assertClose } = require('./helpers/load-scripts');
+
+const { vertexLayout } = loadScripts(['shared/vertex-layout.js']);
+
+// Sign-extend the low `bits` bits of a value
+function signed(value, bits) {
+    const shift = 32 - bits;
+    return (value << shift) >> shift;
+}
+
+// Read one attribute of one vertex the way GL does, including the ES 3.0 snorm rule max(c / (2^(b-1) - 1), -1)
+function readAttribute(view, stride, attribute, vertex) {
+    const offset = vertex * stride + attribute.offset;
+    const normalized = attribute.normalized;
+    const components = [];
+
+    if (
+        attribute.type === vertexLayout.INT_2_10_10_10_REV ||
+        attribute.type === vertexLayout.UNSIGNED_INT_2_10_10_10_REV
+    ) {
+        const bits = view.getUint32(offset, true);
+        const fields = [bits & 0x3ff, (bits >>> 10) & 0x3ff, (bits >>> 20) & 0x3ff, bits >>> 30];
+        if (attribute.type === vertexLayout.INT_2_10_10_10_REV) {
+            return fields.map((field, k) => Math.max(signed(field, k < 3 ? 10 : 2) / (k < 3 ? 511 : 1), -1));
+        }
+        return fields.map((field, k) => field / (k < 3 ? 1023 : 3));
+    }
+
+    const readers = {
+        [vertexLayout.FLOAT]: [4, (o) => view.getFloat32(o, true), 1],
+        [vertexLayout.HALF_FLOAT]: [2, (o) => vertexLayout.fromHalf(view.getUint16(o, true)), 1],
+        [vertexLayout.BYTE]: [1, (o) => view.getInt8(o), 127],
+        [vertexLayout.UNSIGNED_BYTE]: [1, (o) => view.getUint8(o), 255],
+        [vertexLayout.SHORT]: [2, (o) => view.getInt16(o, true), 32767],
+        [vertexLayout.UNSIGNED_SHORT]: [2, (o) => view.getUint16(o, true), 65535],
+    };
+    const [bytes, read, steps] = readers[attribute.type];
+
+    for (let k = 0; k < attribute.size; k++) {
+        const value = read(offset + k * bytes);
+        components.push(normalized ? Math.max(value / steps, -1) : value);
+    }
+    return components;
+}
+
+// Unit vector decoded from an oct8 or oct16 attribute
+function readOct(view, stride, attribute, vertex) {
+    const [u, v] = readAttribute(view, stride, attribute, vertex);
+    return Array.from(vertexLayout.octDecode([0, 0, 0], u, v));
+}
+
+function angleBetween(a, b) {
+    const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return (Math.acos(Math.min(Math.max(dot, -1), 1)) * 180) / Math.PI;
+}
+
+function normalize(v) {
+    const length = Math.hypot(...v);
+    return v.map((c) => c / length);
+}
+
+// A triangle with every attribute the layouts below can read
+const TRIANGLE = {
+    positions: new Float32Array([0, 0, 0, 1.5, -2, 0.25, 0, 3, -1]),
+    normals: new Float32Array([...normalize([1, 2, 3]), ...normalize([0, 0, -1]), ...normalize([-0.3, -0.9, 0.3])]),
+    tangents: new Float32Array([1, 0, 0, 1, 0, 1, 0, -1, ...normalize([0.5, 0, -0.5]), 1]),
+    texCoords: new Float32Array([0, 0, 0.5, 1, 1, 0.25]),
+    colors: new Float32Array([1, 0, 0, 1, 0.2, 0.4, 0.6, 0.8, 0, 0, 0, 0]),
+};
+
+describe('vertexLayout.create', () => {
+    it('starts every attribute at a 4-byte aligned offset', () => {
+        const layout = vertexLayout.create([
+            { name: 'a_position', source: 'positions', format: 'float32x3' },
+            { name: 'a_color', source: 'colors', format: 'unorm8x4' },
+            { name: 'a_normal', source: 'normals', format: 'oct8' },
+            { name: 'a_tangent', source: 'tangents', format: 'snorm10_10_10_2' },
+            { name: 'a_uv', source: 'texCoords', format: 'float16x2' },
+            { name: 'a_joints', source: 'texCoords', format: 'uint16x3' },
+        ]);
+
+        assert.deepStrictEqual(
+            Array.from(layout.attributes, (attribute) => attribute.offset),
+            [0, 12, 16, 20, 24, 28]
+        );
+        assert.deepStrictEqual(
+            Array.from(layout.attributes, (attribute) => attribute.byteLength),
+            [12, 4, 2, 4, 4, 6]
+        );
+        assert.strictEqual(layout.stride, 36);
+
+        const normal = layout.attributes[2];
+        assert.strictEqual(normal.size, 2);
+        assert.strictEqual(normal.type, vertexLayout.BYTE);
+        assert.strictEqual(normal.normalized, true);
+    });
+
+    it('rejects unknown formats', () => {
+        ['float32x5', 'unorm32x2', 'oct12', 'snorm8'].forEach((format) => {
+            assert.throws(
+                () => vertexLayout.create([{ name: 'a', source: 'positions', format }]),
+                /Unknown vertex format/
+            );
+        });
+    });
+});
+
+describe('vertexLayout.pack', () => {
+    const layout = vertexLayout.create([
+        { name: 'a_position', source: 'positions', format: 'float32x3' },
+        { name: 'a_normal', source: 'normals', format: 'oct16' },
+        { name: 'a_tangent', source: 'tangents', format: 'snorm10_10_10_2' },
+        { name: 'a_uv', source: 'texCoords', format: 'float16x2' },
+        { name: 'a_color', source: 'colors', format: 'unorm8x4' },
+        { name: 'a_lowNormal', source: 'normals', format: 'oct8' },
+        { name: 'a_signedNormal', source: 'normals', format: 'snorm16x3' },
+    ]);
+    const packed = vertexLayout.pack(TRIANGLE, layout);
+    const view = new DataView(packed.data);
+    const attribute = (name) => layout.attributes.find((entry) => entry.name === name);
+
+    it('interleaves every vertex at the layout stride', () => {
+        assert.strictEqual(packed.vertexCount, 3);
+        assert.strictEqual(packed.stride, layout.stride);
+        assert.strictEqual(packed.data.byteLength, 3 * layout.stride);
+    });
+
+    it('reads positions and half-float texture coordinates back', () => {
+        for (let i = 0; i < 3; i++) {
+            assertClose(
+                readAttribute(view, packed.stride, attribute('a_position'), i),
+                TRIANGLE.positions.subarray(i * 3, i * 3 + 3)
+            );
+            // Half floats keep 11 significant bits
+            assertClose(
+                readAttribute(view, packed.stride, attribute('a_uv'), i),
+                TRIANGLE.texCoords.subarray(i * 2, i * 2 + 2),
+                1e-3
+            );
+        }
+    });
+
+    it('reads normalized colors and snorm normals back within one step', () => {
+        for (let i = 0; i < 3; i++) {
+            assertClose(
+                readAttribute(view, packed.stride, attribute('a_color'), i),
+                TRIANGLE.colors.subarray(i * 4, i * 4 + 4),
+                0.5 / 255
+            );
+            assertClose(
+                readAttribute(view, packed.stride, attribute('a_signedNormal'), i),
+                TRIANGLE.normals.subarray(i * 3, i * 3 + 3),
+                0.5 / 32767
+            );
+        }
+    });
+
+    it('reads tangents and their handedness back from 10:10:10:2', () => {
+        for (let i = 0; i < 3; i++) {
+            const tangent = readAttribute(view, packed.stride, attribute('a_tangent'), i);
+            assertClose(tangent.slice(0, 3), TRIANGLE.tangents.subarray(i * 4, i * 4 + 3), 0.5 / 511);
+            assert.strictEqual(tangent[3], TRIANGLE.tangents[i * 4 + 3]);
+        }
+    });
+
+    it('reads octahedral normals back as unit vectors close to the originals', () => {
+        for (let i = 0; i < 3; i++) {
+            const normal = Array.from(TRIANGLE.normals.subarray(i * 3, i * 3 + 3));
+            assert.ok(angleBetween(readOct(view, packed.stride, attribute('a_normal'), i), normal) < 0.01, 'oct16');
+            assert.ok(angleBetween(readOct(view, packed.stride, attribute('a_lowNormal'), i), normal) < 1, 'oct8');
+        }
+    });
+
+    it('fills components the source lacks like GL and rejects missing or malformed sources', () => {
+        // Two-component texture coordinates read through a four-component attribute get z = 0 and w = 1
+        const wide = vertexLayout.create([{ name: 'a_uv', source: 'texCoords', format: 'float32x4' }]);
+        const wideView = new DataView(vertexLayout.pack(TRIANGLE, wide).data);
+        assert.deepStrictEqual(readAttribute(wideView, wide.stride, wide.attributes[0], 1), [0.5, 1, 0, 1]);
+
+        const missing = vertexLayout.create([{ name: 'a_weight', source: 'weights', format: 'float32x1' }]);
+        assert.throws(() => vertexLayout.pack(TRIANGLE, missing), /Geometry has no weights for attribute a_weight/);
+
+        const odd = Object.assign({}, TRIANGLE, { colors: new Float32Array(7) });
+        const colors = vertexLayout.create([{ name: 'a_color', source: 'colors', format: 'unorm8x4' }]);
+        assert.throws(() => vertexLayout.pack(odd, colors), /colors doesn't have 1 to 4 components per vertex/);
+    });
+});
+
+describe('vertex encoders', () => {
+    // Pack one value in one format and return the raw bytes
+    function encode(format, value) {
+        const layout = vertexLayout.create([{ name: 'a', source: 'values', format }]);
+        const data = vertexLayout.pack(
+            { positions: new Float32Array(3), values: new Float32Array(value) },
+            layout
+        ).data;
+        return { view: new DataView(data), layout };
+    }
+
+    it('clamps and rounds snorm and unorm values, keeping -1 and 1 exact', () => {
+        assert.deepStrictEqual(
+            Array.from(new Int8Array(encode('snorm8x4', [-1, 1, -1.5, 0.5]).view.buffer)),
+            [-127, 127, -127, 64]
+        );
+        assert.deepStrictEqual(
+            Array.from(new Uint8Array(encode('unorm8x4', [0, 1, 2, 0.5]).view.buffer)),
+            [0, 255, 255, 128]
+        );
+        assert.deepStrictEqual(Array.from(new Int16Array(encode('snorm16x2', [-1, 0.25]).view.buffer)), [-32767, 8192]);
+        assert.deepStrictEqual(Array.from(new Uint16Array(encode('unorm16x2', [-0.5, 0.75]).view.buffer)), [0, 49151]);
+    });
+
+    it('clamps unnormalized integers to their range', () => {
+        assert.deepStrictEqual(
+            Array.from(new Uint8Array(encode('uint8x4', [300, -4, 7.6, 255]).view.buffer)),
+            [255, 0, 8, 255]
+        );
+        assert.deepStrictEqual(
+            Array.from(new Int8Array(encode('sint8x2', [-200, 100]).view.buffer).subarray(0, 2)),
+            [-128, 100]
+        );
+        assert.deepStrictEqual(Array.from(new Uint16Array(encode('uint16x2', [70000, 12]).view.buffer)), [65535, 12]);
+        assert.deepStrictEqual(Array.from(new Int16Array(encode('sint16x2', [-40000, -3]).view.buffer)), [-32768, -3]);
+    });
+
+    it('packs 10:10:10:2 with x in the low bits and w in the top two', () => {
+        const snorm = encode('snorm10_10_10_2', [1, -1, 0.5, -1]).view.getUint32(0, true);
+        assert.strictEqual(snorm, (511 | (513 << 10) | (256 << 20) | (3 << 30)) >>> 0);
+
+        const unorm = encode('unorm10_10_10_2', [1, 0, 0.5, 1]).view.getUint32(0, true);
+        assert.strictEqual(unorm, (1023 | (0 << 10) | (512 << 20) | (3 << 30)) >>> 0);
+
+        // Out-of-range values clamp instead of spilling into the neighbouring field
+        const clamped = encode('snorm10_10_10_2', [2, -3, 0, 5]).view.getUint32(0, true);
+        assert.strictEqual(clamped, (511 | (513 << 10) | (0 << 20) | (1 << 30)) >>> 0);
+    });
+
+    it('picks the oct8 encoding closest to the vector, not just the rounded one', () => {
+        const vectors = [
+            [0, 0, 1],
+            [0, 0, -1],
+            [1, 0, 0],
+            [0, -1, 0],
+            normalize([1, 1, 1]),
+            normalize([-1, 2, -3]),
+            normalize([0.01, -0.02, -1]),
+        ];
+
+        vectors.forEach((n) => {
+            const { view, layout } = encode('oct8', n);
+            const decoded = readOct(view, layout.stride, layout.attributes[0], 0);
+            const rounded = vertexLayout.octEncode([0, 0], n[0], n[1], n[2]).map((c) => Math.round(c * 127) / 127);
+            const naive = Array.from(vertexLayout.octDecode([0, 0, 0], rounded[0], rounded[1]));
+
+            assert.ok(angleBetween(decoded, n) <= angleBetween(naive, n) + 1e-9, `${n}`);
+            assert.ok(angleBetween(decoded, n) < 1, `${n}`);
+        });
+    });
+
+    it('round-trips octahedral encoding exactly before quantization', () => {
+        [[0.6, 0.8, 0], [0, 0.6, -0.8], normalize([-2, -1, -0.5])].forEach((n) => {
+            const [u, v] = vertexLayout.octEncode([0, 0], n[0], n[1], n[2]);
+            assert.ok(Math.abs(u) + Math.abs(v) <= 1 + 1e-12 || n[2] < 0);
+            assertClose(Array.from(vertexLayout.octDecode([0, 0, 0], u, v)), n, 1e-12);
+        });
+    });
+});
+
+describe('half floats', () => {
+    it('encodes normal, extreme and special values', () => {
+        const cases = [
+            [1, 0x3c00],
+            [-2, 0xc000],
+            [0.5, 0x3800],
+            [65504, 0x7bff],
+            [65520, 0x7c00], // Rounds past the largest half
+            [1e6, 0x7c00],
+            [-Infinity, 0xfc00],
+            [-0, 0x8000],
+            [Math.pow(2, -14), 0x0400], // Smallest normal
+            [Math.pow(2, -24), 0x0001], // Smallest subnormal
+            [Math.pow(2, -25), 0x0000], // Halfway to it rounds to even, which is zero
+            [1e-9, 0x0000],
+        ];
+
+        cases.forEach(([value, bits]) => assert.strictEqual(vertexLayout.toHalf(value), bits, `${value}`));
+        assert.strictEqual(vertexLayout.toHalf(NaN) & 0x7c00, 0x7c00);
+        assert.ok(vertexLayout.toHalf(NaN) & 0x3ff, 'NaN keeps a mantissa bit');
+    });
+
+    it('rounds to nearest, ties to even', () => {
+        const ulp = Math.pow(2, -10);
+        assert.strictEqual(vertexLayout.toHalf(1 + ulp / 2), 0x3c00, 'tie rounds down to the even mantissa');
+        assert.strictEqual(vertexLayout.toHalf(1 + (ulp * 3) / 2), 0x3c02, 'tie rounds up to the even mantissa');
+        assert.strictEqual(vertexLayout.toHalf(1 + ulp * 0.6), 0x3c01);
+        assert.strictEqual(vertexLayout.toHalf(2047.9), 0x6800, 'a carry out of the mantissa bumps the exponent');
+    });
+
+    it('decodes every finite half back to the value it encodes', () => {
+        for (let bits = 0; bits < 0x10000; bits++) {
+            if ((bits & 0x7c00) === 0x7c00) continue;
+            const value = vertexLayout.fromHalf(bits);
+            assert.strictEqual(vertexLayout.toHalf(value), bits, `0x${bits.toString(16)}`);
+        }
+        assert.strictEqual(vertexLayout.fromHalf(0x7c00), Infinity);
+        assert.ok(Number.isNaN(vertexLayout.fromHalf(0x7e00)));
+    });
+});
+
+describe('vertexLayout.setupAttributes', () => {
+    it('points the attributes a program uses at the interleaved buffer and skips the others', () => {
+        const calls = [];
+        const gl = {
+            getAttribLocation: (program, name) => (name in program ? program[name] : -1),
+            vertexAttribPointer: (...args) => calls.push(['pointer', ...args]),
+            enableVertexAttribArray: (location) => calls.push(['enable', location]),
+        };
+        const layout = vertexLayout.create([
+            { name: 'a_position', source: 'positions', format: 'float32x3' },
+            { name: 'a_normal', source: 'normals', format: 'oct16' },
+            { name: 'a_uv', source: 'texCoords', format: 'float16x2' },
+        ]);
+
+        vertexLayout.setupAttributes(gl, { a_position: 0, a_uv: 3 }, layout);
+        assert.deepStrictEqual(calls, [
+            ['pointer', 0, 3, vertexLayout.FLOAT, false, 20, 0],
+            ['enable', 0],
+            ['pointer', 3, 2, vertexLayout.HALF_FLOAT, false, 20, 16],
+            ['enable', 3],
+        ]);
+    });
+});